@@ -10,7 +10,180 @@ const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 
 // Import bcryptjs for password hashing
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken'); // Import jsonwebtoken
+
+// Import the shared JWT authentication middleware
+const { createAuthMiddleware, requireVerifiedEmail, signAccessToken } = require('./server/auth');
+// Import the refresh-token session store
+const {
+  createSession,
+  ensureSessionIndexes,
+  listActiveSessions,
+  revokeAllSessions,
+  revokeSessionById,
+  revokeSessionByToken,
+  rotateSession,
+} = require('./server/sessions');
+// Import the single-use email tokens (password reset, email verification) and the mail transport
+const { TOKEN_TYPES, consumeAuthToken, ensureAuthTokenIndexes, issueAuthToken } = require('./server/authTokens');
+const { createMailTransport, sendMail } = require('./server/mail');
+// Import the request validation middleware and the declared schemas
+const { validateBody } = require('./server/validation');
+const { ensureIdempotencyIndexes, idempotent, keepIdempotencyKey } = require('./server/idempotency');
+const { ensureCollectionValidators, requestSchemas } = require('./server/schemas');
+// Import the habit schedule engine and the date/entry helpers it works with
+const { getHabitSchedule, isDue, isScheduledOn, periodOf, periodWindow, targetFor, validateSchedule } = require('./server/schedule');
+const { DEFAULT_TIME_ZONE, addDays, daysBetween, isDateKey, toDateKey, todayKey } = require('./server/dates');
+const {
+  completedDatesByHabit,
+  ensureEntryIndexes,
+  findUserHabits,
+  loadCompletedDates,
+  loadUserEntries,
+  localDateFilter,
+  resolveEntryDate,
+  valuesByHabit,
+} = require('./server/entries');
+const { getHabitMeasurement, isMeasured, progressOn } = require('./server/measurement');
+const { buildCompletionCalendar, calendarHabits, calendarParticipant } = require('./server/calendar');
+const { ensureEventIndexes, openEventStream, publishGroupEvent } = require('./server/events');
+const { checkInGroup, checkInPersonal, ensureCheckInIndexes, groupCompletionPipeline, undoCheckInGroup, undoCheckInPersonal } = require('./server/checkins');
+const { getUserTimeZone, groupTimeZone, timeZoneOf } = require('./server/timezones');
+// Import the group ownership helpers and the invitation, join request and ban helpers
+const { leaveGroup, transferOwnership } = require('./server/groups');
+const {
+  addGroupMember,
+  banGroupMember,
+  createInvitation,
+  createInviteCode,
+  createJoinRequest,
+  ensureGroupVisibility,
+  ensureInvitationIndexes,
+  findInviteCode,
+  findPendingInvitation,
+  groupVisibility,
+  isBanned,
+  listInviteCodes,
+  listPendingInvitations,
+  listPendingJoinRequests,
+  redeemInviteCode,
+  releaseInviteCode,
+  removeGroupMember,
+  revokeInviteCode,
+  settleInvitation,
+  settleJoinRequest,
+  unbanGroupMember,
+} = require('./server/invitations');
+const { computeHabitStreak, computeOverallStreak } = require('./server/streaks');
+const { LEADERBOARD_PERIODS, LEADERBOARD_SORTS, leaderboardRange, memberStats, rankLeaderboard } = require('./server/leaderboards');
+const {
+  MAX_CHALLENGE_DAYS,
+  challengeStatus,
+  challengesCollection,
+  describeChallenge,
+  ensureChallengeIndexes,
+} = require('./server/challenges');
+const {
+  addComment,
+  addFeedItem,
+  addReaction,
+  deleteComment,
+  describeFeedItem,
+  ensureFeedIndexes,
+  feedCommentsCollection,
+  feedItemsCollection,
+  findFeedPage,
+  getPageParams,
+  isEmoji,
+  recordCheckIn,
+  removeCheckIn,
+  removeReaction,
+  summarizeReactions,
+} = require('./server/feed');
+const {
+  createReminderScheduler,
+  deleteReminders,
+  ensureReminderIndexes,
+  reminderJobsCollection,
+  remindersCollection,
+  saveReminder,
+  scheduleNudge,
+  snoozeJob,
+} = require('./server/reminders');
+const { CHANNEL_NAMES, notify } = require('./server/channels');
+const {
+  ACHIEVEMENTS,
+  backfillAchievements,
+  checkAchievements,
+  ensureAchievementIndexes,
+  listUserAchievements,
+} = require('./server/achievements');
+const {
+  NOTIFICATION_TYPES,
+  countUnread,
+  ensureNotificationIndexes,
+  listNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  notificationPreferences,
+} = require('./server/notifications');
+const { ensurePushIndexes, pushSubscriptionsCollection, vapidPublicKey } = require('./server/webPush');
+const {
+  EXPORT_FORMATS,
+  MAX_DIRECT_EXPORT_ENTRIES,
+  countExportEntries,
+  createExportJob,
+  createExportWorker,
+  ensureExportIndexes,
+  exportDownloadUrl,
+  exportFileName,
+  findExportJob,
+  isValidExportDownloadToken,
+  listExportJobs,
+  openExportFile,
+  writeExport,
+} = require('./server/exports');
+const {
+  buildCalendarFeed,
+  ensureCalendarFeedIndexes,
+  findCalendarFeedUser,
+  issueCalendarFeedToken,
+  revokeCalendarFeedToken,
+} = require('./server/calendarFeed');
+const {
+  MAX_STATS_RANGE_DAYS,
+  backfillDailyStats,
+  computeUserStats,
+  dailyStatsCollection,
+  ensureStatsIndexes,
+  rebuildDailyStats,
+  refreshDailyStats,
+} = require('./server/stats');
+const { MAX_IMPORT_BYTES, applyImport, parseImport, planImport } = require('./server/imports');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  cancelAccountDeletion,
+  createAccountDeletionWorker,
+  ensureAccountDeletionIndexes,
+  scheduleAccountDeletion,
+} = require('./server/accountDeletion');
+const {
+  PRIVATE_PROFILE_PROJECTION,
+  PUBLIC_PROFILE_PROJECTION,
+  USER_COLLATION,
+  ensureUserIndexes,
+  sharesGroup,
+} = require('./server/profiles');
+// Import the authorization helpers (ownership and group roles)
+const {
+  canLogPersonalHabit,
+  canManageHabit,
+  findGroupWithRole,
+  forbidden,
+  getGroupRole,
+  hasGroupRole,
+  requireGroupRole,
+  requireSelf,
+} = require('./server/authorization');
 
 // 3. Get the MongoDB connection URI
 const uri = process.env.ATLAS_URI;
@@ -32,16 +205,33 @@ const client = new MongoClient(uri, {
   }
 });
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Public URL of the client app, used for links in emails
+const appUrl = process.env.APP_URL || 'http://localhost:3000';
+// Public URL of this server, used for links that point at the API itself (downloads, calendar feeds)
+const apiUrl = process.env.API_URL || `http://localhost:${port}`;
+
+// Outgoing email goes through a pluggable transport (console by default, see server/mail.js)
+app.locals.mailer = createMailTransport();
+
+// Middleware to parse JSON bodies. Imports carry a whole export file, so they may be larger
+// (base64 makes files a third bigger); their route parses its own body with parseImportBody, only
+// once the caller is known to be allowed to import.
+const IMPORT_PATH = /^\/api\/users\/[^/]+\/import\/?$/i; // Case-insensitive, like Express routes
+const parseJsonBody = express.json();
+const parseImportBody = express.json({ limit: Math.ceil(MAX_IMPORT_BYTES * 4 / 3) + 1024 * 1024 });
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : parseJsonBody(req, res, next)));
 
 // Define a simple root route
 app.get('/', (req, res) => {
   res.send('CRUW Backend is running!');
 });
 
+// Require a valid JWT on every /api route except sign up and login.
+// Route handlers below can rely on req.user ({ id, _id, username }) being the caller.
+app.use('/api', createAuthMiddleware(jwtSecret));
+
 // --- API route to create a new habit ---
-app.post('/api/habits', async (req, res) => {
+app.post('/api/habits', validateBody(requestSchemas.createHabit), async (req, res) => {
   // Get the database connection from app.locals
   const db = req.app.locals.db;
 
@@ -54,56 +244,203 @@ app.post('/api/habits', async (req, res) => {
   // Get the habits collection
   const collection = db.collection('habits'); // *** Assuming your collection name is 'habits' ***
 
-  // Get the habit data from the request body
+  // Get the habit data from the request body (already validated against requestSchemas.createHabit)
+  // createdBy is always the authenticated caller, never taken from the body
   const newHabitData = req.body;
-  
-  // Basic validation (requires title, createdBy, assignedTo, schedule)
-  if (!newHabitData || !newHabitData.title || !newHabitData.createdBy || !newHabitData.assignedTo || !newHabitData.schedule) {
-    res.status(400).json({ message: 'Missing required habit data (title, createdBy, assignedTo, or schedule).' });
-    return;
-  }
-
-  // Ensure assignedTo has type and id
-  if (!newHabitData.assignedTo.type || !newHabitData.assignedTo.id) {
-      res.status(400).json({ message: 'Invalid assignedTo format.' });
-      return;
-  }
 
-  // Add server-side generated fields (like createdAt) and convert ObjectIds
+  // Add server-side generated fields (like createdAt)
   try {
-      // Optional: Check if IDs are valid ObjectId strings before conversion
-      if (!ObjectId.isValid(newHabitData.createdBy) || !ObjectId.isValid(newHabitData.assignedTo.id)) {
-          res.status(400).json({ message: 'Invalid ID format for createdBy or assignedTo.id.' });
-          return;
+      // Personal habits are always assigned to the caller
+      const assignedToId = newHabitData.assignedTo.type === 'user' ? req.user._id : newHabitData.assignedTo.id;
+
+      // Only group owners and admins can add habits to a group
+      let habitGroup = null;
+      if (newHabitData.assignedTo.type === 'group') {
+          const groupWithRole = await findGroupWithRole(db, assignedToId, req.user._id);
+          if (!groupWithRole) {
+              res.status(404).json({ message: 'Group not found.' });
+              return;
+          }
+          if (!hasGroupRole(groupWithRole.group, req.user._id, 'admin')) {
+              forbidden(res, 'add habits to this group');
+              return;
+          }
+          habitGroup = groupWithRole.group;
+      }
+
+      // Schedules without a startDate start today, in the group's time zone or else the caller's
+      if (!newHabitData.schedule.startDate) {
+          const timeZone = groupTimeZone(habitGroup, await getUserTimeZone(db, req.user._id));
+          newHabitData.schedule.startDate = todayKey(timeZone);
+          if (newHabitData.schedule.endDate && newHabitData.schedule.endDate < newHabitData.schedule.startDate) {
+              res.status(400).json({ message: 'Validation failed.', errors: [{ field: 'schedule.endDate', message: 'must not be before startDate' }] });
+              return;
+          }
+          // Now that it has a start, a COUNT rule gets its endDate
+          newHabitData.schedule = validateSchedule(newHabitData.schedule, null).value;
       }
 
+      // Only copy the declared fields, never the whole body
       const habitToInsert = {
-          ...newHabitData,
-          createdBy: new ObjectId(newHabitData.createdBy), // Convert string to ObjectId
-          assignedTo: { // Convert assignedTo.id to ObjectId
+          title: newHabitData.title,
+          description: newHabitData.description,
+          createdBy: req.user._id, // The authenticated caller created this habit
+          assignedTo: {
               type: newHabitData.assignedTo.type,
-              id: new ObjectId(newHabitData.assignedTo.id),
+              id: assignedToId,
           },
+          schedule: newHabitData.schedule,
+          streakGraceDays: newHabitData.streakGraceDays,
+          measurement: newHabitData.measurement, // How the habit is measured (boolean unless it has a target)
           createdAt: new Date(), // Set the creation date on the backend
           // MongoDB will automatically add the _id field
       };
 
       const result = await collection.insertOne(habitToInsert);
 
+      // Let the group's members know about the new group habit
+      if (habitGroup) {
+          await publishGroupEvent(db, habitGroup._id, 'habit.created', { habitId: result.insertedId, title: habitToInsert.title }, req.user._id);
+          await addFeedItem(db, habitGroup._id, 'habitCreated', req.user._id, { habitId: result.insertedId, title: habitToInsert.title });
+          notifyUsers(req, habitGroup.memberIds || [], 'habitCreated', {
+              title: `New habit in ${habitGroup.name}`,
+              body: `${req.user.username} added "${habitToInsert.title}".`,
+              data: { groupId: habitGroup._id, habitId: result.insertedId },
+              url: `${appUrl}/groups/${habitGroup._id}`,
+          });
+      }
+
       // Send a success response with the inserted document's ID
       res.status(201).json({ message: 'Habit created successfully!', insertedId: result.insertedId, insertedHabit: habitToInsert });
   } catch (error) {
       console.error('Error creating habit:', error);
-      // Handle errors including potential invalid ObjectId format
       res.status(500).json({ message: 'Failed to create habit.', error: error.message });
   }
 });
 // --- End of API route ---
 
+// Issue an email verification token for a user and email them the link
+async function sendVerificationEmail(db, mailer, user) {
+  const token = await issueAuthToken(db, user._id, TOKEN_TYPES.EMAIL_VERIFICATION);
+  const link = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail(mailer, {
+    to: user.email,
+    subject: 'Verify your CRUW email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+  });
+}
+
+// Issue a password reset token for a user and email them the link
+async function sendPasswordResetEmail(db, mailer, user) {
+  const token = await issueAuthToken(db, user._id, TOKEN_TYPES.PASSWORD_RESET);
+  const link = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail(mailer, {
+    to: user.email,
+    subject: 'Reset your CRUW password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your CRUW password. If it was you, open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+// Issue an email change token for a user and email the confirmation link to the new address.
+// The current address is told too, in case someone else is trying to take over the account.
+async function sendEmailChangeEmails(db, mailer, user, newEmail) {
+  const token = await issueAuthToken(db, user._id, TOKEN_TYPES.EMAIL_CHANGE, { email: newEmail });
+  const link = `${appUrl}/confirm-email-change?token=${encodeURIComponent(token)}`;
+  await sendMail(mailer, {
+    to: newEmail,
+    subject: 'Confirm your new CRUW email address',
+    text: `Hi ${user.username},\n\nPlease confirm that you want to use this address for your CRUW account by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+  await sendMail(mailer, {
+    to: user.email,
+    subject: 'Your CRUW email address is being changed',
+    text: `Hi ${user.username},\n\nSomeone asked to change the email address of your CRUW account to ${newEmail}. It changes once the new address is confirmed.\n\nIf this wasn't you, change your password now.`,
+  });
+}
+
+// Notify users of something the caller did (see notify() in server/channels.js). The caller is
+// left out unless exceptUserId says otherwise. Delivery (push services, SMTP) runs in the background
+// and isn't waited for, so it can neither slow down nor fail the request; failures are logged.
+function notifyUsers(req, userIds, type, message, { exceptUserId = req.user._id } = {}) {
+  notify({ db: req.app.locals.db, mailer: req.app.locals.mailer }, userIds, type, message, { exceptUserId })
+    .catch(error => console.error(`Error sending ${type} notifications:`, error));
+}
+
+// The owner and admins of a group, who hear about joins, leaves and join requests
+function groupManagerIds(group) {
+  return [group.ownerId, ...(group.adminIds || [])].filter(Boolean);
+}
+
+// Tell the owner and admins of a group that someone joined it
+function notifyMemberJoined(req, group, username) {
+  if (!group) {
+    return;
+  }
+  notifyUsers(req, groupManagerIds(group), 'memberJoined', {
+    title: `New member in ${group.name}`,
+    body: `${username} joined the group "${group.name}".`,
+    data: { groupId: group._id },
+    url: `${appUrl}/groups/${group._id}`,
+  });
+}
+
+// Tell a user about their invitation to a group, by email and on the channels they want.
+// Both are sent in the background; a mail failure doesn't fail the invitation: it is also listed
+// under /api/users/:userId/invitations.
+function sendInvitation(req, group, invitee, invitation) {
+  sendMail(req.app.locals.mailer, {
+    to: invitee.email,
+    subject: `You're invited to join ${group.name} on CRUW`,
+    text: `Hi ${invitee.username},\n\n${req.user.username} invited you to join the group "${group.name}". Open this link to accept or decline:\n${appUrl}/invitations\n\nThe invitation expires in 30 days.`,
+  }).catch(mailError => console.error('Error sending invitation email:', mailError));
+
+  notifyUsers(req, [invitee._id], 'invitation', {
+    title: `Invitation to ${group.name}`,
+    body: `${req.user.username} invited you to join the group "${group.name}".`,
+    data: { groupId: group._id, invitationId: invitation._id },
+    url: `${appUrl}/invitations`,
+  });
+}
+
+// Tell a member they reached a streak milestone (the one recordCheckIn() returns, if any)
+function notifyStreakMilestone(req, group, habit, userId, milestone) {
+  if (!milestone) {
+    return;
+  }
+  notifyUsers(req, [userId], 'streakMilestone', {
+    title: `${milestone.streak}-${milestone.unit} streak!`,
+    body: `You kept "${habit.title}" going for ${milestone.streak} ${milestone.unit}s in a row in ${group.name}.`,
+    data: { groupId: group._id, habitId: habit._id, streak: milestone.streak, unit: milestone.unit },
+    url: `${appUrl}/groups/${group._id}`,
+  }, { exceptUserId: null });
+}
+
+// Award the badges some users reached with an entry that was just written, and tell them.
+// Checking looks at a user's whole history, so call it after responding. Never throws.
+async function awardAchievements(req, userIds) {
+  const db = req.app.locals.db;
+  for (const userId of userIds) {
+    try {
+      const { newlyEarned } = await checkAchievements(db, userId);
+      for (const awarded of newlyEarned) {
+        const achievement = ACHIEVEMENTS.find(candidate => candidate.id === awarded.achievementId);
+        notifyUsers(req, [userId], 'achievement', {
+          title: `Badge earned: ${achievement.name}`,
+          body: achievement.description,
+          data: { achievementId: achievement.id },
+          url: `${appUrl}/achievements`,
+        }, { exceptUserId: null });
+      }
+    } catch (error) {
+      console.error('Error checking achievements:', error);
+    }
+  }
+}
+
 // --- API route to create a new user (Sign Up) ---
 // NOTE: The provided sample for CRUW.users looks like a group document. This route assumes a standard user schema with username, email, hashed password.
 // If your actual user schema is different, this route will need significant adjustment.
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', validateBody(requestSchemas.createUser), async (req, res) => {
   // Get the database connection from app.locals
   const db = req.app.locals.db;
 
@@ -116,15 +453,9 @@ app.post('/api/users', async (req, res) => {
   // Get the users collection
   const collection = db.collection('users'); // Assuming collection name is 'users'
 
-  // Get the user data from the request body
+  // Get the user data from the request body (already validated against requestSchemas.createUser)
   const newUserData = req.body;
 
-  // Basic validation
-  if (!newUserData || !newUserData.username || !newUserData.email || !newUserData.password) {
-    res.status(400).json({ message: 'Missing required user data (username, email, password).' });
-    return;
-  }
-
   try {
     // --- Password Hashing ---
     // Generate a salt
@@ -140,15 +471,23 @@ app.post('/api/users', async (req, res) => {
       username: newUserData.username,
       email: newUserData.email,
       password: hashedPassword, // Store the hashed password
+      emailVerified: false, // Set to true through /api/auth/verify-email
+      timezone: newUserData.timezone || DEFAULT_TIME_ZONE, // Where the user's days start and end
       createdAt: new Date(),
-      // Include other user fields as needed based on YOUR actual user schema
-      // e.g., if you have 'name', 'bio', etc., add them here explicitly
-      // Do NOT just spread newUserData if it might contain unintended fields.
+      // New fields must also be declared in documentSchemas.users (server/schemas.js)
     };
 
     // Insert the new user document into the collection
     const result = await collection.insertOne(userToInsert);
 
+    // Send the verification email. A mail failure shouldn't fail the signup:
+    // the user can ask for a new email with /api/auth/resend-verification.
+    try {
+      await sendVerificationEmail(db, req.app.locals.mailer, { _id: result.insertedId, ...userToInsert });
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
     // Send a success response (Exclude the password hash from the response)
     // Return minimal user info or a token
     res.status(201).json({ message: 'User created successfully!', insertedId: result.insertedId, username: userToInsert.username, email: userToInsert.email });
@@ -166,9 +505,14 @@ app.post('/api/users', async (req, res) => {
 });
 // --- End of API route ---
 
+// Device details stored with a session so users can recognise it in their session list
+function getSessionMeta(req) {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
 // --- API route for User Login ---
 // This route works based on the assumption of a standard user schema (email/username and hashed password).
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validateBody(requestSchemas.login), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -184,15 +528,9 @@ app.post('/api/auth/login', async (req, res) => {
   // Get credentials from request body (using email for lookup)
   const { email, password } = req.body;
 
-  // Basic validation
-  if (!email || !password) {
-    res.status(400).json({ message: 'Missing email or password.' });
-    return;
-  }
-
   try {
     // Find the user by email (or username if you prefer)
-    const user = await collection.findOne({ email: email });
+    const user = await collection.findOne({ email: email }, { collation: USER_COLLATION });
 
     // Check if user exists
     if (!user) {
@@ -210,15 +548,14 @@ app.post('/api/auth/login', async (req, res) => {
     }
 
     // --- User is authenticated! ---
-    // Generate a JWT (JSON Web Token) here and send it back
-    const token = jwt.sign(
-      { id: user._id, username: user.username }, // Payload: information to encode in the token (use non-sensitive data)
-      jwtSecret, // Your secret key
-      { expiresIn: '1h' } // Token expiration time (e.g., 1 hour)
-    );
+    // Start a server-side session holding a rotating refresh token for this device
+    const { session, refreshToken } = await createSession(db, user._id, getSessionMeta(req));
+
+    // Generate a short-lived access JWT tied to that session
+    const token = signAccessToken(user, session._id, jwtSecret);
 
-    // Send a success response with the token
-    res.status(200).json({ message: 'Login successful!', token });
+    // Send a success response with both tokens
+    res.status(200).json({ message: 'Login successful!', token, refreshToken });
 
   } catch (error) {
     console.error('Error during login:', error);
@@ -228,7 +565,7 @@ app.post('/api/auth/login', async (req, res) => {
 // --- End of API route for User Login ---
 
 // --- API route to create a new group ---
-app.post('/api/groups', async (req, res) => {
+app.post('/api/groups', requireVerifiedEmail, validateBody(requestSchemas.createGroup), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -241,57 +578,68 @@ app.post('/api/groups', async (req, res) => {
   // Get the groups collection
   const collection = db.collection('groups'); // *** Assuming your collection name is 'groups' ***
 
-  // Get the group data from the request body
+  // Get the group data from the request body (already validated against requestSchemas.createGroup)
+  // The owner is always the authenticated caller
   const newGroupData = req.body;
 
-  // Basic validation (requires at least a name and ownerId based on your schema)
-  if (!newGroupData || !newGroupData.name || !newGroupData.ownerId) {
-    res.status(400).json({ message: 'Missing required group data (name, ownerId).' });
-    return;
-  }
-
   // Prepare group document for insertion
   try {
-      // Optional: Check if ownerId is a valid ObjectId string before conversion
-      if (!ObjectId.isValid(newGroupData.ownerId)) {
-           res.status(400).json({ message: `Invalid ownerId format: ${newGroupData.ownerId}` });
-           return;
-      }
+      // The owner is the only member to start with. Anyone else listed in memberIds is invited
+      // (without duplicates) and joins by accepting, like any other invitation.
+      const inviteeIds = [];
+      (newGroupData.memberIds || []).forEach(id => {
+          if (!id.equals(req.user._id) && !inviteeIds.some(inviteeId => inviteeId.equals(id))) {
+              inviteeIds.push(id);
+          }
+      });
 
       const groupToInsert = {
           name: newGroupData.name,
           description: newGroupData.description, // Include description if provided
-          ownerId: new ObjectId(newGroupData.ownerId), // Convert ownerId string to ObjectId
-          // Initialize memberIds: If provided, map and convert to ObjectIds. Otherwise, start with just the ownerId.
-          memberIds: newGroupData.memberIds ? newGroupData.memberIds.map(id => new ObjectId(id)) : [new ObjectId(newGroupData.ownerId)],
+          ownerId: req.user._id, // The authenticated caller owns the group
+          memberIds: [req.user._id],
+          adminIds: [], // Members promoted to admin by the owner
+          bannedIds: [], // Users removed by the owner or an admin who can't rejoin
+          visibility: newGroupData.visibility, // 'private' groups can only be joined by invitation
+          requiresApproval: newGroupData.requiresApproval, // Public groups: joining needs approval
+          timezone: newGroupData.timezone || null, // null: each member's days follow their own time zone
           createdAt: new Date(), // Set the creation date on the backend
           // MongoDB will automatically add the _id field
       };
 
-       // Optional: Validate provided memberIds if the array exists
-       if (newGroupData.memberIds) {
-           for (const id of newGroupData.memberIds) {
-               if (!ObjectId.isValid(id)) {
-                   res.status(400).json({ message: `Invalid memberId format: ${id}` });
-                   return;
-               }
-           }
-       }
-
 
       // Insert the new group document into the collection
       const result = await collection.insertOne(groupToInsert);
+      const group = { _id: result.insertedId, ...groupToInsert };
+
+      // Ids that aren't users are left out
+      const invitees = inviteeIds.length === 0 ? [] : await db.collection('users')
+          .find({ _id: { $in: inviteeIds } }, { projection: { username: 1, email: 1 } })
+          .toArray();
+      const invitations = [];
+      for (const invitee of invitees) {
+          invitations.push({ invitee, invitation: await createInvitation(db, { groupId: group._id, userId: invitee._id, invitedBy: req.user._id }) });
+      }
 
       // Send a success response with the inserted document's ID and details
       // Exclude sensitive data if any, though for a group there might not be much
-      res.status(201).json({ message: 'Group created successfully!', insertedId: result.insertedId, insertedGroup: groupToInsert });
+      res.status(201).json({
+          message: 'Group created successfully!',
+          insertedId: result.insertedId,
+          insertedGroup: groupToInsert,
+          invitedUserIds: invitations.map(({ invitee }) => invitee._id),
+      });
+
+      for (const { invitee, invitation } of invitations) {
+          sendInvitation(req, group, invitee, invitation);
+      }
 
   } catch (error) {
     console.error('Error creating group:', error);
     // Check for duplicate name error if you have a unique index on group name
     if (error.code === 11000) {
         res.status(409).json({ message: 'Group name already exists.' });
-    } else {
+    } else if (!res.headersSent) {
         res.status(500).json({ message: 'Failed to create group.', error: error.message });
     }
   }
@@ -299,7 +647,8 @@ app.post('/api/groups', async (req, res) => {
 // --- End of API route to create a new group ---
 
 // --- API route to create a new userHabitEntry (Log Completion) ---
-app.post('/api/userHabitEntries', async (req, res) => {
+// There is one entry per user, habit and day: logging the same day again updates its status and notes.
+app.post('/api/userHabitEntries', idempotent(), validateBody(requestSchemas.createUserHabitEntry), async (req, res) => {
     // Get the database connection
     const db = req.app.locals.db;
 
@@ -309,53 +658,75 @@ app.post('/api/userHabitEntries', async (req, res) => {
       return;
     }
 
-    // Get the userHabitEntries collection
-    const collection = db.collection('userHabitEntries'); // *** Assuming collection name ***
-
-    // Get the entry data from the request body
+    // Get the entry data from the request body (already validated against requestSchemas.createUserHabitEntry)
+    // The user is always the authenticated caller
     const newEntryData = req.body;
 
-    // Basic validation (requires habitId, userId, date, status)
-    if (!newEntryData || !newEntryData.habitId || !newEntryData.userId || !newEntryData.date || !newEntryData.status) {
-      res.status(400).json({ message: 'Missing required entry data (habitId, userId, date, or status).' });
-      return;
-    }
-
     // Prepare entry document for insertion
     try {
-        // Optional: Check if IDs are valid ObjectId strings before conversion
-        if (!ObjectId.isValid(newEntryData.habitId) || !ObjectId.isValid(newEntryData.userId)) {
-            res.status(400).json({ message: 'Invalid ID format for habitId or userId.' });
+        // The habit must be a personal habit the caller is allowed to log
+        const habit = await db.collection('habits').findOne({ _id: newEntryData.habitId });
+        if (!habit) {
+            res.status(404).json({ message: 'Habit not found.' });
+            return;
+        }
+        if (!canLogPersonalHabit(habit, req.user._id)) {
+            forbidden(res, 'log entries for this habit');
             return;
         }
 
-        const entryToInsert = {
-            habitId: new ObjectId(newEntryData.habitId), // Convert habitId string to ObjectId
-            userId: new ObjectId(newEntryData.userId),   // Convert userId string to ObjectId
-            date: new Date(newEntryData.date), // Convert date string/timestamp to Date object
-            status: newEntryData.status,
-            notes: newEntryData.notes, // Include notes if provided
-            // MongoDB will automatically add the _id field
-        };
+        // Measured habits log a value (added to the day's total); yes/no habits need a status
+        const measurement = getHabitMeasurement(habit);
+        if (isMeasured(measurement) ? newEntryData.value === undefined : newEntryData.status === undefined) {
+            const field = isMeasured(measurement) ? 'value' : 'status';
+            res.status(400).json({ message: 'Validation failed.', errors: [{ field, message: 'is required' }] });
+            return;
+        }
+        if (!isMeasured(measurement) && newEntryData.value !== undefined) {
+            res.status(400).json({ message: 'Validation failed.', errors: [{ field: 'value', message: 'is only allowed for measured habits' }] });
+            return;
+        }
 
-        const result = await collection.insertOne(entryToInsert);
+        // Store both the timestamp and the calendar day it counts towards in the caller's time zone
+        const timeZone = await getUserTimeZone(db, req.user._id);
+        const { date, localDate } = resolveEntryDate(newEntryData.date, timeZone);
+
+        const { entry, created } = await checkInPersonal(db, {
+            habitId: newEntryData.habitId,
+            userId: req.user._id,   // The authenticated caller logged this entry
+            dateKey: localDate,
+            timeZone: timeZone,
+            date: date,
+            status: newEntryData.status,
+            notes: newEntryData.notes, // Only changed if provided
+            measurement: measurement,
+            add: newEntryData.value,
+        });
+        keepIdempotencyKey(res);
+
+        // The entry is saved: answer now, so that updating the stats can't report it as failed
+        if (created) {
+            res.status(201).json({ message: 'User habit entry created successfully!', insertedId: entry._id, insertedEntry: entry });
+        } else {
+            res.status(200).json({ message: 'User habit entry updated.', entry });
+        }
 
-        res.status(201).json({ message: 'User habit entry created successfully!', insertedId: result.insertedId, insertedEntry: entryToInsert });
+        try {
+            await refreshDailyStats(db, { userId: req.user._id, habit, dateKey: localDate, timeZone });
+        } catch (statsError) {
+            console.error('Error updating stats after a user habit entry:', statsError);
+        }
+        await awardAchievements(req, [req.user._id]);
 
     } catch (error) {
       console.error('Error creating user habit entry:', error);
-      // Handle invalid date format or other insertion errors
-       if (error instanceof RangeError || error instanceof TypeError) {
-           res.status(400).json({ message: 'Invalid date format provided.' });
-       } else {
-            res.status(500).json({ message: 'Failed to create user habit entry.', error: error.message });
-       }
+      res.status(500).json({ message: 'Failed to create user habit entry.', error: error.message });
     }
 });
 // --- End of API route to create a new userHabitEntry ---
 
 // --- API route to create a new groupHabitEntry ---
-app.post('/api/groupHabitEntries', async (req, res) => {
+app.post('/api/groupHabitEntries', validateBody(requestSchemas.createGroupHabitEntry), async (req, res) => {
     // Get the database connection
     const db = req.app.locals.db;
 
@@ -368,59 +739,100 @@ app.post('/api/groupHabitEntries', async (req, res) => {
     // Get the groupHabitEntries collection
     const collection = db.collection('groupHabitEntries'); // *** Assuming collection name ***
 
-    // Get the entry data from the request body
+    // Get the entry data from the request body (already validated against requestSchemas.createGroupHabitEntry)
     const newEntryData = req.body;
 
-    // Basic validation (requires habitId, groupId, date)
-    if (!newEntryData || !newEntryData.habitId || !newEntryData.groupId || !newEntryData.date) {
-      res.status(400).json({ message: 'Missing required entry data (habitId, groupId, or date).' });
-      return;
-    }
-
     // Prepare entry document for insertion
     try {
-         // Optional: Check if IDs are valid ObjectId strings before conversion
-         if (!ObjectId.isValid(newEntryData.habitId) || !ObjectId.isValid(newEntryData.groupId)) {
-             res.status(400).json({ message: 'Invalid ID format for habitId or groupId.' });
-             return;
-         }
-         if (newEntryData.checkedBy) {
-             for (const id of newEntryData.checkedBy) {
-                 if (!ObjectId.isValid(id)) {
-                     res.status(400).json({ message: `Invalid checkedBy ID format: ${id}` });
-                     return;
-                 }
-             }
-         }
+        // Only members of the group can log its habits
+        const groupWithRole = await findGroupWithRole(db, newEntryData.groupId, req.user._id);
+        if (!groupWithRole) {
+            res.status(404).json({ message: 'Group not found.' });
+            return;
+        }
+        if (!groupWithRole.role) {
+            forbidden(res, 'log entries for this group');
+            return;
+        }
+
+        // The habit must belong to this group
+        const habit = await db.collection('habits').findOne({
+            _id: newEntryData.habitId,
+            'assignedTo.type': 'group',
+            'assignedTo.id': groupWithRole.group._id
+        });
+        if (!habit) {
+            res.status(404).json({ message: 'Group habit not found.' });
+            return;
+        }
+
+        // Members only check in for themselves, like on the check-in routes: checkedBy is the
+        // caller (the default when it is empty) and notes can only hold the caller's own note
+        const checkedBy = newEntryData.checkedBy.length === 0 ? [req.user._id] : newEntryData.checkedBy;
+        if (checkedBy.length !== 1 || !checkedBy[0].equals(req.user._id)) {
+            forbidden(res, 'check in for other members');
+            return;
+        }
+        if (!Object.keys(newEntryData.notes).every(id => id === req.user.id)) {
+            forbidden(res, "write other members' notes");
+            return;
+        }
+
+        // Group entries count towards a day in the group's time zone, or the caller's if the group has none
+        const timeZone = groupTimeZone(groupWithRole.group, await getUserTimeZone(db, req.user._id));
+        const { date, localDate } = resolveEntryDate(newEntryData.date, timeZone);
 
         const entryToInsert = {
-            habitId: new ObjectId(newEntryData.habitId), // Convert habitId string to ObjectId
-            groupId: new ObjectId(newEntryData.groupId),   // Convert groupId string to ObjectId
-            date: new Date(newEntryData.date), // Convert date string/timestamp to Date object
-            // Initialize checkedBy and notes if not provided, and convert checkedBy IDs
-            checkedBy: newEntryData.checkedBy ? newEntryData.checkedBy.map(id => new ObjectId(id)) : [],
-            notes: newEntryData.notes || {},
+            habitId: newEntryData.habitId,
+            groupId: newEntryData.groupId,
+            date: date,
+            localDate: localDate,
+            checkedBy: checkedBy,
+            notes: newEntryData.notes, // Defaults to {} in the request schema
             // MongoDB will automatically add the _id field
         };
 
         const result = await collection.insertOne(entryToInsert);
 
+        // The entry is saved: answer now, so that nothing below can report it as failed
         res.status(201).json({ message: 'Group habit entry created successfully!', insertedId: result.insertedId, insertedEntry: entryToInsert });
 
+        try {
+            await publishGroupEvent(db, entryToInsert.groupId, 'checkin.created', {
+                habitId: entryToInsert.habitId,
+                date: entryToInsert.localDate,
+                entryId: result.insertedId,
+                checkedBy: entryToInsert.checkedBy,
+            }, req.user._id);
+            await refreshDailyStats(db, { userId: req.user._id, habit, dateKey: entryToInsert.localDate, timeZone });
+            const { milestone } = await recordCheckIn(db, { groupId: entryToInsert.groupId, habit, userId: req.user._id, dateKey: entryToInsert.localDate, timeZone });
+            notifyStreakMilestone(req, groupWithRole.group, habit, req.user._id, milestone);
+            notifyUsers(req, groupWithRole.group.memberIds || [], 'checkIn', {
+                title: `Check-in in ${groupWithRole.group.name}`,
+                body: `${req.user.username} logged "${habit.title}" for ${entryToInsert.localDate}.`,
+                data: { groupId: entryToInsert.groupId, habitId: entryToInsert.habitId, date: entryToInsert.localDate },
+                url: `${appUrl}/groups/${entryToInsert.groupId}`,
+            });
+        } catch (followUpError) {
+            console.error('Error updating stats and events after a group habit entry:', followUpError);
+        }
+
+        await awardAchievements(req, [req.user._id]);
+
     } catch (error) {
       console.error('Error creating group habit entry:', error);
-      // Handle invalid date format or other insertion errors
-       if (error instanceof RangeError || error instanceof TypeError) {
-           res.status(400).json({ message: 'Invalid date format provided.' });
-       } else {
-           res.status(500).json({ message: 'Failed to create group habit entry.', error: error.message });
-       }
+      // There is one entry per group habit and day; members join it through the check-in routes
+      if (error.code === 11000) {
+        res.status(409).json({ message: 'An entry for this habit and day already exists. Use /api/groups/:groupId/habits/:habitId/checkins/:date to check in.' });
+      } else {
+        res.status(500).json({ message: 'Failed to create group habit entry.', error: error.message });
+      }
     }
 });
 // --- End of API route to create a new groupHabitEntry ---
 
 // --- API route to get personal habits for a user ---
-app.get('/api/users/:userId/habits', async (req, res) => {
+app.get('/api/users/:userId/habits', requireSelf(), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -470,7 +882,7 @@ app.get('/api/users/:userId/habits', async (req, res) => {
 // --- End of API route to get personal habits ---
 
 // --- API route to get groups a user is a member of ---
-app.get('/api/users/:userId/groups', async (req, res) => {
+app.get('/api/users/:userId/groups', requireSelf(), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -515,7 +927,7 @@ app.get('/api/users/:userId/groups', async (req, res) => {
 // --- End of API route to get user groups ---
 
 // --- API route to get habits for a specific group ---
-app.get('/api/groups/:groupId/habits', async (req, res) => {
+app.get('/api/groups/:groupId/habits', requireGroupRole('member', "view this group's habits"), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -561,70 +973,86 @@ app.get('/api/groups/:groupId/habits', async (req, res) => {
 // --- End of API route to get group habits ---
 
 // --- API route to check Authentication Status (Verify JWT) ---
+// The token itself is verified by the auth middleware; by the time we get here req.user is set.
 app.get('/api/auth/status', async (req, res) => {
-  // Get the token from the Authorization header
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Format: Bearer TOKEN
+  // Fetch more user data from DB using req.user.id
+  const db = req.app.locals.db;
+  if (!db) {
+    console.error('Database not connected in /api/auth/status.');
+    return res.sendStatus(500); // Internal Server Error
+  }
+
+  const collection = db.collection('users');
+  try {
+      // Fetch user data, excluding the password
+      const user = await collection.findOne({ _id: req.user._id }, { projection: { password: 0 } });
+
+      if (!user) {
+          // User found in token but not in DB? (Shouldn't happen often if token payload is correct)
+          return res.sendStatus(404); // Not Found
+      }
+
+      // User is authenticated and found in DB - send success response with user info
+      res.json({ isAuthenticated: true, user });
 
-  // If no token, user is not authenticated
-  if (token == null) {
-    return res.sendStatus(401); // Unauthorized
+  } catch (dbError) {
+      console.error('Database error fetching user in /api/auth/status:', dbError);
+      res.sendStatus(500); // Internal Server Error
   }
+});
+// --- End of API route to check Authentication Status ---
 
-  // Verify the token
-  jwt.verify(token, jwtSecret, async (err, userPayload) => {
-    if (err) {
-      // Token is invalid (e.g., expired, wrong signature)
-      console.error('JWT verification failed:', err.message);
-      return res.sendStatus(403); // Forbidden (invalid token)
-    }
+// --- API route to refresh the access token ---
+// Exchanges a refresh token for a new access token and a new refresh token (the old one stops working).
+// Presenting a refresh token that was already rotated revokes the whole session.
+app.post('/api/auth/refresh', validateBody(requestSchemas.refreshToken), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
 
-    // --- Token is valid! ---
-    // userPayload contains the decoded data from the token (e.g., { id: user._id, username: user.username })
-    
-    // Optional: Fetch more user data from DB using userPayload.id if needed
-    const db = req.app.locals.db;
-    if (!db) {
-      console.error('Database not connected in /api/auth/status.');
-      return res.sendStatus(500); // Internal Server Error
-    }
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
 
-    const collection = db.collection('users');
-    try {
-        // Fetch user data, excluding the password
-        const user = await collection.findOne({ _id: new ObjectId(userPayload.id) }, { projection: { password: 0 } });
+  // Get the refresh token from the request body
+  const { refreshToken } = req.body;
 
-        if (!user) {
-            // User found in token but not in DB? (Shouldn't happen often if token payload is correct)
-            return res.sendStatus(404); // Not Found
-        }
+  try {
+    const rotation = await rotateSession(db, refreshToken, getSessionMeta(req));
 
-        // User is authenticated and found in DB - send success response with user info
-        res.json({ isAuthenticated: true, user });
+    if (rotation.status === 'reused') {
+      res.status(401).json({ message: 'Refresh token was already used. The session has been revoked; please log in again.' });
+      return;
+    }
+    if (rotation.status !== 'ok') {
+      res.status(401).json({ message: 'Invalid or expired refresh token.' });
+      return;
+    }
 
-    } catch (dbError) {
-        console.error('Database error fetching user in /api/auth/status:', dbError);
-        res.sendStatus(500); // Internal Server Error
+    // Make sure the user still exists before handing out a new access token
+    const user = await db.collection('users').findOne({ _id: rotation.session.userId }, { projection: { password: 0 } });
+    if (!user) {
+      await revokeSessionById(db, rotation.session.userId, rotation.session._id, 'user_not_found');
+      res.status(401).json({ message: 'Invalid or expired refresh token.' });
+      return;
     }
-  });
-});
-// --- End of API route to check Authentication Status ---
 
-// --- API route for User Logout ---
-// In a stateless JWT system, logout is often handled client-side by discarding the token.
-// A backend logout route might be needed for token blacklisting or session management if not using stateless JWTs strictly.
-// For now, we'll add a basic endpoint, but note its typical stateless nature.
-app.post('/api/auth/logout', (req, res) => {
-  // If using stateless JWTs, there's nothing to do on the server side other than confirming receipt.
-  // If using refresh tokens or server-side sessions, logic to invalidate them would go here.
+    const token = signAccessToken(user, rotation.session._id, jwtSecret);
+
+    res.status(200).json({ message: 'Token refreshed.', token, refreshToken: rotation.refreshToken });
 
-  // Frontend is responsible for discarding the token.
-  res.json({ message: 'Logout successful (client-side token discarded).' });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Failed to refresh token.', error: error.message });
+  }
 });
-// --- End of API route for User Logout ---
+// --- End of API route to refresh the access token ---
 
-// --- API route to get user habit entries for a specific user and date ---
-app.get('/api/users/:userId/habitEntries/:date', async (req, res) => {
+// --- API route for User Logout ---
+// Revokes the session the given refresh token belongs to. The access token stops being
+// renewable and expires on its own shortly after.
+app.post('/api/auth/logout', validateBody(requestSchemas.refreshToken), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -634,60 +1062,72 @@ app.get('/api/users/:userId/habitEntries/:date', async (req, res) => {
     return;
   }
 
-  // Get the parameters from the URL
-  const userId = req.params.userId;
-  const dateString = req.params.date; // Date in YYYY-MM-DD format (or similar)
+  // Get the refresh token from the request body
+  const { refreshToken } = req.body;
 
-  // Basic validation
-  if (!userId || !dateString) {
-    res.status(400).json({ message: 'Missing user ID or date in parameters.' });
+  try {
+    // Revoking an unknown or already revoked token is not an error: the client is logged out either way
+    await revokeSessionByToken(db, refreshToken);
+    res.status(200).json({ message: 'Logout successful.' });
+
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ message: 'An error occurred during logout.', error: error.message });
+  }
+});
+// --- End of API route for User Logout ---
+
+// --- API route to log out of all devices ---
+app.post('/api/auth/logout-all', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
     return;
   }
 
   try {
-    // Validate and convert user ID to ObjectId
-    if (!ObjectId.isValid(userId)) {
-        res.status(400).json({ message: 'Invalid user ID format.' });
-        return;
-    }
-    const userObjectId = new ObjectId(userId);
+    const revokedCount = await revokeAllSessions(db, req.user._id);
+    res.status(200).json({ message: 'Logged out of all devices.', revokedSessions: revokedCount });
 
-    // Convert date string to a Date object, representing the start of the day in UTC
-    // We use start of day and end of day to query for entries within that 24-hour period
-    const startOfDay = new Date(dateString);
-    startOfDay.setUTCHours(0, 0, 0, 0);
-    const endOfDay = new Date(dateString);
-    endOfDay.setUTCHours(23, 59, 59, 999);
+  } catch (error) {
+    console.error('Error logging out of all devices:', error);
+    res.status(500).json({ message: 'Failed to log out of all devices.', error: error.message });
+  }
+});
+// --- End of API route to log out of all devices ---
 
-    // Get the userHabitEntries collection
-    const collection = db.collection('userHabitEntries'); // *** Assuming collection name ***
+// --- API route to list the caller's active sessions ---
+app.get('/api/auth/sessions', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
 
-    // Find entries for the specific user on the given date
-    const entries = await collection.find({
-        userId: userObjectId,
-        date: {
-            $gte: startOfDay,
-            $lte: endOfDay
-        }
-    }).toArray();
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
 
-    // Respond with the found entries
-    res.status(200).json(entries);
+  try {
+    const sessions = await listActiveSessions(db, req.user._id);
+
+    // Flag the session the current access token belongs to
+    res.status(200).json(sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === req.user.sessionId,
+    })));
 
   } catch (error) {
-    console.error('Error fetching user habit entries:', error);
-     // Handle invalid date format gracefully
-    if (error instanceof RangeError || error instanceof TypeError) {
-        res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
-    } else {
-        res.status(500).json({ message: 'Failed to fetch user habit entries.', error: error.message });
-    }
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions.', error: error.message });
   }
 });
-// --- End of API route to get user habit entries ---
+// --- End of API route to list active sessions ---
 
-// --- API route to get group habit entries for a specific group and date ---
-app.get('/api/groups/:groupId/habitEntries/:date', async (req, res) => {
+// --- API route to revoke one of the caller's sessions ---
+app.delete('/api/auth/sessions/:sessionId', async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -697,59 +1137,34 @@ app.get('/api/groups/:groupId/habitEntries/:date', async (req, res) => {
     return;
   }
 
-  // Get the parameters from the URL
-  const groupId = req.params.groupId;
-  const dateString = req.params.date; // Date in YYYY-MM-DD format (or similar)
+  // Get the session ID from the URL parameters
+  const sessionId = req.params.sessionId;
 
-  // Basic validation
-  if (!groupId || !dateString) {
-    res.status(400).json({ message: 'Missing group ID or date in parameters.' });
+  // Validate the session ID format
+  if (!ObjectId.isValid(sessionId)) {
+    res.status(400).json({ message: 'Invalid session ID format.' });
     return;
   }
 
   try {
-    // Validate and convert group ID to ObjectId
-    if (!ObjectId.isValid(groupId)) {
-        res.status(400).json({ message: 'Invalid group ID format.' });
-        return;
-    }
-    const groupObjectId = new ObjectId(groupId);
-
-    // Convert date string to a Date object, representing the start of the day in UTC
-    const startOfDay = new Date(dateString);
-    startOfDay.setUTCHours(0, 0, 0, 0);
-    const endOfDay = new Date(dateString);
-    endOfDay.setUTCHours(23, 59, 59, 999);
-
-    // Get the groupHabitEntries collection
-    const collection = db.collection('groupHabitEntries'); // *** Assuming collection name ***
-
-    // Find entries for the specific group on the given date
-    const entries = await collection.find({
-        groupId: groupObjectId,
-        date: {
-            $gte: startOfDay,
-            $lte: endOfDay
-        }
-    }).toArray();
+    // Only the caller's own sessions can be revoked
+    const revoked = await revokeSessionById(db, req.user._id, new ObjectId(sessionId));
 
-    // Respond with the found entries
-    res.status(200).json(entries);
-
-  } catch (error) {
-    console.error('Error fetching group habit entries:', error);
-     // Handle invalid date format gracefully
-    if (error instanceof RangeError || error instanceof TypeError) {
-        res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    if (revoked) {
+      res.status(200).json({ message: 'Session revoked.' });
     } else {
-        res.status(500).json({ message: 'Failed to fetch group habit entries.', error: error.message });
+      res.status(404).json({ message: 'Session not found.' });
     }
+
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Failed to revoke session.', error: error.message });
   }
 });
-// --- End of API route to get group habit entries ---
+// --- End of API route to revoke a session ---
 
-// --- API route to get group members with completion status for a specific date ---
-app.get('/api/groups/:groupId/members/completion/:date', async (req, res) => {
+// --- API route to get user habit entries for a specific user and date ---
+app.get('/api/users/:userId/habitEntries/:date', requireSelf(), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -760,108 +1175,133 @@ app.get('/api/groups/:groupId/members/completion/:date', async (req, res) => {
   }
 
   // Get the parameters from the URL
-  const groupId = req.params.groupId;
+  const userId = req.params.userId;
   const dateString = req.params.date; // Date in YYYY-MM-DD format
 
   // Basic validation
-  if (!groupId || !dateString) {
-    res.status(400).json({ message: 'Missing group ID or date in parameters.' });
+  if (!userId || !dateString) {
+    res.status(400).json({ message: 'Missing user ID or date in parameters.' });
+    return;
+  }
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
     return;
   }
 
   try {
-    // Validate and convert group ID to ObjectId
-    if (!ObjectId.isValid(groupId)) {
-        res.status(400).json({ message: 'Invalid group ID format.' });
+    // Validate and convert user ID to ObjectId
+    if (!ObjectId.isValid(userId)) {
+        res.status(400).json({ message: 'Invalid user ID format.' });
         return;
     }
-    const groupObjectId = new ObjectId(groupId);
-
-    // Convert date string to a Date object range for querying entries
-    const startOfDay = new Date(dateString);
-    startOfDay.setUTCHours(0, 0, 0, 0);
-    const endOfDay = new Date(dateString);
-    endOfDay.setUTCHours(23, 59, 59, 999);
+    const userObjectId = new ObjectId(userId);
 
-    // Get the groups, users, groupHabitEntries, and habits collections
-    const groupsCollection = db.collection('groups');
-    const usersCollection = db.collection('users');
-    const groupHabitEntriesCollection = db.collection('groupHabitEntries');
-    const habitsCollection = db.collection('habits');
+    // The date is a calendar day in the user's own time zone
+    const timeZone = await getUserTimeZone(db, userObjectId);
 
-    // 1. Find the group to get its members
-    const group = await groupsCollection.findOne({ _id: groupObjectId });
+    // Get the userHabitEntries collection
+    const collection = db.collection('userHabitEntries'); // *** Assuming collection name ***
 
-    if (!group) {
-      res.status(404).json({ message: 'Group not found.' });
-      return;
-    }
+    // Find entries for the specific user on the given date
+    const entries = await collection.find({
+        userId: userObjectId,
+        ...localDateFilter(dateString, dateString, timeZone)
+    }).toArray();
 
-    const memberIds = group.memberIds;
+    // Respond with the found entries
+    res.status(200).json(entries);
 
-    // 2. Find the users corresponding to the memberIds
-    // Exclude sensitive information like password
-    const members = await usersCollection.find(
-        { _id: { $in: memberIds } },
-        { projection: { password: 0 } } // Exclude password field
-    ).toArray();
+  } catch (error) {
+    console.error('Error fetching user habit entries:', error);
+    res.status(500).json({ message: 'Failed to fetch user habit entries.', error: error.message });
+  }
+});
+// --- End of API route to get user habit entries ---
 
-    // 3. Find all habits assigned to this group to get the total count
-    const groupHabits = await habitsCollection.find({
-        'assignedTo.type': 'group',
-        'assignedTo.id': groupObjectId
-    }).toArray();
-    const totalGroupHabits = groupHabits.length;
+// Longest range, in days, the date-range and calendar routes return at once
+const MAX_RANGE_DAYS = 366;
+
+// Read the ?from=YYYY-MM-DD&to=YYYY-MM-DD query parameters (both inclusive).
+// defaultTo and defaultDays fill in missing values (to defaults to defaultTo, from to defaultDays
+// days ending at to); without them both parameters are required. maxDays caps the length of the
+// range. Returns { from, to } or { error }.
+function getDateRange(req, { defaultTo = null, defaultDays = null, maxDays = MAX_RANGE_DAYS } = {}) {
+  const to = req.query.to === undefined ? defaultTo : req.query.to;
+  let from = req.query.from;
+  if (from === undefined && defaultDays && isDateKey(to)) {
+    from = addDays(to, -(defaultDays - 1));
+  }
 
-    // 4. Find all group habit entries for this group on the given date
-    const completedEntries = await groupHabitEntriesCollection.find({
-        groupId: groupObjectId,
-        date: {
-            $gte: startOfDay,
-            $lte: endOfDay
-        }
-    }).toArray();
+  if (!from || !to) {
+    return { error: 'Missing from or to query parameter. Use YYYY-MM-DD.' };
+  }
+  if (!isDateKey(from) || !isDateKey(to)) {
+    return { error: 'Invalid date format provided. Use YYYY-MM-DD.' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to.' };
+  }
+  if (daysBetween(from, to) >= maxDays) {
+    return { error: `Date ranges can cover at most ${maxDays} days.` };
+  }
+  return { from, to };
+}
 
-    // 5. Process completion entries to count completed habits per user
-    const userCompletionCounts = {};
-    completedEntries.forEach(entry => {
-        // Ensure entry.userId exists and is a string/can be used as a key
-        const userIdString = entry.userId.toString();
-        if (!userCompletionCounts[userIdString]) {
-            userCompletionCounts[userIdString] = new Set();
-        }
-        // Use habitId to count unique completed habits per user
-        userCompletionCounts[userIdString].add(entry.habitId.toString());
-    });
+// Read the optional ?habitId= query parameter.
+// Returns { habitId } (null when absent) or { error } when it isn't a valid id.
+function getHabitIdFilter(req) {
+  if (req.query.habitId === undefined) {
+    return { habitId: null };
+  }
+  if (typeof req.query.habitId !== 'string' || !ObjectId.isValid(req.query.habitId)) {
+    return { error: 'Invalid habit ID format.' };
+  }
+  return { habitId: new ObjectId(req.query.habitId) };
+}
 
-    // 6. Combine member data with their completion counts
-    const membersWithCompletion = members.map(member => {
-        const memberIdString = member._id.toString();
-        const completedCount = userCompletionCounts[memberIdString] ? userCompletionCounts[memberIdString].size : 0;
-        return {
-            ...member,
-            completedGroupHabits: completedCount,
-            totalGroupHabits: totalGroupHabits
-        };
-    });
+// --- API route to get user habit entries for a date range ---
+// GET /api/users/:userId/habitEntries?from=YYYY-MM-DD&to=YYYY-MM-DD[&habitId=...]
+// Dates are calendar days in the user's time zone; entries come back oldest first.
+app.get('/api/users/:userId/habitEntries', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
 
-    // Respond with the group members and their completion status
-    res.status(200).json(membersWithCompletion);
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
 
-  } catch (error) {
-    console.error('Error fetching group members with completion status:', error);
-     // Handle invalid date format gracefully
-    if (error instanceof RangeError || error instanceof TypeError) {
-        res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
-    } else {
-        res.status(500).json({ message: 'Failed to fetch group members with completion status.', error: error.message });
+  // Read the range and optional habit filter from the query
+  const range = getDateRange(req);
+  const habitFilter = getHabitIdFilter(req);
+  if (range.error || habitFilter.error) {
+    res.status(400).json({ message: range.error || habitFilter.error });
+    return;
+  }
+
+  try {
+    const userObjectId = req.user._id;
+    const timeZone = await getUserTimeZone(db, userObjectId);
+
+    const query = { userId: userObjectId, ...localDateFilter(range.from, range.to, timeZone) };
+    if (habitFilter.habitId) {
+      query.habitId = habitFilter.habitId;
     }
+
+    const entries = await db.collection('userHabitEntries').find(query).sort({ date: 1 }).toArray();
+
+    res.status(200).json(entries);
+
+  } catch (error) {
+    console.error('Error fetching user habit entries for range:', error);
+    res.status(500).json({ message: 'Failed to fetch user habit entries.', error: error.message });
   }
 });
-// --- End of API route to get group members with completion status ---
+// --- End of API route to get user habit entries for a date range ---
 
-// --- API route to get the most logged habit for a user ---
-app.get('/api/users/:userId/mostLoggedHabit', async (req, res) => {
+// --- API route to get group habit entries for a specific group and date ---
+app.get('/api/groups/:groupId/habitEntries/:date', requireGroupRole('member', "view this group's entries"), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -871,99 +1311,92 @@ app.get('/api/users/:userId/mostLoggedHabit', async (req, res) => {
     return;
   }
 
-  // Get the user ID from the URL parameters
-  const userId = req.params.userId;
+  // Get the parameters from the URL
+  const groupId = req.params.groupId;
+  const dateString = req.params.date; // Date in YYYY-MM-DD format
 
   // Basic validation
-  if (!userId) {
-    res.status(400).json({ message: 'Missing user ID in parameters.' });
+  if (!groupId || !dateString) {
+    res.status(400).json({ message: 'Missing group ID or date in parameters.' });
+    return;
+  }
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
     return;
   }
 
   try {
-    // Validate and convert user ID to ObjectId
-    if (!ObjectId.isValid(userId)) {
-        res.status(400).json({ message: 'Invalid user ID format.' });
+    // Validate and convert group ID to ObjectId
+    if (!ObjectId.isValid(groupId)) {
+        res.status(400).json({ message: 'Invalid group ID format.' });
         return;
     }
-    const userObjectId = new ObjectId(userId);
+    const groupObjectId = new ObjectId(groupId);
 
-    // Get the userHabitEntries and habits collections
-    const userHabitEntriesCollection = db.collection('userHabitEntries'); // *** Assuming collection name ***
-    const habitsCollection = db.collection('habits'); // *** Assuming collection name ***
+    // The date is a calendar day in the group's time zone, or the caller's if the group has none
+    const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, req.user._id));
 
-    // MongoDB Aggregation Pipeline
-    const pipeline = [
-      {
-        $match: {
-          userId: userObjectId // Filter entries for the specific user
-        }
-      },
-      {
-        $group: {
-          _id: '$habitId', // Group by habitId
-          count: { $sum: 1 } // Count occurrences of each habit
-        }
-      },
-      {
-        $sort: {
-          count: -1 // Sort by count descending (most frequent first)
-        }
-      },
-      {
-        $lookup: {
-          from: 'habits', // Join with the habits collection
-          localField: '_id', // The habitId from the grouped entries
-          foreignField: '_id', // The _id from the habits collection
-          as: 'habitDetails' // Output array field name
-        }
-      },
-      {
-        $unwind: '$habitDetails' // Deconstruct the habitDetails array
-      },
-      {
-        // Re-sort to handle ties by habit creation date (assuming a 'createdAt' field)
-        // Sort by count descending first, then createdAt ascending
-        $sort: {
-          count: -1,
-          'habitDetails.createdAt': 1 // Assuming 'createdAt' field exists on habit documents
-        }
-      },
-      {
-        $limit: 1 // Get only the top result
-      },
-      {
-        $project: {
-          _id: '$habitDetails._id',
-          title: '$habitDetails.title',
-          // Include other habit fields you need in the response
-          // e.g., description: '$habitDetails.description',
-          // assignedTo: '$habitDetails.assignedTo',
-          // schedule: '$habitDetails.schedule',
-          // createdBy: '$habitDetails.createdBy',
-          completionCount: '$count' // Include the count of entries for this habit
-        }
-      }
-    ];
+    // Get the groupHabitEntries collection
+    const collection = db.collection('groupHabitEntries'); // *** Assuming collection name ***
 
-    const result = await userHabitEntriesCollection.aggregate(pipeline).toArray();
+    // Find entries for the specific group on the given date
+    const entries = await collection.find({
+        groupId: groupObjectId,
+        ...localDateFilter(dateString, dateString, timeZone)
+    }).toArray();
 
-    if (result.length > 0) {
-      res.status(200).json(result[0]);
-    } else {
-      // No habit entries found for this user
-      res.status(404).json({ message: 'No logged habits found for this user.' });
+    // Respond with the found entries
+    res.status(200).json(entries);
+
+  } catch (error) {
+    console.error('Error fetching group habit entries:', error);
+    res.status(500).json({ message: 'Failed to fetch group habit entries.', error: error.message });
+  }
+});
+// --- End of API route to get group habit entries ---
+
+// --- API route to get group habit entries for a date range ---
+// GET /api/groups/:groupId/habitEntries?from=YYYY-MM-DD&to=YYYY-MM-DD[&habitId=...]
+// Dates are calendar days in the group's time zone (or the caller's if the group has none).
+app.get('/api/groups/:groupId/habitEntries', requireGroupRole('member', "view this group's entries"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Read the range and optional habit filter from the query
+  const range = getDateRange(req);
+  const habitFilter = getHabitIdFilter(req);
+  if (range.error || habitFilter.error) {
+    res.status(400).json({ message: range.error || habitFilter.error });
+    return;
+  }
+
+  try {
+    const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, req.user._id));
+
+    const query = { groupId: req.group._id, ...localDateFilter(range.from, range.to, timeZone) };
+    if (habitFilter.habitId) {
+      query.habitId = habitFilter.habitId;
     }
 
+    const entries = await db.collection('groupHabitEntries').find(query).sort({ date: 1 }).toArray();
+
+    res.status(200).json(entries);
+
   } catch (error) {
-    console.error('Error fetching most logged habit:', error);
-    res.status(500).json({ message: 'Failed to fetch most logged habit.', error: error.message });
+    console.error('Error fetching group habit entries for range:', error);
+    res.status(500).json({ message: 'Failed to fetch group habit entries.', error: error.message });
   }
 });
-// --- End of API route to get the most logged habit ---
+// --- End of API route to get group habit entries for a date range ---
 
-// --- API route to get the account creation date for a user ---
-app.get('/api/users/:userId/createdAt', async (req, res) => {
+// --- API route to get group members with completion status for a specific date ---
+app.get('/api/groups/:groupId/members/completion/:date', requireGroupRole('member', "view this group's member completion"), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -973,101 +1406,4528 @@ app.get('/api/users/:userId/createdAt', async (req, res) => {
     return;
   }
 
-  // Get the user ID from the URL parameters
-  const userId = req.params.userId;
+  // Get the parameters from the URL
+  const groupId = req.params.groupId;
+  const dateString = req.params.date; // Date in YYYY-MM-DD format
 
   // Basic validation
-  if (!userId) {
-    res.status(400).json({ message: 'Missing user ID in parameters.' });
+  if (!groupId || !dateString) {
+    res.status(400).json({ message: 'Missing group ID or date in parameters.' });
+    return;
+  }
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
     return;
   }
 
   try {
-    // Validate and convert user ID to ObjectId
-    if (!ObjectId.isValid(userId)) {
-        res.status(400).json({ message: 'Invalid user ID format.' });
+    // Validate and convert group ID to ObjectId
+    if (!ObjectId.isValid(groupId)) {
+        res.status(400).json({ message: 'Invalid group ID format.' });
         return;
     }
-    const userObjectId = new ObjectId(userId);
+    const groupObjectId = new ObjectId(groupId);
 
-    // Get the users collection
-    const usersCollection = db.collection('users'); // *** Assuming collection name ***
+    // The date is a calendar day in the group's time zone, or the caller's if the group has none
+    const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, req.user._id));
 
-    // Find the user and project only the createdAt field
-    const user = await usersCollection.findOne(
-        { _id: userObjectId },
-        { projection: { createdAt: 1 } } // Project only the createdAt field
-    );
+    // Members, group habits and the day's check-ins in one aggregation
+    const [result] = await db.collection('groups').aggregate(groupCompletionPipeline(groupObjectId, dateString, timeZone)).toArray();
 
-    if (user) {
-      // Return the createdAt date
-      res.status(200).json({ createdAt: user.createdAt });
-    } else {
-      // User not found
+    if (!result) {
+      res.status(404).json({ message: 'Group not found.' });
+      return;
+    }
+
+    // Work out each habit's status from its schedule: completed, partial (a measured habit with some
+    // progress towards its target), pending (scheduled but not checked in yet) or notScheduled.
+    // Completions on unscheduled days still count.
+    const membersWithCompletion = result.members.map(member => {
+        const habits = member.habits.map(({ schedule, createdAt, measurement: storedMeasurement, checkedIn, value, weekValue, ...habit }) => {
+            const habitSchedule = getHabitSchedule({ schedule, createdAt }, timeZone);
+            const measurement = getHabitMeasurement({ measurement: storedMeasurement });
+            let progress = null;
+            let completed = checkedIn;
+            if (isMeasured(measurement)) {
+                const loggedValue = measurement.period === 'week' ? weekValue : value;
+                progress = {
+                    value: loggedValue,
+                    target: measurement.target,
+                    unit: measurement.unit,
+                    period: measurement.period,
+                    ratio: Math.min(1, Math.round((loggedValue / measurement.target) * 1000) / 1000),
+                };
+                completed = loggedValue >= measurement.target;
+            }
+            let status = 'notScheduled';
+            if (completed) {
+                status = 'completed';
+            } else if (progress && progress.value > 0) {
+                status = 'partial';
+            } else if (habitSchedule && isScheduledOn(habitSchedule, dateString)) {
+                status = 'pending';
+            }
+            return progress ? { ...habit, status, progress } : { ...habit, status };
+        });
+        return {
+            _id: member._id,
+            username: member.username,
+            completedGroupHabits: habits.filter(habit => habit.status === 'completed').length,
+            totalGroupHabits: habits.filter(habit => habit.status !== 'notScheduled').length,
+            habits: habits
+        };
+    });
+
+    // Respond with the group members and their completion status
+    res.status(200).json(membersWithCompletion);
+
+  } catch (error) {
+    console.error('Error fetching group members with completion status:', error);
+    res.status(500).json({ message: 'Failed to fetch group members with completion status.', error: error.message });
+  }
+});
+// --- End of API route to get group members with completion status ---
+
+// Check a check-in body against how the habit is measured: measured habits need a value or add,
+// yes/no habits can't have either. Sends the error response and returns false when it doesn't fit.
+function checkMeasuredBody(res, measurement, body) {
+  const hasValue = body.value !== undefined || body.add !== undefined;
+  if (isMeasured(measurement) && !hasValue) {
+    res.status(400).json({ message: 'Validation failed.', errors: [{ field: 'value', message: `is required for habits measured in ${measurement.unit}` }] });
+    return false;
+  }
+  if (!isMeasured(measurement) && hasValue) {
+    res.status(400).json({ message: 'Validation failed.', errors: [{ field: body.value !== undefined ? 'value' : 'add', message: 'is only allowed for measured habits' }] });
+    return false;
+  }
+  return true;
+}
+
+// Read the habitId and date parameters of a check-in route and load the group habit.
+// Sends the error response and returns null when something is wrong.
+async function loadCheckInTarget(req, res, db) {
+  const { habitId, date } = req.params;
+  if (!ObjectId.isValid(habitId)) {
+    res.status(400).json({ message: 'Invalid habit ID format.' });
+    return null;
+  }
+  if (!isDateKey(date)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    return null;
+  }
+
+  const habit = await db.collection('habits').findOne({
+      _id: new ObjectId(habitId),
+      'assignedTo.type': 'group',
+      'assignedTo.id': req.group._id
+  });
+  if (!habit) {
+    res.status(404).json({ message: 'Group habit not found.' });
+    return null;
+  }
+
+  // The date is a calendar day in the group's time zone, or the caller's if the group has none
+  const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, req.user._id));
+  return { habit, dateKey: date, timeZone };
+}
+
+// --- API route to check in to a group habit for a day ---
+// Adds the caller to the day's checkedBy (creating the day's entry if needed) and optionally
+// sets their note. Checking in twice is harmless.
+app.post('/api/groups/:groupId/habits/:habitId/checkins/:date', requireGroupRole('member', "check in to this group's habits"), idempotent(), validateBody(requestSchemas.groupCheckIn), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const target = await loadCheckInTarget(req, res, db);
+    if (!target) {
+      return;
+    }
+
+    // Days that haven't started yet can't be checked in to
+    if (target.dateKey > todayKey(target.timeZone)) {
+      res.status(400).json({ message: 'Cannot check in for a future date.' });
+      return;
+    }
+
+    const measurement = getHabitMeasurement(target.habit);
+    if (!checkMeasuredBody(res, measurement, req.body)) {
+      return;
+    }
+
+    const { entry, created } = await checkInGroup(db, {
+      groupId: req.group._id,
+      habitId: target.habit._id,
+      userId: req.user._id,
+      dateKey: target.dateKey,
+      timeZone: target.timeZone,
+      note: req.body.note,
+      measurement: measurement,
+      value: req.body.value,
+      add: req.body.add,
+    });
+    keepIdempotencyKey(res);
+
+    // The check-in is saved: answer now, so that nothing below can report it as failed
+    res.status(created ? 201 : 200).json({ message: 'Checked in.', entry });
+
+    try {
+      await refreshDailyStats(db, { userId: req.user._id, habit: target.habit, dateKey: target.dateKey, timeZone: target.timeZone });
+      await publishGroupEvent(db, req.group._id, 'checkin.created', {
+        habitId: target.habit._id,
+        date: target.dateKey,
+        userId: req.user._id,
+        note: entry.notes ? entry.notes[req.user.id] || null : null,
+        value: entry.values && entry.values[req.user.id] !== undefined ? entry.values[req.user.id] : null,
+      }, req.user._id);
+      const { firstCheckIn, milestone } = await recordCheckIn(db, { groupId: req.group._id, habit: target.habit, userId: req.user._id, dateKey: target.dateKey, timeZone: target.timeZone });
+      notifyStreakMilestone(req, req.group, target.habit, req.user._id, milestone);
+      // Changing a note or adding to a value later that day isn't news
+      if (firstCheckIn) {
+        notifyUsers(req, req.group.memberIds || [], 'checkIn', {
+          title: `Check-in in ${req.group.name}`,
+          body: `${req.user.username} checked in to "${target.habit.title}".`,
+          data: { groupId: req.group._id, habitId: target.habit._id, date: target.dateKey },
+          url: `${appUrl}/groups/${req.group._id}`,
+        });
+      }
+    } catch (error) {
+      console.error('Error updating stats and events after a group check-in:', error);
+    }
+
+    await awardAchievements(req, [req.user._id]);
+
+  } catch (error) {
+    console.error('Error checking in to group habit:', error);
+    res.status(500).json({ message: 'Failed to check in.', error: error.message });
+  }
+});
+// --- End of API route to check in to a group habit ---
+
+// --- API route to undo a group habit check-in ---
+// Removes the caller and their note from the day's entry.
+app.delete('/api/groups/:groupId/habits/:habitId/checkins/:date', requireGroupRole('member', "check in to this group's habits"), idempotent(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const target = await loadCheckInTarget(req, res, db);
+    if (!target) {
+      return;
+    }
+
+    const entry = await undoCheckInGroup(db, {
+      groupId: req.group._id,
+      habitId: target.habit._id,
+      userId: req.user._id,
+      dateKey: target.dateKey,
+    });
+
+    if (!entry) {
+      res.status(404).json({ message: 'No check-in found for that day.' });
+      return;
+    }
+    keepIdempotencyKey(res);
+
+    // The check-in is removed: answer now, so that nothing below can report it as failed
+    res.status(200).json({ message: 'Check-in removed.' });
+
+    try {
+      await refreshDailyStats(db, { userId: req.user._id, habit: target.habit, dateKey: target.dateKey, timeZone: target.timeZone });
+      await publishGroupEvent(db, req.group._id, 'checkin.removed', { habitId: target.habit._id, date: target.dateKey, userId: req.user._id }, req.user._id);
+      await removeCheckIn(db, { groupId: req.group._id, habitId: target.habit._id, userId: req.user._id, dateKey: target.dateKey });
+    } catch (error) {
+      console.error('Error updating stats and events after removing a group check-in:', error);
+    }
+
+  } catch (error) {
+    console.error('Error removing group habit check-in:', error);
+    res.status(500).json({ message: 'Failed to remove check-in.', error: error.message });
+  }
+});
+// --- End of API route to undo a group habit check-in ---
+
+// Read the habitId and date parameters of a personal check-in route and load the habit.
+// Sends the error response and returns null when something is wrong.
+async function loadPersonalCheckInTarget(req, res, db) {
+  const { habitId, date } = req.params;
+  if (!ObjectId.isValid(habitId)) {
+    res.status(400).json({ message: 'Invalid habit ID format.' });
+    return null;
+  }
+  if (!isDateKey(date)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    return null;
+  }
+
+  const habit = await db.collection('habits').findOne({ _id: new ObjectId(habitId) });
+  if (!habit) {
+    res.status(404).json({ message: 'Habit not found.' });
+    return null;
+  }
+  if (!canLogPersonalHabit(habit, req.user._id)) {
+    forbidden(res, 'log entries for this habit');
+    return null;
+  }
+
+  // The date is a calendar day in the caller's time zone
+  const timeZone = await getUserTimeZone(db, req.user._id);
+  return { habit, dateKey: date, timeZone };
+}
+
+// --- API route to check in to a personal habit for a day ---
+// Creates the day's entry or updates its status and notes; repeating the request is harmless.
+app.put('/api/habits/:habitId/checkins/:date', idempotent(), validateBody(requestSchemas.personalCheckIn), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const target = await loadPersonalCheckInTarget(req, res, db);
+    if (!target) {
+      return;
+    }
+
+    // Days that haven't started yet can't be checked in to
+    if (target.dateKey > todayKey(target.timeZone)) {
+      res.status(400).json({ message: 'Cannot check in for a future date.' });
+      return;
+    }
+
+    // Measured habits take their status from the value
+    const measurement = getHabitMeasurement(target.habit);
+    if (!checkMeasuredBody(res, measurement, req.body)) {
+      return;
+    }
+
+    const { entry, created } = await checkInPersonal(db, {
+      habitId: target.habit._id,
+      userId: req.user._id,
+      dateKey: target.dateKey,
+      timeZone: target.timeZone,
+      status: req.body.status,
+      notes: req.body.notes,
+      measurement: measurement,
+      value: req.body.value,
+      add: req.body.add,
+    });
+    keepIdempotencyKey(res);
+
+    // The check-in is saved: answer now, so that updating the stats can't report it as failed
+    res.status(created ? 201 : 200).json({ message: 'Checked in.', entry });
+
+    try {
+      await refreshDailyStats(db, { userId: req.user._id, habit: target.habit, dateKey: target.dateKey, timeZone: target.timeZone });
+    } catch (error) {
+      console.error('Error updating stats after a check-in:', error);
+    }
+    await awardAchievements(req, [req.user._id]);
+
+  } catch (error) {
+    console.error('Error checking in to habit:', error);
+    res.status(500).json({ message: 'Failed to check in.', error: error.message });
+  }
+});
+// --- End of API route to check in to a personal habit ---
+
+// --- API route to undo a personal habit check-in ---
+app.delete('/api/habits/:habitId/checkins/:date', idempotent(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const target = await loadPersonalCheckInTarget(req, res, db);
+    if (!target) {
+      return;
+    }
+
+    const removed = await undoCheckInPersonal(db, {
+      habitId: target.habit._id,
+      userId: req.user._id,
+      dateKey: target.dateKey,
+      timeZone: target.timeZone,
+    });
+
+    if (removed === 0) {
+      res.status(404).json({ message: 'No check-in found for that day.' });
+      return;
+    }
+    keepIdempotencyKey(res);
+
+    // The check-in is removed: answer now, so that updating the stats can't report it as failed
+    res.status(200).json({ message: 'Check-in removed.' });
+
+    try {
+      await refreshDailyStats(db, { userId: req.user._id, habit: target.habit, dateKey: target.dateKey, timeZone: target.timeZone });
+    } catch (error) {
+      console.error('Error updating stats after removing a check-in:', error);
+    }
+
+  } catch (error) {
+    console.error('Error removing habit check-in:', error);
+    res.status(500).json({ message: 'Failed to remove check-in.', error: error.message });
+  }
+});
+// --- End of API route to undo a personal habit check-in ---
+
+// Work out which of the given habits are due on a date for a user.
+// Personal habits are checked against the user's userHabitEntries, group habits against the
+// groupHabitEntries the user is in checkedBy of. Habits without a valid schedule are skipped.
+// timeZone is the user's: it places entries saved without a localDate on a calendar day.
+async function findDueHabits(db, habits, userId, dateKey, timeZone) {
+  // Load entries for the whole week and month around the date so the
+  // X-times-per-week/month rules can count what was already done
+  const entries = await loadUserEntries(db, habits, userId, timeZone, periodWindow(dateKey, dateKey));
+  const completedDates = completedDatesByHabit(entries, { userId, timeZone, habits });
+  const values = valuesByHabit(entries, { userId, timeZone });
+
+  const dueHabits = [];
+  habits.forEach(habit => {
+    const schedule = getHabitSchedule(habit, timeZone);
+    if (!schedule || !isScheduledOn(schedule, dateKey)) {
+      return;
+    }
+    const completed = Array.from(completedDates.get(habit._id.toString()) || []);
+    if (!isDue(schedule, dateKey, completed)) {
+      return;
+    }
+
+    const dueHabit = { ...habit, completed: completed.includes(dateKey) };
+    // For the X-times-per-period rules, show how far along the user is
+    const period = periodOf(schedule, dateKey);
+    if (period) {
+      dueHabit.progress = {
+        completed: completed.filter(key => key >= period.start && key <= period.end).length,
+        target: targetFor(schedule),
+        periodStart: period.start,
+        periodEnd: period.end,
+      };
+    }
+    // For measured habits, show the value logged against the target
+    const measurement = getHabitMeasurement(habit);
+    if (isMeasured(measurement)) {
+      dueHabit.measuredProgress = progressOn(measurement, values.get(habit._id.toString()) || new Map(), dateKey);
+    }
+    dueHabits.push(dueHabit);
+  });
+
+  return dueHabits;
+}
+
+// --- API route to get the habits due for a user on a specific date ---
+// Includes the user's personal habits and the habits of every group they belong to.
+app.get('/api/users/:userId/due/:date', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the date from the URL parameters (requireSelf has already checked userId is the caller)
+  const dateString = req.params.date;
+
+  // Validate the date format
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    const userObjectId = req.user._id;
+
+    // Personal habits (created by or assigned to the user) plus the habits of their groups
+    const habits = await findUserHabits(db, userObjectId);
+
+    const timeZone = await getUserTimeZone(db, userObjectId);
+    const dueHabits = await findDueHabits(db, habits, userObjectId, dateString, timeZone);
+
+    res.status(200).json(dueHabits);
+
+  } catch (error) {
+    console.error('Error fetching due habits for user:', error);
+    res.status(500).json({ message: 'Failed to fetch due habits.', error: error.message });
+  }
+});
+// --- End of API route to get the habits due for a user ---
+
+// --- API route to get the group habits due on a specific date ---
+// completed and progress are reported for the caller.
+app.get('/api/groups/:groupId/due/:date', requireGroupRole('member', "view this group's habits"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the date from the URL parameters (requireGroupRole has already loaded the group)
+  const dateString = req.params.date;
+
+  // Validate the date format
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    // Find all habits assigned to this group
+    const habits = await db.collection('habits').find({
+        'assignedTo.type': 'group',
+        'assignedTo.id': req.group._id
+    }).toArray();
+
+    // The date is a day in the group's time zone, or the caller's if the group has none
+    const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, req.user._id));
+    const dueHabits = await findDueHabits(db, habits, req.user._id, dateString, timeZone);
+
+    res.status(200).json(dueHabits);
+
+  } catch (error) {
+    console.error('Error fetching due habits for group:', error);
+    res.status(500).json({ message: 'Failed to fetch due habits.', error: error.message });
+  }
+});
+// --- End of API route to get the group habits due ---
+
+// --- API route to get a user's completion calendar (heatmap) ---
+// GET /api/users/:userId/calendar[?from=YYYY-MM-DD&to=YYYY-MM-DD&habitId=...]
+// Defaults to the year ending today in the user's time zone. Covers personal and group habits.
+app.get('/api/users/:userId/calendar', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const habitFilter = getHabitIdFilter(req);
+  if (habitFilter.error) {
+    res.status(400).json({ message: habitFilter.error });
+    return;
+  }
+
+  try {
+    const userObjectId = req.user._id;
+    const timeZone = await getUserTimeZone(db, userObjectId);
+
+    const range = getDateRange(req, { defaultTo: todayKey(timeZone), defaultDays: 365 });
+    if (range.error) {
+      res.status(400).json({ message: range.error });
+      return;
+    }
+
+    let habits = await findUserHabits(db, userObjectId);
+    if (habitFilter.habitId) {
+      habits = habits.filter(habit => habit._id.equals(habitFilter.habitId));
+      if (habits.length === 0) {
+        res.status(404).json({ message: 'Habit not found.' });
+        return;
+      }
+    }
+
+    const entries = await loadUserEntries(db, habits, userObjectId, timeZone, periodWindow(range.from, range.to));
+    const participant = calendarParticipant(entries, { userId: userObjectId, timeZone, habits });
+    const days = buildCompletionCalendar(range.from, range.to, calendarHabits(habits, timeZone), [participant]);
+
+    res.status(200).json({ from: range.from, to: range.to, timezone: timeZone, days });
+
+  } catch (error) {
+    console.error('Error fetching user calendar:', error);
+    res.status(500).json({ message: 'Failed to fetch calendar.', error: error.message });
+  }
+});
+// --- End of API route to get a user's completion calendar ---
+
+// --- API route to get a group's completion calendar (heatmap) ---
+// GET /api/groups/:groupId/calendar[?from=YYYY-MM-DD&to=YYYY-MM-DD&habitId=...]
+// Each day's ratio is the share of due (member, habit) pairs that were checked in.
+// Defaults to the year ending today in the group's time zone (or the caller's if the group has none).
+app.get('/api/groups/:groupId/calendar', requireGroupRole('member', "view this group's calendar"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const habitFilter = getHabitIdFilter(req);
+  if (habitFilter.error) {
+    res.status(400).json({ message: habitFilter.error });
+    return;
+  }
+
+  try {
+    const group = req.group;
+    const timeZone = groupTimeZone(group, await getUserTimeZone(db, req.user._id));
+
+    const range = getDateRange(req, { defaultTo: todayKey(timeZone), defaultDays: 365 });
+    if (range.error) {
+      res.status(400).json({ message: range.error });
+      return;
+    }
+
+    const habitQuery = { 'assignedTo.type': 'group', 'assignedTo.id': group._id };
+    if (habitFilter.habitId) {
+      habitQuery._id = habitFilter.habitId;
+    }
+    const habits = await db.collection('habits').find(habitQuery).toArray();
+    if (habitFilter.habitId && habits.length === 0) {
+      res.status(404).json({ message: 'Group habit not found.' });
+      return;
+    }
+
+    const completionWindow = periodWindow(range.from, range.to);
+    const entries = await db.collection('groupHabitEntries').find(
+        { groupId: group._id, habitId: { $in: habits.map(habit => habit._id) }, ...localDateFilter(completionWindow.from, completionWindow.to, timeZone) },
+        { projection: { habitId: 1, date: 1, localDate: 1, checkedBy: 1, values: 1 } }
+    ).toArray();
+
+    // One participant per current member
+    const participants = group.memberIds.map(memberId => calendarParticipant(entries, { userId: memberId, timeZone, habits }));
+    const days = buildCompletionCalendar(range.from, range.to, calendarHabits(habits, timeZone), participants);
+
+    res.status(200).json({ from: range.from, to: range.to, timezone: timeZone, members: group.memberIds.length, days });
+
+  } catch (error) {
+    console.error('Error fetching group calendar:', error);
+    res.status(500).json({ message: 'Failed to fetch calendar.', error: error.message });
+  }
+});
+// --- End of API route to get a group's completion calendar ---
+
+// Read the optional ?asOf=YYYY-MM-DD query parameter streaks are computed up to
+// (defaults to today in the given time zone). Returns null when the parameter is present but invalid.
+function getAsOfDate(req, timeZone) {
+  if (req.query.asOf === undefined) {
+    return todayKey(timeZone);
+  }
+  return isDateKey(req.query.asOf) ? req.query.asOf : null;
+}
+
+// Compute the streak of every habit plus the overall streak for one user
+function buildStreakSummary(habits, completedDates, { asOf, frozenDates, timeZone }) {
+  const habitStreaks = habits.map(habit => {
+    const schedule = getHabitSchedule(habit, timeZone);
+    const dates = Array.from(completedDates.get(habit._id.toString()) || []);
+    return {
+      habitId: habit._id,
+      title: habit.title,
+      assignedTo: habit.assignedTo,
+      schedule,
+      completedDates: dates,
+      ...computeHabitStreak(schedule, dates, { asOf, frozenDates, graceDays: habit.streakGraceDays || 0 }),
+    };
+  });
+
+  const overall = computeOverallStreak(habitStreaks, { asOf, frozenDates });
+
+  // completedDates and schedule were only needed for the overall streak
+  return {
+    overall,
+    habits: habitStreaks.map(({ completedDates: _dates, schedule: _schedule, ...streak }) => streak),
+  };
+}
+
+// Load the streak freeze days of a user
+async function loadFrozenDates(db, userId) {
+  const user = await db.collection('users').findOne({ _id: userId }, { projection: { streakFreezeDates: 1 } });
+  return (user && user.streakFreezeDates) || [];
+}
+
+// --- API route to get the caller's streak for a single habit ---
+app.get('/api/habits/:habitId/streak', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the habit ID from the URL parameters
+  const habitId = req.params.habitId;
+
+  // Basic validation
+  if (!ObjectId.isValid(habitId)) {
+    res.status(400).json({ message: 'Invalid habit ID format.' });
+    return;
+  }
+  if (req.query.asOf !== undefined && !isDateKey(req.query.asOf)) {
+    res.status(400).json({ message: 'Invalid asOf date provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    const habit = await db.collection('habits').findOne({ _id: new ObjectId(habitId) });
+
+    if (!habit) {
+      res.status(404).json({ message: 'Habit not found.' });
+      return;
+    }
+
+    // Personal habits: only the people who can log them; group habits: only group members
+    if (habit.assignedTo.type === 'group') {
+      const habitGroup = await loadHabitGroup(db, habit);
+      if (!getGroupRole(habitGroup, req.user._id)) {
+        forbidden(res, "view this habit's streak");
+        return;
+      }
+    } else if (!canLogPersonalHabit(habit, req.user._id)) {
+      forbidden(res, "view this habit's streak");
+      return;
+    }
+
+    // Days are counted in the caller's time zone
+    const timeZone = await getUserTimeZone(db, req.user._id);
+    const asOf = getAsOfDate(req, timeZone);
+
+    const completedDates = await loadCompletedDates(db, [habit], req.user._id, timeZone);
+    const frozenDates = await loadFrozenDates(db, req.user._id);
+    const dates = Array.from(completedDates.get(habit._id.toString()) || []);
+
+    res.status(200).json({
+      habitId: habit._id,
+      title: habit.title,
+      asOf,
+      ...computeHabitStreak(getHabitSchedule(habit, timeZone), dates, { asOf, frozenDates, graceDays: habit.streakGraceDays || 0 }),
+    });
+
+  } catch (error) {
+    console.error('Error fetching habit streak:', error);
+    res.status(500).json({ message: 'Failed to fetch habit streak.', error: error.message });
+  }
+});
+// --- End of API route to get the streak for a habit ---
+
+// --- API route to get all streaks for a user ---
+// Returns the user's overall streak and the streak of each personal and group habit.
+app.get('/api/users/:userId/streaks', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Check the optional asOf date from the query
+  if (req.query.asOf !== undefined && !isDateKey(req.query.asOf)) {
+    res.status(400).json({ message: 'Invalid asOf date provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    const userObjectId = req.user._id;
+
+    // Days are counted in the user's time zone
+    const timeZone = await getUserTimeZone(db, userObjectId);
+    const asOf = getAsOfDate(req, timeZone);
+
+    // Personal habits plus the habits of the user's groups
+    const habits = await findUserHabits(db, userObjectId);
+
+    const completedDates = await loadCompletedDates(db, habits, userObjectId, timeZone);
+    const frozenDates = await loadFrozenDates(db, userObjectId);
+
+    res.status(200).json({ asOf, timezone: timeZone, ...buildStreakSummary(habits, completedDates, { asOf, frozenDates, timeZone }) });
+
+  } catch (error) {
+    console.error('Error fetching user streaks:', error);
+    res.status(500).json({ message: 'Failed to fetch user streaks.', error: error.message });
+  }
+});
+// --- End of API route to get all streaks for a user ---
+
+// --- API route to get the streaks of every member of a group ---
+// For each member: their overall streak across the group's habits and their streak per group habit.
+app.get('/api/groups/:groupId/members/streaks', requireGroupRole('member', "view this group's streaks"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Check the optional asOf date from the query
+  if (req.query.asOf !== undefined && !isDateKey(req.query.asOf)) {
+    res.status(400).json({ message: 'Invalid asOf date provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    const group = req.group;
+
+    const [habits, members] = await Promise.all([
+      db.collection('habits').find({ 'assignedTo.type': 'group', 'assignedTo.id': group._id }).toArray(),
+      db.collection('users').find(
+          { _id: { $in: group.memberIds } },
+          { projection: { username: 1, streakFreezeDates: 1, timezone: 1 } }
+      ).toArray(),
+    ]);
+
+    // Load every check-in for the group's habits once and split it per member
+    const entries = await db.collection('groupHabitEntries').find(
+        { groupId: group._id, habitId: { $in: habits.map(habit => habit._id) } },
+        { projection: { habitId: 1, date: 1, localDate: 1, checkedBy: 1, values: 1 } }
+    ).toArray();
+
+    // Each member's days follow the group's time zone, or their own if the group has none,
+    // so "today" (the default asOf) can differ between members
+    const memberStreaks = members.map(member => {
+      const timeZone = groupTimeZone(group, timeZoneOf(member));
+      const asOf = getAsOfDate(req, timeZone);
+      const completedDates = completedDatesByHabit(entries, { userId: member._id, timeZone, habits });
+      return {
+        userId: member._id,
+        username: member.username,
+        asOf,
+        timezone: timeZone,
+        ...buildStreakSummary(habits, completedDates, { asOf, frozenDates: member.streakFreezeDates || [], timeZone }),
+      };
+    });
+
+    res.status(200).json({ timezone: group.timezone || null, members: memberStreaks });
+
+  } catch (error) {
+    console.error('Error fetching group member streaks:', error);
+    res.status(500).json({ message: 'Failed to fetch group member streaks.', error: error.message });
+  }
+});
+// --- End of API route to get the streaks of group members ---
+
+// --- API route to get a group's leaderboard ---
+// GET /api/groups/:groupId/leaderboard[?period=week|month|all&sortBy=points|rate|streak]
+// Ranks the members on the group's habits (see server/leaderboards.js). Days follow the group's
+// time zone, or the caller's when the group has none, so everyone is compared on the same days.
+app.get('/api/groups/:groupId/leaderboard', requireGroupRole('member', "view this group's leaderboard"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const period = req.query.period === undefined ? 'week' : req.query.period;
+  const sortBy = req.query.sortBy === undefined ? 'points' : req.query.sortBy;
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    res.status(400).json({ message: `Invalid period. Use one of: ${LEADERBOARD_PERIODS.join(', ')}.` });
+    return;
+  }
+  if (!LEADERBOARD_SORTS.includes(sortBy)) {
+    res.status(400).json({ message: `Invalid sortBy. Use one of: ${LEADERBOARD_SORTS.join(', ')}.` });
+    return;
+  }
+
+  try {
+    const group = req.group;
+    const timeZone = groupTimeZone(group, await getUserTimeZone(db, req.user._id));
+    const today = todayKey(timeZone);
+    const range = leaderboardRange(period, today, toDateKey(group.createdAt, timeZone));
+
+    const [habits, members] = await Promise.all([
+      db.collection('habits').find({ 'assignedTo.type': 'group', 'assignedTo.id': group._id }).toArray(),
+      db.collection('users').find(
+          { _id: { $in: group.memberIds } },
+          { projection: { username: 1, streakFreezeDates: 1 } }
+      ).toArray(),
+    ]);
+
+    // Streaks need every check-in, so load them all once and split them per member
+    const entries = await db.collection('groupHabitEntries').find(
+        { groupId: group._id, habitId: { $in: habits.map(habit => habit._id) } },
+        { projection: { habitId: 1, date: 1, localDate: 1, checkedBy: 1, values: 1 } }
+    ).toArray();
+    const scheduledHabits = calendarHabits(habits, timeZone);
+
+    const rows = members.map(member => {
+      const participant = calendarParticipant(entries, { userId: member._id, timeZone, habits });
+      const { overall } = buildStreakSummary(habits, participant.completedDates, { asOf: today, frozenDates: member.streakFreezeDates || [], timeZone });
+      return {
+        userId: member._id,
+        username: member.username,
+        ...memberStats(range.from, range.to, scheduledHabits, participant),
+        currentStreak: overall.currentStreak,
+        longestStreak: overall.longestStreak,
+      };
+    });
+
+    res.status(200).json({ period, sortBy, from: range.from, to: range.to, timezone: timeZone, members: rankLeaderboard(rows, sortBy) });
+
+  } catch (error) {
+    console.error('Error fetching group leaderboard:', error);
+    res.status(500).json({ message: 'Failed to fetch leaderboard.', error: error.message });
+  }
+});
+// --- End of API route to get a group's leaderboard ---
+
+// --- API route to stream real-time group events (Server-Sent Events) ---
+// GET /api/events/stream[?groupIds=id1,id2][&cursor=eventId]
+// Streams events of the given groups (all of the caller's groups by default) as they happen; see
+// server/events.js for the event types. Send the id of the last event seen as the Last-Event-ID
+// header (EventSource does this when it reconnects) or ?cursor= to get missed events first.
+// Browsers' EventSource can't send headers, so the access token may be passed as ?access_token=.
+app.get('/api/events/stream', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Read the optional cursor
+  const cursorParam = req.get('Last-Event-ID') || req.query.cursor;
+  if (cursorParam !== undefined && (typeof cursorParam !== 'string' || !ObjectId.isValid(cursorParam))) {
+    res.status(400).json({ message: 'Invalid cursor.' });
+    return;
+  }
+
+  // Read the optional list of groups
+  let requestedIds = null;
+  if (req.query.groupIds !== undefined) {
+    const ids = typeof req.query.groupIds === 'string' ? req.query.groupIds.split(',').filter(id => id !== '') : [];
+    if (ids.length === 0 || !ids.every(id => ObjectId.isValid(id))) {
+      res.status(400).json({ message: 'Invalid group ID format.' });
+      return;
+    }
+    requestedIds = ids.map(id => new ObjectId(id));
+  }
+
+  try {
+    let groupIds;
+    if (requestedIds) {
+      // Only members can subscribe to a group
+      const groups = await db.collection('groups').find({ _id: { $in: requestedIds } }, { projection: { ownerId: 1, memberIds: 1, adminIds: 1 } }).toArray();
+      const missing = requestedIds.find(id => !groups.some(group => group._id.equals(id)));
+      if (missing) {
+        res.status(404).json({ message: 'Group not found.', groupId: missing });
+        return;
+      }
+      if (!groups.every(group => getGroupRole(group, req.user._id))) {
+        forbidden(res, 'subscribe to this group');
+        return;
+      }
+      groupIds = groups.map(group => group._id);
+    } else {
+      const groups = await db.collection('groups').find({ memberIds: req.user._id }, { projection: { _id: 1 } }).toArray();
+      groupIds = groups.map(group => group._id);
+    }
+
+    if (groupIds.length === 0) {
+      res.status(409).json({ message: 'You are not a member of any group yet.' });
+      return;
+    }
+
+    // The stream ends when the access token expires; the client reconnects with a fresh one
+    await openEventStream(req, res, {
+      db,
+      userId: req.user._id,
+      groupIds,
+      cursor: cursorParam ? new ObjectId(cursorParam) : null,
+      closeAt: req.user.tokenExpiresAt,
+    });
+
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to open event stream.', error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+// --- End of API route to stream real-time group events ---
+
+// Read the challengeId parameter and load the challenge of req.group.
+// Sends the error response and returns null when something is wrong.
+async function loadChallenge(req, res, db) {
+  const challengeId = req.params.challengeId;
+  if (!ObjectId.isValid(challengeId)) {
+    res.status(400).json({ message: 'Invalid challenge ID format.' });
+    return null;
+  }
+  const challenge = await challengesCollection(db).findOne({ _id: new ObjectId(challengeId), groupId: req.group._id });
+  if (!challenge) {
+    res.status(404).json({ message: 'Challenge not found.' });
+    return null;
+  }
+  return challenge;
+}
+
+// --- API route to create a group challenge (owner and admins) ---
+app.post('/api/groups/:groupId/challenges', requireGroupRole('admin', 'create challenges in this group'), validateBody(requestSchemas.createChallenge), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const newChallengeData = req.body;
+
+  try {
+    // Challenge days follow the group's time zone, or the creator's when the group has none
+    const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, req.user._id));
+    if (newChallengeData.endDate < todayKey(timeZone)) {
+      res.status(400).json({ message: 'endDate must not be in the past.' });
+      return;
+    }
+    if (daysBetween(newChallengeData.startDate, newChallengeData.endDate) >= MAX_CHALLENGE_DAYS) {
+      res.status(400).json({ message: `Challenges can last at most ${MAX_CHALLENGE_DAYS} days.` });
+      return;
+    }
+
+    // Every habit must be one of the group's
+    const habitIds = newChallengeData.habitIds.filter((id, index, ids) => ids.findIndex(other => other.equals(id)) === index);
+    const habitCount = await db.collection('habits').countDocuments({ _id: { $in: habitIds }, 'assignedTo.type': 'group', 'assignedTo.id': req.group._id });
+    if (habitCount !== habitIds.length) {
+      res.status(400).json({ message: 'Validation failed.', errors: [{ field: 'habitIds', message: 'must all be habits of this group' }] });
+      return;
+    }
+
+    const challengeToInsert = {
+      groupId: req.group._id,
+      title: newChallengeData.title,
+      description: newChallengeData.description,
+      habitIds: habitIds,
+      startDate: newChallengeData.startDate,
+      endDate: newChallengeData.endDate,
+      timezone: timeZone,
+      goal: newChallengeData.goal,
+      participantIds: [], // Members opt in with /join
+      createdBy: req.user._id,
+      createdAt: new Date(),
+      results: null, // Final standings, stored once the challenge has ended
+    };
+    const result = await challengesCollection(db).insertOne(challengeToInsert);
+    await publishGroupEvent(db, req.group._id, 'challenge.created', { challengeId: result.insertedId, title: challengeToInsert.title }, req.user._id);
+
+    res.status(201).json({ message: 'Challenge created successfully!', insertedId: result.insertedId, insertedChallenge: challengeToInsert });
+
+  } catch (error) {
+    console.error('Error creating challenge:', error);
+    res.status(500).json({ message: 'Failed to create challenge.', error: error.message });
+  }
+});
+// --- End of API route to create a group challenge ---
+
+// --- API route to list a group's challenges ---
+// GET /api/groups/:groupId/challenges[?status=upcoming|active|ended]
+// Ended challenges include their final results; newest first.
+app.get('/api/groups/:groupId/challenges', requireGroupRole('member', "view this group's challenges"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const status = req.query.status;
+  if (status !== undefined && !['upcoming', 'active', 'ended'].includes(status)) {
+    res.status(400).json({ message: 'Invalid status. Use one of: upcoming, active, ended.' });
+    return;
+  }
+
+  try {
+    const challenges = await challengesCollection(db).find({ groupId: req.group._id }).sort({ endDate: -1, createdAt: -1 }).toArray();
+    const described = [];
+    for (const challenge of challenges) {
+      if (status === undefined || challengeStatus(challenge, todayKey(challenge.timezone)) === status) {
+        described.push(await describeChallenge(db, challenge));
+      }
+    }
+
+    res.status(200).json(described);
+
+  } catch (error) {
+    console.error('Error fetching challenges:', error);
+    res.status(500).json({ message: 'Failed to fetch challenges.', error: error.message });
+  }
+});
+// --- End of API route to list a group's challenges ---
+
+// --- API route to get a challenge with its standings ---
+app.get('/api/groups/:groupId/challenges/:challengeId', requireGroupRole('member', "view this group's challenges"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const challenge = await loadChallenge(req, res, db);
+    if (!challenge) {
+      return;
+    }
+
+    res.status(200).json(await describeChallenge(db, challenge, { withStandings: true }));
+
+  } catch (error) {
+    console.error('Error fetching challenge:', error);
+    res.status(500).json({ message: 'Failed to fetch challenge.', error: error.message });
+  }
+});
+// --- End of API route to get a challenge ---
+
+// --- API route to join a challenge ---
+// Members can opt in until the challenge ends.
+app.post('/api/groups/:groupId/challenges/:challengeId/join', requireGroupRole('member', "join this group's challenges"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const challenge = await loadChallenge(req, res, db);
+    if (!challenge) {
+      return;
+    }
+    if (challengeStatus(challenge, todayKey(challenge.timezone)) === 'ended') {
+      res.status(409).json({ message: 'This challenge has already ended.' });
+      return;
+    }
+
+    const result = await challengesCollection(db).updateOne(
+      { _id: challenge._id, results: null },
+      { $addToSet: { participantIds: req.user._id } }
+    );
+    if (result.modifiedCount === 0) {
+      res.status(409).json({ message: 'You have already joined this challenge.' });
+      return;
+    }
+
+    await publishGroupEvent(db, req.group._id, 'challenge.updated', { challengeId: challenge._id, joined: req.user._id }, req.user._id);
+
+    res.status(200).json({ message: 'Joined the challenge.' });
+
+  } catch (error) {
+    console.error('Error joining challenge:', error);
+    res.status(500).json({ message: 'Failed to join challenge.', error: error.message });
+  }
+});
+// --- End of API route to join a challenge ---
+
+// --- API route to leave a challenge ---
+app.delete('/api/groups/:groupId/challenges/:challengeId/join', requireGroupRole('member', "leave this group's challenges"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const challenge = await loadChallenge(req, res, db);
+    if (!challenge) {
+      return;
+    }
+    if (challengeStatus(challenge, todayKey(challenge.timezone)) === 'ended') {
+      res.status(409).json({ message: 'This challenge has already ended.' });
+      return;
+    }
+
+    const result = await challengesCollection(db).updateOne(
+      { _id: challenge._id, results: null },
+      { $pull: { participantIds: req.user._id } }
+    );
+    if (result.modifiedCount === 0) {
+      res.status(404).json({ message: 'You have not joined this challenge.' });
+      return;
+    }
+
+    await publishGroupEvent(db, req.group._id, 'challenge.updated', { challengeId: challenge._id, left: req.user._id }, req.user._id);
+
+    res.status(200).json({ message: 'Left the challenge.' });
+
+  } catch (error) {
+    console.error('Error leaving challenge:', error);
+    res.status(500).json({ message: 'Failed to leave challenge.', error: error.message });
+  }
+});
+// --- End of API route to leave a challenge ---
+
+// --- API route to cancel a challenge (owner and admins) ---
+// Ended challenges are kept as history and can't be deleted.
+app.delete('/api/groups/:groupId/challenges/:challengeId', requireGroupRole('admin', "manage this group's challenges"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const challenge = await loadChallenge(req, res, db);
+    if (!challenge) {
+      return;
+    }
+    if (challengeStatus(challenge, todayKey(challenge.timezone)) === 'ended') {
+      res.status(409).json({ message: 'Ended challenges are kept as history and cannot be deleted.' });
+      return;
+    }
+
+    await challengesCollection(db).deleteOne({ _id: challenge._id, results: null });
+    await publishGroupEvent(db, req.group._id, 'challenge.cancelled', { challengeId: challenge._id }, req.user._id);
+
+    res.status(200).json({ message: 'Challenge cancelled.' });
+
+  } catch (error) {
+    console.error('Error cancelling challenge:', error);
+    res.status(500).json({ message: 'Failed to cancel challenge.', error: error.message });
+  }
+});
+// --- End of API route to cancel a challenge ---
+
+// Read the itemId parameter, load the feed item and check the caller is a member of its group.
+// Sends the error response and returns { item, group } or null when something is wrong.
+async function loadFeedItem(req, res, db, action) {
+  const itemId = req.params.itemId;
+  if (!ObjectId.isValid(itemId)) {
+    res.status(400).json({ message: 'Invalid feed item ID format.' });
+    return null;
+  }
+  const item = await feedItemsCollection(db).findOne({ _id: new ObjectId(itemId) });
+  if (!item) {
+    res.status(404).json({ message: 'Feed item not found.' });
+    return null;
+  }
+  const group = await db.collection('groups').findOne({ _id: item.groupId });
+  if (!group || !getGroupRole(group, req.user._id)) {
+    forbidden(res, action);
+    return null;
+  }
+  return { item, group };
+}
+
+// Read the commentId parameter and load the comment of a feed item.
+// Sends the error response and returns null when something is wrong.
+async function loadFeedComment(req, res, db, item) {
+  const commentId = req.params.commentId;
+  if (!ObjectId.isValid(commentId)) {
+    res.status(400).json({ message: 'Invalid comment ID format.' });
+    return null;
+  }
+  const comment = await feedCommentsCollection(db).findOne({ _id: new ObjectId(commentId), itemId: item._id });
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found.' });
+    return null;
+  }
+  return comment;
+}
+
+// Comments can be edited and deleted by their author and by the group's owner and admins
+function canModerateComment(comment, group, userId) {
+  return comment.authorId.equals(userId) || hasGroupRole(group, userId, 'admin');
+}
+
+// --- API route to get a group's activity feed ---
+// GET /api/groups/:groupId/feed[?cursor=itemId][&limit=20]
+// Check-ins, streak milestones, new members and new habits, newest first. Pass the returned
+// nextCursor as ?cursor= to get the next page; it is null on the last page.
+app.get('/api/groups/:groupId/feed', requireGroupRole('member', "view this group's feed"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const page = getPageParams(req.query);
+  if (page.error) {
+    res.status(400).json({ message: page.error });
+    return;
+  }
+
+  try {
+    const { items, nextCursor } = await findFeedPage(db, { groupId: req.group._id }, page);
+    const usernames = await loadUsernames(db, items.map(item => item.actorId));
+
+    res.status(200).json({
+      groupId: req.group._id,
+      items: items.map(item => describeFeedItem(item, req.user._id, usernames)),
+      nextCursor,
+    });
+
+  } catch (error) {
+    console.error('Error fetching group feed:', error);
+    res.status(500).json({ message: 'Failed to fetch group feed.', error: error.message });
+  }
+});
+// --- End of API route to get a group's activity feed ---
+
+// --- API route to get a user's combined activity feed across their groups ---
+// GET /api/users/:userId/feed[?cursor=itemId][&limit=20]
+// Same paging as the group feed; each item also names the group it is from.
+app.get('/api/users/:userId/feed', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const page = getPageParams(req.query);
+  if (page.error) {
+    res.status(400).json({ message: page.error });
+    return;
+  }
+
+  try {
+    const groups = await db.collection('groups').find({ memberIds: req.user._id }, { projection: { name: 1 } }).toArray();
+    const groupNames = new Map(groups.map(group => [group._id.toString(), group.name]));
+
+    const { items, nextCursor } = groups.length === 0
+      ? { items: [], nextCursor: null }
+      : await findFeedPage(db, { groupId: { $in: groups.map(group => group._id) } }, page);
+    const usernames = await loadUsernames(db, items.map(item => item.actorId));
+
+    res.status(200).json({
+      items: items.map(item => ({
+        ...describeFeedItem(item, req.user._id, usernames),
+        groupName: groupNames.get(item.groupId.toString()) || null,
+      })),
+      nextCursor,
+    });
+
+  } catch (error) {
+    console.error('Error fetching user feed:', error);
+    res.status(500).json({ message: 'Failed to fetch feed.', error: error.message });
+  }
+});
+// --- End of API route to get a user's combined activity feed ---
+
+// --- API route to react to a feed item with an emoji ---
+// PUT /api/feed/:itemId/reactions/:emoji (the emoji URL-encoded). Reacting twice is harmless.
+app.put('/api/feed/:itemId/reactions/:emoji', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const emoji = req.params.emoji;
+  if (!isEmoji(emoji)) {
+    res.status(400).json({ message: 'Reactions must be a single emoji.' });
+    return;
+  }
+
+  try {
+    const loaded = await loadFeedItem(req, res, db, 'react to this feed item');
+    if (!loaded) {
+      return;
+    }
+
+    const added = await addReaction(db, loaded.item._id, req.user._id, emoji);
+    if (added) {
+      await publishGroupEvent(db, loaded.item.groupId, 'reaction.added', { itemId: loaded.item._id, emoji, userId: req.user._id }, req.user._id);
+      notifyUsers(req, [loaded.item.actorId], 'reaction', {
+        title: `New reaction in ${loaded.group.name}`,
+        body: `${req.user.username} reacted ${emoji} to your activity.`,
+        data: { groupId: loaded.item.groupId, itemId: loaded.item._id, emoji },
+        url: `${appUrl}/groups/${loaded.item.groupId}`,
+      });
+    }
+
+    const item = await feedItemsCollection(db).findOne({ _id: loaded.item._id });
+    res.status(added ? 201 : 200).json({ message: 'Reaction added.', reactions: summarizeReactions(item ? item.reactions : [], req.user._id) });
+
+  } catch (error) {
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ message: 'Failed to add reaction.', error: error.message });
+  }
+});
+// --- End of API route to react to a feed item ---
+
+// --- API route to remove the caller's reaction from a feed item ---
+app.delete('/api/feed/:itemId/reactions/:emoji', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const loaded = await loadFeedItem(req, res, db, 'react to this feed item');
+    if (!loaded) {
+      return;
+    }
+
+    const removed = await removeReaction(db, loaded.item._id, req.user._id, req.params.emoji);
+    if (!removed) {
+      res.status(404).json({ message: 'Reaction not found.' });
+      return;
+    }
+
+    await publishGroupEvent(db, loaded.item.groupId, 'reaction.removed', { itemId: loaded.item._id, emoji: req.params.emoji, userId: req.user._id }, req.user._id);
+
+    const item = await feedItemsCollection(db).findOne({ _id: loaded.item._id });
+    res.status(200).json({ message: 'Reaction removed.', reactions: summarizeReactions(item ? item.reactions : [], req.user._id) });
+
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ message: 'Failed to remove reaction.', error: error.message });
+  }
+});
+// --- End of API route to remove a reaction ---
+
+// --- API route to list the comments on a feed item ---
+// GET /api/feed/:itemId/comments[?cursor=commentId][&limit=20]
+// Oldest first; pass the returned nextCursor as ?cursor= to get the next page.
+app.get('/api/feed/:itemId/comments', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const page = getPageParams(req.query);
+  if (page.error) {
+    res.status(400).json({ message: page.error });
+    return;
+  }
+
+  try {
+    const loaded = await loadFeedItem(req, res, db, 'view this feed item');
+    if (!loaded) {
+      return;
+    }
+
+    const filter = { itemId: loaded.item._id };
+    if (page.cursor) {
+      filter._id = { $gt: page.cursor };
+    }
+    const comments = await feedCommentsCollection(db).find(filter).sort({ _id: 1 }).limit(page.limit + 1).toArray();
+    const hasMore = comments.length > page.limit;
+    const pageComments = hasMore ? comments.slice(0, page.limit) : comments;
+    const usernames = await loadUsernames(db, pageComments.map(comment => comment.authorId));
+
+    res.status(200).json({
+      itemId: loaded.item._id,
+      comments: pageComments.map(comment => ({ ...comment, authorUsername: usernames.get(comment.authorId.toString()) || null })),
+      nextCursor: hasMore ? pageComments[pageComments.length - 1]._id : null,
+    });
+
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ message: 'Failed to fetch comments.', error: error.message });
+  }
+});
+// --- End of API route to list comments ---
+
+// --- API route to comment on a feed item ---
+app.post('/api/feed/:itemId/comments', idempotent(), validateBody(requestSchemas.feedComment), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const loaded = await loadFeedItem(req, res, db, 'comment on this feed item');
+    if (!loaded) {
+      return;
+    }
+
+    const comment = await addComment(db, loaded.item, req.user._id, req.body.text);
+    keepIdempotencyKey(res);
+
+    // The comment is saved: answer now, so that nothing below can report it as failed
+    res.status(201).json({ message: 'Comment added.', comment: { ...comment, authorUsername: req.user.username } });
+
+    try {
+      await publishGroupEvent(db, loaded.item.groupId, 'comment.created', { itemId: loaded.item._id, commentId: comment._id, text: comment.text }, req.user._id);
+      notifyUsers(req, [loaded.item.actorId], 'comment', {
+        title: `New comment in ${loaded.group.name}`,
+        body: `${req.user.username}: ${comment.text}`,
+        data: { groupId: loaded.item.groupId, itemId: loaded.item._id, commentId: comment._id },
+        url: `${appUrl}/groups/${loaded.item.groupId}`,
+      });
+    } catch (error) {
+      console.error('Error publishing a new comment:', error);
+    }
+
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ message: 'Failed to add comment.', error: error.message });
+  }
+});
+// --- End of API route to comment on a feed item ---
+
+// --- API route to edit a comment (its author, or the group's owner and admins) ---
+app.patch('/api/feed/:itemId/comments/:commentId', validateBody(requestSchemas.feedComment), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const loaded = await loadFeedItem(req, res, db, 'edit this comment');
+    if (!loaded) {
+      return;
+    }
+    const comment = await loadFeedComment(req, res, db, loaded.item);
+    if (!comment) {
+      return;
+    }
+    if (!canModerateComment(comment, loaded.group, req.user._id)) {
+      forbidden(res, 'edit this comment');
+      return;
+    }
+
+    const updated = await feedCommentsCollection(db).findOneAndUpdate(
+      { _id: comment._id },
+      { $set: { text: req.body.text, updatedAt: new Date(), editedBy: req.user._id } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      res.status(404).json({ message: 'Comment not found.' });
+      return;
+    }
+
+    await publishGroupEvent(db, loaded.item.groupId, 'comment.updated', { itemId: loaded.item._id, commentId: comment._id, text: updated.text }, req.user._id);
+
+    res.status(200).json({ message: 'Comment updated.', comment: updated });
+
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ message: 'Failed to update comment.', error: error.message });
+  }
+});
+// --- End of API route to edit a comment ---
+
+// --- API route to delete a comment (its author, or the group's owner and admins) ---
+app.delete('/api/feed/:itemId/comments/:commentId', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const loaded = await loadFeedItem(req, res, db, 'delete this comment');
+    if (!loaded) {
+      return;
+    }
+    const comment = await loadFeedComment(req, res, db, loaded.item);
+    if (!comment) {
+      return;
+    }
+    if (!canModerateComment(comment, loaded.group, req.user._id)) {
+      forbidden(res, 'delete this comment');
+      return;
+    }
+
+    if (!await deleteComment(db, comment)) {
+      res.status(404).json({ message: 'Comment not found.' });
+      return;
+    }
+
+    await publishGroupEvent(db, loaded.item.groupId, 'comment.deleted', { itemId: loaded.item._id, commentId: comment._id }, req.user._id);
+
+    res.status(200).json({ message: 'Comment deleted.' });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ message: 'Failed to delete comment.', error: error.message });
+  }
+});
+// --- End of API route to delete a comment ---
+
+// --- API route to add a streak freeze day for a user ---
+// A frozen day never breaks any of the user's streaks (e.g. holidays or sick days).
+app.put('/api/users/:userId/streakFreezes/:date', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the date from the URL parameters
+  const dateString = req.params.date;
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    // Add the day once, keeping the list sorted and bounded (the users validator allows up to 366 days)
+    await db.collection('users').updateOne(
+        { _id: req.user._id },
+        [{
+          $set: {
+            streakFreezeDates: {
+              $slice: [
+                { $sortArray: { input: { $setUnion: [{ $ifNull: ['$streakFreezeDates', []] }, [dateString]] }, sortBy: 1 } },
+                -366
+              ]
+            }
+          }
+        }]
+    );
+
+    res.status(200).json({ message: 'Streak freeze day added.', date: dateString });
+
+  } catch (error) {
+    console.error('Error adding streak freeze day:', error);
+    res.status(500).json({ message: 'Failed to add streak freeze day.', error: error.message });
+  }
+});
+// --- End of API route to add a streak freeze day ---
+
+// --- API route to remove a streak freeze day for a user ---
+app.delete('/api/users/:userId/streakFreezes/:date', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the date from the URL parameters
+  const dateString = req.params.date;
+  if (!isDateKey(dateString)) {
+    res.status(400).json({ message: 'Invalid date format provided. Use YYYY-MM-DD.' });
+    return;
+  }
+
+  try {
+    const result = await db.collection('users').updateOne(
+        { _id: req.user._id },
+        { $pull: { streakFreezeDates: dateString } }
+    );
+
+    if (result.modifiedCount === 0) {
+      res.status(404).json({ message: 'Streak freeze day not found.' });
+    } else {
+      res.status(200).json({ message: 'Streak freeze day removed.', date: dateString });
+    }
+
+  } catch (error) {
+    console.error('Error removing streak freeze day:', error);
+    res.status(500).json({ message: 'Failed to remove streak freeze day.', error: error.message });
+  }
+});
+// --- End of API route to remove a streak freeze day ---
+
+// --- API route to set a user's time zone ---
+// The time zone decides where the user's days start and end for entries, due habits and streaks.
+// Entries already logged keep the calendar day they were saved with.
+app.put('/api/users/:userId/timezone', requireSelf(), validateBody(requestSchemas.updateTimeZone), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    await db.collection('users').updateOne(
+        { _id: req.user._id },
+        { $set: { timezone: req.body.timezone } }
+    );
+
+    res.status(200).json({ message: 'Time zone updated.', timezone: req.body.timezone });
+
+  } catch (error) {
+    console.error('Error updating time zone:', error);
+    res.status(500).json({ message: 'Failed to update time zone.', error: error.message });
+  }
+});
+// --- End of API route to set a user's time zone ---
+
+// --- API route to set a user's quiet hours ---
+// No reminders or nudges are sent between start and end ('HH:MM' in the user's time zone);
+// the ones that come up meanwhile are sent when the quiet hours end.
+app.put('/api/users/:userId/quietHours', requireSelf(), validateBody(requestSchemas.setQuietHours), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const quietHours = { start: req.body.start, end: req.body.end };
+    await db.collection('users').updateOne({ _id: req.user._id }, { $set: { quietHours } });
+
+    res.status(200).json({ message: 'Quiet hours updated.', quietHours });
+
+  } catch (error) {
+    console.error('Error updating quiet hours:', error);
+    res.status(500).json({ message: 'Failed to update quiet hours.', error: error.message });
+  }
+});
+// --- End of API route to set a user's quiet hours ---
+
+// --- API route to turn a user's quiet hours off ---
+app.delete('/api/users/:userId/quietHours', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    await db.collection('users').updateOne({ _id: req.user._id }, { $set: { quietHours: null } });
+
+    res.status(200).json({ message: 'Quiet hours turned off.', quietHours: null });
+
+  } catch (error) {
+    console.error('Error clearing quiet hours:', error);
+    res.status(500).json({ message: 'Failed to update quiet hours.', error: error.message });
+  }
+});
+// --- End of API route to turn quiet hours off ---
+
+// --- API route to get the key browsers need to subscribe to push messages ---
+app.get('/api/push/publicKey', (req, res) => {
+  const publicKey = vapidPublicKey();
+  res.status(200).json({ enabled: Boolean(publicKey), publicKey });
+});
+// --- End of API route to get the push public key ---
+
+// --- API route to register a browser for push messages ---
+// The body is the browser's PushSubscription (subscription.toJSON()). Registering the same
+// endpoint again updates it, and moves it over if another user had registered it on that browser.
+app.post('/api/users/:userId/pushSubscriptions', requireSelf(), validateBody(requestSchemas.pushSubscription), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  if (!vapidPublicKey()) {
+    res.status(503).json({ message: 'Push messages are not configured on this server.' });
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const subscription = await pushSubscriptionsCollection(db).findOneAndUpdate(
+      { endpoint: req.body.endpoint },
+      {
+        $set: { userId: req.user._id, keys: req.body.keys, userAgent: req.get('User-Agent') || null, updatedAt: now },
+        $setOnInsert: { endpoint: req.body.endpoint, createdAt: now },
+      },
+      { upsert: true, returnDocument: 'after', projection: { keys: 0 } }
+    );
+
+    res.status(201).json({ message: 'Push subscription saved.', subscription });
+
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ message: 'Failed to save push subscription.', error: error.message });
+  }
+});
+// --- End of API route to register a browser for push messages ---
+
+// --- API route to unregister a browser from push messages ---
+app.delete('/api/users/:userId/pushSubscriptions/:subscriptionId', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  if (!ObjectId.isValid(req.params.subscriptionId)) {
+    res.status(400).json({ message: 'Invalid subscription ID format.' });
+    return;
+  }
+
+  try {
+    const result = await pushSubscriptionsCollection(db).deleteOne({ _id: new ObjectId(req.params.subscriptionId), userId: req.user._id });
+    if (result.deletedCount === 0) {
+      res.status(404).json({ message: 'Push subscription not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Push subscription removed.' });
+
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ message: 'Failed to remove push subscription.', error: error.message });
+  }
+});
+// --- End of API route to unregister a browser from push messages ---
+
+// Read the habitId parameter of a reminder route and load a habit the caller can log (their own
+// personal habits, or the habits of groups they are in).
+// Sends the error response and returns null when something is wrong.
+async function loadRemindableHabit(req, res, db) {
+  const habitId = req.params.habitId;
+  if (!ObjectId.isValid(habitId)) {
+    res.status(400).json({ message: 'Invalid habit ID format.' });
+    return null;
+  }
+  const habit = await db.collection('habits').findOne({ _id: new ObjectId(habitId) });
+  if (!habit) {
+    res.status(404).json({ message: 'Habit not found.' });
+    return null;
+  }
+  const habitGroup = await loadHabitGroup(db, habit);
+  const canLog = habitGroup ? Boolean(getGroupRole(habitGroup, req.user._id)) : canLogPersonalHabit(habit, req.user._id);
+  if (!canLog) {
+    forbidden(res, 'set reminders for this habit');
+    return null;
+  }
+  return habit;
+}
+
+// --- API route to list a user's reminders ---
+app.get('/api/users/:userId/reminders', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const reminders = await remindersCollection(db).find({ userId: req.user._id }).toArray();
+    const habits = await db.collection('habits')
+      .find({ _id: { $in: reminders.map(reminder => reminder.habitId) } }, { projection: { title: 1, assignedTo: 1 } })
+      .toArray();
+    const habitsById = new Map(habits.map(habit => [habit._id.toString(), habit]));
+
+    res.status(200).json(reminders
+      .filter(reminder => habitsById.has(reminder.habitId.toString()))
+      .map(reminder => {
+        const habit = habitsById.get(reminder.habitId.toString());
+        return { ...reminder, habitTitle: habit.title, assignedTo: habit.assignedTo };
+      }));
+
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({ message: 'Failed to fetch reminders.', error: error.message });
+  }
+});
+// --- End of API route to list a user's reminders ---
+
+// --- API route to get the caller's reminder for a habit ---
+app.get('/api/habits/:habitId/reminder', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const habit = await loadRemindableHabit(req, res, db);
+    if (!habit) {
+      return;
+    }
+
+    const reminder = await remindersCollection(db).findOne({ userId: req.user._id, habitId: habit._id });
+    if (!reminder) {
+      res.status(404).json({ message: 'No reminder set for this habit.' });
+      return;
+    }
+
+    res.status(200).json(reminder);
+
+  } catch (error) {
+    console.error('Error fetching reminder:', error);
+    res.status(500).json({ message: 'Failed to fetch reminder.', error: error.message });
+  }
+});
+// --- End of API route to get a reminder ---
+
+// --- API route to set the caller's reminder for a habit ---
+// times are 'HH:MM' in the caller's time zone. Reminders go off on the days the habit is
+// scheduled, unless it is already done that day.
+app.put('/api/habits/:habitId/reminder', validateBody(requestSchemas.setReminder), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const habit = await loadRemindableHabit(req, res, db);
+    if (!habit) {
+      return;
+    }
+
+    const reminder = await saveReminder(db, {
+      userId: req.user._id,
+      habitId: habit._id,
+      times: req.body.times.slice().sort(),
+      channels: req.body.channels,
+      enabled: req.body.enabled,
+    });
+
+    res.status(200).json({ message: 'Reminder saved.', reminder, nextReminderAt: reminder.enabled ? reminder.plannedThrough : null });
+
+  } catch (error) {
+    console.error('Error saving reminder:', error);
+    res.status(500).json({ message: 'Failed to save reminder.', error: error.message });
+  }
+});
+// --- End of API route to set a reminder ---
+
+// --- API route to remove the caller's reminder for a habit ---
+app.delete('/api/habits/:habitId/reminder', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  if (!ObjectId.isValid(req.params.habitId)) {
+    res.status(400).json({ message: 'Invalid habit ID format.' });
+    return;
+  }
+
+  try {
+    const deleted = await deleteReminders(db, { userId: req.user._id, habitId: new ObjectId(req.params.habitId) });
+    if (deleted === 0) {
+      res.status(404).json({ message: 'No reminder set for this habit.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Reminder removed.' });
+
+  } catch (error) {
+    console.error('Error removing reminder:', error);
+    res.status(500).json({ message: 'Failed to remove reminder.', error: error.message });
+  }
+});
+// --- End of API route to remove a reminder ---
+
+// --- API route to snooze a reminder or nudge that was sent ---
+// jobId is the one in the reminder's data (in-app notification, push message).
+app.post('/api/reminders/:jobId/snooze', validateBody(requestSchemas.snoozeReminder), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  if (!ObjectId.isValid(req.params.jobId)) {
+    res.status(400).json({ message: 'Invalid reminder ID format.' });
+    return;
+  }
+
+  try {
+    const job = await reminderJobsCollection(db).findOne({ _id: new ObjectId(req.params.jobId), userId: req.user._id });
+    if (!job) {
+      res.status(404).json({ message: 'Reminder not found.' });
+      return;
+    }
+    if (job.status !== 'sent') {
+      res.status(409).json({ message: 'Only reminders that were sent can be snoozed.' });
+      return;
+    }
+
+    const { job: snoozed, created } = await snoozeJob(db, job, req.body.minutes);
+    if (!created) {
+      res.status(409).json({ message: 'This reminder is already snoozed.', remindAt: snoozed.runAt });
+      return;
+    }
+
+    res.status(201).json({ message: 'Reminder snoozed.', remindAt: snoozed.runAt });
+
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    res.status(500).json({ message: 'Failed to snooze reminder.', error: error.message });
+  }
+});
+// --- End of API route to snooze a reminder ---
+
+// --- API route to nudge a group member about a habit they haven't checked in to today ---
+// Each member can nudge another once per habit and day. The nudge waits out the member's quiet hours.
+app.post('/api/groups/:groupId/habits/:habitId/nudges/:memberId', requireGroupRole('member', 'nudge members of this group'), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const { habitId, memberId } = req.params;
+  if (!ObjectId.isValid(habitId)) {
+    res.status(400).json({ message: 'Invalid habit ID format.' });
+    return;
+  }
+  if (!ObjectId.isValid(memberId)) {
+    res.status(400).json({ message: 'Invalid member ID format.' });
+    return;
+  }
+
+  try {
+    const memberObjectId = new ObjectId(memberId);
+    if (memberObjectId.equals(req.user._id)) {
+      res.status(400).json({ message: 'You cannot nudge yourself.' });
+      return;
+    }
+    if (!getGroupRole(req.group, memberObjectId)) {
+      res.status(404).json({ message: 'Member not found in this group.' });
+      return;
+    }
+
+    const habit = await db.collection('habits').findOne({ _id: new ObjectId(habitId), 'assignedTo.type': 'group', 'assignedTo.id': req.group._id });
+    if (!habit) {
+      res.status(404).json({ message: 'Group habit not found.' });
+      return;
+    }
+
+    // Today in the group's time zone, or the nudged member's if the group has none
+    const timeZone = groupTimeZone(req.group, await getUserTimeZone(db, memberObjectId));
+    const today = todayKey(timeZone);
+    const completedDates = await loadCompletedDates(db, [habit], memberObjectId, timeZone, periodWindow(today, today));
+    if ((completedDates.get(habit._id.toString()) || new Set()).has(today)) {
+      res.status(409).json({ message: 'This member has already checked in today.' });
+      return;
+    }
+
+    const { job, created } = await scheduleNudge(db, {
+      fromUserId: req.user._id,
+      userId: memberObjectId,
+      groupId: req.group._id,
+      habitId: habit._id,
+      habitDay: today,
+    });
+    if (!created) {
+      res.status(409).json({ message: 'You already nudged this member about this habit today.' });
+      return;
+    }
+
+    res.status(202).json({ message: 'Nudge sent.', nudgeId: job._id });
+
+  } catch (error) {
+    console.error('Error nudging member:', error);
+    res.status(500).json({ message: 'Failed to nudge member.', error: error.message });
+  }
+});
+// --- End of API route to nudge a group member ---
+
+// --- API route to list the caller's notifications ---
+// GET /api/notifications[?cursor=notificationId][&limit=20][&unread=true]
+// Newest first. Pass the returned nextCursor as ?cursor= to get the next page; it is null on the last page.
+app.get('/api/notifications', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const page = getPageParams(req.query);
+  if (page.error) {
+    res.status(400).json({ message: page.error });
+    return;
+  }
+  if (req.query.unread !== undefined && req.query.unread !== 'true' && req.query.unread !== 'false') {
+    res.status(400).json({ message: 'unread must be true or false.' });
+    return;
+  }
+
+  try {
+    const { notifications, nextCursor } = await listNotifications(db, req.user._id, { ...page, unreadOnly: req.query.unread === 'true' });
+    const { unreadCount } = await countUnread(db, req.user._id);
+
+    res.status(200).json({ notifications, nextCursor, unreadCount });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Failed to fetch notifications.', error: error.message });
+  }
+});
+// --- End of API route to list notifications ---
+
+// --- API route to count the caller's unread notifications ---
+// Cheap enough to poll for a badge: { unreadCount, byType: { [type]: count } }
+app.get('/api/notifications/unreadCount', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    res.status(200).json(await countUnread(db, req.user._id));
+
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    res.status(500).json({ message: 'Failed to count unread notifications.', error: error.message });
+  }
+});
+// --- End of API route to count unread notifications ---
+
+// --- API route to mark a notification as read ---
+app.post('/api/notifications/:notificationId/read', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  if (!ObjectId.isValid(req.params.notificationId)) {
+    res.status(400).json({ message: 'Invalid notification ID format.' });
+    return;
+  }
+
+  try {
+    // Only the caller's own notifications can be found, so others' look like they don't exist
+    const notification = await markNotificationRead(db, req.user._id, new ObjectId(req.params.notificationId));
+    if (!notification) {
+      res.status(404).json({ message: 'Notification not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Notification marked as read.', notification });
+
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ message: 'Failed to mark notification as read.', error: error.message });
+  }
+});
+// --- End of API route to mark a notification as read ---
+
+// --- API route to mark all of the caller's notifications as read ---
+// POST /api/notifications/read-all[?type=comment] to only mark one type
+app.post('/api/notifications/read-all', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const type = req.query.type || null;
+  if (type && !NOTIFICATION_TYPES.includes(type)) {
+    res.status(400).json({ message: `Unknown notification type. Use one of: ${NOTIFICATION_TYPES.join(', ')}.` });
+    return;
+  }
+
+  try {
+    const markedCount = await markAllNotificationsRead(db, req.user._id, type);
+
+    res.status(200).json({ message: 'Notifications marked as read.', markedCount });
+
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Failed to mark notifications as read.', error: error.message });
+  }
+});
+// --- End of API route to mark all notifications as read ---
+
+// --- API route to get the caller's notification preferences ---
+// The channels each type of notification goes to, with the defaults filled in.
+app.get('/api/notifications/preferences', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id }, { projection: { notificationPreferences: 1 } });
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    res.status(200).json({ preferences: notificationPreferences(user), channels: CHANNEL_NAMES });
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Failed to fetch notification preferences.', error: error.message });
+  }
+});
+// --- End of API route to get notification preferences ---
+
+// --- API route to change the caller's notification preferences ---
+// PUT /api/notifications/preferences { preferences: { comment: ['inApp'], checkIn: ['push'], nudge: [] } }
+// Only the listed types change. An empty list turns a type off; null goes back to its default.
+app.put('/api/notifications/preferences', validateBody(requestSchemas.updateNotificationPreferences), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const update = {};
+  Object.entries(req.body.preferences).forEach(([type, channelNames]) => {
+    if (channelNames === null) {
+      update.$unset = { ...update.$unset, [`notificationPreferences.${type}`]: '' };
+    } else {
+      update.$set = { ...update.$set, [`notificationPreferences.${type}`]: channelNames };
+    }
+  });
+  if (Object.keys(update).length === 0) {
+    res.status(400).json({ message: 'No preferences provided.' });
+    return;
+  }
+
+  try {
+    const user = await db.collection('users').findOneAndUpdate(
+      { _id: req.user._id },
+      update,
+      { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+    );
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Notification preferences updated.', preferences: notificationPreferences(user) });
+
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ message: 'Failed to update notification preferences.', error: error.message });
+  }
+});
+// --- End of API route to change notification preferences ---
+
+// --- API route to list every badge there is ---
+// The rule of each badge is included so clients can show what it takes (e.g. { type: 'streak', target: 30 }).
+app.get('/api/achievements', (req, res) => {
+  res.status(200).json({ achievements: ACHIEVEMENTS });
+});
+// --- End of API route to list badges ---
+
+// --- API route to get a user's earned and available badges ---
+// Earned badges come newest first with earnedAt and context (e.g. the group and week of a perfect
+// week); available ones with progress ({ current, target }).
+app.get('/api/users/:userId/achievements', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    res.status(200).json(await listUserAchievements(db, req.user._id));
+
+  } catch (error) {
+    console.error('Error fetching achievements:', error);
+    res.status(500).json({ message: 'Failed to fetch achievements.', error: error.message });
+  }
+});
+// --- End of API route to get a user's badges ---
+
+// --- API route to get a user's statistics and insights ---
+// GET /api/users/:userId/stats[?from=YYYY-MM-DD][&to=YYYY-MM-DD]
+// Completion rates by habit, weekday and week (with the change from the week before), when check-ins
+// happen by hour of day, best and worst habits and totals. The range defaults to everything from
+// the day the account was created (at most MAX_STATS_RANGE_DAYS) to today, in the user's time zone.
+// Computed from the daily rollups in server/stats.js.
+app.get('/api/users/:userId/stats', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id }, { projection: { createdAt: 1, timezone: 1 } });
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+    const timeZone = timeZoneOf(user);
+    const today = todayKey(timeZone);
+    const joinedOn = user.createdAt ? toDateKey(user.createdAt, timeZone) : today;
+
+    const range = getDateRange(req, {
+      defaultTo: today,
+      defaultDays: Math.min(daysBetween(joinedOn < today ? joinedOn : today, today) + 1, MAX_STATS_RANGE_DAYS),
+      maxDays: MAX_STATS_RANGE_DAYS,
+    });
+    if (range.error) {
+      res.status(400).json({ message: range.error });
+      return;
+    }
+
+    const habits = await findUserHabits(db, req.user._id);
+    const stats = await computeUserStats(db, req.user._id, { ...range, timeZone, habits, memberSince: user.createdAt });
+
+    res.status(200).json(stats);
+
+  } catch (error) {
+    console.error('Error fetching user stats:', error);
+    res.status(500).json({ message: 'Failed to fetch stats.', error: error.message });
+  }
+});
+// --- End of API route to get a user's statistics ---
+
+// --- API route to get the most logged habit for a user ---
+// Deprecated: mostLoggedHabit in /api/users/:userId/stats replaces it.
+app.get('/api/users/:userId/mostLoggedHabit', requireSelf(), async (req, res) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `</api/users/${encodeURIComponent(req.params.userId)}/stats>; rel="successor-version"`);
+
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the user ID from the URL parameters
+  const userId = req.params.userId;
+
+  // Basic validation
+  if (!userId) {
+    res.status(400).json({ message: 'Missing user ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert user ID to ObjectId
+    if (!ObjectId.isValid(userId)) {
+        res.status(400).json({ message: 'Invalid user ID format.' });
+        return;
+    }
+    const userObjectId = new ObjectId(userId);
+    const timeZone = await getUserTimeZone(db, userObjectId);
+
+    // Get the userHabitEntries and habits collections
+    const userHabitEntriesCollection = db.collection('userHabitEntries'); // *** Assuming collection name ***
+    const habitsCollection = db.collection('habits'); // *** Assuming collection name ***
+
+    // MongoDB Aggregation Pipeline
+    const pipeline = [
+      {
+        $match: {
+          userId: userObjectId // Filter entries for the specific user
+        }
+      },
+      {
+        // One per habit and local day, so duplicates saved before entries were unique don't count twice
+        $group: {
+          _id: {
+            habitId: '$habitId',
+            day: { $ifNull: ['$localDate', { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } }] }
+          },
+          value: { $sum: { $ifNull: ['$value', 0] } } // Measured habits: the amount logged that day
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.habitId', // Group by habitId
+          count: { $sum: 1 }, // Count the days each habit was logged on
+          totalValue: { $sum: '$value' }
+        }
+      },
+      {
+        $sort: {
+          count: -1 // Sort by count descending (most frequent first)
+        }
+      },
+      {
+        $lookup: {
+          from: 'habits', // Join with the habits collection
+          localField: '_id', // The habitId from the grouped entries
+          foreignField: '_id', // The _id from the habits collection
+          as: 'habitDetails' // Output array field name
+        }
+      },
+      {
+        $unwind: '$habitDetails' // Deconstruct the habitDetails array
+      },
+      {
+        // Re-sort to handle ties by habit creation date (assuming a 'createdAt' field)
+        // Sort by count descending first, then createdAt ascending
+        $sort: {
+          count: -1,
+          'habitDetails.createdAt': 1 // Assuming 'createdAt' field exists on habit documents
+        }
+      },
+      {
+        $limit: 1 // Get only the top result
+      },
+      {
+        $project: {
+          _id: '$habitDetails._id',
+          title: '$habitDetails.title',
+          // Include other habit fields you need in the response
+          // e.g., description: '$habitDetails.description',
+          // assignedTo: '$habitDetails.assignedTo',
+          // schedule: '$habitDetails.schedule',
+          // createdBy: '$habitDetails.createdBy',
+          completionCount: '$count', // Include the count of entries for this habit
+          // For measured habits, the total logged and its unit (e.g. 120 km)
+          totalValue: { $cond: [{ $ifNull: ['$habitDetails.measurement.unit', false] }, '$totalValue', '$$REMOVE'] },
+          unit: '$habitDetails.measurement.unit'
+        }
+      }
+    ];
+
+    const result = await userHabitEntriesCollection.aggregate(pipeline).toArray();
+
+    if (result.length > 0) {
+      res.status(200).json(result[0]);
+    } else {
+      // No habit entries found for this user
+      res.status(404).json({ message: 'No logged habits found for this user.' });
+    }
+
+  } catch (error) {
+    console.error('Error fetching most logged habit:', error);
+    res.status(500).json({ message: 'Failed to fetch most logged habit.', error: error.message });
+  }
+});
+// --- End of API route to get the most logged habit ---
+
+// --- API route to get the account creation date for a user ---
+// Deprecated: totals.memberSince in /api/users/:userId/stats replaces it.
+app.get('/api/users/:userId/createdAt', async (req, res) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `</api/users/${encodeURIComponent(req.params.userId)}/stats>; rel="successor-version"`);
+
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the user ID from the URL parameters
+  const userId = req.params.userId;
+
+  // Basic validation
+  if (!userId) {
+    res.status(400).json({ message: 'Missing user ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert user ID to ObjectId
+    if (!ObjectId.isValid(userId)) {
+        res.status(400).json({ message: 'Invalid user ID format.' });
+        return;
+    }
+    const userObjectId = new ObjectId(userId);
+
+    // Get the users collection
+    const usersCollection = db.collection('users'); // *** Assuming collection name ***
+
+    // Find the user and project only the createdAt field
+    const user = await usersCollection.findOne(
+        { _id: userObjectId },
+        { projection: { createdAt: 1 } } // Project only the createdAt field
+    );
+
+    if (user) {
+      // Return the createdAt date
+      res.status(200).json({ createdAt: user.createdAt });
+    } else {
+      // User not found
+      res.status(404).json({ message: 'User not found.' });
+    }
+
+  } catch (error) {
+    console.error('Error fetching user creation date:', error);
+    res.status(500).json({ message: 'Failed to fetch user creation date.', error: error.message });
+  }
+});
+// --- End of API route to get the account creation date ---
+
+// How an export job is shown to its user, with the download link once it is done
+function describeExportJob(job) {
+  return {
+    _id: job._id,
+    format: job.format,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    expiresAt: job.expiresAt || null,
+    size: job.size === undefined ? null : job.size,
+    error: job.error || null,
+    downloadUrl: exportDownloadUrl(job, { apiUrl, secret: jwtSecret }),
+  };
+}
+
+// Queue an export job for the caller and get the worker onto it
+async function queueExport(req, format) {
+  const job = await createExportJob(req.app.locals.db, req.user._id, format);
+  if (req.app.locals.exportWorker) {
+    req.app.locals.exportWorker.tick();
+  }
+  return job;
+}
+
+// --- API route to export a user's data ---
+// GET /api/users/:userId/export[?format=json|csv]
+// Downloads the user's habits, personal entries, group memberships and group check-ins (see
+// server/exports.js): one JSON document, or a zip with one CSV file per collection. Exports with
+// more than MAX_DIRECT_EXPORT_ENTRIES entries are too big to build during a request; they are
+// queued as a background job instead (202 with the job; see /api/users/:userId/exports).
+app.get('/api/users/:userId/export', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const format = req.query.format === undefined ? 'json' : req.query.format;
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    return;
+  }
+
+  try {
+    if (await countExportEntries(db, req.user._id) > MAX_DIRECT_EXPORT_ENTRIES) {
+      const job = await queueExport(req, format);
+      res.status(202).json({ message: 'This export is too large to download directly. It is being prepared; you will be notified when it is ready.', job: describeExportJob(job) });
+      return;
+    }
+
+    res.status(200);
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+    res.set('Cache-Control', 'no-store');
+    await writeExport(db, req.user._id, format, res);
+    res.end();
+
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to export data.', error: error.message });
+    } else {
+      res.destroy(); // A cut-off download must not look complete
+    }
+  }
+});
+// --- End of API route to export a user's data ---
+
+// --- API route to start a background export ---
+// POST /api/users/:userId/exports  { format: 'json' | 'csv' }
+// Prepares an export in the background, whatever its size. If one in the same format is already
+// queued or running, that job is returned instead of starting another.
+app.post('/api/users/:userId/exports', requireSelf(), validateBody(requestSchemas.createExport), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const job = await queueExport(req, req.body.format);
+    res.status(202).json({ message: 'Export queued.', job: describeExportJob(job) });
+
+  } catch (error) {
+    console.error('Error queueing export:', error);
+    res.status(500).json({ message: 'Failed to queue export.', error: error.message });
+  }
+});
+// --- End of API route to start a background export ---
+
+// --- API route to list a user's exports ---
+// GET /api/users/:userId/exports
+// The user's export jobs, newest first. Finished ones have a downloadUrl until they expire.
+app.get('/api/users/:userId/exports', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const jobs = await listExportJobs(db, req.user._id);
+    res.status(200).json({ exports: jobs.map(describeExportJob) });
+
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    res.status(500).json({ message: 'Failed to list exports.', error: error.message });
+  }
+});
+// --- End of API route to list a user's exports ---
+
+// --- API route to get an export job ---
+// GET /api/users/:userId/exports/:exportId
+app.get('/api/users/:userId/exports/:exportId', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  if (!ObjectId.isValid(req.params.exportId)) {
+    res.status(400).json({ message: 'Invalid export ID format.' });
+    return;
+  }
+
+  try {
+    const job = await findExportJob(db, new ObjectId(req.params.exportId));
+    if (!job || !job.userId.equals(req.user._id)) {
+      res.status(404).json({ message: 'Export not found.' });
+      return;
+    }
+    res.status(200).json(describeExportJob(job));
+
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    res.status(500).json({ message: 'Failed to fetch export.', error: error.message });
+  }
+});
+// --- End of API route to get an export job ---
+
+// --- API route to download a finished export ---
+// GET /api/exports/download?job=...&token=...
+// Public: the signed link from an export job's downloadUrl (also sent in the "export ready"
+// notification) is all it takes, until the export expires.
+app.get('/api/exports/download', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const { job: jobId, token } = req.query;
+  if (typeof jobId !== 'string' || !ObjectId.isValid(jobId) || typeof token !== 'string'
+    || !isValidExportDownloadToken(jobId, token, jwtSecret)) {
+    res.status(404).json({ message: 'Export not found.' });
+    return;
+  }
+
+  try {
+    const job = await findExportJob(db, new ObjectId(jobId));
+    if (!job || job.status !== 'done' || job.expiresAt <= new Date()) {
+      res.status(404).json({ message: 'Export not found or expired.' });
+      return;
+    }
+
+    const file = openExportFile(db, job);
+    file.once('error', error => {
+      console.error('Error reading export file:', error);
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Export not found or expired.' });
+      } else {
+        res.destroy();
+      }
+    });
+    res.status(200);
+    res.set('Content-Type', EXPORT_FORMATS[job.format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${job.fileName}"`);
+    res.set('Content-Length', String(job.size));
+    res.set('Cache-Control', 'no-store');
+    file.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({ message: 'Failed to download export.', error: error.message });
+  }
+});
+// --- End of API route to download a finished export ---
+
+// The subscription URL of a calendar feed token
+function calendarFeedUrl(token) {
+  return `${apiUrl}/api/calendar/feed.ics?token=${token}`;
+}
+
+// --- API route to create (or replace) a user's calendar feed URL ---
+// POST /api/users/:userId/calendarFeed
+// Returns a private URL calendar apps can subscribe to (see server/calendarFeed.js). Anyone with
+// the URL can read the feed, so calling this again replaces it and the old URL stops working.
+app.post('/api/users/:userId/calendarFeed', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const token = await issueCalendarFeedToken(db, req.user._id);
+    res.status(201).json({ message: 'Calendar feed created.', url: calendarFeedUrl(token) });
+
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ message: 'Failed to create calendar feed.', error: error.message });
+  }
+});
+// --- End of API route to create a user's calendar feed URL ---
+
+// --- API route to turn off a user's calendar feed ---
+// DELETE /api/users/:userId/calendarFeed
+app.delete('/api/users/:userId/calendarFeed', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    if (!await revokeCalendarFeedToken(db, req.user._id)) {
+      res.status(404).json({ message: 'No calendar feed to turn off.' });
+      return;
+    }
+    res.status(200).json({ message: 'Calendar feed turned off.' });
+
+  } catch (error) {
+    console.error('Error turning off calendar feed:', error);
+    res.status(500).json({ message: 'Failed to turn off calendar feed.', error: error.message });
+  }
+});
+// --- End of API route to turn off a user's calendar feed ---
+
+// --- API route to get a calendar feed ---
+// GET /api/calendar/feed.ics?token=...
+// Public: calendar apps subscribe to the URL from POST /api/users/:userId/calendarFeed and can't
+// log in, so the token in it is the only credential. Returns an iCalendar document of the user's
+// habit schedules and reminders.
+app.get('/api/calendar/feed.ics', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const token = req.query.token;
+  if (typeof token !== 'string' || token === '') {
+    res.status(404).json({ message: 'Calendar feed not found.' });
+    return;
+  }
+
+  try {
+    const user = await findCalendarFeedUser(db, token);
+    if (!user) {
+      res.status(404).json({ message: 'Calendar feed not found.' });
+      return;
+    }
+
+    const [habits, reminders] = await Promise.all([
+      findUserHabits(db, user._id),
+      remindersCollection(db).find({ userId: user._id }).toArray(),
+    ]);
+    const feed = buildCalendarFeed({
+      habits,
+      reminders,
+      timeZone: timeZoneOf(user),
+      calendarName: `CRUW habits (${user.username})`,
+    });
+
+    res.status(200);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="cruw-habits.ics"');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(feed);
+
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Failed to build calendar feed.', error: error.message });
+  }
+});
+// --- End of API route to get a calendar feed ---
+
+// --- API route to import habits and history from another tracker ---
+// POST /api/users/:userId/import  { source: 'loop' | 'habitica' | 'csv' | 'json', file, dryRun }
+// file is the export's content: CSV or JSON text, or for Loop the zip from "Export as CSV",
+// base64-encoded. dryRun defaults to true and only reports what would be created, merged into an
+// existing habit or skipped (see server/imports.js); send the same file with dryRun: false to
+// import it. Days that already have an entry are never overwritten, so importing a file again
+// only adds what is new.
+app.post('/api/users/:userId/import', requireSelf(), parseImportBody, validateBody(requestSchemas.importData), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const { source, file, dryRun } = req.body;
+
+  try {
+    const timeZone = await getUserTimeZone(db, req.user._id);
+    const parsed = parseImport(source, file, timeZone);
+    const plan = await planImport(db, req.user._id, parsed, { source, timeZone });
+    if (plan.errors.length > 0) {
+      res.status(400).json({ message: 'Validation failed.', errors: plan.errors.map(message => ({ field: 'file', message })) });
+      return;
+    }
+
+    const report = { source, summary: plan.summary, habits: plan.habits, skipped: plan.skipped };
+    if (dryRun) {
+      res.status(200).json({ message: 'Dry run: nothing was imported. Send dryRun: false to import.', dryRun: true, ...report });
+      return;
+    }
+
+    const created = await applyImport(db, req.user._id, plan, { source, timeZone });
+    res.status(201).json({ message: 'Import finished.', dryRun: false, ...report, created });
+
+    // Imported history counts towards stats and badges like any other
+    if (created.entries > 0) {
+      try {
+        await rebuildDailyStats(db, req.user._id, timeZone);
+      } catch (error) {
+        console.error('Error rebuilding daily stats after import:', error);
+      }
+      await awardAchievements(req, [req.user._id]);
+    }
+
+  } catch (error) {
+    console.error('Error importing habits:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to import habits.', error: error.message });
+    }
+  }
+});
+// --- End of API route to import habits and history ---
+
+// --- API route to delete one's own account ---
+// DELETE /api/users/:userId  { password }
+// The account isn't deleted right away: it is scheduled for deletion ACCOUNT_DELETION_GRACE_DAYS
+// later and can be cancelled until then with DELETE /api/users/:userId/deletion. Then everything
+// about the user is erased and the groups they own pass to another member (see
+// server/accountDeletion.js).
+app.delete('/api/users/:userId', requireSelf(), validateBody(requestSchemas.deleteAccount), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    // Ask for the password again, so that a stolen access token can't delete the account
+    const isMatch = await bcrypt.compare(req.body.password, user.password);
+    if (!isMatch) {
+      res.status(401).json({ message: 'Password is incorrect.' });
+      return;
+    }
+
+    const deletion = await scheduleAccountDeletion(db, user._id);
+    if (!deletion) {
+      res.status(409).json({ message: 'This account is already scheduled for deletion.' });
+      return;
+    }
+
+    res.status(202).json({
+      message: `Your account will be deleted on ${deletion.scheduledFor.toISOString().slice(0, 10)}. You can cancel until then.`,
+      requestedAt: deletion.requestedAt,
+      scheduledFor: deletion.scheduledFor,
+    });
+
+    try {
+      await sendMail(req.app.locals.mailer, {
+        to: user.email,
+        subject: 'Your CRUW account will be deleted',
+        text: `Hi ${user.username},\n\nYour account and all of your data will be deleted on ${deletion.scheduledFor.toUTCString()}.\n\nIf you didn't ask for this or changed your mind, cancel it from your account settings:\n${appUrl}/settings/account`,
+      });
+    } catch (mailError) {
+      console.error('Error sending account deletion email:', mailError);
+    }
+
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to delete account.', error: error.message });
+    }
+  }
+});
+// --- End of API route to delete one's own account ---
+
+// --- API route to get a scheduled account deletion ---
+app.get('/api/users/:userId/deletion', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id }, { projection: { deletion: 1 } });
+    if (!user || !user.deletion) {
+      res.status(200).json({ scheduled: false, graceDays: ACCOUNT_DELETION_GRACE_DAYS });
+      return;
+    }
+    res.status(200).json({
+      scheduled: true,
+      requestedAt: user.deletion.requestedAt,
+      scheduledFor: user.deletion.scheduledFor,
+      started: Boolean(user.deletion.startedAt),
+    });
+
+  } catch (error) {
+    console.error('Error fetching account deletion:', error);
+    res.status(500).json({ message: 'Failed to fetch account deletion.', error: error.message });
+  }
+});
+// --- End of API route to get a scheduled account deletion ---
+
+// --- API route to cancel a scheduled account deletion ---
+app.delete('/api/users/:userId/deletion', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const cancelled = await cancelAccountDeletion(db, req.user._id);
+    if (!cancelled) {
+      const user = await db.collection('users').findOne({ _id: req.user._id }, { projection: { deletion: 1 } });
+      if (user && user.deletion) {
+        res.status(409).json({ message: 'The account is already being deleted.' });
+      } else {
+        res.status(404).json({ message: 'This account is not scheduled for deletion.' });
+      }
+      return;
+    }
+    res.status(200).json({ message: 'Account deletion cancelled.' });
+
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ message: 'Failed to cancel account deletion.', error: error.message });
+  }
+});
+// --- End of API route to cancel a scheduled account deletion ---
+
+// --- API route to update one's own profile ---
+// PATCH /api/users/:userId  { username, displayName, avatarUrl, bio, timezone, locale }
+// Only the fields sent change; null clears displayName, avatarUrl and bio. The email address and
+// password have their own routes below. Access tokens carry the username, so other requests may
+// show the old one until the next token refresh.
+app.patch('/api/users/:userId', requireSelf(), validateBody(requestSchemas.updateProfile, { partial: true }), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const updateData = req.body;
+  if (updateData.locale !== undefined) {
+    updateData.locale = Intl.getCanonicalLocales(updateData.locale)[0]; // 'en-gb' -> 'en-GB'
+  }
+
+  try {
+    const user = await db.collection('users').findOneAndUpdate(
+      { _id: req.user._id },
+      { $set: updateData },
+      { returnDocument: 'after', projection: PRIVATE_PROFILE_PROJECTION }
+    );
+
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Profile updated successfully.', user });
+
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    // The unique username index (case-insensitive)
+    if (error.code === 11000) {
+      res.status(409).json({ message: 'That username is already taken.' });
+    } else {
+      res.status(500).json({ message: 'Failed to update profile.', error: error.message });
+    }
+  }
+});
+// --- End of API route to update one's own profile ---
+
+// --- API route to change one's email address ---
+// POST /api/users/:userId/email  { email, password }
+// The new address is kept in pendingEmail and a confirmation link is sent to it; the account
+// keeps using the current address until the link is opened (POST /api/auth/confirm-email-change).
+app.post('/api/users/:userId/email', requireSelf(), validateBody(requestSchemas.changeEmail), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const { email, password } = req.body;
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      res.status(401).json({ message: 'Password is incorrect.' });
+      return;
+    }
+
+    const owner = await db.collection('users').findOne({ email: email }, { projection: { _id: 1 }, collation: USER_COLLATION });
+    if (owner && owner._id.equals(user._id)) {
+      res.status(409).json({ message: 'That is already your email address.' });
+      return;
+    }
+    if (owner) {
+      res.status(409).json({ message: 'User with that email already exists.' });
+      return;
+    }
+
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { pendingEmail: email } });
+    await sendEmailChangeEmails(db, req.app.locals.mailer, user, email);
+
+    res.status(202).json({ message: `A confirmation link has been sent to ${email}.`, pendingEmail: email });
+
+  } catch (error) {
+    console.error('Error changing email:', error);
+    res.status(500).json({ message: 'Failed to change email.', error: error.message });
+  }
+});
+// --- End of API route to change one's email address ---
+
+// --- API route to change one's password ---
+// PUT /api/users/:userId/password  { currentPassword, newPassword }
+// Every other device is logged out; the one the password was changed on stays logged in.
+app.put('/api/users/:userId/password', requireSelf(), validateBody(requestSchemas.changePassword), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      res.status(401).json({ message: 'Current password is incorrect.' });
+      return;
+    }
+
+    // Hash and store the new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date() } }
+    );
+
+    const currentSessionId = new ObjectId(req.user.sessionId);
+    await revokeAllSessions(db, user._id, 'password_change', { exceptSessionId: currentSessionId });
+
+    res.status(200).json({ message: 'Password changed. Other devices have been logged out.' });
+
+    try {
+      await sendMail(req.app.locals.mailer, {
+        to: user.email,
+        subject: 'Your CRUW password was changed',
+        text: `Hi ${user.username},\n\nThe password of your CRUW account was just changed. If this wasn't you, reset it now:\n${appUrl}/forgot-password`,
+      });
+    } catch (mailError) {
+      console.error('Error sending password change email:', mailError);
+    }
+
+  } catch (error) {
+    console.error('Error changing password:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to change password.', error: error.message });
+    }
+  }
+});
+// --- End of API route to change one's password ---
+
+// --- API route to get a single user by ID ---
+// Users get their own private profile and the public profile of the people they share a group
+// with (see server/profiles.js). Anyone else is not found.
+app.get('/api/users/:userId', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the user ID from the URL parameters
+  const userId = req.params.userId;
+
+  // Basic validation
+  if (!userId) {
+    res.status(400).json({ message: 'Missing user ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert user ID to ObjectId
+    if (!ObjectId.isValid(userId)) {
+        res.status(400).json({ message: 'Invalid user ID format.' });
+        return;
+    }
+    const userObjectId = new ObjectId(userId);
+    const isSelf = userObjectId.equals(req.user._id);
+
+    if (!isSelf && !(await sharesGroup(db, req.user._id, userObjectId))) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    const user = await db.collection('users').findOne(
+        { _id: userObjectId },
+        { projection: isSelf ? PRIVATE_PROFILE_PROJECTION : PUBLIC_PROFILE_PROJECTION }
+    );
+
+    if (user) {
+      // Return the user details
+      res.status(200).json(user);
+    } else {
+      // User not found
+      res.status(404).json({ message: 'User not found.' });
+    }
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Failed to fetch user.', error: error.message });
+  }
+});
+// --- End of API route to get a single user ---
+
+// --- API route to get a single group by ID ---
+app.get('/api/groups/:groupId', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the group ID from the URL parameters
+  const groupId = req.params.groupId;
+
+  // Basic validation
+  if (!groupId) {
+    res.status(400).json({ message: 'Missing group ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert group ID to ObjectId
+    if (!ObjectId.isValid(groupId)) {
+        res.status(400).json({ message: 'Invalid group ID format.' });
+        return;
+    }
+    const groupObjectId = new ObjectId(groupId);
+
+    // Get the groups collection
+    const groupsCollection = db.collection('groups'); // *** Assuming collection name ***
+
+    // Find the group
+    const group = await groupsCollection.findOne({ _id: groupObjectId });
+
+    // Private groups are only visible to their members and to the people invited to them
+    if (group && !getGroupRole(group, req.user._id) && groupVisibility(group) === 'private'
+        && !(await findPendingInvitation(db, groupObjectId, req.user._id))) {
+      res.status(404).json({ message: 'Group not found.' });
+      return;
+    }
+
+    if (group) {
+      // Only the owner and admins see who is banned
+      if (!hasGroupRole(group, req.user._id, 'admin')) {
+        delete group.bannedIds;
+      }
+      // Return the group details
+      res.status(200).json(group);
+    } else {
+      // Group not found
+      res.status(404).json({ message: 'Group not found.' });
+    }
+
+  } catch (error) {
+    console.error('Error fetching group:', error);
+    res.status(500).json({ message: 'Failed to fetch group.', error: error.message });
+  }
+});
+// --- End of API route to get a single group ---
+
+// --- API route to update a group (owner and admins) ---
+// name, description and timezone can be changed by admins; who can join (visibility and
+// requiresApproval) only by the owner.
+app.patch('/api/groups/:groupId', requireGroupRole('admin', 'update this group'), validateBody(requestSchemas.updateGroup, { partial: true }), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const updateData = req.body;
+  if ((updateData.visibility !== undefined || updateData.requiresApproval !== undefined) && req.groupRole !== 'owner') {
+    forbidden(res, 'change who can join this group');
+    return;
+  }
+
+  try {
+    const group = await db.collection('groups').findOneAndUpdate(
+      { _id: req.group._id },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!group) {
+      res.status(404).json({ message: 'Group not found.' });
+      return;
+    }
+
+    await publishGroupEvent(db, group._id, 'group.updated', { fields: Object.keys(updateData) }, req.user._id);
+
+    res.status(200).json({ message: 'Group updated successfully.', group });
+
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ message: 'Failed to update group.', error: error.message });
+  }
+});
+// --- End of API route to update a group ---
+
+// --- API route to transfer ownership of a group (owner only) ---
+// The new owner must already be a member; the previous owner stays on as an admin.
+app.post('/api/groups/:groupId/transfer-ownership', requireGroupRole('owner', 'transfer ownership of this group'), validateBody(requestSchemas.transferOwnership), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const newOwnerId = req.body.newOwnerId;
+
+  try {
+    if (newOwnerId.equals(req.user._id)) {
+      res.status(409).json({ message: 'You already own this group.' });
+      return;
+    }
+    if (!getGroupRole(req.group, newOwnerId)) {
+      res.status(404).json({ message: 'User is not a member of this group.' });
+      return;
+    }
+
+    const transferred = await transferOwnership(db, req.group._id, req.user._id, newOwnerId);
+    if (!transferred) {
+      // The member left or ownership changed since the group was loaded
+      res.status(409).json({ message: 'The group changed while transferring ownership. Please try again.' });
+      return;
+    }
+
+    await publishGroupEvent(db, req.group._id, 'group.updated', { fields: ['ownerId'], ownerId: newOwnerId }, req.user._id);
+    notifyUsers(req, [newOwnerId], 'ownershipTransferred', {
+      title: `You now own ${req.group.name}`,
+      body: `${req.user.username} made you the owner of the group "${req.group.name}".`,
+      data: { groupId: req.group._id },
+      url: `${appUrl}/groups/${req.group._id}`,
+    });
+
+    res.status(200).json({ message: 'Ownership transferred.', ownerId: newOwnerId });
+
+  } catch (error) {
+    console.error('Error transferring group ownership:', error);
+    res.status(500).json({ message: 'Failed to transfer ownership.', error: error.message });
+  }
+});
+// --- End of API route to transfer ownership of a group ---
+
+// --- API route to delete a group (owner only) ---
+// Deletes the group with its habits, their entries, its invitations and its challenges in one transaction.
+app.delete('/api/groups/:groupId', requireGroupRole('owner', 'delete this group'), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const groupObjectId = req.group._id;
+
+  try {
+    // Start a MongoDB session and transaction for atomicity
+    const session = client.startSession();
+    session.startTransaction();
+    let habitIds;
+
+    try {
+      // Delete the group itself
+      const deleteGroupResult = await db.collection('groups').deleteOne({ _id: groupObjectId }, { session });
+
+      if (deleteGroupResult.deletedCount === 0) {
+        // Group already deleted, abort transaction
+        await session.abortTransaction();
+        res.status(404).json({ message: 'Group not found.' });
+        return;
+      }
+
+      // Delete the group's habits and every entry logged for them
+      habitIds = await db.collection('habits')
+        .find({ 'assignedTo.type': 'group', 'assignedTo.id': groupObjectId }, { projection: { _id: 1 }, session })
+        .map(habit => habit._id)
+        .toArray();
+      await db.collection('habits').deleteMany({ _id: { $in: habitIds } }, { session });
+      await db.collection('groupHabitEntries').deleteMany({ $or: [{ groupId: groupObjectId }, { habitId: { $in: habitIds } }] }, { session });
+      await dailyStatsCollection(db).deleteMany({ $or: [{ groupId: groupObjectId }, { habitId: { $in: habitIds } }] }, { session });
+
+      // Invite codes, invitations and join requests lead nowhere anymore
+      await db.collection('groupInviteCodes').deleteMany({ groupId: groupObjectId }, { session });
+      await db.collection('groupInvitations').deleteMany({ groupId: groupObjectId }, { session });
+      await db.collection('groupJoinRequests').deleteMany({ groupId: groupObjectId }, { session });
+      // Challenges only make sense within the group
+      await db.collection('groupChallenges').deleteMany({ groupId: groupObjectId }, { session });
+      // So does its activity feed
+      await feedItemsCollection(db).deleteMany({ groupId: groupObjectId }, { session });
+      await feedCommentsCollection(db).deleteMany({ groupId: groupObjectId }, { session });
+
+      // Commit the transaction
+      await session.commitTransaction();
+
+    } catch (transactionError) {
+      // Abort the transaction on any error
+      await session.abortTransaction();
+      throw transactionError; // Re-throw to be caught by the main catch block
+    } finally {
+      session.endSession();
+    }
+
+    // The group is deleted: answer now, so that the clean-up below can't report it as failed
+    res.status(200).json({ message: 'Group, its habits and their entries deleted successfully.', deletedHabits: habitIds.length });
+
+    try {
+      // Reminders of the group's habits go too
+      await deleteReminders(db, { habitId: { $in: habitIds } });
+
+      // Subscribers are told last; the event outlives the group until it expires
+      await publishGroupEvent(db, groupObjectId, 'group.deleted', {}, req.user._id);
+    } catch (followUpError) {
+      console.error('Error cleaning up after deleting group:', followUpError);
+    }
+
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ message: 'Failed to delete group.', error: error.message });
+  }
+});
+// --- End of API route to delete a group ---
+
+// Load the group a group habit is assigned to (null for personal habits)
+async function loadHabitGroup(db, habit) {
+  if (!habit.assignedTo || habit.assignedTo.type !== 'group') {
+    return null;
+  }
+  return db.collection('groups').findOne({ _id: habit.assignedTo.id });
+}
+
+// --- API route to update a single habit by ID ---
+app.patch('/api/habits/:habitId', validateBody(requestSchemas.updateHabit, { partial: true }), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the habit ID from the URL parameters
+  const habitId = req.params.habitId;
+  // Get the update data from the request body (already validated against requestSchemas.updateHabit,
+  // so only editable fields like title, description and schedule can be in it)
+  const updateData = req.body;
+
+  // Basic validation
+  if (!habitId) {
+    res.status(400).json({ message: 'Missing habit ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert habit ID to ObjectId
+    if (!ObjectId.isValid(habitId)) {
+        res.status(400).json({ message: 'Invalid habit ID format.' });
+        return;
+    }
+    const habitObjectId = new ObjectId(habitId);
+
+    // Get the habits collection
+    const habitsCollection = db.collection('habits'); // *** Assuming collection name ***
+
+    // Authorization check: only the creator can update a personal habit,
+    // only the group's owner and admins can update a group habit
+    const habit = await habitsCollection.findOne({ _id: habitObjectId });
+    if (!habit) {
+      res.status(404).json({ message: 'Habit not found.' });
+      return;
+    }
+    const habitGroup = await loadHabitGroup(db, habit);
+    if (!canManageHabit(habit, req.user._id, habitGroup)) {
+      forbidden(res, 'update this habit');
+      return;
+    }
+
+    // A new schedule without a startDate keeps the habit's current start date
+    if (updateData.schedule && !updateData.schedule.startDate) {
+      const timeZone = groupTimeZone(habitGroup, await getUserTimeZone(db, req.user._id));
+      const currentSchedule = getHabitSchedule(habit, timeZone);
+      updateData.schedule.startDate = currentSchedule ? currentSchedule.startDate : toDateKey(habit.createdAt || new Date(), timeZone);
+      if (updateData.schedule.endDate && updateData.schedule.endDate < updateData.schedule.startDate) {
+        res.status(400).json({ message: 'Validation failed.', errors: [{ field: 'schedule.endDate', message: 'must not be before startDate' }] });
+        return;
+      }
+      // Now that it has a start, a COUNT rule gets its endDate
+      updateData.schedule = validateSchedule(updateData.schedule, null).value;
+    }
+
+    // Perform the update operation
+    // Use $set to update only the fields provided in updateData
+    const result = await habitsCollection.updateOne(
+        { _id: habitObjectId },
+        { $set: { ...updateData, updatedAt: new Date() } }
+    );
+
+    // updatedAt always changes, so a matched habit is always modified
+    if (result.matchedCount === 0) {
+      res.status(404).json({ message: 'Habit not found.' });
+    } else {
+      // Optionally fetch and return the updated document
+      const updatedHabit = await habitsCollection.findOne({ _id: habitObjectId });
+      if (habitGroup) {
+        await publishGroupEvent(db, habitGroup._id, 'habit.updated', { habitId: habitObjectId, fields: Object.keys(updateData) }, req.user._id);
+        notifyUsers(req, habitGroup.memberIds || [], 'habitUpdated', {
+          title: `Habit changed in ${habitGroup.name}`,
+          body: `${req.user.username} changed "${updatedHabit ? updatedHabit.title : habit.title}".`,
+          data: { groupId: habitGroup._id, habitId: habitObjectId, fields: Object.keys(updateData) },
+          url: `${appUrl}/groups/${habitGroup._id}`,
+        });
+      }
+      res.status(200).json({ message: 'Habit updated successfully.', updatedHabit });
+    }
+
+  } catch (error) {
+    console.error('Error updating habit:', error);
+    res.status(500).json({ message: 'Failed to update habit.', error: error.message });
+  }
+});
+// --- End of API route to update a single habit ---
+
+// --- API route to delete a single habit by ID ---
+app.delete('/api/habits/:habitId', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the habit ID from the URL parameters
+  const habitId = req.params.habitId;
+
+  // Basic validation
+  if (!habitId) {
+    res.status(400).json({ message: 'Missing habit ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert habit ID to ObjectId
+    if (!ObjectId.isValid(habitId)) {
+        res.status(400).json({ message: 'Invalid habit ID format.' });
+        return;
+    }
+    const habitObjectId = new ObjectId(habitId);
+
+    // Get the habits collection
+    const habitsCollection = db.collection('habits'); // *** Assuming collection name ***
+    // Get the userHabitEntries and groupHabitEntries collections
+    const userHabitEntriesCollection = db.collection('userHabitEntries'); // *** Assuming collection name ***
+    const groupHabitEntriesCollection = db.collection('groupHabitEntries'); // *** Assuming collection name ***
+
+    // Authorization check: only the creator can delete a personal habit,
+    // only the group's owner and admins can delete a group habit
+    const habit = await habitsCollection.findOne({ _id: habitObjectId });
+    if (!habit) {
+      res.status(404).json({ message: 'Habit not found.' });
+      return;
+    }
+    const habitGroup = await loadHabitGroup(db, habit);
+    if (!canManageHabit(habit, req.user._id, habitGroup)) {
+      forbidden(res, 'delete this habit');
+      return;
+    }
+
+    // Start a MongoDB session and transaction for atomicity
+    const session = client.startSession(); // Assuming 'client' is your MongoClient instance
+    session.startTransaction();
+
+    try {
+      // Delete the habit itself
+      const deleteHabitResult = await habitsCollection.deleteOne({ _id: habitObjectId }, { session });
+
+      if (deleteHabitResult.deletedCount === 0) {
+        // Habit not found, abort transaction
+        await session.abortTransaction();
+        res.status(404).json({ message: 'Habit not found.' });
+        return;
+      }
+
+      // Habit deleted successfully, now delete associated entries
+      // Delete user habit entries related to this habit
+      await userHabitEntriesCollection.deleteMany({ habitId: habitObjectId }, { session });
+      // Delete group habit entries related to this habit
+      await groupHabitEntriesCollection.deleteMany({ habitId: habitObjectId }, { session });
+      // And the stats rolled up from them
+      await dailyStatsCollection(db).deleteMany({ habitId: habitObjectId }, { session });
+      // Delete the habit's feed items (check-ins, milestones) and their comments
+      const feedItemIds = await feedItemsCollection(db)
+        .find({ 'data.habitId': habitObjectId }, { projection: { _id: 1 }, session })
+        .map(item => item._id)
+        .toArray();
+      await feedCommentsCollection(db).deleteMany({ itemId: { $in: feedItemIds } }, { session });
+      await feedItemsCollection(db).deleteMany({ _id: { $in: feedItemIds } }, { session });
+
+      // Commit the transaction
+      await session.commitTransaction();
+
+    } catch (transactionError) {
+      // Abort the transaction on any error
+      await session.abortTransaction();
+      throw transactionError; // Re-throw to be caught by the main catch block
+    } finally {
+      session.endSession();
+    }
+
+    // The habit is deleted: answer now, so that the clean-up below can't report it as failed
+    res.status(200).json({ message: 'Habit and associated entries deleted successfully.' });
+
+    try {
+      // Nobody needs reminding of it anymore
+      await deleteReminders(db, { habitId: habitObjectId });
+
+      if (habitGroup) {
+        await publishGroupEvent(db, habitGroup._id, 'habit.deleted', { habitId: habitObjectId }, req.user._id);
+        notifyUsers(req, habitGroup.memberIds || [], 'habitDeleted', {
+          title: `Habit removed from ${habitGroup.name}`,
+          body: `${req.user.username} deleted "${habit.title}".`,
+          data: { groupId: habitGroup._id, habitId: habitObjectId },
+          url: `${appUrl}/groups/${habitGroup._id}`,
+        });
+      }
+    } catch (followUpError) {
+      console.error('Error cleaning up after deleting habit:', followUpError);
+    }
+
+  } catch (error) {
+    console.error('Error deleting habit:', error);
+    res.status(500).json({ message: 'Failed to delete habit.', error: error.message });
+  }
+});
+// --- End of API route to delete a single habit ---
+
+// --- API route for a user to join a group ---
+// Public groups can be joined directly, or asked to join when they require approval (202).
+// Private groups can only be joined with a pending invitation (or an invite code, see /api/invites/:code/accept).
+app.post('/api/groups/:groupId/join', requireVerifiedEmail, async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the group ID from the URL parameters; the user is always the authenticated caller
+  const groupId = req.params.groupId;
+  const userObjectId = req.user._id;
+
+  // Basic validation
+  if (!groupId) {
+    res.status(400).json({ message: 'Missing group ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert IDs to ObjectId
+    if (!ObjectId.isValid(groupId)) {
+        res.status(400).json({ message: 'Invalid group ID format.' });
+        return;
+    }
+    const groupObjectId = new ObjectId(groupId);
+
+    // Get the groups collection
+    const groupsCollection = db.collection('groups'); // *** Assuming collection name ***
+
+    // Find the group and check if the user is already a member
+    const group = await groupsCollection.findOne({ _id: groupObjectId });
+
+    if (!group) {
+      res.status(404).json({ message: 'Group not found.' });
+      return;
+    }
+
+    // Check if user is already a member
+    // Use equals() since includes() would compare ObjectId instances by reference
+    if (group.memberIds && group.memberIds.some(id => id.equals(userObjectId))) {
+       res.status(409).json({ message: 'User is already a member of this group.' });
+       return;
+    }
+
+    // Archived groups have nobody left in them and can't be joined
+    if (group.archivedAt) {
+      res.status(410).json({ message: 'This group has been archived.' });
+      return;
+    }
+
+    // Banned users can't rejoin until they are unbanned
+    if (isBanned(group, userObjectId)) {
+      forbidden(res, 'join this group');
+      return;
+    }
+
+    // Invited users join straight away; everyone else needs a public group
+    const invitation = await findPendingInvitation(db, groupObjectId, userObjectId);
+    if (!invitation) {
+      if (groupVisibility(group) === 'private') {
+        res.status(403).json({ message: 'This group is private. You need an invitation to join it.' });
+        return;
+      }
+      if (group.requiresApproval) {
+        try {
+          const joinRequest = await createJoinRequest(db, { groupId: groupObjectId, userId: userObjectId });
+          notifyUsers(req, groupManagerIds(group), 'joinRequest', {
+            title: `Join request for ${group.name}`,
+            body: `${req.user.username} asks to join the group "${group.name}".`,
+            data: { groupId: groupObjectId, requestId: joinRequest._id, userId: userObjectId },
+            url: `${appUrl}/groups/${groupObjectId}`,
+          });
+          res.status(202).json({ message: 'Join request sent. An owner or admin of the group has to approve it.', joinRequest });
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+          res.status(409).json({ message: 'You have already asked to join this group.' });
+        }
+        return;
+      }
+    }
+
+    // Add the user ID to the memberIds array (this also settles their invitation, if any)
+    const joined = await addGroupMember(db, groupObjectId, userObjectId);
+
+    if (joined) {
+      await publishGroupEvent(db, groupObjectId, 'member.joined', { userId: userObjectId, username: req.user.username }, userObjectId);
+      await addFeedItem(db, groupObjectId, 'memberJoined', userObjectId);
+      notifyMemberJoined(req, group, req.user.username);
+      res.status(200).json({ message: 'User successfully joined the group.' });
+    } else {
+      // Should not happen if group is found and user wasn't a member, but as a fallback
+       res.status(500).json({ message: 'Failed to add user to group member list.' });
+    }
+
+  } catch (error) {
+    console.error('Error joining group:', error);
+    res.status(500).json({ message: 'Failed to join group.', error: error.message });
+  }
+});
+// --- End of API route for joining a group ---
+
+// --- API route for a user to leave a group ---
+// When the owner leaves, ownership passes on automatically (see server/groups.js).
+app.post('/api/groups/:groupId/leave', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  // Get the group ID from the URL parameters; the user is always the authenticated caller
+  const groupId = req.params.groupId;
+  const userObjectId = req.user._id;
+
+  // Basic validation
+  if (!groupId) {
+    res.status(400).json({ message: 'Missing group ID in parameters.' });
+    return;
+  }
+
+  try {
+    // Validate and convert IDs to ObjectId
+    if (!ObjectId.isValid(groupId)) {
+        res.status(400).json({ message: 'Invalid group ID format.' });
+        return;
+    }
+    const groupObjectId = new ObjectId(groupId);
+
+    // Get the groups collection
+    const groupsCollection = db.collection('groups'); // *** Assuming collection name ***
+
+    // Find the group and check if the user is a member
+    const group = await groupsCollection.findOne({ _id: groupObjectId });
+
+    if (!group) {
+      res.status(404).json({ message: 'Group not found.' });
+      return;
+    }
+
+    // Check if user is NOT a member (cannot leave if not a member)
+    // Use toString() for comparison with ObjectIds in the array
+    if (!group.memberIds || !group.memberIds.map(id => id.toString()).includes(req.user.id)) {
+       res.status(409).json({ message: 'User is not a member of this group.' });
+       return;
+    }
+
+    // Remove the user ID from the memberIds array (and from adminIds, if they were an admin).
+    // An owner leaving hands the group over to the longest-standing admin or member; the last
+    // member leaving archives it.
+    const result = await leaveGroup(db, group, userObjectId);
+
+    if (result.left) {
+      await publishGroupEvent(db, groupObjectId, 'member.left', {
+        userId: userObjectId,
+        username: req.user.username,
+        newOwnerId: result.newOwnerId,
+        archived: result.archived,
+      }, userObjectId);
+      if (!result.archived) {
+        notifyUsers(req, groupManagerIds(group), 'memberLeft', {
+          title: `A member left ${group.name}`,
+          body: `${req.user.username} left the group "${group.name}".`,
+          data: { groupId: groupObjectId, userId: userObjectId },
+          url: `${appUrl}/groups/${groupObjectId}`,
+        });
+      }
+      if (result.newOwnerId) {
+        notifyUsers(req, [result.newOwnerId], 'ownershipTransferred', {
+          title: `You now own ${group.name}`,
+          body: `${req.user.username} left the group "${group.name}" and you are its new owner.`,
+          data: { groupId: groupObjectId },
+          url: `${appUrl}/groups/${groupObjectId}`,
+        });
+      }
+      res.status(200).json({ message: 'User successfully left the group.', newOwnerId: result.newOwnerId, archived: result.archived });
+    } else {
+      // Someone else joined or left at the same moment; leaving again will see the new member list
+       res.status(409).json({ message: 'The group changed while leaving it. Please try again.' });
+    }
+
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({ message: 'Failed to leave group.', error: error.message });
+  }
+});
+// --- End of API route for leaving a group ---
+
+// --- API route to change a member's role in a group (owner only) ---
+app.put('/api/groups/:groupId/members/:memberId/role', requireGroupRole('owner', 'change member roles in this group'), validateBody(requestSchemas.changeMemberRole), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Get the member ID from the URL parameters and the new role from the request body
+  const memberId = req.params.memberId;
+  const role = req.body.role;
+
+  // Only 'admin' and 'member' can be assigned (see requestSchemas.changeMemberRole); ownership is not transferred here
+
+  try {
+    // Validate and convert member ID to ObjectId
+    if (!ObjectId.isValid(memberId)) {
+        res.status(400).json({ message: 'Invalid member ID format.' });
+        return;
+    }
+    const memberObjectId = new ObjectId(memberId);
+
+    // The target must be a member, and the owner's own role can't be changed
+    const currentRole = getGroupRole(req.group, memberObjectId);
+    if (!currentRole) {
+      res.status(404).json({ message: 'User is not a member of this group.' });
+      return;
+    }
+    if (currentRole === 'owner') {
+      res.status(409).json({ message: "The owner's role cannot be changed." });
+      return;
+    }
+
+    // Promote with $addToSet, demote with $pull
+    const update = role === 'admin'
+      ? { $addToSet: { adminIds: memberObjectId } }
+      : { $pull: { adminIds: memberObjectId } };
+    await db.collection('groups').updateOne({ _id: req.group._id }, update);
+
+    res.status(200).json({ message: `Member role updated to ${role}.`, memberId: memberObjectId, role });
+
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({ message: 'Failed to update member role.', error: error.message });
+  }
+});
+// --- End of API route to change a member's role ---
+
+// Map of user id string -> username for a list of user ids
+async function loadUsernames(db, userIds) {
+  const users = await db.collection('users')
+    .find({ _id: { $in: userIds } }, { projection: { username: 1 } })
+    .toArray();
+  return new Map(users.map(user => [user._id.toString(), user.username]));
+}
+
+// Public link to an invite code in the client app
+function inviteLink(code) {
+  return `${appUrl}/invite/${encodeURIComponent(code)}`;
+}
+
+// Check that the caller may remove (or ban) a user from req.group: nobody can remove the owner or
+// themselves this way, and only the owner can remove admins.
+// Sends the error response and returns false when they can't.
+function checkCanModerate(req, res, targetId, action) {
+  const targetRole = getGroupRole(req.group, targetId);
+  if (targetId.equals(req.user._id)) {
+    res.status(409).json({ message: `You cannot ${action} yourself. Use /api/groups/:groupId/leave to leave the group.` });
+    return false;
+  }
+  if (targetRole === 'owner') {
+    res.status(409).json({ message: `The owner cannot be ${action === 'ban' ? 'banned' : 'removed'}.` });
+    return false;
+  }
+  if (targetRole === 'admin' && req.groupRole !== 'owner') {
+    forbidden(res, `${action} admins of this group`);
+    return false;
+  }
+  return true;
+}
+
+// --- API route to create an invite code for a group (owner and admins) ---
+app.post('/api/groups/:groupId/invites', requireGroupRole('admin', 'invite people to this group'), validateBody(requestSchemas.createInviteCode), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const inviteCode = await createInviteCode(db, {
+      groupId: req.group._id,
+      createdBy: req.user._id,
+      expiresInHours: req.body.expiresInHours,
+      maxUses: req.body.maxUses,
+    });
+
+    res.status(201).json({ message: 'Invite code created.', invite: { ...inviteCode, link: inviteLink(inviteCode.code) } });
+
+  } catch (error) {
+    console.error('Error creating invite code:', error);
+    res.status(500).json({ message: 'Failed to create invite code.', error: error.message });
+  }
+});
+// --- End of API route to create an invite code ---
+
+// --- API route to list a group's usable invite codes (owner and admins) ---
+app.get('/api/groups/:groupId/invites', requireGroupRole('admin', "view this group's invites"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const inviteCodes = await listInviteCodes(db, req.group._id);
+    res.status(200).json(inviteCodes.map(inviteCode => ({ ...inviteCode, link: inviteLink(inviteCode.code) })));
+
+  } catch (error) {
+    console.error('Error fetching invite codes:', error);
+    res.status(500).json({ message: 'Failed to fetch invite codes.', error: error.message });
+  }
+});
+// --- End of API route to list invite codes ---
+
+// --- API route to revoke an invite code (owner and admins) ---
+app.delete('/api/groups/:groupId/invites/:code', requireGroupRole('admin', "manage this group's invites"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const revoked = await revokeInviteCode(db, req.group._id, req.params.code);
+    if (!revoked) {
+      res.status(404).json({ message: 'Invite code not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Invite code revoked.' });
+
+  } catch (error) {
+    console.error('Error revoking invite code:', error);
+    res.status(500).json({ message: 'Failed to revoke invite code.', error: error.message });
+  }
+});
+// --- End of API route to revoke an invite code ---
+
+// --- API route to look up an invite code ---
+// Shows which group an invite link leads to before joining it.
+app.get('/api/invites/:code', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const inviteCode = await findInviteCode(db, req.params.code);
+    const group = inviteCode && await db.collection('groups').findOne({ _id: inviteCode.groupId });
+    if (!group) {
+      res.status(404).json({ message: 'Invite code not found or no longer valid.' });
+      return;
+    }
+
+    res.status(200).json({
+      code: inviteCode.code,
+      expiresAt: inviteCode.expiresAt,
+      group: {
+        _id: group._id,
+        name: group.name,
+        description: group.description,
+        memberCount: group.memberIds.length,
+      },
+      isMember: Boolean(getGroupRole(group, req.user._id)),
+    });
+
+  } catch (error) {
+    console.error('Error fetching invite code:', error);
+    res.status(500).json({ message: 'Failed to fetch invite code.', error: error.message });
+  }
+});
+// --- End of API route to look up an invite code ---
+
+// --- API route to join a group with an invite code ---
+// Invite codes let people into private groups and skip approval.
+app.post('/api/invites/:code/accept', requireVerifiedEmail, async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const inviteCode = await findInviteCode(db, req.params.code);
+    const group = inviteCode && await db.collection('groups').findOne({ _id: inviteCode.groupId });
+    if (!group || group.archivedAt) {
+      res.status(404).json({ message: 'Invite code not found or no longer valid.' });
+      return;
+    }
+    if (getGroupRole(group, req.user._id)) {
+      res.status(409).json({ message: 'User is already a member of this group.' });
+      return;
+    }
+    if (isBanned(group, req.user._id)) {
+      forbidden(res, 'join this group');
+      return;
+    }
+
+    // Count the use first so the use limit holds when many people join at once
+    const redeemed = await redeemInviteCode(db, inviteCode.code);
+    if (!redeemed) {
+      res.status(404).json({ message: 'Invite code not found or no longer valid.' });
+      return;
+    }
+    const joined = await addGroupMember(db, group._id, req.user._id);
+    if (!joined) {
+      await releaseInviteCode(db, redeemed);
+      res.status(409).json({ message: 'Could not join the group. You may already be a member.' });
+      return;
+    }
+
+    await publishGroupEvent(db, group._id, 'member.joined', { userId: req.user._id, username: req.user.username, via: 'inviteCode' }, req.user._id);
+    await addFeedItem(db, group._id, 'memberJoined', req.user._id);
+    notifyMemberJoined(req, group, req.user.username);
+
+    res.status(200).json({ message: 'User successfully joined the group.', groupId: group._id });
+
+  } catch (error) {
+    console.error('Error joining group with invite code:', error);
+    res.status(500).json({ message: 'Failed to join group.', error: error.message });
+  }
+});
+// --- End of API route to join a group with an invite code ---
+
+// --- API route to invite a user to a group by username or email (owner and admins) ---
+app.post('/api/groups/:groupId/invitations', requireGroupRole('admin', 'invite people to this group'), validateBody(requestSchemas.inviteUser), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const invitee = await db.collection('users').findOne(
+      req.body.username !== undefined ? { username: req.body.username } : { email: req.body.email },
+      { projection: { username: 1, email: 1 }, collation: USER_COLLATION }
+    );
+    if (!invitee) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+    if (getGroupRole(req.group, invitee._id)) {
+      res.status(409).json({ message: 'User is already a member of this group.' });
+      return;
+    }
+    if (isBanned(req.group, invitee._id)) {
+      res.status(409).json({ message: 'User is banned from this group. Unban them first.' });
+      return;
+    }
+
+    let invitation;
+    try {
+      invitation = await createInvitation(db, { groupId: req.group._id, userId: invitee._id, invitedBy: req.user._id });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      res.status(409).json({ message: 'User already has a pending invitation to this group.' });
+      return;
+    }
+
+    // Let the invitee know
+    sendInvitation(req, req.group, invitee, invitation);
+
+    res.status(201).json({ message: 'Invitation sent.', invitation: { ...invitation, username: invitee.username } });
+
+  } catch (error) {
+    console.error('Error inviting user to group:', error);
+    res.status(500).json({ message: 'Failed to invite user.', error: error.message });
+  }
+});
+// --- End of API route to invite a user to a group ---
+
+// --- API route to list a group's pending invitations (owner and admins) ---
+app.get('/api/groups/:groupId/invitations', requireGroupRole('admin', "view this group's invitations"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const invitations = await listPendingInvitations(db, { groupId: req.group._id });
+    const usernames = await loadUsernames(db, invitations.map(invitation => invitation.userId));
+
+    res.status(200).json(invitations.map(invitation => ({ ...invitation, username: usernames.get(invitation.userId.toString()) || null })));
+
+  } catch (error) {
+    console.error('Error fetching group invitations:', error);
+    res.status(500).json({ message: 'Failed to fetch group invitations.', error: error.message });
+  }
+});
+// --- End of API route to list a group's pending invitations ---
+
+// --- API route to revoke a pending invitation (owner and admins) ---
+app.delete('/api/groups/:groupId/invitations/:invitationId', requireGroupRole('admin', "manage this group's invitations"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const invitationId = req.params.invitationId;
+  if (!ObjectId.isValid(invitationId)) {
+    res.status(400).json({ message: 'Invalid invitation ID format.' });
+    return;
+  }
+
+  try {
+    const invitation = await settleInvitation(db, new ObjectId(invitationId), { groupId: req.group._id }, 'revoked');
+    if (!invitation) {
+      res.status(404).json({ message: 'Pending invitation not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Invitation revoked.' });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: 'Failed to revoke invitation.', error: error.message });
+  }
+});
+// --- End of API route to revoke a pending invitation ---
+
+// --- API route to list the invitations a user has received ---
+app.get('/api/users/:userId/invitations', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const invitations = await listPendingInvitations(db, { userId: req.user._id });
+
+    // Show which group each invitation is for and who sent it
+    const groups = await db.collection('groups')
+      .find({ _id: { $in: invitations.map(invitation => invitation.groupId) } }, { projection: { name: 1, description: 1 } })
+      .toArray();
+    const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+    const usernames = await loadUsernames(db, invitations.map(invitation => invitation.invitedBy));
+
+    res.status(200).json(invitations
+      .filter(invitation => groupsById.has(invitation.groupId.toString()))
+      .map(invitation => ({
+        ...invitation,
+        group: groupsById.get(invitation.groupId.toString()),
+        invitedByUsername: usernames.get(invitation.invitedBy.toString()) || null,
+      })));
+
+  } catch (error) {
+    console.error('Error fetching user invitations:', error);
+    res.status(500).json({ message: 'Failed to fetch invitations.', error: error.message });
+  }
+});
+// --- End of API route to list a user's invitations ---
+
+// --- API route to accept an invitation ---
+app.post('/api/invitations/:invitationId/accept', requireVerifiedEmail, async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const invitationId = req.params.invitationId;
+  if (!ObjectId.isValid(invitationId)) {
+    res.status(400).json({ message: 'Invalid invitation ID format.' });
+    return;
+  }
+
+  try {
+    const invitation = await settleInvitation(db, new ObjectId(invitationId), { userId: req.user._id }, 'accepted');
+    if (!invitation) {
+      res.status(404).json({ message: 'Pending invitation not found.' });
+      return;
+    }
+
+    const joined = await addGroupMember(db, invitation.groupId, req.user._id);
+    if (!joined) {
+      res.status(409).json({ message: 'Could not join the group. You may already be a member, or the group no longer exists.' });
+      return;
+    }
+
+    await publishGroupEvent(db, invitation.groupId, 'member.joined', { userId: req.user._id, username: req.user.username, via: 'invitation' }, req.user._id);
+    await addFeedItem(db, invitation.groupId, 'memberJoined', req.user._id);
+    notifyMemberJoined(req, await db.collection('groups').findOne({ _id: invitation.groupId }), req.user.username);
+
+    res.status(200).json({ message: 'User successfully joined the group.', groupId: invitation.groupId });
+
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ message: 'Failed to accept invitation.', error: error.message });
+  }
+});
+// --- End of API route to accept an invitation ---
+
+// --- API route to decline an invitation ---
+app.post('/api/invitations/:invitationId/decline', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const invitationId = req.params.invitationId;
+  if (!ObjectId.isValid(invitationId)) {
+    res.status(400).json({ message: 'Invalid invitation ID format.' });
+    return;
+  }
+
+  try {
+    const invitation = await settleInvitation(db, new ObjectId(invitationId), { userId: req.user._id }, 'declined');
+    if (!invitation) {
+      res.status(404).json({ message: 'Pending invitation not found.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Invitation declined.' });
+
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    res.status(500).json({ message: 'Failed to decline invitation.', error: error.message });
+  }
+});
+// --- End of API route to decline an invitation ---
+
+// --- API route to list a group's pending join requests (owner and admins) ---
+app.get('/api/groups/:groupId/joinRequests', requireGroupRole('admin', "view this group's join requests"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const joinRequests = await listPendingJoinRequests(db, { groupId: req.group._id });
+    const usernames = await loadUsernames(db, joinRequests.map(joinRequest => joinRequest.userId));
+
+    res.status(200).json(joinRequests.map(joinRequest => ({ ...joinRequest, username: usernames.get(joinRequest.userId.toString()) || null })));
+
+  } catch (error) {
+    console.error('Error fetching join requests:', error);
+    res.status(500).json({ message: 'Failed to fetch join requests.', error: error.message });
+  }
+});
+// --- End of API route to list a group's pending join requests ---
+
+// --- API route to approve or reject a join request (owner and admins) ---
+app.post('/api/groups/:groupId/joinRequests/:requestId/:decision', requireGroupRole('admin', "decide on this group's join requests"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const { requestId, decision } = req.params;
+  if (decision !== 'approve' && decision !== 'reject') {
+    res.status(404).json({ message: 'Unknown decision. Use approve or reject.' });
+    return;
+  }
+  if (!ObjectId.isValid(requestId)) {
+    res.status(400).json({ message: 'Invalid join request ID format.' });
+    return;
+  }
+
+  try {
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    const joinRequest = await settleJoinRequest(db, new ObjectId(requestId), { groupId: req.group._id }, status, req.user._id);
+    if (!joinRequest) {
+      res.status(404).json({ message: 'Pending join request not found.' });
+      return;
+    }
+
+    if (decision === 'approve') {
+      const joined = await addGroupMember(db, req.group._id, joinRequest.userId);
+      if (!joined) {
+        res.status(409).json({ message: 'Could not add the user. They may already be a member or be banned.' });
+        return;
+      }
+      await publishGroupEvent(db, req.group._id, 'member.joined', { userId: joinRequest.userId, via: 'joinRequest' }, req.user._id);
+      await addFeedItem(db, req.group._id, 'memberJoined', joinRequest.userId);
+      const usernames = await loadUsernames(db, [joinRequest.userId]);
+      notifyMemberJoined(req, req.group, usernames.get(joinRequest.userId.toString()) || 'A new member');
+    }
+    notifyUsers(req, [joinRequest.userId], 'joinRequestDecided', {
+      title: `Join request ${status}`,
+      body: decision === 'approve'
+        ? `You are now a member of the group "${req.group.name}".`
+        : `Your request to join the group "${req.group.name}" was declined.`,
+      data: { groupId: req.group._id, requestId: joinRequest._id, status },
+      url: decision === 'approve' ? `${appUrl}/groups/${req.group._id}` : null,
+    });
+
+    res.status(200).json({ message: `Join request ${status}.`, joinRequest });
+
+  } catch (error) {
+    console.error('Error deciding join request:', error);
+    res.status(500).json({ message: 'Failed to decide join request.', error: error.message });
+  }
+});
+// --- End of API route to approve or reject a join request ---
+
+// --- API route to list the join requests a user is waiting on ---
+app.get('/api/users/:userId/joinRequests', requireSelf(), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const joinRequests = await listPendingJoinRequests(db, { userId: req.user._id });
+    const groups = await db.collection('groups')
+      .find({ _id: { $in: joinRequests.map(joinRequest => joinRequest.groupId) } }, { projection: { name: 1 } })
+      .toArray();
+    const groupNames = new Map(groups.map(group => [group._id.toString(), group.name]));
+
+    res.status(200).json(joinRequests.map(joinRequest => ({ ...joinRequest, groupName: groupNames.get(joinRequest.groupId.toString()) || null })));
+
+  } catch (error) {
+    console.error('Error fetching user join requests:', error);
+    res.status(500).json({ message: 'Failed to fetch join requests.', error: error.message });
+  }
+});
+// --- End of API route to list a user's join requests ---
+
+// --- API route to cancel the caller's pending join request ---
+app.delete('/api/groups/:groupId/join', async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  // Check if the database connection is available
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  const groupId = req.params.groupId;
+  if (!ObjectId.isValid(groupId)) {
+    res.status(400).json({ message: 'Invalid group ID format.' });
+    return;
+  }
+
+  try {
+    const [joinRequest] = await listPendingJoinRequests(db, { groupId: new ObjectId(groupId), userId: req.user._id });
+    const cancelled = joinRequest && await settleJoinRequest(db, joinRequest._id, { userId: req.user._id }, 'cancelled', req.user._id);
+    if (!cancelled) {
+      res.status(404).json({ message: 'No pending join request for this group.' });
+      return;
+    }
+
+    res.status(200).json({ message: 'Join request cancelled.' });
+
+  } catch (error) {
+    console.error('Error cancelling join request:', error);
+    res.status(500).json({ message: 'Failed to cancel join request.', error: error.message });
+  }
+});
+// --- End of API route to cancel a join request ---
+
+// --- API route to remove a member from a group (owner and admins) ---
+// Removed members can join again the usual way; ban them to keep them out.
+app.delete('/api/groups/:groupId/members/:memberId', requireGroupRole('admin', 'remove members from this group'), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const memberId = req.params.memberId;
+  if (!ObjectId.isValid(memberId)) {
+    res.status(400).json({ message: 'Invalid member ID format.' });
+    return;
+  }
+  const memberObjectId = new ObjectId(memberId);
+
+  try {
+    if (!getGroupRole(req.group, memberObjectId)) {
+      res.status(404).json({ message: 'User is not a member of this group.' });
+      return;
+    }
+    if (!checkCanModerate(req, res, memberObjectId, 'remove')) {
+      return;
+    }
+
+    await removeGroupMember(db, req.group._id, memberObjectId);
+    await publishGroupEvent(db, req.group._id, 'member.removed', { userId: memberObjectId }, req.user._id);
+    notifyUsers(req, [memberObjectId], 'memberRemoved', {
+      title: `Removed from ${req.group.name}`,
+      body: `You were removed from the group "${req.group.name}".`,
+      data: { groupId: req.group._id, banned: false },
+    });
+
+    res.status(200).json({ message: 'Member removed from the group.', memberId: memberObjectId });
+
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    res.status(500).json({ message: 'Failed to remove member.', error: error.message });
+  }
+});
+// --- End of API route to remove a member from a group ---
+
+// --- API route to ban a user from a group (owner and admins) ---
+// Removes them if they are a member and stops them from rejoining.
+app.put('/api/groups/:groupId/bans/:userId', requireGroupRole('admin', 'ban users from this group'), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  const userId = req.params.userId;
+  if (!ObjectId.isValid(userId)) {
+    res.status(400).json({ message: 'Invalid user ID format.' });
+    return;
+  }
+  const userObjectId = new ObjectId(userId);
+
+  try {
+    if (!checkCanModerate(req, res, userObjectId, 'ban')) {
+      return;
+    }
+    const user = await db.collection('users').findOne({ _id: userObjectId }, { projection: { _id: 1 } });
+    if (!user) {
       res.status(404).json({ message: 'User not found.' });
+      return;
     }
 
+    await banGroupMember(db, req.group._id, userObjectId, req.user._id);
+    await publishGroupEvent(db, req.group._id, 'member.banned', { userId: userObjectId }, req.user._id);
+    if (getGroupRole(req.group, userObjectId)) {
+      notifyUsers(req, [userObjectId], 'memberRemoved', {
+        title: `Removed from ${req.group.name}`,
+        body: `You were removed from the group "${req.group.name}" and can't rejoin it.`,
+        data: { groupId: req.group._id, banned: true },
+      });
+    }
+
+    res.status(200).json({ message: 'User banned from the group.', userId: userObjectId });
+
   } catch (error) {
-    console.error('Error fetching user creation date:', error);
-    res.status(500).json({ message: 'Failed to fetch user creation date.', error: error.message });
+    console.error('Error banning user from group:', error);
+    res.status(500).json({ message: 'Failed to ban user.', error: error.message });
   }
 });
-// --- End of API route to get the account creation date ---
+// --- End of API route to ban a user from a group ---
 
-// --- API route to get a single user by ID ---
-app.get('/api/users/:userId', async (req, res) => {
+// --- API route to lift a ban (owner and admins) ---
+app.delete('/api/groups/:groupId/bans/:userId', requireGroupRole('admin', 'unban users from this group'), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
-  // Check if the database connection is available
-  if (!db) {
-    res.status(500).json({ message: 'Database not connected.' });
-    return;
-  }
-
-  // Get the user ID from the URL parameters
   const userId = req.params.userId;
-
-  // Basic validation
-  if (!userId) {
-    res.status(400).json({ message: 'Missing user ID in parameters.' });
+  if (!ObjectId.isValid(userId)) {
+    res.status(400).json({ message: 'Invalid user ID format.' });
     return;
   }
 
   try {
-    // Validate and convert user ID to ObjectId
-    if (!ObjectId.isValid(userId)) {
-        res.status(400).json({ message: 'Invalid user ID format.' });
-        return;
+    const unbanned = await unbanGroupMember(db, req.group._id, new ObjectId(userId));
+    if (!unbanned) {
+      res.status(404).json({ message: 'User is not banned from this group.' });
+      return;
     }
-    const userObjectId = new ObjectId(userId);
 
-    // Get the users collection
-    const usersCollection = db.collection('users'); // *** Assuming collection name ***
+    res.status(200).json({ message: 'User unbanned. They can join the group again.' });
 
-    // Find the user, excluding the password field for security
-    const user = await usersCollection.findOne(
-        { _id: userObjectId },
-        { projection: { password: 0 } } // Exclude password field
-    );
+  } catch (error) {
+    console.error('Error unbanning user:', error);
+    res.status(500).json({ message: 'Failed to unban user.', error: error.message });
+  }
+});
+// --- End of API route to lift a ban ---
 
-    if (user) {
-      // Return the user details
-      res.status(200).json(user);
-    } else {
-      // User not found
-      res.status(404).json({ message: 'User not found.' });
-    }
+// --- API route to list the users banned from a group (owner and admins) ---
+app.get('/api/groups/:groupId/bans', requireGroupRole('admin', "view this group's bans"), async (req, res) => {
+  // Get the database connection
+  const db = req.app.locals.db;
+
+  try {
+    const bannedIds = req.group.bannedIds || [];
+    const usernames = await loadUsernames(db, bannedIds);
+
+    res.status(200).json(bannedIds.map(id => ({ userId: id, username: usernames.get(id.toString()) || null })));
 
   } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ message: 'Failed to fetch user.', error: error.message });
+    console.error('Error fetching group bans:', error);
+    res.status(500).json({ message: 'Failed to fetch bans.', error: error.message });
   }
 });
-// --- End of API route to get a single user ---
+// --- End of API route to list a group's bans ---
 
-// --- API route to get a single group by ID ---
-app.get('/api/groups/:groupId', async (req, res) => {
+// --- API route to request a password reset email ---
+app.post('/api/auth/forgot-password', validateBody(requestSchemas.forgotPassword), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -1077,46 +5937,29 @@ app.get('/api/groups/:groupId', async (req, res) => {
     return;
   }
 
-  // Get the group ID from the URL parameters
-  const groupId = req.params.groupId;
-
-  // Basic validation
-  if (!groupId) {
-    res.status(400).json({ message: 'Missing group ID in parameters.' });
-    return;
-  }
+  // Get the email from the request body
+  const { email } = req.body;
 
   try {
-    // Validate and convert group ID to ObjectId
-    if (!ObjectId.isValid(groupId)) {
-        res.status(400).json({ message: 'Invalid group ID format.' });
-        return;
-    }
-    const groupObjectId = new ObjectId(groupId);
-
-    // Get the groups collection
-    const groupsCollection = db.collection('groups'); // *** Assuming collection name ***
-
-    // Find the group
-    const group = await groupsCollection.findOne({ _id: groupObjectId });
+    const user = await db.collection('users').findOne({ email: email }, { collation: USER_COLLATION });
 
-    if (group) {
-      // Return the group details
-      res.status(200).json(group);
-    } else {
-      // Group not found
-      res.status(404).json({ message: 'Group not found.' });
+    // Only send an email if the account exists, but answer the same way either way
+    // so this route can't be used to find out which emails are registered
+    if (user) {
+      await sendPasswordResetEmail(db, req.app.locals.mailer, user);
     }
 
+    res.status(200).json({ message: 'If an account with that email exists, a password reset link has been sent.' });
+
   } catch (error) {
-    console.error('Error fetching group:', error);
-    res.status(500).json({ message: 'Failed to fetch group.', error: error.message });
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ message: 'Failed to request password reset.', error: error.message });
   }
 });
-// --- End of API route to get a single group ---
+// --- End of API route to request a password reset email ---
 
-// --- API route to update a single habit by ID ---
-app.patch('/api/habits/:habitId', async (req, res) => {
+// --- API route to reset a password with a reset token ---
+app.post('/api/auth/reset-password', validateBody(requestSchemas.resetPassword), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -1126,62 +5969,44 @@ app.patch('/api/habits/:habitId', async (req, res) => {
     return;
   }
 
-  // Get the habit ID from the URL parameters
-  const habitId = req.params.habitId;
-  // Get the update data from the request body
-  const updateData = req.body;
-
-  // Basic validation
-  if (!habitId || !updateData || Object.keys(updateData).length === 0) {
-    res.status(400).json({ message: 'Missing habit ID in parameters or empty update data in body.' });
-    return;
-  }
+  // Get the token and the new password from the request body
+  const { token, password } = req.body;
 
   try {
-    // Validate and convert habit ID to ObjectId
-    if (!ObjectId.isValid(habitId)) {
-        res.status(400).json({ message: 'Invalid habit ID format.' });
-        return;
+    // Consume the token (single use, expiring)
+    const authToken = await consumeAuthToken(db, token, TOKEN_TYPES.PASSWORD_RESET);
+    if (!authToken) {
+      res.status(400).json({ message: 'Invalid or expired reset token.' });
+      return;
     }
-    const habitObjectId = new ObjectId(habitId);
-
-    // Get the habits collection
-    const habitsCollection = db.collection('habits'); // *** Assuming collection name ***
 
-    // Optional: Add authorization check here
-    // Ensure the user making the request has permission to update this habit (e.g., is the creator)
-    // const habit = await habitsCollection.findOne({ _id: habitObjectId });
-    // if (!habit || habit.createdBy.toString() !== req.user.id) { // Assuming user info is in req.user
-    //     res.status(403).json({ message: 'Not authorized to update this habit.' });
-    //     return;
-    // }
-
-    // Perform the update operation
-    // Use $set to update only the fields provided in updateData
-    const result = await habitsCollection.updateOne(
-        { _id: habitObjectId },
-        { $set: updateData }
+    // Hash and store the new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+    const result = await db.collection('users').updateOne(
+      { _id: authToken.userId },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date() } }
     );
 
     if (result.matchedCount === 0) {
-      res.status(404).json({ message: 'Habit not found.' });
-    } else if (result.modifiedCount === 0) {
-      res.status(200).json({ message: 'Habit found, but no changes were made (data was the same).' });
-    } else {
-      // Optionally fetch and return the updated document
-      const updatedHabit = await habitsCollection.findOne({ _id: habitObjectId });
-      res.status(200).json({ message: 'Habit updated successfully.', updatedHabit });
+      res.status(404).json({ message: 'User not found.' });
+      return;
     }
 
+    // Log out every device that was using the old password
+    await revokeAllSessions(db, authToken.userId, 'password_reset');
+
+    res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+
   } catch (error) {
-    console.error('Error updating habit:', error);
-    res.status(500).json({ message: 'Failed to update habit.', error: error.message });
+    console.error('Error resetting password:', error);
+    res.status(500).json({ message: 'Failed to reset password.', error: error.message });
   }
 });
-// --- End of API route to update a single habit ---
+// --- End of API route to reset a password ---
 
-// --- API route to delete a single habit by ID ---
-app.delete('/api/habits/:habitId', async (req, res) => {
+// --- API route to verify an email address with a verification token ---
+app.post('/api/auth/verify-email', validateBody(requestSchemas.verifyEmail), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -1191,79 +6016,38 @@ app.delete('/api/habits/:habitId', async (req, res) => {
     return;
   }
 
-  // Get the habit ID from the URL parameters
-  const habitId = req.params.habitId;
-
-  // Basic validation
-  if (!habitId) {
-    res.status(400).json({ message: 'Missing habit ID in parameters.' });
-    return;
-  }
+  // Get the token from the request body
+  const { token } = req.body;
 
   try {
-    // Validate and convert habit ID to ObjectId
-    if (!ObjectId.isValid(habitId)) {
-        res.status(400).json({ message: 'Invalid habit ID format.' });
-        return;
+    // Consume the token (single use, expiring)
+    const authToken = await consumeAuthToken(db, token, TOKEN_TYPES.EMAIL_VERIFICATION);
+    if (!authToken) {
+      res.status(400).json({ message: 'Invalid or expired verification token.' });
+      return;
     }
-    const habitObjectId = new ObjectId(habitId);
-
-    // Get the habits collection
-    const habitsCollection = db.collection('habits'); // *** Assuming collection name ***
-    // Get the userHabitEntries and groupHabitEntries collections
-    const userHabitEntriesCollection = db.collection('userHabitEntries'); // *** Assuming collection name ***
-    const groupHabitEntriesCollection = db.collection('groupHabitEntries'); // *** Assuming collection name ***
-
-    // Optional: Add authorization check here
-    // Ensure the user making the request has permission to delete this habit (e.g., is the creator)
-    // const habit = await habitsCollection.findOne({ _id: habitObjectId });
-    // if (!habit || habit.createdBy.toString() !== req.user.id) { // Assuming user info is in req.user
-    //     res.status(403).json({ message: 'Not authorized to delete this habit.' });
-    //     return;
-    // }
-
-    // Start a MongoDB session and transaction for atomicity
-    const session = client.startSession(); // Assuming 'client' is your MongoClient instance
-    session.startTransaction();
-
-    try {
-      // Delete the habit itself
-      const deleteHabitResult = await habitsCollection.deleteOne({ _id: habitObjectId }, { session });
-
-      if (deleteHabitResult.deletedCount === 0) {
-        // Habit not found, abort transaction
-        await session.abortTransaction();
-        res.status(404).json({ message: 'Habit not found.' });
-      } else {
-        // Habit deleted successfully, now delete associated entries
-        // Delete user habit entries related to this habit
-        await userHabitEntriesCollection.deleteMany({ habitId: habitObjectId }, { session });
-        // Delete group habit entries related to this habit
-        await groupHabitEntriesCollection.deleteMany({ habitId: habitObjectId }, { session });
 
-        // Commit the transaction
-        await session.commitTransaction();
-
-        res.status(200).json({ message: 'Habit and associated entries deleted successfully.' });
-      }
+    const result = await db.collection('users').updateOne(
+      { _id: authToken.userId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
 
-    } catch (transactionError) {
-      // Abort the transaction on any error
-      await session.abortTransaction();
-      throw transactionError; // Re-throw to be caught by the main catch block
-    } finally {
-      session.endSession();
+    if (result.matchedCount === 0) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
     }
 
+    res.status(200).json({ message: 'Email verified successfully.' });
+
   } catch (error) {
-    console.error('Error deleting habit:', error);
-    res.status(500).json({ message: 'Failed to delete habit.', error: error.message });
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Failed to verify email.', error: error.message });
   }
 });
-// --- End of API route to delete a single habit ---
+// --- End of API route to verify an email address ---
 
-// --- API route for a user to join a group ---
-app.post('/api/groups/:groupId/join', async (req, res) => {
+// --- API route to confirm an email change with the token sent to the new address ---
+app.post('/api/auth/confirm-email-change', validateBody(requestSchemas.confirmEmailChange), async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -1273,68 +6057,44 @@ app.post('/api/groups/:groupId/join', async (req, res) => {
     return;
   }
 
-  // Get the group ID from the URL parameters and user ID from the request body
-  const groupId = req.params.groupId;
-  const userId = req.body.userId; // Expecting userId in the request body
-
-  // Basic validation
-  if (!groupId || !userId) {
-    res.status(400).json({ message: 'Missing group ID in parameters or user ID in body.' });
-    return;
-  }
+  // Get the token from the request body
+  const { token } = req.body;
 
   try {
-    // Validate and convert IDs to ObjectId
-    if (!ObjectId.isValid(groupId)) {
-        res.status(400).json({ message: 'Invalid group ID format.' });
-        return;
-    }
-     if (!ObjectId.isValid(userId)) {
-        res.status(400).json({ message: 'Invalid user ID format.' });
-        return;
+    // Consume the token (single use, expiring)
+    const authToken = await consumeAuthToken(db, token, TOKEN_TYPES.EMAIL_CHANGE);
+    if (!authToken) {
+      res.status(400).json({ message: 'Invalid or expired confirmation token.' });
+      return;
     }
-    const groupObjectId = new ObjectId(groupId);
-    const userObjectId = new ObjectId(userId);
 
-    // Get the groups collection
-    const groupsCollection = db.collection('groups'); // *** Assuming collection name ***
-
-    // Find the group and check if the user is already a member
-    const group = await groupsCollection.findOne({ _id: groupObjectId });
+    // Opening the link proves the new address works, so it is verified as well
+    const result = await db.collection('users').updateOne(
+      { _id: authToken.userId, pendingEmail: authToken.email },
+      { $set: { email: authToken.email, emailVerified: true, emailVerifiedAt: new Date() }, $unset: { pendingEmail: '' } }
+    );
 
-    if (!group) {
-      res.status(404).json({ message: 'Group not found.' });
+    if (result.matchedCount === 0) {
+      res.status(404).json({ message: 'No email change is waiting for this link.' });
       return;
     }
 
-    // Check if user is already a member
-    if (group.memberIds && group.memberIds.includes(userObjectId)) {
-       res.status(409).json({ message: 'User is already a member of this group.' });
-       return;
-    }
-
-    // Add the user ID to the memberIds array
-    const result = await groupsCollection.updateOne(
-      { _id: groupObjectId },
-      { $push: { memberIds: userObjectId } }
-    );
+    res.status(200).json({ message: 'Email address changed.', email: authToken.email });
 
-    if (result.modifiedCount === 1) {
-      res.status(200).json({ message: 'User successfully joined the group.' });
+  } catch (error) {
+    console.error('Error confirming email change:', error);
+    // Someone else took the address after the change was requested
+    if (error.code === 11000) {
+      res.status(409).json({ message: 'User with that email already exists.' });
     } else {
-      // Should not happen if group is found and user wasn't a member, but as a fallback
-       res.status(500).json({ message: 'Failed to add user to group member list.' });
+      res.status(500).json({ message: 'Failed to confirm email change.', error: error.message });
     }
-
-  } catch (error) {
-    console.error('Error joining group:', error);
-    res.status(500).json({ message: 'Failed to join group.', error: error.message });
   }
 });
-// --- End of API route for joining a group ---
+// --- End of API route to confirm an email change ---
 
-// --- API route for a user to leave a group ---
-app.post('/api/groups/:groupId/leave', async (req, res) => {
+// --- API route to resend the verification email to the caller ---
+app.post('/api/auth/resend-verification', async (req, res) => {
   // Get the database connection
   const db = req.app.locals.db;
 
@@ -1344,72 +6104,28 @@ app.post('/api/groups/:groupId/leave', async (req, res) => {
     return;
   }
 
-  // Get the group ID from the URL parameters and user ID from the request body
-  const groupId = req.params.groupId;
-  const userId = req.body.userId; // Expecting userId in the request body
-
-  // Basic validation
-  if (!groupId || !userId) {
-    res.status(400).json({ message: 'Missing group ID in parameters or user ID in body.' });
-    return;
-  }
-
   try {
-    // Validate and convert IDs to ObjectId
-    if (!ObjectId.isValid(groupId)) {
-        res.status(400).json({ message: 'Invalid group ID format.' });
-        return;
-    }
-     if (!ObjectId.isValid(userId)) {
-        res.status(400).json({ message: 'Invalid user ID format.' });
-        return;
-    }
-    const groupObjectId = new ObjectId(groupId);
-    const userObjectId = new ObjectId(userId);
-
-    // Get the groups collection
-    const groupsCollection = db.collection('groups'); // *** Assuming collection name ***
-
-    // Find the group and check if the user is a member
-    const group = await groupsCollection.findOne({ _id: groupObjectId });
+    const user = await db.collection('users').findOne({ _id: req.user._id }, { projection: { password: 0 } });
 
-    if (!group) {
-      res.status(404).json({ message: 'Group not found.' });
+    if (!user) {
+      res.status(404).json({ message: 'User not found.' });
       return;
     }
-
-    // Check if user is NOT a member (cannot leave if not a member)
-    // Use toString() for comparison with ObjectIds in the array
-    if (!group.memberIds || !group.memberIds.map(id => id.toString()).includes(userId)) {
-       res.status(409).json({ message: 'User is not a member of this group.' });
-       return;
+    if (user.emailVerified !== false) {
+      res.status(409).json({ message: 'Email is already verified.' });
+      return;
     }
 
-    // Remove the user ID from the memberIds array
-    const result = await groupsCollection.updateOne(
-      { _id: groupObjectId },
-      { $pull: { memberIds: userObjectId } }
-    );
+    await sendVerificationEmail(db, req.app.locals.mailer, user);
 
-    if (result.modifiedCount === 1) {
-      res.status(200).json({ message: 'User successfully left the group.' });
-    } else {
-      // Should not happen if user was a member, but as a fallback
-       res.status(500).json({ message: 'Failed to remove user from group member list.' });
-    }
+    res.status(200).json({ message: 'Verification email sent.' });
 
   } catch (error) {
-    console.error('Error leaving group:', error);
-    res.status(500).json({ message: 'Failed to leave group.', error: error.message });
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Failed to resend verification email.', error: error.message });
   }
 });
-// --- End of API route for leaving a group ---
-
-// --- Password Reset Flow (More complex - requires email service) ---
-// POST /api/auth/forgot-password - Initiates reset (sends email with token)
-
-// --- Email Verification Flow (More complex - requires email service) ---
-// POST /api/auth/verify-email - Verifies email using a token sent after signup
+// --- End of API route to resend the verification email ---
 
 
 // --- Async function to connect to DB and start server ---
@@ -1429,6 +6145,45 @@ async function startServer() {
     app.locals.db = database;
     console.log(`Connected to database: ${database.databaseName}`);
 
+    // Make sure the indexes the app relies on exist
+    await ensureCollectionValidators(database);
+    await ensureUserIndexes(database);
+    await ensureSessionIndexes(database);
+    await ensureAuthTokenIndexes(database);
+    await ensureEntryIndexes(database);
+    await ensureCheckInIndexes(database);
+    await ensureIdempotencyIndexes(database);
+    await ensureInvitationIndexes(database);
+    await ensureGroupVisibility(database);
+    await ensureChallengeIndexes(database);
+    await ensureEventIndexes(database);
+    await ensureFeedIndexes(database);
+    await ensureNotificationIndexes(database);
+    await ensureReminderIndexes(database);
+    await ensurePushIndexes(database);
+    await ensureAchievementIndexes(database);
+    await ensureStatsIndexes(database);
+    await ensureExportIndexes(database);
+    await ensureCalendarFeedIndexes(database);
+    await ensureAccountDeletionIndexes(database);
+
+    // Send habit reminders and nudges in the background
+    app.locals.reminderScheduler = createReminderScheduler(database, { mailer: app.locals.mailer, appUrl });
+    app.locals.reminderScheduler.start();
+    // Build large data exports in the background
+    app.locals.exportWorker = createExportWorker(database, { mailer: app.locals.mailer, apiUrl, secret: jwtSecret });
+    app.locals.exportWorker.start();
+    // Erase accounts whose deletion grace period is over
+    app.locals.accountDeletionWorker = createAccountDeletionWorker(client, database, { mailer: app.locals.mailer, appUrl });
+    app.locals.accountDeletionWorker.start();
+
+    // Roll up the entries written before daily stats existed (once), then award badges for
+    // entries written before they existed (once per set of badges), which are checked from the rollups
+    backfillDailyStats(database)
+      .catch(error => console.error('Error backfilling daily stats:', error))
+      .then(() => backfillAchievements(database))
+      .catch(error => console.error('Error backfilling achievements:', error));
+
 
     // --- Start the Express server ONLY after the DB connection is successful ---
     app.listen(port, () => {
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { sameId } = require('./authorization');
+const { notify } = require('./channels');
+const { publishGroupEvent } = require('./events');
+const { deleteExportFiles } = require('./exports');
+const { successorOf } = require('./groups');
+
+// Account deletion.
+//
+// Deleting an account is scheduled first: users.deletion holds { auditId, requestedAt,
+// scheduledFor, startedAt } and the user can cancel it until scheduledFor, ACCOUNT_DELETION_GRACE_DAYS
+// later. Then the worker erases the account in one transaction:
+//   - deleted: the user, their personal habits (with everyone's entries, reminders and stats for
+//     them), their userHabitEntries, group check-ins nobody else is left in, feed items about them
+//     and their comments, reactions, badges, daily stats, reminders, reminder jobs, notifications,
+//     push subscriptions, sessions, auth tokens, idempotency keys, invitations and join requests
+//     for them, export jobs (their files go right after) and, with the user, the calendar feed
+//   - taken out of: every group's memberIds, adminIds and bannedIds, checkedBy, notes and values
+//     of group entries and the participants of challenges. Groups they own pass to the next
+//     owner (see server/groups.js) or are archived when nobody else is in them.
+//   - pseudonymized: everything else that points at them (createdBy of group habits, challenges
+//     and invite codes, who invited or let someone in, group events, challenge results, others'
+//     notifications about them) points at a new random id instead, which is stored nowhere.
+// Every deletion leaves a record in accountDeletions with a hash of the user id, its dates and
+// what was erased, and nothing else about the user.
+
+const ACCOUNT_DELETION_GRACE_DAYS = 14;
+const TICK_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 20;
+// An erasure running for longer than this was lost with its server and is tried again
+const ERASE_LOCK_MS = 30 * 60 * 1000;
+
+function accountDeletionsCollection(db) {
+  return db.collection('accountDeletions');
+}
+
+// Create the indexes account deletion relies on (called once at startup)
+async function ensureAccountDeletionIndexes(db) {
+  await db.collection('users').createIndex({ 'deletion.scheduledFor': 1 }, { sparse: true });
+  await accountDeletionsCollection(db).createIndex({ userIdHash: 1 });
+}
+
+// The user id as the audit record keeps it
+function userIdHash(userId) {
+  return crypto.createHash('sha256').update(userId.toString()).digest('hex');
+}
+
+// Schedule a user's account for deletion. Returns the user's deletion, or null if one was already
+// scheduled.
+async function scheduleAccountDeletion(db, userId, now = new Date()) {
+  const deletion = {
+    auditId: new ObjectId(),
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+    startedAt: null,
+  };
+  const result = await db.collection('users').updateOne(
+    { _id: userId, deletion: { $exists: false } },
+    { $set: { deletion } }
+  );
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+  await accountDeletionsCollection(db).insertOne({
+    _id: deletion.auditId,
+    userIdHash: userIdHash(userId),
+    status: 'scheduled',
+    requestedAt: deletion.requestedAt,
+    scheduledFor: deletion.scheduledFor,
+  });
+  return deletion;
+}
+
+// Cancel a scheduled deletion that hasn't started yet. Returns true if there was one.
+async function cancelAccountDeletion(db, userId) {
+  const user = await db.collection('users').findOneAndUpdate(
+    { _id: userId, deletion: { $exists: true }, 'deletion.startedAt': null },
+    { $unset: { deletion: '' } },
+    { projection: { deletion: 1 } }
+  );
+  if (!user) {
+    return false;
+  }
+  await accountDeletionsCollection(db).updateOne(
+    { _id: user.deletion.auditId },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } }
+  );
+  return true;
+}
+
+// Take the user out of the groups they are in, owned or were banned from. Returns the groups
+// that passed to a new owner and the ones archived.
+async function leaveAllGroups(db, userId, pseudonymId, session) {
+  const groupsCollection = db.collection('groups');
+  const groups = await groupsCollection.find(
+    { $or: [{ memberIds: userId }, { ownerId: userId }, { adminIds: userId }, { bannedIds: userId }] },
+    { session }
+  ).toArray();
+
+  const transferred = [];
+  const archived = [];
+  for (const group of groups) {
+    if (!sameId(group.ownerId, userId)) {
+      await groupsCollection.updateOne(
+        { _id: group._id },
+        { $pull: { memberIds: userId, adminIds: userId, bannedIds: userId } },
+        { session }
+      );
+      continue;
+    }
+    const newOwnerId = successorOf(group, userId);
+    if (newOwnerId) {
+      await groupsCollection.updateOne(
+        { _id: group._id },
+        {
+          $set: { ownerId: newOwnerId, updatedAt: new Date() },
+          $pull: { memberIds: userId, adminIds: { $in: [userId, newOwnerId] }, bannedIds: userId },
+        },
+        { session }
+      );
+      transferred.push({ group, newOwnerId });
+    } else {
+      // Archived groups keep their history, under an owner that no longer exists
+      await groupsCollection.updateOne(
+        { _id: group._id },
+        {
+          $set: { ownerId: pseudonymId, memberIds: [], adminIds: [], archivedAt: group.archivedAt || new Date(), updatedAt: new Date() },
+          $pull: { bannedIds: userId },
+        },
+        { session }
+      );
+      archived.push({ group });
+    }
+  }
+  return { transferred, archived };
+}
+
+// Erase a user's account in one transaction (see the top of this file). client is the
+// MongoClient, for the session. Returns the audit record, or null if the user doesn't exist.
+// options: { mailer, appUrl } for telling new group owners
+async function eraseAccount(client, db, userId, { mailer = null, appUrl = '' } = {}) {
+  const user = await db.collection('users').findOne({ _id: userId }, { projection: { deletion: 1 } });
+  if (!user) {
+    return null;
+  }
+  const key = userId.toString();
+  const pseudonymId = new ObjectId();
+  const erased = {};
+  let groups;
+  let exportFileIds;
+  let audit;
+
+  const session = client.startSession();
+  session.startTransaction();
+
+  try {
+    const options = { session };
+    const personalHabitIds = await db.collection('habits')
+      .find({ 'assignedTo.type': 'user', 'assignedTo.id': userId }, { projection: { _id: 1 }, session })
+      .map(habit => habit._id)
+      .toArray();
+
+    // Habits and entries
+    erased.habits = (await db.collection('habits').deleteMany({ _id: { $in: personalHabitIds } }, options)).deletedCount;
+    await db.collection('habits').updateMany({ createdBy: userId }, { $set: { createdBy: pseudonymId } }, options);
+    erased.userHabitEntries = (await db.collection('userHabitEntries').deleteMany(
+      { $or: [{ userId }, { habitId: { $in: personalHabitIds } }] },
+      options
+    )).deletedCount;
+
+    const groupEntryFilter = { $or: [{ checkedBy: userId }, { [`notes.${key}`]: { $exists: true } }, { [`values.${key}`]: { $exists: true } }] };
+    const groupEntryIds = await db.collection('groupHabitEntries')
+      .find(groupEntryFilter, { projection: { _id: 1 }, session })
+      .map(entry => entry._id)
+      .toArray();
+    await db.collection('groupHabitEntries').updateMany(
+      { _id: { $in: groupEntryIds } },
+      { $pull: { checkedBy: userId }, $unset: { [`notes.${key}`]: '', [`values.${key}`]: '' } },
+      options
+    );
+    erased.groupCheckIns = groupEntryIds.length;
+    // A day's entry only they had checked in to is gone with them
+    await db.collection('groupHabitEntries').deleteMany({ _id: { $in: groupEntryIds }, checkedBy: { $size: 0 } }, options);
+
+    // Groups
+    groups = await leaveAllGroups(db, userId, pseudonymId, session);
+    await db.collection('groupChallenges').updateMany({ participantIds: userId }, { $pull: { participantIds: userId } }, options);
+    await db.collection('groupChallenges').updateMany({ createdBy: userId }, { $set: { createdBy: pseudonymId } }, options);
+    await db.collection('groupChallenges').updateMany(
+      { 'results.standings.userId': userId },
+      { $set: { 'results.standings.$[row].userId': pseudonymId, 'results.standings.$[row].username': null } },
+      { session, arrayFilters: [{ 'row.userId': userId }] }
+    );
+    await db.collection('groupChallenges').updateMany(
+      { 'results.winnerIds': userId },
+      { $set: { 'results.winnerIds.$[winner]': pseudonymId } },
+      { session, arrayFilters: [{ winner: userId }] }
+    );
+    erased.invitations = (await db.collection('groupInvitations').deleteMany({ userId }, options)).deletedCount;
+    await db.collection('groupInvitations').updateMany({ invitedBy: userId }, { $set: { invitedBy: pseudonymId } }, options);
+    erased.joinRequests = (await db.collection('groupJoinRequests').deleteMany({ userId }, options)).deletedCount;
+    await db.collection('groupJoinRequests').updateMany({ decidedBy: userId }, { $set: { decidedBy: pseudonymId } }, options);
+    await db.collection('groupInviteCodes').updateMany({ createdBy: userId }, { $set: { createdBy: pseudonymId } }, options);
+    await db.collection('groupEvents').updateMany({ actorId: userId }, { $set: { actorId: pseudonymId } }, options);
+    await db.collection('groupEvents').updateMany({ 'data.userId': userId }, { $set: { 'data.userId': pseudonymId, 'data.username': null } }, options);
+
+    // Feed: items about them with their comments, their comments and reactions elsewhere
+    const feedItemIds = await db.collection('feedItems')
+      .find({ actorId: userId }, { projection: { _id: 1 }, session })
+      .map(item => item._id)
+      .toArray();
+    await db.collection('feedComments').deleteMany({ itemId: { $in: feedItemIds } }, options);
+    erased.feedItems = (await db.collection('feedItems').deleteMany({ _id: { $in: feedItemIds } }, options)).deletedCount;
+    const comments = await db.collection('feedComments')
+      .aggregate([{ $match: { authorId: userId } }, { $group: { _id: '$itemId', count: { $sum: 1 } } }], { session })
+      .toArray();
+    for (const { _id: itemId, count } of comments) {
+      await db.collection('feedItems').updateOne({ _id: itemId }, { $inc: { commentCount: -count } }, options);
+    }
+    erased.feedComments = (await db.collection('feedComments').deleteMany({ authorId: userId }, options)).deletedCount;
+    await db.collection('feedItems').updateMany({ 'reactions.userId': userId }, { $pull: { reactions: { userId } } }, options);
+
+    // Everything else that was theirs
+    erased.dailyStats = (await db.collection('userDailyStats').deleteMany({ $or: [{ userId }, { habitId: { $in: personalHabitIds } }] }, options)).deletedCount;
+    erased.achievements = (await db.collection('userAchievements').deleteMany({ userId }, options)).deletedCount;
+    erased.reminders = (await db.collection('habitReminders').deleteMany({ $or: [{ userId }, { habitId: { $in: personalHabitIds } }] }, options)).deletedCount;
+    // Nudges they sent go too; their job keys have the user's id in them
+    await db.collection('reminderJobs').deleteMany(
+      { $or: [{ userId }, { habitId: { $in: personalHabitIds } }, { fromUserId: userId }] },
+      options
+    );
+    erased.notifications = (await db.collection('notifications').deleteMany({ userId }, options)).deletedCount;
+    await db.collection('notifications').updateMany({ 'data.userId': userId }, { $set: { 'data.userId': pseudonymId } }, options);
+    await db.collection('notifications').updateMany({ 'data.fromUserId': userId }, { $set: { 'data.fromUserId': pseudonymId } }, options);
+    await db.collection('pushSubscriptions').deleteMany({ userId }, options);
+    await db.collection('sessions').deleteMany({ userId }, options);
+    await db.collection('authTokens').deleteMany({ userId }, options);
+    await db.collection('idempotencyKeys').deleteMany({ userId }, options);
+    exportFileIds = await db.collection('exportJobs')
+      .find({ userId, fileId: { $exists: true } }, { projection: { fileId: 1 }, session })
+      .map(job => job.fileId)
+      .toArray();
+    erased.exports = (await db.collection('exportJobs').deleteMany({ userId }, options)).deletedCount;
+    await db.collection('users').deleteOne({ _id: userId }, options);
+
+    audit = {
+      _id: (user.deletion && user.deletion.auditId) || new ObjectId(),
+      userIdHash: userIdHash(userId),
+      status: 'completed',
+      requestedAt: user.deletion ? user.deletion.requestedAt : new Date(),
+      scheduledFor: user.deletion ? user.deletion.scheduledFor : new Date(),
+      erasedAt: new Date(),
+      erased,
+      groupsTransferred: groups.transferred.map(({ group }) => group._id),
+      groupsArchived: groups.archived.map(({ group }) => group._id),
+    };
+    await accountDeletionsCollection(db).replaceOne({ _id: audit._id }, audit, { session, upsert: true });
+
+    await session.commitTransaction();
+
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // The account is erased; what follows can only be logged if it fails, not undone
+  try {
+    // Files aren't part of the transaction; their jobs are gone, so nothing points at them anymore
+    await deleteExportFiles(db, exportFileIds);
+
+    // Let the groups know; whoever took over a group is told
+    for (const { group, newOwnerId } of groups.transferred) {
+      await publishGroupEvent(db, group._id, 'member.left', { userId: pseudonymId, username: null, newOwnerId, archived: false }, null);
+      await notify({ db, mailer }, [newOwnerId], 'ownershipTransferred', {
+        title: `You now own ${group.name}`,
+        body: `The owner of the group "${group.name}" deleted their account and you are its new owner.`,
+        data: { groupId: group._id },
+        url: `${appUrl}/groups/${group._id}`,
+      });
+    }
+    for (const { group } of groups.archived) {
+      await publishGroupEvent(db, group._id, 'member.left', { userId: pseudonymId, username: null, newOwnerId: null, archived: true }, null);
+    }
+  } catch (error) {
+    console.error('Error cleaning up after erasing an account:', error);
+  }
+  return audit;
+}
+
+// The background worker: every tick it erases the accounts whose grace period is over.
+// A failed erasure is rolled back and tried again on a later tick.
+// options: { mailer, appUrl, intervalMs }
+function createAccountDeletionWorker(client, db, { mailer = null, appUrl = '', intervalMs = TICK_MS } = {}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) {
+      return; // The previous tick is still busy
+    }
+    running = true;
+    try {
+      const now = new Date();
+      const due = {
+        'deletion.scheduledFor': { $lte: now },
+        $or: [{ 'deletion.startedAt': null }, { 'deletion.startedAt': { $lt: new Date(now.getTime() - ERASE_LOCK_MS) } }],
+      };
+      const users = await db.collection('users').find(due, { projection: { _id: 1 } }).limit(BATCH_SIZE).toArray();
+      for (const user of users) {
+        // Claim the user, so that cancelling and other servers leave it alone
+        const claim = await db.collection('users').updateOne({ _id: user._id, ...due }, { $set: { 'deletion.startedAt': new Date() } });
+        if (claim.modifiedCount === 0) {
+          continue;
+        }
+        try {
+          await eraseAccount(client, db, user._id, { mailer, appUrl });
+        } catch (error) {
+          console.error(`Error erasing account ${user._id}:`, error);
+          await db.collection('users').updateOne({ _id: user._id }, { $set: { 'deletion.startedAt': null } });
+        }
+      }
+    } catch (error) {
+      console.error('Error running account deletion worker:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, intervalMs);
+        timer.unref(); // Don't keep the process alive just for deletions
+        tick();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    tick,
+  };
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  cancelAccountDeletion,
+  createAccountDeletionWorker,
+  ensureAccountDeletionIndexes,
+  eraseAccount,
+  scheduleAccountDeletion,
+};
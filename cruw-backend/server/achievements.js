@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { addDays, daysInMonth, startOfMonth, startOfWeek, todayKey } = require('./dates');
+const { buildCompletionCalendar, calendarHabits, calendarParticipant } = require('./calendar');
+const { findUserHabits } = require('./entries');
+const { getHabitSchedule } = require('./schedule');
+const { dailyStatsCollection } = require('./stats');
+const { computeOverallStreak } = require('./streaks');
+const { timeZoneOf } = require('./timezones');
+
+// Achievements (badges).
+//
+// Badges are data: each one names a rule type and its settings, e.g.
+//   { id: 'streak30', name: '30-day streak', ..., rule: { type: 'streak', target: 30 } }
+// so a new badge is one more entry in ACHIEVEMENTS. A rule type is a function
+// (rule, facts) -> { current, target, context } where facts is everything we know about the
+// user's habits (see loadFacts) and the badge is earned once current reaches target. context is
+// stored with the badge (e.g. which group and week it was earned in). More rule types can be
+// added with registerAchievementRule().
+//
+// Badges are checked when entries are written and, for entries written before a badge existed,
+// by backfillAchievements(), which goes through every user once per version of the catalog.
+// Checks read the user's daily rollups (see server/stats.js), never their entries, so the
+// rollups of an entry must be refreshed before its badges are checked.
+// Earned badges are kept in userAchievements: { userId, achievementId, earnedAt, context }.
+// They are never taken back, even if the entries that earned them are undone later.
+
+const BACKFILL_BATCH_SIZE = 100;
+
+const ACHIEVEMENTS = [
+  { id: 'firstCheckIn', name: 'First check-in', description: 'Complete a habit for the first time.', icon: '✅', rule: { type: 'completions', target: 1 } },
+  { id: 'completions100', name: 'Century', description: 'Complete habits 100 times.', icon: '💯', rule: { type: 'completions', target: 100 } },
+  { id: 'streak7', name: '7-day streak', description: 'Complete something every day it was due for 7 days in a row.', icon: '🔥', rule: { type: 'streak', target: 7 } },
+  { id: 'streak30', name: '30-day streak', description: 'Complete something every day it was due for 30 days in a row.', icon: '🔥', rule: { type: 'streak', target: 30 } },
+  { id: 'streak100', name: '100-day streak', description: 'Complete something every day it was due for 100 days in a row.', icon: '🏆', rule: { type: 'streak', target: 100 } },
+  { id: 'perfectGroupWeek', name: 'Perfect week', description: "Do everything that was due in one of your groups for a whole week, Monday to Sunday.", icon: '🤝', rule: { type: 'perfectPeriod', period: 'week', scope: 'group' } },
+  { id: 'perfectMonth', name: 'Perfect month', description: 'Log every habit you track whenever it was due for a whole calendar month.', icon: '📅', rule: { type: 'perfectPeriod', period: 'month', scope: 'all' } },
+];
+
+// The first day of the week or month a date is in, and the last
+function periodBounds(period, dateKey) {
+  if (period === 'week') {
+    const start = startOfWeek(dateKey);
+    return { from: start, to: addDays(start, 6) };
+  }
+  const start = startOfMonth(dateKey);
+  return { from: start, to: addDays(start, daysInMonth(dateKey) - 1) };
+}
+
+// Was everything due done on every day of a range? Frozen days are let off; the range must have
+// had something due at all.
+function isPerfectRange(range, habits, facts) {
+  const days = buildCompletionCalendar(range.from, range.to, habits, [facts.participant]);
+  const dueDays = days.filter(day => day.total > 0 && !facts.frozenDates.has(day.date));
+  return dueDays.length > 0 && dueDays.every(day => day.completed >= day.total);
+}
+
+const rules = {
+  // Total completed occurrences of all habits: { target }
+  completions(rule, facts) {
+    let current = 0;
+    facts.participant.completedDates.forEach(dates => {
+      current += dates.size;
+    });
+    return { current, target: rule.target, context: null };
+  },
+
+  // Longest overall streak in days (see computeOverallStreak): { target }
+  streak(rule, facts) {
+    const streak = computeOverallStreak(facts.streakHabits, { asOf: facts.today, frozenDates: facts.frozenDates });
+    return {
+      current: streak.longestStreak,
+      target: rule.target,
+      context: streak.longestStreak >= rule.target ? { from: streak.longestStreakStart, to: streak.longestStreakEnd } : null,
+    };
+  },
+
+  // A whole week or month, already over, where everything due was done:
+  // { period: 'week' | 'month', scope: 'group' (the habits of one group) | 'all' (every habit) }
+  perfectPeriod(rule, facts) {
+    const habitSets = rule.scope === 'group'
+      ? Array.from(facts.groupHabits.values())
+      : [{ groupId: null, habits: facts.habits }];
+
+    for (const { groupId, habits } of habitSets) {
+      // Only periods with a completion of these habits can be perfect; look at the earliest first
+      const starts = new Set();
+      habits.forEach(habit => (facts.participant.completedDates.get(habit.id) || new Set()).forEach(dateKey => {
+        starts.add(periodBounds(rule.period, dateKey).from);
+      }));
+      for (const start of Array.from(starts).sort()) {
+        const range = periodBounds(rule.period, start);
+        if (range.to < facts.today && isPerfectRange(range, habits, facts)) {
+          return { current: 1, target: 1, context: { groupId, ...range } };
+        }
+      }
+    }
+    return { current: 0, target: 1, context: null };
+  },
+};
+
+// Make another rule type available to badges (e.g. registerAchievementRule('groupsJoined', countGroups))
+function registerAchievementRule(type, evaluate) {
+  rules[type] = evaluate;
+}
+
+function userAchievementsCollection(db) {
+  return db.collection('userAchievements');
+}
+
+function achievementBackfillsCollection(db) {
+  return db.collection('achievementBackfills');
+}
+
+// Create the indexes the userAchievements collection relies on (called once at startup)
+async function ensureAchievementIndexes(db) {
+  await userAchievementsCollection(db).createIndex({ userId: 1, achievementId: 1 }, { unique: true });
+}
+
+// Identifies this set of badges: it changes whenever a badge is added or changed, which makes
+// backfillAchievements() run again
+function catalogVersion() {
+  return crypto.createHash('sha256').update(JSON.stringify(ACHIEVEMENTS)).digest('hex').slice(0, 16);
+}
+
+// Everything the rules look at, loaded once per check: all of the user's habits and their
+// completions, from the daily rollups
+async function loadFacts(db, userId) {
+  const user = await db.collection('users').findOne({ _id: userId }, { projection: { timezone: 1, streakFreezeDates: 1 } });
+  const timeZone = timeZoneOf(user);
+  const habits = await findUserHabits(db, userId);
+  const rows = await dailyStatsCollection(db).find(
+    { userId },
+    { projection: { habitId: 1, localDate: 1, done: 1, value: 1 } }
+  ).toArray();
+  // Rollup rows read like personal entries to the completion helpers
+  const entries = rows.map(row => ({ habitId: row.habitId, localDate: row.localDate, status: row.done ? 'done' : 'missed', value: row.value }));
+  const participant = calendarParticipant(entries, { userId, timeZone, habits });
+
+  const scheduledHabits = calendarHabits(habits, timeZone);
+  const groupHabits = new Map();
+  habits.forEach(habit => {
+    const scheduled = scheduledHabits.find(candidate => candidate.id === habit._id.toString());
+    if (habit.assignedTo.type !== 'group' || !scheduled) {
+      return;
+    }
+    const key = habit.assignedTo.id.toString();
+    if (!groupHabits.has(key)) {
+      groupHabits.set(key, { groupId: habit.assignedTo.id, habits: [] });
+    }
+    groupHabits.get(key).habits.push(scheduled);
+  });
+
+  return {
+    today: todayKey(timeZone),
+    frozenDates: new Set((user && user.streakFreezeDates) || []),
+    habits: scheduledHabits,
+    groupHabits, // Map of groupId string -> { groupId, habits } for the habits of each group
+    participant,
+    // Habits without a valid schedule count as daily for the overall streak
+    streakHabits: habits.map(habit => ({
+      schedule: getHabitSchedule(habit, timeZone),
+      completedDates: Array.from(participant.completedDates.get(habit._id.toString()) || []),
+    })),
+  };
+}
+
+// Store a badge for a user unless they already have it. Returns the stored badge, or null if
+// they already had it.
+async function awardAchievement(db, userId, achievementId, context) {
+  const earnedAt = new Date();
+  const result = await userAchievementsCollection(db).updateOne(
+    { userId, achievementId },
+    { $setOnInsert: { earnedAt, context } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0 ? { _id: result.upsertedId, userId, achievementId, earnedAt, context } : null;
+}
+
+// Check the badges a user doesn't have yet and award the ones they reached.
+// Returns { earned, newlyEarned, progress } where earned lists all of the user's stored badges,
+// newlyEarned the ones awarded now and progress maps the id of every badge still to earn to
+// { current, target }.
+async function checkAchievements(db, userId) {
+  const stored = await userAchievementsCollection(db).find({ userId }).toArray();
+  const storedIds = new Set(stored.map(achievement => achievement.achievementId));
+  const pending = ACHIEVEMENTS.filter(achievement => !storedIds.has(achievement.id));
+  const progress = new Map();
+  const newlyEarned = [];
+  if (pending.length === 0) {
+    return { earned: stored, newlyEarned, progress };
+  }
+
+  const facts = await loadFacts(db, userId);
+  for (const achievement of pending) {
+    const result = rules[achievement.rule.type](achievement.rule, facts);
+    if (result.current < result.target) {
+      progress.set(achievement.id, { current: result.current, target: result.target });
+      continue;
+    }
+    const awarded = await awardAchievement(db, userId, achievement.id, result.context);
+    if (awarded) {
+      newlyEarned.push(awarded);
+    }
+  }
+
+  // Re-read so badges awarded by a concurrent check are listed too
+  const earned = progress.size < pending.length
+    ? await userAchievementsCollection(db).find({ userId }).toArray()
+    : stored;
+  return { earned, newlyEarned, progress };
+}
+
+// A user's badges for display: { earned: [badge + earnedAt, context], available: [badge + progress] }.
+// Awards anything reached in the meantime. Badges that were since removed from the catalog are left out.
+async function listUserAchievements(db, userId) {
+  const { earned, progress } = await checkAchievements(db, userId);
+  const earnedById = new Map(earned.map(achievement => [achievement.achievementId, achievement]));
+  return {
+    earned: ACHIEVEMENTS
+      .filter(achievement => earnedById.has(achievement.id))
+      .map(achievement => ({ ...achievement, earnedAt: earnedById.get(achievement.id).earnedAt, context: earnedById.get(achievement.id).context }))
+      .sort((a, b) => b.earnedAt - a.earnedAt),
+    available: ACHIEVEMENTS
+      .filter(achievement => !earnedById.has(achievement.id))
+      .map(achievement => ({ ...achievement, progress: progress.get(achievement.id) || null })),
+  };
+}
+
+// Check every user's badges against their existing entries (through their daily rollups, so
+// backfillDailyStats() has to run first), in batches of users. Runs once per catalogVersion(): progress is saved after every batch, so a
+// restart carries on where it stopped, and finished runs are skipped. Nobody is notified of the
+// badges awarded here; they were earned in the past. Returns how many users were checked.
+async function backfillAchievements(db, { batchSize = BACKFILL_BATCH_SIZE } = {}) {
+  const version = catalogVersion();
+  const state = await achievementBackfillsCollection(db).findOne({ _id: version });
+  if (state && state.finishedAt) {
+    return 0;
+  }
+
+  let lastUserId = state ? state.lastUserId : null;
+  let checked = 0;
+  for (;;) {
+    const users = await db.collection('users')
+      .find(lastUserId ? { _id: { $gt: lastUserId } } : {}, { projection: { _id: 1 } })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (users.length === 0) {
+      break;
+    }
+    for (const user of users) {
+      try {
+        await checkAchievements(db, user._id);
+      } catch (error) {
+        console.error(`Error backfilling achievements of user ${user._id}:`, error);
+      }
+    }
+    lastUserId = users[users.length - 1]._id;
+    checked += users.length;
+    await achievementBackfillsCollection(db).updateOne(
+      { _id: version },
+      { $set: { lastUserId, updatedAt: new Date() }, $setOnInsert: { startedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  await achievementBackfillsCollection(db).updateOne(
+    { _id: version },
+    { $set: { finishedAt: new Date() }, $setOnInsert: { startedAt: new Date(), lastUserId } },
+    { upsert: true }
+  );
+  return checked;
+}
+
+// Every badge must use a rule type that exists
+ACHIEVEMENTS.forEach(achievement => {
+  if (!rules[achievement.rule.type]) {
+    throw new Error(`Achievement ${achievement.id} uses an unknown rule type: ${achievement.rule.type}`);
+  }
+});
+
+module.exports = {
+  ACHIEVEMENTS,
+  backfillAchievements,
+  checkAchievements,
+  ensureAchievementIndexes,
+  listUserAchievements,
+  registerAchievementRule,
+  userAchievementsCollection,
+};
@@ -0,0 +1,165 @@
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { isSessionActive } = require('./sessions');
+
+// Routes under /api that can be called without a token.
+// Everything else under /api requires a valid Bearer token from POST /api/auth/login.
+const publicRoutes = [
+  { method: 'POST', path: '/api/users' },        // Sign up
+  { method: 'POST', path: '/api/auth/login' },   // Login
+  { method: 'POST', path: '/api/auth/refresh' }, // Exchange a refresh token (the access token may have expired)
+  { method: 'POST', path: '/api/auth/logout' },  // Revoke a refresh token (the access token may have expired)
+  { method: 'POST', path: '/api/auth/forgot-password' }, // Request a password reset email
+  { method: 'POST', path: '/api/auth/reset-password' },  // Set a new password with a reset token
+  { method: 'POST', path: '/api/auth/verify-email' },    // Confirm an email address with a verification token
+  { method: 'POST', path: '/api/auth/confirm-email-change' }, // Switch to a new email address with the token sent to it
+  { method: 'GET', path: '/api/exports/download' },      // Download a finished export with its signed link
+  { method: 'GET', path: '/api/calendar/feed.ics' },     // Calendar apps subscribing with the feed token
+];
+
+// Routes that also accept the access token as ?access_token=... because browsers can't set
+// headers on them (EventSource). Query strings end up in logs, so keep this list short.
+const queryTokenRoutes = [
+  { method: 'GET', path: '/api/events/stream' }, // Real-time group events (Server-Sent Events)
+];
+
+// Access tokens are short-lived; clients renew them with POST /api/auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Sign an access token for a user and the session (refresh token family) it belongs to
+function signAccessToken(user, sessionId, jwtSecret) {
+  return jwt.sign(
+    { id: user._id, username: user.username, sid: sessionId }, // Payload: non-sensitive data only
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Check whether the current request matches one of the routes in a list
+function matchesRoute(req, routes) {
+  // req.baseUrl is '/api' when mounted with app.use('/api', ...), req.path is the rest
+  const fullPath = (req.baseUrl + req.path).replace(/\/+$/, '');
+  return routes.some(route => route.method === req.method && route.path === fullPath);
+}
+
+// Check whether the current request matches one of the public routes
+function isPublicRoute(req) {
+  return matchesRoute(req, publicRoutes);
+}
+
+// Pull the token out of an "Authorization: Bearer TOKEN" header
+// (or the access_token query parameter on the queryTokenRoutes)
+function getBearerToken(req) {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader) {
+    const queryToken = req.query && req.query.access_token;
+    return typeof queryToken === 'string' && queryToken !== '' && matchesRoute(req, queryTokenRoutes) ? queryToken : null;
+  }
+  const [scheme, token] = authHeader.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+  return token;
+}
+
+// Create the authentication middleware.
+// On success the caller's identity is available as req.user = { id, _id, username, sessionId, tokenExpiresAt },
+// where id is the string form and _id the ObjectId form of the user's _id.
+// The token's session must still be active, so logging out, changing the password or deleting
+// the account ends access tokens right away instead of when they expire.
+function createAuthMiddleware(jwtSecret) {
+  return async function authenticateToken(req, res, next) {
+    // Let the public routes (sign up, login, ...) through without a token
+    if (isPublicRoute(req)) {
+      return next();
+    }
+
+    const token = getBearerToken(req);
+
+    // No token means the caller is not authenticated
+    if (!token) {
+      res.status(401).json({ message: 'Authentication required.' });
+      return;
+    }
+
+    let userPayload;
+    try {
+      userPayload = jwt.verify(token, jwtSecret);
+    } catch (err) {
+      // Token is invalid (e.g., expired, wrong signature)
+      console.error('JWT verification failed:', err.message);
+      res.status(401).json({ message: 'Invalid or expired token.' });
+      return;
+    }
+
+    // The payload must carry a usable user id and session id
+    if (!userPayload || !ObjectId.isValid(userPayload.id) || !ObjectId.isValid(userPayload.sid)) {
+      res.status(401).json({ message: 'Invalid token payload.' });
+      return;
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      res.status(500).json({ message: 'Database not connected.' });
+      return;
+    }
+
+    try {
+      const active = await isSessionActive(db, new ObjectId(userPayload.id), new ObjectId(userPayload.sid));
+      if (!active) {
+        res.status(401).json({ message: 'Session has ended. Please log in again.' });
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking session:', error);
+      res.status(500).json({ message: 'Failed to check session.', error: error.message });
+      return;
+    }
+
+    req.user = {
+      id: userPayload.id.toString(),
+      _id: new ObjectId(userPayload.id),
+      username: userPayload.username,
+      sessionId: userPayload.sid.toString(),
+      tokenExpiresAt: userPayload.exp ? new Date(userPayload.exp * 1000) : null,
+    };
+
+    next();
+  };
+}
+
+// Middleware for routes unverified accounts can't use (e.g. creating or joining groups).
+// Accounts created before email verification existed have no emailVerified field and are not limited.
+async function requireVerifiedEmail(req, res, next) {
+  const db = req.app.locals.db;
+  if (!db) {
+    res.status(500).json({ message: 'Database not connected.' });
+    return;
+  }
+
+  try {
+    const user = await db.collection('users').findOne({ _id: req.user._id }, { projection: { emailVerified: 1 } });
+    if (!user) {
+      res.status(401).json({ message: 'User not found.' });
+      return;
+    }
+    if (user.emailVerified === false) {
+      res.status(403).json({ message: 'Please verify your email address first.' });
+      return;
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    res.status(500).json({ message: 'Failed to check email verification.', error: error.message });
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createAuthMiddleware,
+  getBearerToken,
+  isPublicRoute,
+  publicRoutes,
+  requireVerifiedEmail,
+  signAccessToken,
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+// Single-use, expiring tokens sent to users by email (password reset, email verification, email change).
+// Only a hash of each token is stored in the authTokens collection, and a token is marked
+// as used the moment it is consumed so it can never be replayed.
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  EMAIL_CHANGE: 'email_change',
+};
+
+// How long each kind of token stays valid
+const TOKEN_TTL_MS = {
+  [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000,            // 1 hour
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 48 * 60 * 60 * 1000,   // 48 hours
+  [TOKEN_TYPES.EMAIL_CHANGE]: 24 * 60 * 60 * 1000,         // 24 hours
+};
+
+function authTokensCollection(db) {
+  return db.collection('authTokens');
+}
+
+// Create the indexes the authTokens collection relies on (called once at startup)
+async function ensureAuthTokenIndexes(db) {
+  const collection = authTokensCollection(db);
+  await collection.createIndex({ tokenHash: 1 }, { unique: true });
+  await collection.createIndex({ userId: 1, type: 1 });
+  // Let MongoDB clean up expired tokens
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Issue a new token of the given type for a user and return the plain token.
+// Any earlier unused token of the same type stops working.
+// data is stored with the token and comes back when it is consumed (e.g. { email } for EMAIL_CHANGE).
+async function issueAuthToken(db, userId, type, data = {}) {
+  const collection = authTokensCollection(db);
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await collection.deleteMany({ userId: userId, type: type, usedAt: null });
+  await collection.insertOne({
+    ...data,
+    userId: userId,
+    type: type,
+    tokenHash: hashToken(token),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[type]),
+    usedAt: null,
+  });
+
+  return token;
+}
+
+// Consume a token: atomically mark it used and return its document,
+// or null if it doesn't exist, has the wrong type, has expired or was already used.
+async function consumeAuthToken(db, token, type) {
+  return authTokensCollection(db).findOneAndUpdate(
+    { tokenHash: hashToken(token), type: type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  consumeAuthToken,
+  ensureAuthTokenIndexes,
+  issueAuthToken,
+};
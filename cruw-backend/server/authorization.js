@@ -0,0 +1,140 @@
+const { ObjectId } = require('mongodb');
+
+// Group membership roles, from least to most privileged.
+// A group stores its owner in ownerId, its admins in adminIds and everyone (owner included) in memberIds.
+const GROUP_ROLES = ['member', 'admin', 'owner'];
+
+// Send the standard 403 response used by every authorization check
+function forbidden(res, action) {
+  res.status(403).json({ message: `Not authorized to ${action}.` });
+}
+
+// Compare two ids that may be ObjectIds or strings
+function sameId(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  return a.toString() === b.toString();
+}
+
+// Work out the caller's role in a group: 'owner', 'admin', 'member' or null if not a member
+function getGroupRole(group, userId) {
+  if (!group || !userId) {
+    return null;
+  }
+  if (sameId(group.ownerId, userId)) {
+    return 'owner';
+  }
+  const isMember = (group.memberIds || []).some(id => sameId(id, userId));
+  if (!isMember) {
+    return null;
+  }
+  if ((group.adminIds || []).some(id => sameId(id, userId))) {
+    return 'admin';
+  }
+  return 'member';
+}
+
+// Check that the caller has at least the given role in the group
+function hasGroupRole(group, userId, minimumRole) {
+  const role = getGroupRole(group, userId);
+  if (!role) {
+    return false;
+  }
+  return GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf(minimumRole);
+}
+
+// Personal habits can only be managed by their creator.
+// Group habits can only be managed by the group's owner and admins, so the group must be passed in.
+function canManageHabit(habit, userId, group) {
+  if (!habit) {
+    return false;
+  }
+  if (habit.assignedTo && habit.assignedTo.type === 'group') {
+    return hasGroupRole(group, userId, 'admin');
+  }
+  return sameId(habit.createdBy, userId);
+}
+
+// Personal habits can be logged by their creator or the user they are assigned to
+function canLogPersonalHabit(habit, userId) {
+  if (!habit || !habit.assignedTo || habit.assignedTo.type !== 'user') {
+    return false;
+  }
+  return sameId(habit.createdBy, userId) || sameId(habit.assignedTo.id, userId);
+}
+
+// Load a group by id and attach the caller's role.
+// Returns null when the id is invalid or the group doesn't exist.
+async function findGroupWithRole(db, groupId, userId) {
+  if (!ObjectId.isValid(groupId)) {
+    return null;
+  }
+  const group = await db.collection('groups').findOne({ _id: new ObjectId(groupId) });
+  if (!group) {
+    return null;
+  }
+  return { group, role: getGroupRole(group, userId) };
+}
+
+// Middleware for /api/users/:userId/... routes that expose a user's private data.
+// Only the user themselves may call them.
+function requireSelf(paramName = 'userId') {
+  return function (req, res, next) {
+    if (!req.user || !sameId(req.params[paramName], req.user.id)) {
+      forbidden(res, "access another user's data");
+      return;
+    }
+    next();
+  };
+}
+
+// Middleware for /api/groups/:groupId/... routes.
+// Loads the group, checks the caller has at least minimumRole in it and exposes
+// the group and the caller's role as req.group and req.groupRole.
+function requireGroupRole(minimumRole = 'member', action = 'access this group') {
+  return async function (req, res, next) {
+    const db = req.app.locals.db;
+    if (!db) {
+      res.status(500).json({ message: 'Database not connected.' });
+      return;
+    }
+
+    const groupId = req.params.groupId;
+    if (!ObjectId.isValid(groupId)) {
+      res.status(400).json({ message: 'Invalid group ID format.' });
+      return;
+    }
+
+    try {
+      const groupWithRole = await findGroupWithRole(db, groupId, req.user._id);
+      if (!groupWithRole) {
+        res.status(404).json({ message: 'Group not found.' });
+        return;
+      }
+      if (!hasGroupRole(groupWithRole.group, req.user._id, minimumRole)) {
+        forbidden(res, action);
+        return;
+      }
+      req.group = groupWithRole.group;
+      req.groupRole = groupWithRole.role;
+      next();
+    } catch (error) {
+      console.error('Error checking group membership:', error);
+      res.status(500).json({ message: 'Failed to check group membership.', error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  GROUP_ROLES,
+  canLogPersonalHabit,
+  canManageHabit,
+  findGroupWithRole,
+  forbidden,
+  getGroupRole,
+  hasGroupRole,
+  requireGroupRole,
+  requireSelf,
+  sameId,
+};
@@ -0,0 +1,88 @@
+const { addDays, daysBetween } = require('./dates');
+const { completedDatesByHabit, valuesByHabit } = require('./entries');
+const { getHabitMeasurement, isMeasured } = require('./measurement');
+const { getHabitSchedule, isDue } = require('./schedule');
+
+// Completion calendar (heatmap) data.
+//
+// For every day in a range, count how many habit occurrences were due and how many of those
+// were completed. A user's calendar has one participant; a group's has one per member, so a
+// day where half the members checked in on the group's only habit has a ratio of 0.5.
+// Due-ness follows the schedule rules in server/schedule.js: X-times-per-period habits stop
+// counting once their target for the week or month is reached. Measured habits with a daily
+// target that were only partly done count for the share of the target reached, so completed
+// can be fractional.
+
+// Heatmap intensity buckets: level 0 means nothing was done, 4 means everything due was done
+const HEATMAP_LEVELS = 4;
+
+// Keep the habits that have a valid schedule, in the { id, schedule, measurement } shape buildCompletionCalendar expects
+function calendarHabits(habits, timeZone) {
+  return habits
+    .map(habit => ({ id: habit._id.toString(), schedule: getHabitSchedule(habit, timeZone), measurement: getHabitMeasurement(habit) }))
+    .filter(habit => habit.schedule);
+}
+
+// One participant of buildCompletionCalendar from entries: a user's completions and logged values
+function calendarParticipant(entries, { userId, timeZone, habits }) {
+  return {
+    completedDates: completedDatesByHabit(entries, { userId, timeZone, habits }),
+    values: valuesByHabit(entries, { userId, timeZone }),
+  };
+}
+
+// habits: [{ id, schedule, measurement }] with normalized schedules and measurements
+//         (habits without a valid schedule are left out)
+// participants: per person counted, { completedDates, values } where completedDates is a Map of
+// habitId string -> Set of completed date keys and values a Map of habitId string -> Map of
+// date key -> value logged (see valuesByHabit in server/entries.js).
+// Completions must cover the periodWindow() of the range for the period rules to be right.
+// Returns [{ date, completed, total, ratio, level }] where ratio is null on days nothing was due.
+function buildCompletionCalendar(fromKey, toKey, habits, participants) {
+  // isDue() takes completions as a list; convert each participant's sets once
+  const completedLists = participants.map(({ completedDates }) => {
+    const lists = new Map();
+    habits.forEach(habit => lists.set(habit.id, Array.from(completedDates.get(habit.id) || [])));
+    return lists;
+  });
+
+  const days = [];
+  const totalDays = daysBetween(fromKey, toKey);
+  for (let offset = 0; offset <= totalDays; offset++) {
+    const dateKey = addDays(fromKey, offset);
+    let total = 0;
+    let completed = 0;
+    habits.forEach(habit => {
+      participants.forEach(({ completedDates, values }, index) => {
+        if (!isDue(habit.schedule, dateKey, completedLists[index].get(habit.id))) {
+          return;
+        }
+        total++;
+        const dates = completedDates.get(habit.id);
+        if (dates && dates.has(dateKey)) {
+          completed++;
+        } else if (isMeasured(habit.measurement) && habit.measurement.period === 'day') {
+          const days = values && values.get(habit.id);
+          const value = days ? days.get(dateKey) || 0 : 0;
+          completed += Math.min(1, value / habit.measurement.target);
+        }
+      });
+    });
+    const ratio = total === 0 ? null : Math.round((completed / total) * 1000) / 1000;
+    days.push({
+      date: dateKey,
+      completed: Math.round(completed * 1000) / 1000,
+      total,
+      ratio,
+      level: ratio ? Math.ceil(ratio * HEATMAP_LEVELS) : 0,
+    });
+  }
+  return days;
+}
+
+module.exports = {
+  HEATMAP_LEVELS,
+  buildCompletionCalendar,
+  calendarHabits,
+  calendarParticipant,
+};
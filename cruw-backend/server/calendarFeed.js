@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { addDays, startOfMonth, startOfWeek } = require('./dates');
+const { hashToken } = require('./sessions');
+const { getHabitSchedule } = require('./schedule');
+
+// iCalendar (RFC 5545) feed of a user's habit schedules and reminders, for calendar apps to
+// subscribe to. Calendar apps can't log in, so the feed lives at a private URL with a token in it
+// (see /api/calendar/feed.ics). Only a hash of the token is kept, in users.calendarFeed; creating a
+// new one replaces the old URL.
+//
+// Every habit with a schedule becomes a recurring all-day event; X-times-per-week/month habits
+// show up once at the start of each week or month. Every reminder time becomes a recurring
+// 15-minute event with an alarm. Reminder times are floating (no time zone), so they stay at the
+// same wall-clock time the way reminders do.
+
+const REMINDER_EVENT_MINUTES = 15;
+const PRODUCT_ID = '-//CRUW//Habit calendar//EN';
+const RRULE_WEEKDAYS = { sun: 'SU', mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA' };
+
+// Create the index calendar feed lookups rely on (called once at startup)
+async function ensureCalendarFeedIndexes(db) {
+  await db.collection('users').createIndex({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+}
+
+// Give a user a new calendar feed token (the old one stops working). Returns the plain token.
+async function issueCalendarFeedToken(db, userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.collection('users').updateOne(
+    { _id: userId },
+    { $set: { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } } }
+  );
+  return token;
+}
+
+// Turn a user's calendar feed off. Returns true if they had one.
+async function revokeCalendarFeedToken(db, userId) {
+  const result = await db.collection('users').updateOne({ _id: userId, calendarFeed: { $exists: true } }, { $unset: { calendarFeed: '' } });
+  return result.modifiedCount > 0;
+}
+
+// The user a calendar feed token belongs to, or null
+async function findCalendarFeedUser(db, token) {
+  return db.collection('users').findOne(
+    { 'calendarFeed.tokenHash': hashToken(token) },
+    { projection: { username: 1, timezone: 1, calendarFeed: 1 } }
+  );
+}
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line into lines of at most 75 octets (RFC 5545 section 3.1), never splitting a character
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const character of line) {
+    const bytes = Buffer.byteLength(character);
+    const limit = lines.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      lines.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += character;
+    currentBytes += bytes;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+function icsDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// The first day a schedule's events fall on and the RRULE they repeat by, or null for schedules
+// a calendar can't show. UNTIL has to match the events' start: a date for all-day events, a
+// date and time for timed ones.
+function recurrenceOf(schedule, { timed = false } = {}) {
+  const untilSuffix = timed ? 'T235959' : '';
+  const until = schedule.endDate ? `;UNTIL=${icsDate(schedule.endDate)}${untilSuffix}` : '';
+  switch (schedule.type) {
+    case 'daily':
+      return { start: schedule.startDate, rule: `FREQ=DAILY${until}` };
+    case 'interval':
+      return { start: schedule.startDate, rule: `FREQ=DAILY;INTERVAL=${schedule.every}${until}` };
+    case 'weekly':
+      return { start: schedule.startDate, rule: `FREQ=WEEKLY;BYDAY=${schedule.days.map(day => RRULE_WEEKDAYS[day]).join(',')}${until}` };
+    case 'timesPerWeek':
+      return { start: startOfWeek(schedule.startDate), rule: `FREQ=WEEKLY${until}` };
+    case 'timesPerMonth':
+      return { start: startOfMonth(schedule.startDate), rule: `FREQ=MONTHLY${until}` };
+    case 'rrule': {
+      const rule = schedule.rule.trim().replace(/^RRULE:/i, '').toUpperCase()
+        .replace(/UNTIL=(\d{8})[^;]*/, `UNTIL=$1${untilSuffix}`);
+      const bounded = /(^|;)(UNTIL|COUNT)=/.test(rule);
+      return { start: schedule.startDate, rule: bounded ? rule : `${rule}${until}` };
+    }
+    default:
+      return null;
+  }
+}
+
+function habitSummary(habit, schedule) {
+  if (schedule.type === 'timesPerWeek') {
+    return `${habit.title} (${schedule.times}× this week)`;
+  }
+  if (schedule.type === 'timesPerMonth') {
+    return `${habit.title} (${schedule.times}× this month)`;
+  }
+  return habit.title;
+}
+
+// The iCalendar document for a user's habits and reminders.
+// habits: the habits to show; reminders: the user's habitReminders; timeZone: the user's (for
+// schedules without a startDate); calendarName: shown by calendar apps.
+function buildCalendarFeed({ habits, reminders, timeZone, calendarName, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+  const stamp = icsTimestamp(now);
+  const habitsById = new Map();
+
+  habits.forEach(habit => {
+    const schedule = getHabitSchedule(habit, timeZone);
+    const recurrence = schedule && recurrenceOf(schedule);
+    if (!recurrence) {
+      return;
+    }
+    habitsById.set(habit._id.toString(), { habit, schedule, recurrence });
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:habit-${habit._id}@cruw`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(recurrence.start)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(recurrence.start, 1))}`,
+      `RRULE:${recurrence.rule}`,
+      `SUMMARY:${escapeText(habitSummary(habit, schedule))}`,
+      ...(habit.description ? [`DESCRIPTION:${escapeText(habit.description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  reminders.filter(reminder => reminder.enabled).forEach(reminder => {
+    const scheduled = habitsById.get(reminder.habitId.toString());
+    if (!scheduled) {
+      return;
+    }
+    // X-times-per-period habits can be done any day, so their reminders go off daily
+    const periodic = scheduled.schedule.type === 'timesPerWeek' || scheduled.schedule.type === 'timesPerMonth';
+    const recurrence = recurrenceOf(periodic ? { ...scheduled.schedule, type: 'daily' } : scheduled.schedule, { timed: true });
+    reminder.times.forEach(time => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:reminder-${reminder._id}-${time.replace(':', '')}@cruw`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDate(recurrence.start)}T${time.replace(':', '')}00`,
+        `DURATION:PT${REMINDER_EVENT_MINUTES}M`,
+        `RRULE:${recurrence.rule}`,
+        `SUMMARY:${escapeText(`Reminder: ${scheduled.habit.title}`)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(scheduled.habit.title)}`,
+        'TRIGGER:PT0M',
+        'END:VALARM',
+        'END:VEVENT'
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendarFeed,
+  ensureCalendarFeedIndexes,
+  findCalendarFeedUser,
+  issueCalendarFeedToken,
+  revokeCalendarFeedToken,
+};
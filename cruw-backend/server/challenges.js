@@ -0,0 +1,131 @@
+const { todayKey } = require('./dates');
+const { localDateFilter } = require('./entries');
+const { publishGroupEvent } = require('./events');
+const { calendarHabits, calendarParticipant } = require('./calendar');
+const { memberStats } = require('./leaderboards');
+const { periodWindow } = require('./schedule');
+
+// Time-boxed group challenges.
+//
+// A challenge runs from startDate to endDate (date keys in the challenge's time zone) over some of
+// a group's habits. Members opt in by joining it. The goal is either
+//   { type: 'completions', target: 20 }        // complete 20 due occurrences of the habits
+//   { type: 'completionRate', target: 0.9 }    // complete 90% of what was due
+// Progress is worked out from groupHabitEntries while the challenge runs. Once it has ended the
+// final standings are stored in results, with every participant who reached the goal as a
+// winner, so past results survive later changes to the habits or their entries.
+
+const CHALLENGE_GOAL_TYPES = ['completions', 'completionRate'];
+const MAX_CHALLENGE_DAYS = 366;
+
+function challengesCollection(db) {
+  return db.collection('groupChallenges');
+}
+
+// Create the indexes the groupChallenges collection relies on (called once at startup)
+async function ensureChallengeIndexes(db) {
+  await challengesCollection(db).createIndex({ groupId: 1, endDate: -1 });
+}
+
+// 'upcoming', 'active' or 'ended' on a day
+function challengeStatus(challenge, today) {
+  if (today < challenge.startDate) {
+    return 'upcoming';
+  }
+  return today > challenge.endDate ? 'ended' : 'active';
+}
+
+// Current standings of a challenge's participants, best first.
+// Counts the days from startDate up to asOf (or endDate, if earlier).
+async function computeStandings(db, challenge, asOf) {
+  const participantIds = challenge.participantIds || [];
+  const to = asOf < challenge.endDate ? asOf : challenge.endDate;
+  const started = to >= challenge.startDate;
+  const timeZone = challenge.timezone;
+
+  const [habits, users] = await Promise.all([
+    db.collection('habits').find({ _id: { $in: challenge.habitIds }, 'assignedTo.type': 'group', 'assignedTo.id': challenge.groupId }).toArray(),
+    db.collection('users').find({ _id: { $in: participantIds } }, { projection: { username: 1 } }).toArray(),
+  ]);
+  const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+
+  let entries = [];
+  if (started && habits.length > 0) {
+    const window = periodWindow(challenge.startDate, to);
+    entries = await db.collection('groupHabitEntries').find(
+      { groupId: challenge.groupId, habitId: { $in: habits.map(habit => habit._id) }, ...localDateFilter(window.from, window.to, timeZone) },
+      { projection: { habitId: 1, date: 1, localDate: 1, checkedBy: 1, values: 1 } }
+    ).toArray();
+  }
+  const scheduledHabits = calendarHabits(habits, timeZone);
+
+  const rows = participantIds.map(userId => {
+    const stats = started
+      ? memberStats(challenge.startDate, to, scheduledHabits, calendarParticipant(entries, { userId, timeZone, habits }))
+      : { completed: 0, due: 0, completionRate: null, perfectDays: 0, points: 0 };
+    const progress = challenge.goal.type === 'completions' ? stats.completed : (stats.completionRate || 0);
+    return {
+      userId,
+      username: usernames.get(userId.toString()) || null,
+      completed: stats.completed,
+      due: stats.due,
+      completionRate: stats.completionRate,
+      points: stats.points,
+      progress,
+      reachedGoal: progress >= challenge.goal.target,
+    };
+  });
+
+  rows.sort((a, b) => (b.progress - a.progress) || (b.points - a.points));
+  return rows.map(row => ({ rank: 1 + rows.filter(other => other.progress > row.progress).length, ...row }));
+}
+
+// Store the final standings of an ended challenge (once; concurrent calls agree on the first).
+// Returns the challenge with its results.
+async function finalizeChallenge(db, challenge) {
+  if (challenge.results) {
+    return challenge;
+  }
+  const standings = await computeStandings(db, challenge, challenge.endDate);
+  const results = {
+    finalizedAt: new Date(),
+    standings,
+    winnerIds: standings.filter(row => row.reachedGoal).map(row => row.userId),
+  };
+  const finalized = await challengesCollection(db).findOneAndUpdate(
+    { _id: challenge._id, results: null },
+    { $set: { results } },
+    { returnDocument: 'after' }
+  );
+  if (!finalized) {
+    return challengesCollection(db).findOne({ _id: challenge._id });
+  }
+  await publishGroupEvent(db, challenge.groupId, 'challenge.ended', { challengeId: challenge._id, winnerIds: results.winnerIds }, null);
+  return finalized;
+}
+
+// A challenge as the API returns it: its status today and, once it has ended, its stored results
+// (ended challenges are finalized on the way). Running challenges get live standings.
+async function describeChallenge(db, challenge, { withStandings = false } = {}) {
+  const today = todayKey(challenge.timezone);
+  const status = challengeStatus(challenge, today);
+  if (status === 'ended') {
+    const finalized = await finalizeChallenge(db, challenge);
+    return { ...finalized, status };
+  }
+  if (!withStandings) {
+    return { ...challenge, status };
+  }
+  return { ...challenge, status, standings: await computeStandings(db, challenge, today) };
+}
+
+module.exports = {
+  CHALLENGE_GOAL_TYPES,
+  MAX_CHALLENGE_DAYS,
+  challengeStatus,
+  challengesCollection,
+  computeStandings,
+  describeChallenge,
+  ensureChallengeIndexes,
+  finalizeChallenge,
+};
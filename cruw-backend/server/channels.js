@@ -0,0 +1,107 @@
+const { sendMail } = require('./mail');
+const { createNotification, notificationChannels } = require('./notifications');
+const { sendToUser } = require('./webPush');
+
+// Delivery channels for notifications, reminders and nudges.
+// A channel is an object with an async send(context, user, message) method, where context is
+// { db, mailer } and message is { type, title, body, data, url }. It returns 'sent' or 'skipped'
+// (e.g. no verified email address, no push subscription) and throws when delivery failed.
+// notify() picks the channels from each user's notification preferences; reminders pick theirs
+// per reminder. More channels can be added with registerChannel().
+
+const channels = {
+  // The user's in-app inbox (see server/notifications.js)
+  inApp: {
+    async send({ db }, user, message) {
+      await createNotification(db, user._id, message.type, { title: message.title, body: message.body, data: message.data });
+      return 'sent';
+    },
+  },
+
+  // Email, to verified addresses only
+  email: {
+    async send({ mailer }, user, message) {
+      if (!mailer || !user.email || !user.emailVerified) {
+        return 'skipped';
+      }
+      const text = message.url ? `${message.body}\n\n${message.url}` : message.body;
+      await sendMail(mailer, { to: user.email, subject: message.title, text: `Hi ${user.username},\n\n${text}` });
+      return 'sent';
+    },
+  },
+
+  // Web Push to every browser the user subscribed (see server/webPush.js)
+  push: {
+    async send({ db }, user, message) {
+      const delivered = await sendToUser(db, user._id, {
+        type: message.type,
+        title: message.title,
+        body: message.body,
+        url: message.url || null,
+        data: message.data,
+      });
+      return delivered > 0 ? 'sent' : 'skipped';
+    },
+  },
+};
+
+const CHANNEL_NAMES = Object.keys(channels);
+
+// Make another channel available under a name (e.g. registerChannel('sms', mySmsChannel))
+function registerChannel(name, channel) {
+  channels[name] = channel;
+  if (!CHANNEL_NAMES.includes(name)) {
+    CHANNEL_NAMES.push(name);
+  }
+}
+
+// Send a message to a user through some channels. A failing channel doesn't stop the others.
+// Returns { [channelName]: 'sent' | 'skipped' | 'failed' }.
+async function deliver(context, user, message, channelNames) {
+  const results = {};
+  for (const name of channelNames) {
+    const channel = channels[name];
+    if (!channel) {
+      results[name] = 'skipped';
+      continue;
+    }
+    try {
+      results[name] = await channel.send(context, user, message);
+    } catch (error) {
+      console.error(`Error delivering ${message.type} through ${name}:`, error);
+      results[name] = 'failed';
+    }
+  }
+  return results;
+}
+
+// Notify users of something, on the channels each of them wants for the type (see
+// server/notifications.js). The user in exceptUserId (usually whoever caused it) is left out.
+// Notifications are a side effect: failures are logged, not thrown.
+async function notify(context, userIds, type, message, { exceptUserId = null } = {}) {
+  const recipientIds = userIds.filter(id => !exceptUserId || id.toString() !== exceptUserId.toString());
+  if (recipientIds.length === 0) {
+    return;
+  }
+  try {
+    const users = await context.db.collection('users').find(
+      { _id: { $in: recipientIds } },
+      { projection: { username: 1, email: 1, emailVerified: 1, notificationPreferences: 1 } }
+    ).toArray();
+    for (const user of users) {
+      const channelNames = notificationChannels(user, type);
+      if (channelNames.length > 0) {
+        await deliver(context, user, { ...message, type }, channelNames);
+      }
+    }
+  } catch (error) {
+    console.error(`Error sending ${type} notifications:`, error);
+  }
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  deliver,
+  notify,
+  registerChannel,
+};
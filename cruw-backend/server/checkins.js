@@ -0,0 +1,443 @@
+const { startOfWeek, toDateKey } = require('./dates');
+const { isCompletedEntry, localDateFilter, resolveEntryDate } = require('./entries');
+const { getHabitMeasurement, isMeasured, statusForValue } = require('./measurement');
+const { groupTimeZone, timeZoneOf } = require('./timezones');
+
+// Personal and group check-ins.
+// A personal habit has at most one userHabitEntries document per user and local day (localDate);
+// checking in again updates it instead of adding another.
+// A group habit has at most one groupHabitEntries document per local day. Members check in by
+// adding themselves to its checkedBy array and may leave a note under their own user id in the
+// notes map. Check-ins are single atomic updates, so members checking in at the same time never
+// overwrite each other; the unique indexes below keep it to one document per day.
+// Measured habits (see server/measurement.js) log a value per day: value sets the day's total,
+// add increments it, so several logs a day add up.
+
+function userEntriesCollection(db) {
+  return db.collection('userHabitEntries');
+}
+
+function groupEntriesCollection(db) {
+  return db.collection('groupHabitEntries');
+}
+
+// Entries given their localDate per batch while migrating older entries
+const MIGRATION_BATCH_SIZE = 500;
+
+// Create the indexes that keep one entry per habit and day (called once at startup).
+// Entries saved before localDate existed get theirs first, and entries that turn out to be on
+// the same day are merged, so the indexes cover (and the completion pipelines count) every day once.
+async function ensureCheckInIndexes(db) {
+  await migrateLegacyEntries(userEntriesCollection(db), {
+    dayFields: ['userId', 'habitId'],
+    timeZoneFor: entry => userTimeZone(db, entry.userId),
+    merge: entries => mergePersonalEntries(db, entries),
+  });
+  await migrateLegacyEntries(groupEntriesCollection(db), {
+    dayFields: ['groupId', 'habitId'],
+    timeZoneFor: entry => groupEntryTimeZone(db, entry.groupId),
+    merge: entries => mergeGroupEntries(entries),
+  });
+
+  const onlyWithLocalDate = { localDate: { $exists: true } };
+  await userEntriesCollection(db).createIndex(
+    { userId: 1, habitId: 1, localDate: 1 },
+    { unique: true, partialFilterExpression: onlyWithLocalDate }
+  );
+  await groupEntriesCollection(db).createIndex(
+    { groupId: 1, habitId: 1, localDate: 1 },
+    { unique: true, partialFilterExpression: onlyWithLocalDate }
+  );
+}
+
+// Give entries without a localDate the local day of their timestamp, in batches, and merge the
+// days of each batch that now have more than one entry. Entries without a timestamp are left alone.
+// options: { dayFields } - the fields that with localDate name a day's entry (e.g. userId, habitId)
+//          { timeZoneFor(entry) } - the time zone an entry's day is counted in; asked once per day owner
+//          { merge(entries) } - returns { keep, update }: the entry to keep and the update merging the others into it
+async function migrateLegacyEntries(collection, { dayFields, timeZoneFor, merge }) {
+  const timeZones = new Map();
+  const dayOf = entry => Object.fromEntries([...dayFields, 'localDate'].map(field => [field, entry[field]]));
+  let lastId = null;
+  let migrated = 0;
+  let merged = 0;
+  for (;;) {
+    const entries = await collection
+      .find({ localDate: { $exists: false }, date: { $type: 'date' }, ...(lastId ? { _id: { $gt: lastId } } : {}) })
+      .sort({ _id: 1 })
+      .limit(MIGRATION_BATCH_SIZE)
+      .toArray();
+    if (entries.length === 0) {
+      break;
+    }
+    lastId = entries[entries.length - 1]._id;
+
+    const updates = [];
+    for (const entry of entries) {
+      const owner = dayFields.map(field => String(entry[field])).join('|');
+      if (!timeZones.has(owner)) {
+        timeZones.set(owner, await timeZoneFor(entry));
+      }
+      entry.localDate = toDateKey(entry.date, timeZones.get(owner));
+      updates.push({ updateOne: { filter: { _id: entry._id }, update: { $set: { localDate: entry.localDate } } } });
+    }
+    await collection.bulkWrite(updates);
+    migrated += entries.length;
+
+    // Days of this batch with more than one entry, including entries that already had a localDate
+    const duplicates = await collection.aggregate([
+      { $match: { $or: entries.map(dayOf) } },
+      { $group: { _id: dayOf(Object.fromEntries([...dayFields, 'localDate'].map(field => [field, `$${field}`]))), ids: { $push: '$_id' } } },
+      { $match: { 'ids.1': { $exists: true } } },
+    ]).toArray();
+    for (const duplicate of duplicates) {
+      const sameDay = await collection.find({ _id: { $in: duplicate.ids } }).sort({ _id: 1 }).toArray();
+      const { keep, update } = await merge(sameDay);
+      await collection.updateOne({ _id: keep._id }, update);
+      await collection.deleteMany({ _id: { $in: sameDay.filter(entry => entry !== keep).map(entry => entry._id) } });
+      merged += sameDay.length - 1;
+    }
+  }
+  if (migrated > 0) {
+    console.log(`Gave ${migrated} ${collection.collectionName} a localDate and merged ${merged} of them into entries of the same day.`);
+  }
+}
+
+// Where older personal entries' days are counted: the user's time zone
+async function userTimeZone(db, userId) {
+  const user = await db.collection('users').findOne({ _id: userId }, { projection: { timezone: 1 } });
+  return timeZoneOf(user);
+}
+
+// ... and older group entries': the group's, or its owner's if the group has none
+async function groupEntryTimeZone(db, groupId) {
+  const group = await db.collection('groups').findOne({ _id: groupId }, { projection: { timezone: 1, ownerId: 1 } });
+  return groupTimeZone(group, group ? await userTimeZone(db, group.ownerId) : null);
+}
+
+// The non-empty notes of several entries, each once, joined into one (null if there are none)
+function mergeNotes(notes) {
+  const unique = Array.from(new Set(notes.filter(note => typeof note === 'string' && note.trim() !== '')));
+  return unique.length > 0 ? unique.join('\n') : null;
+}
+
+// Merge a user's entries for one habit and day into the most recent one: the day counts as done if
+// any entry did, values add up (measured habits then take their status from the total) and all
+// notes are kept.
+async function mergePersonalEntries(db, entries) {
+  const sorted = [...entries].sort((a, b) => (a.updatedAt || a.date) - (b.updatedAt || b.date));
+  const keep = sorted[sorted.length - 1];
+  const completed = sorted.filter(isCompletedEntry);
+  const $set = { status: isCompletedEntry(keep) || completed.length === 0 ? keep.status : completed[completed.length - 1].status };
+
+  const values = sorted.map(entry => entry.value).filter(value => typeof value === 'number');
+  if (values.length > 0) {
+    $set.value = values.reduce((sum, value) => sum + value, 0);
+    const habit = await db.collection('habits').findOne({ _id: keep.habitId }, { projection: { measurement: 1 } });
+    const measurement = getHabitMeasurement(habit);
+    if (isMeasured(measurement)) {
+      $set.status = statusForValue(measurement, $set.value);
+    }
+  }
+  const notes = mergeNotes(sorted.map(entry => entry.notes));
+  if (notes !== null) {
+    $set.notes = notes;
+  }
+  return { keep, update: { $set } };
+}
+
+// Merge a group's entries for one habit and day into the oldest one: everyone checked in to any of
+// them stays checked in, each member's values add up and their notes are kept.
+function mergeGroupEntries(entries) {
+  const checkedBy = new Map();
+  const notes = {};
+  const values = {};
+  entries.forEach(entry => {
+    (entry.checkedBy || []).forEach(userId => checkedBy.set(userId.toString(), userId));
+    Object.entries(entry.notes || {}).forEach(([userId, note]) => {
+      const merged = mergeNotes([notes[userId], note]);
+      if (merged !== null) {
+        notes[userId] = merged;
+      }
+    });
+    Object.entries(entry.values || {}).forEach(([userId, value]) => {
+      if (typeof value === 'number') {
+        values[userId] = (values[userId] || 0) + value;
+      }
+    });
+  });
+
+  const $set = { checkedBy: Array.from(checkedBy.values()), notes };
+  if (Object.keys(values).length > 0) {
+    $set.values = values;
+  }
+  return { keep: entries[0], update: { $set } };
+}
+
+// Upsert with one retry: when two requests create the same day's entry at once, one insert
+// wins and the other hits the unique index, then succeeds as an update
+async function upsertOnce(collection, filter, update) {
+  const options = { upsert: true, returnDocument: 'after', includeResultMetadata: true };
+  let result;
+  try {
+    result = await collection.findOneAndUpdate(filter, update, options);
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    result = await collection.findOneAndUpdate(filter, update, options);
+  }
+  return { entry: result.value, created: Boolean(result.lastErrorObject && result.lastErrorObject.upserted) };
+}
+
+// Create or update a user's entry for a habit on a local day.
+// date is the entry's timestamp when the client sent one (kept from the first check-in of the day).
+// notes: a string sets them, null clears them, undefined leaves them alone.
+// For measured habits pass the measurement and either value or add; the status follows the value.
+// Returns { entry, created }.
+async function checkInPersonal(db, { habitId, userId, dateKey, timeZone, date, status, notes, measurement, value, add }) {
+  const collection = userEntriesCollection(db);
+  const measured = isMeasured(measurement);
+  const update = {
+    $set: { updatedAt: new Date() },
+    $setOnInsert: { habitId, userId, localDate: dateKey, date: date || resolveEntryDate(dateKey, timeZone).date },
+  };
+  if (!measured) {
+    update.$set.status = status;
+  } else if (add !== undefined) {
+    update.$inc = { value: add };
+    update.$setOnInsert.status = 'partial'; // Corrected below once the new value is known
+  } else {
+    update.$set.value = value;
+    update.$set.status = statusForValue(measurement, value);
+  }
+  if (notes !== undefined) {
+    update.$set.notes = notes;
+  }
+
+  const result = await upsertOnce(collection, { userId, habitId, localDate: dateKey }, update);
+
+  // After an increment, bring the status in line with the total. Only if the value is still the
+  // one we saw: a concurrent increment will do the same for its own total.
+  if (measured && add !== undefined) {
+    const newStatus = statusForValue(measurement, result.entry.value);
+    if (newStatus !== result.entry.status) {
+      await collection.updateOne({ _id: result.entry._id, value: result.entry.value }, { $set: { status: newStatus } });
+      result.entry.status = newStatus;
+    }
+  }
+  return result;
+}
+
+// Remove a user's entry for a habit on a local day (including older entries matched by
+// timestamp). Returns the number of entries removed.
+async function undoCheckInPersonal(db, { habitId, userId, dateKey, timeZone }) {
+  const result = await userEntriesCollection(db).deleteMany({
+    userId,
+    habitId,
+    ...localDateFilter(dateKey, dateKey, timeZone),
+  });
+  return result.deletedCount;
+}
+
+// Add a member to the day's checkedBy, creating the day's entry if needed.
+// note: a string sets the member's note, null removes it, undefined leaves it alone.
+// For measured habits checkedBy lists everyone who logged a value; pass the measurement and either
+// value or add to update the member's entry in the values map.
+// Returns { entry, created }.
+async function checkInGroup(db, { groupId, habitId, userId, dateKey, timeZone, note, measurement, value, add }) {
+  const noteKey = `notes.${userId.toString()}`;
+  const valueKey = `values.${userId.toString()}`;
+  const update = {
+    $addToSet: { checkedBy: userId },
+    $set: {},
+    $setOnInsert: { groupId, habitId, localDate: dateKey, date: resolveEntryDate(dateKey, timeZone).date },
+  };
+  if (typeof note === 'string') {
+    update.$set[noteKey] = note;
+  } else if (note === null) {
+    update.$unset = { [noteKey]: '' };
+  } else {
+    update.$setOnInsert.notes = {};
+  }
+  if (isMeasured(measurement)) {
+    if (add !== undefined) {
+      update.$inc = { [valueKey]: add };
+    } else {
+      update.$set[valueKey] = value;
+    }
+  }
+  if (Object.keys(update.$set).length === 0) {
+    delete update.$set;
+  }
+
+  return upsertOnce(groupEntriesCollection(db), { groupId, habitId, localDate: dateKey }, update);
+}
+
+// Remove a member (and their note) from the day's entry. The entry itself is deleted once
+// nobody is checked in and no notes are left. Returns the updated entry, or null if there was none.
+async function undoCheckInGroup(db, { groupId, habitId, userId, dateKey }) {
+  const collection = groupEntriesCollection(db);
+  const entry = await collection.findOneAndUpdate(
+    { groupId, habitId, localDate: dateKey },
+    { $pull: { checkedBy: userId }, $unset: { [`notes.${userId.toString()}`]: '', [`values.${userId.toString()}`]: '' } },
+    { returnDocument: 'after' }
+  );
+  if (!entry) {
+    return null;
+  }
+
+  // Only delete if it is still empty, in case someone checked in meanwhile
+  await collection.deleteOne({
+    _id: entry._id,
+    checkedBy: { $size: 0 },
+    $or: [{ notes: {} }, { notes: { $exists: false } }],
+  });
+  return entry;
+}
+
+// Sum of the values a member logged across a list of projected entries
+function memberValueSum(entriesExpression) {
+  return {
+    $sum: {
+      $map: {
+        input: entriesExpression,
+        as: 'entry',
+        in: {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$$entry.values', as: 'pair', cond: { $eq: ['$$pair.k', { $toString: '$$member._id' }] } } },
+              as: 'pair',
+              in: '$$pair.v',
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Aggregation returning every member of a group with, for each group habit, whether they checked
+// in on a day, their note and (for measured habits) the value they logged that day and so far that
+// week. Runs against the groups collection and yields one document:
+// { members: [{ _id, username, habits: [{ habitId, title, schedule, measurement, createdAt, checkedIn, note, value, weekValue }] }] }
+function groupCompletionPipeline(groupId, dateKey, timeZone) {
+  return [
+    { $match: { _id: groupId } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'memberIds',
+        foreignField: '_id',
+        pipeline: [{ $project: { username: 1 } }],
+        as: 'members',
+      },
+    },
+    {
+      $lookup: {
+        from: 'habits',
+        let: { groupId: '$_id' },
+        pipeline: [
+          { $match: { 'assignedTo.type': 'group', $expr: { $eq: ['$assignedTo.id', '$$groupId'] } } },
+          { $project: { title: 1, schedule: 1, measurement: 1, createdAt: 1 } },
+        ],
+        as: 'habits',
+      },
+    },
+    {
+      // Entries from the start of the week up to the day, for weekly targets
+      $lookup: {
+        from: 'groupHabitEntries',
+        let: { groupId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$groupId', '$$groupId'] }, ...localDateFilter(startOfWeek(dateKey), dateKey, timeZone) } },
+          {
+            $project: {
+              habitId: 1,
+              day: { $ifNull: ['$localDate', { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } }] },
+              checkedBy: { $ifNull: ['$checkedBy', []] },
+              notes: { $objectToArray: { $ifNull: ['$notes', {}] } },
+              values: { $objectToArray: { $ifNull: ['$values', {}] } },
+            },
+          },
+        ],
+        as: 'entries',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        members: {
+          $map: {
+            input: '$members',
+            as: 'member',
+            in: {
+              _id: '$$member._id',
+              username: '$$member.username',
+              habits: {
+                $map: {
+                  input: '$habits',
+                  as: 'habit',
+                  in: {
+                    $let: {
+                      vars: {
+                        weekEntries: { $filter: { input: '$entries', as: 'entry', cond: { $eq: ['$$entry.habitId', '$$habit._id'] } } },
+                        dayEntries: {
+                          $filter: {
+                            input: '$entries',
+                            as: 'entry',
+                            cond: { $and: [{ $eq: ['$$entry.habitId', '$$habit._id'] }, { $eq: ['$$entry.day', dateKey] }] },
+                          },
+                        },
+                      },
+                      in: {
+                        habitId: '$$habit._id',
+                        title: '$$habit.title',
+                        schedule: '$$habit.schedule',
+                        measurement: '$$habit.measurement',
+                        createdAt: '$$habit.createdAt',
+                        checkedIn: {
+                          $anyElementTrue: [{
+                            $map: { input: '$$dayEntries', as: 'entry', in: { $in: ['$$member._id', '$$entry.checkedBy'] } },
+                          }],
+                        },
+                        // The member's note, from the notes map keyed by their user id
+                        note: {
+                          $let: {
+                            vars: {
+                              pair: {
+                                $first: {
+                                  $filter: {
+                                    input: { $reduce: { input: '$$dayEntries.notes', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } },
+                                    as: 'pair',
+                                    cond: { $eq: ['$$pair.k', { $toString: '$$member._id' }] },
+                                  },
+                                },
+                              },
+                            },
+                            in: { $ifNull: ['$$pair.v', null] },
+                          },
+                        },
+                        value: memberValueSum('$$dayEntries'),
+                        weekValue: memberValueSum('$$weekEntries'),
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  ];
+}
+
+module.exports = {
+  checkInGroup,
+  checkInPersonal,
+  ensureCheckInIndexes,
+  groupCompletionPipeline,
+  undoCheckInGroup,
+  undoCheckInPersonal,
+};
@@ -0,0 +1,204 @@
+// Calendar date helpers.
+// A "date key" is a calendar day written as 'YYYY-MM-DD'. Working with date keys (instead of
+// Date objects) keeps schedule and streak logic free of time-of-day and daylight-saving issues.
+// Converting between instants and date keys always happens in an IANA time zone
+// (the user's or the group's), defaulting to UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIME_ZONE = 'UTC';
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Check that a string is a real calendar date in YYYY-MM-DD format
+function isDateKey(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const match = DATE_KEY_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCFullYear() === Number(match[1])
+    && date.getUTCMonth() === Number(match[2]) - 1
+    && date.getUTCDate() === Number(match[3]);
+}
+
+// One Intl formatter per time zone, created on first use
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Check that a string is an IANA time zone name the runtime knows (e.g. 'America/Los_Angeles')
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  return parts;
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds (local time minus UTC)
+function timeZoneOffset(date, timeZone) {
+  const instant = new Date(date);
+  const parts = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (instant.getTime() - instant.getUTCMilliseconds());
+}
+
+// The calendar day of an instant in a time zone, as a date key
+function toDateKey(date, timeZone = DEFAULT_TIME_ZONE) {
+  if (timeZone === 'UTC') {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+  const parts = zonedParts(date, timeZone);
+  return `${String(parts.year).padStart(4, '0')}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Today's date key in a time zone
+function todayKey(timeZone = DEFAULT_TIME_ZONE) {
+  return toDateKey(new Date(), timeZone);
+}
+
+// The instant a wall-clock time happens in a time zone. local is the wall-clock time written as if
+// it were UTC (milliseconds). A time repeated when clocks go back is its first occurrence; a time
+// skipped when clocks go forward comes out as long after the change as it is after the gap's start
+// (02:30 in a 02:00-03:00 gap is 03:30), which for midnight is the first valid time of the day.
+function zonedInstant(local, timeZone) {
+  // The offsets in effect before and after any DST change around this time
+  const offsetBefore = timeZoneOffset(local - DAY_MS, timeZone);
+  const offsetAfter = timeZoneOffset(local + DAY_MS, timeZone);
+  const candidates = [local - offsetBefore, local - offsetAfter].sort((a, b) => a - b);
+  const valid = candidates.find(instant => instant + timeZoneOffset(instant, timeZone) === local);
+  return valid !== undefined ? valid : local - offsetBefore;
+}
+
+// The instant a local day starts in a time zone (midnight, or the first valid time after a DST gap)
+function startOfZonedDay(dateKey, timeZone) {
+  return new Date(zonedInstant(dayNumber(dateKey) * DAY_MS, timeZone));
+}
+
+// Start and end (as Date objects) of the local day a date key names in a time zone
+function zonedDayBounds(dateKey, timeZone = DEFAULT_TIME_ZONE) {
+  const start = startOfZonedDay(dateKey, timeZone);
+  const end = new Date(startOfZonedDay(addDays(dateKey, 1), timeZone).getTime() - 1);
+  return { start, end };
+}
+
+// The instant a wall-clock time ('HH:MM') on a local day happens in a time zone. Times skipped by a
+// DST change come out an hour later, like most clocks would show them.
+function zonedDateTime(dateKey, time, timeZone = DEFAULT_TIME_ZONE) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(zonedInstant(dayNumber(dateKey) * DAY_MS + (hours * 60 + minutes) * 60 * 1000, timeZone));
+}
+
+// The wall-clock time ('HH:MM') of an instant in a time zone
+function localTimeOf(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = zonedParts(date, timeZone);
+  return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+}
+
+// Number of days since 1970-01-01 for a date key
+function dayNumber(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+// Date key for a day number
+function fromDayNumber(number) {
+  return new Date(number * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Add (or subtract) days to a date key
+function addDays(dateKey, days) {
+  return fromDayNumber(dayNumber(dateKey) + days);
+}
+
+// Number of days from one date key to another (positive when to is later)
+function daysBetween(fromKey, toKey) {
+  return dayNumber(toKey) - dayNumber(fromKey);
+}
+
+// Day of the week for a date key: 0 = Sunday ... 6 = Saturday
+function weekday(dateKey) {
+  return new Date(dayNumber(dateKey) * DAY_MS).getUTCDay();
+}
+
+// Monday of the (ISO) week a date key falls in
+function startOfWeek(dateKey) {
+  return addDays(dateKey, -((weekday(dateKey) + 6) % 7));
+}
+
+// First day of the month a date key falls in
+function startOfMonth(dateKey) {
+  return `${dateKey.slice(0, 7)}-01`;
+}
+
+// Number of days in the month a date key falls in
+function daysInMonth(dateKey) {
+  const [year, month] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Whole months from one date key's month to another's
+function monthsBetween(fromKey, toKey) {
+  const [fromYear, fromMonth] = fromKey.split('-').map(Number);
+  const [toYear, toMonth] = toKey.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+// Start and end (as UTC Date objects) of the UTC day a date key names
+function utcDayBounds(dateKey) {
+  return zonedDayBounds(dateKey, 'UTC');
+}
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_TIME_ZONE,
+  addDays,
+  dayNumber,
+  daysBetween,
+  daysInMonth,
+  fromDayNumber,
+  isDateKey,
+  isValidTimeZone,
+  localTimeOf,
+  monthsBetween,
+  startOfMonth,
+  startOfWeek,
+  timeZoneOffset,
+  toDateKey,
+  todayKey,
+  utcDayBounds,
+  weekday,
+  zonedDateTime,
+  zonedDayBounds,
+};
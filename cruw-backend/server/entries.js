@@ -0,0 +1,188 @@
+const { toDateKey, zonedDayBounds } = require('./dates');
+const { completedDatesFromValues, getHabitMeasurement, isMeasured } = require('./measurement');
+
+// Helpers for reading habit entries.
+// userHabitEntries carry a free-form status; these statuses mean the habit was NOT done that day.
+// Anything else ('completed', 'done', ...) counts as a completion.
+// Entries of measured habits (see server/measurement.js) also carry a numeric value: personal
+// entries in value, group entries per member in the values map. Their completion is worked out
+// from the values and the habit's target rather than from the status.
+const NOT_COMPLETED_STATUSES = ['skipped', 'missed', 'failed', 'incomplete', 'partial'];
+
+// Does a personal habit entry count as a completion?
+function isCompletedEntry(entry) {
+  if (!entry || typeof entry.status !== 'string') {
+    return false;
+  }
+  return !NOT_COMPLETED_STATUSES.includes(entry.status.toLowerCase());
+}
+
+// The local calendar day an entry counts towards. Entries store it in localDate; older
+// entries only have a timestamp, which is read in the given time zone.
+function entryDateKey(entry, timeZone) {
+  return entry.localDate || toDateKey(entry.date, timeZone);
+}
+
+// Turn an entry date sent by a client into the stored pair { date, localDate }.
+// A bare date key names a day in the given time zone and is stored as the start of that day;
+// an instant is kept as-is and its local day is worked out in the time zone.
+function resolveEntryDate(value, timeZone) {
+  if (typeof value === 'string') {
+    return { date: zonedDayBounds(value, timeZone).start, localDate: value };
+  }
+  return { date: value, localDate: toDateKey(value, timeZone) };
+}
+
+// Query filter for entries whose local day is between two date keys (inclusive).
+// Entries without localDate are matched on their timestamp using the time zone's day boundaries.
+function localDateFilter(fromKey, toKey, timeZone) {
+  return {
+    $or: [
+      { localDate: { $gte: fromKey, $lte: toKey } },
+      {
+        localDate: { $exists: false },
+        date: { $gte: zonedDayBounds(fromKey, timeZone).start, $lte: zonedDayBounds(toKey, timeZone).end },
+      },
+    ],
+  };
+}
+
+// The value an entry logs for a user: the personal entry's value, or the user's share of a group entry
+function entryValue(entry, userId = null) {
+  const value = entry.checkedBy
+    ? (entry.values && userId ? entry.values[userId.toString()] : undefined)
+    : entry.value;
+  return typeof value === 'number' ? value : 0;
+}
+
+// Sum the values logged per habit and day: Map of habitId string -> Map of date key -> value.
+// For group entries pass the user whose values should count.
+function valuesByHabit(entries, { userId = null, timeZone } = {}) {
+  const byHabit = new Map();
+  entries.forEach(entry => {
+    const value = entryValue(entry, userId);
+    if (value <= 0) {
+      return;
+    }
+    const habitId = entry.habitId.toString();
+    if (!byHabit.has(habitId)) {
+      byHabit.set(habitId, new Map());
+    }
+    const days = byHabit.get(habitId);
+    const dateKey = entryDateKey(entry, timeZone);
+    days.set(dateKey, (days.get(dateKey) || 0) + value);
+  });
+  return byHabit;
+}
+
+// Group a list of entries into a Map of habitId string -> Set of completed date keys.
+// For group entries pass the user whose check-ins should count (they must be in checkedBy).
+// timeZone is only used for entries saved before localDate existed.
+// Pass the habits the entries belong to so measured habits are judged against their targets.
+function completedDatesByHabit(entries, { userId = null, timeZone, habits = [] } = {}) {
+  const measuredHabits = new Map();
+  habits.forEach(habit => {
+    const measurement = getHabitMeasurement(habit);
+    if (isMeasured(measurement)) {
+      measuredHabits.set(habit._id.toString(), measurement);
+    }
+  });
+
+  const byHabit = new Map();
+
+  // Measured habits: completed where the logged values reach the target
+  if (measuredHabits.size > 0) {
+    const measuredEntries = entries.filter(entry => measuredHabits.has(entry.habitId.toString()));
+    valuesByHabit(measuredEntries, { userId, timeZone }).forEach((days, habitId) => {
+      byHabit.set(habitId, completedDatesFromValues(measuredHabits.get(habitId), days));
+    });
+  }
+
+  entries.forEach(entry => {
+    if (measuredHabits.has(entry.habitId.toString())) {
+      return;
+    }
+    const completed = entry.checkedBy
+      ? Boolean(userId) && entry.checkedBy.some(id => id.toString() === userId.toString())
+      : isCompletedEntry(entry);
+    if (!completed) {
+      return;
+    }
+    const habitId = entry.habitId.toString();
+    if (!byHabit.has(habitId)) {
+      byHabit.set(habitId, new Set());
+    }
+    byHabit.get(habitId).add(entryDateKey(entry, timeZone));
+  });
+  return byHabit;
+}
+
+// Every habit a user tracks: personal habits created by or assigned to them,
+// plus the habits of every group they are a member of
+async function findUserHabits(db, userId) {
+  const groups = await db.collection('groups').find(
+    { memberIds: userId },
+    { projection: { _id: 1 } }
+  ).toArray();
+
+  return db.collection('habits').find({
+    $or: [
+      { createdBy: userId, 'assignedTo.type': 'user' },
+      { 'assignedTo.id': userId, 'assignedTo.type': 'user' },
+      { 'assignedTo.type': 'group', 'assignedTo.id': { $in: groups.map(group => group._id) } },
+    ],
+  }).toArray();
+}
+
+// Load a user's entries for the given habits: their personal entries and the group entries they
+// checked in to. Pass a { from, to } range of date keys to only load entries in it.
+async function loadUserEntries(db, habits, userId, timeZone, range = null) {
+  const personalHabitIds = habits.filter(habit => habit.assignedTo.type === 'user').map(habit => habit._id);
+  const groupHabitIds = habits.filter(habit => habit.assignedTo.type === 'group').map(habit => habit._id);
+  const projection = { habitId: 1, date: 1, localDate: 1, status: 1, value: 1, checkedBy: 1, values: 1, updatedAt: 1 };
+  const dateFilter = range ? localDateFilter(range.from, range.to, timeZone) : {};
+
+  const [personalEntries, groupEntries] = await Promise.all([
+    personalHabitIds.length === 0 ? [] : db.collection('userHabitEntries').find(
+      { userId: userId, habitId: { $in: personalHabitIds }, ...dateFilter },
+      { projection }
+    ).toArray(),
+    groupHabitIds.length === 0 ? [] : db.collection('groupHabitEntries').find(
+      { habitId: { $in: groupHabitIds }, checkedBy: userId, ...dateFilter },
+      { projection }
+    ).toArray(),
+  ]);
+
+  return personalEntries.concat(groupEntries);
+}
+
+// Load the date keys a user completed each of the given habits on.
+// Pass a { from, to } range of date keys to only load completions in it.
+// Returns a Map of habitId string -> Set of date keys.
+async function loadCompletedDates(db, habits, userId, timeZone, range = null) {
+  const entries = await loadUserEntries(db, habits, userId, timeZone, range);
+  return completedDatesByHabit(entries, { userId, timeZone, habits });
+}
+
+// Indexes for the per-user and per-group date lookups (day views, date ranges, calendars, streaks)
+async function ensureEntryIndexes(db) {
+  await db.collection('userHabitEntries').createIndex({ userId: 1, date: 1 });
+  await db.collection('userHabitEntries').createIndex({ userId: 1, localDate: 1 });
+  await db.collection('groupHabitEntries').createIndex({ groupId: 1, date: 1 });
+  await db.collection('groupHabitEntries').createIndex({ groupId: 1, localDate: 1 });
+}
+
+module.exports = {
+  NOT_COMPLETED_STATUSES,
+  completedDatesByHabit,
+  ensureEntryIndexes,
+  entryDateKey,
+  entryValue,
+  findUserHabits,
+  isCompletedEntry,
+  loadCompletedDates,
+  loadUserEntries,
+  localDateFilter,
+  resolveEntryDate,
+  valuesByHabit,
+};
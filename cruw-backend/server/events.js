@@ -0,0 +1,195 @@
+const { EventEmitter } = require('events');
+const { sameId } = require('./authorization');
+
+// Real-time group events.
+// What happens in a group (check-ins, habit changes, members joining and leaving, challenge
+// updates, reactions and comments on its feed) is stored in the groupEvents collection and pushed to subscribed clients over
+// Server-Sent Events. An event's _id is its cursor: a client that reconnects sends the last one
+// it saw (EventSource does this by itself with the Last-Event-ID header) and is sent what it
+// missed. Events are kept for EVENT_RETENTION_DAYS; a client whose cursor is older than that, or
+// that missed more than REPLAY_LIMIT events, gets a 'resync' event and should refetch instead.
+// Open streams are fed by an in-process emitter, so they see events published by this server instance.
+
+const EVENT_TYPES = [
+  'checkin.created',
+  'checkin.removed',
+  'habit.created',
+  'habit.updated',
+  'habit.deleted',
+  'member.joined',
+  'member.left',
+  'member.removed',
+  'member.banned',
+  'group.updated',
+  'group.deleted',
+  'challenge.created',
+  'challenge.updated',
+  'challenge.ended',
+  'challenge.cancelled',
+  'reaction.added',
+  'reaction.removed',
+  'comment.created',
+  'comment.updated',
+  'comment.deleted',
+];
+const EVENT_RETENTION_DAYS = 7;
+const REPLAY_LIMIT = 500;
+// Comment lines sent to keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+// How long EventSource clients wait before reconnecting
+const RECONNECT_MS = 5 * 1000;
+
+// Events after which the user they name no longer gets the group's events
+const MEMBER_EXIT_TYPES = ['member.left', 'member.removed', 'member.banned'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+function eventsCollection(db) {
+  return db.collection('groupEvents');
+}
+
+// Create the indexes the groupEvents collection relies on (called once at startup)
+async function ensureEventIndexes(db) {
+  const collection = eventsCollection(db);
+  await collection.createIndex({ groupId: 1, _id: 1 });
+  // Let MongoDB clean up old events
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+// Record an event in a group and push it to open streams. Never throws: a failed event
+// shouldn't fail the request that caused it. Returns the event, or null if it couldn't be stored.
+async function publishGroupEvent(db, groupId, type, data = {}, actorId = null) {
+  const event = { groupId, type, data, actorId, createdAt: new Date() };
+  try {
+    const result = await eventsCollection(db).insertOne(event);
+    event._id = result.insertedId;
+    emitter.emit('event', event);
+    return event;
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+    return null;
+  }
+}
+
+function writeEvent(res, event) {
+  const payload = { groupId: event.groupId, type: event.type, data: event.data, actorId: event.actorId, createdAt: event.createdAt };
+  res.write(`id: ${event._id.toString()}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Stream the events of some groups to a client until it disconnects or closeAt passes (when
+// the access token it connected with expires; the client reconnects with a fresh one).
+// groupIds: ObjectIds of groups the user has been checked to be a member of.
+// cursor: ObjectId of the last event the client saw, or null to only get new events.
+async function openEventStream(req, res, { db, userId, groupIds, cursor, closeAt }) {
+  const subscribed = new Set(groupIds.map(id => id.toString()));
+  let lastId = cursor;
+  let replaying = true;
+  const queued = [];
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const close = () => {
+    emitter.off('event', onEvent);
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+
+  function send(event) {
+    const groupKey = event.groupId.toString();
+    // The stream may have closed, or left this group, earlier in the same replay
+    if (res.writableEnded || !subscribed.has(groupKey)) {
+      return;
+    }
+    if (lastId && event._id.toString() <= lastId.toString()) {
+      return; // Already sent during the replay
+    }
+    writeEvent(res, event);
+    lastId = event._id;
+    if (event.type === 'group.deleted' || (MEMBER_EXIT_TYPES.includes(event.type) && sameId(event.data.userId, userId))) {
+      subscribed.delete(groupKey);
+      if (subscribed.size === 0) {
+        close();
+      }
+    }
+  }
+
+  function onEvent(event) {
+    if (!subscribed.has(event.groupId.toString())) {
+      return;
+    }
+    if (replaying) {
+      queued.push(event);
+    } else {
+      send(event);
+    }
+  }
+
+  // Listen before replaying so nothing published in between is lost
+  emitter.on('event', onEvent);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = setTimeout(() => {
+    res.write('event: token-expired\ndata: {}\n\n');
+    close();
+  }, closeAt ? Math.max(0, closeAt.getTime() - Date.now()) : 2147483647);
+  req.on('close', close);
+
+  try {
+    if (cursor) {
+      const oldestKept = Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const missed = cursor.getTimestamp().getTime() < oldestKept
+        ? null
+        : await eventsCollection(db)
+          .find({ groupId: { $in: groupIds }, _id: { $gt: cursor } })
+          .sort({ _id: 1 })
+          .limit(REPLAY_LIMIT + 1)
+          .toArray();
+      if (res.writableEnded) {
+        return; // The client went away while the missed events were loaded
+      }
+      if (!missed || missed.length > REPLAY_LIMIT) {
+        res.write('event: resync\ndata: {}\n\n');
+      } else {
+        for (const event of missed) {
+          if (res.writableEnded) {
+            break;
+          }
+          send(event);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error replaying group events:', error);
+    if (!res.writableEnded) {
+      res.write('event: resync\ndata: {}\n\n');
+    }
+  }
+
+  replaying = false;
+  for (const event of queued) {
+    if (res.writableEnded) {
+      break;
+    }
+    send(event);
+  }
+  if (!res.writableEnded) {
+    res.write(`event: ready\ndata: ${JSON.stringify({ groupIds: Array.from(subscribed) })}\n\n`);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ensureEventIndexes,
+  openEventStream,
+  publishGroupEvent,
+};
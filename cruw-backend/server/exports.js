@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const { GridFSBucket } = require('mongodb');
+const { getGroupRole } = require('./authorization');
+const { notify } = require('./channels');
+const { findUserHabits } = require('./entries');
+const { groupVisibility } = require('./invitations');
+const { createZip } = require('./zip');
+
+// Data exports: everything a user put in, as JSON or as a zip with one CSV file per collection.
+//   habits            every habit they track (see findUserHabits)
+//   userHabitEntries  their personal entries
+//   groupMemberships  the groups they are in and their role there
+//   groupCheckIns     the group entries they checked in to, with only their own note and value
+// Small exports are written straight to the response. Bigger ones (more than
+// MAX_DIRECT_EXPORT_ENTRIES entries) run as background jobs in exportJobs:
+// { userId, format, status: 'pending' | 'running' | 'done' | 'failed', fileId, fileName, size,
+//   createdAt, startedAt, finishedAt, expiresAt, error }
+// Finished files are kept in the exportFiles GridFS bucket until expiresAt, when the worker
+// deletes them with their job. Download links carry an HMAC of the job id, so they work without
+// a login (e.g. from the email telling the user the export is ready).
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'application/zip', extension: 'zip' },
+};
+const MAX_DIRECT_EXPORT_ENTRIES = 5000;
+const EXPORT_RETENTION_DAYS = 7;
+const EXPORT_FILES_BUCKET = 'exportFiles';
+const EXPORT_FILE_VERSION = 1;
+const TICK_MS = 60 * 1000;
+// A job running for longer than this was lost with its server
+const JOB_LOCK_MS = 30 * 60 * 1000;
+
+const INSTANCE_ID = crypto.randomUUID();
+
+// The exported collections: how to read each one and the columns of its CSV file.
+// Nested values (schedules, measurements, notes) go into a CSV cell as JSON.
+const EXPORT_COLLECTIONS = [
+  {
+    name: 'habits',
+    columns: ['_id', 'title', 'description', 'assignedTo', 'schedule', 'streakGraceDays', 'measurement', 'createdBy', 'createdAt', 'updatedAt'],
+    async *rows(db, userId) {
+      yield* await findUserHabits(db, userId);
+    },
+  },
+  {
+    name: 'userHabitEntries',
+    columns: ['_id', 'habitId', 'date', 'localDate', 'status', 'value', 'notes', 'updatedAt'],
+    async *rows(db, userId) {
+      yield* db.collection('userHabitEntries').find({ userId }, { projection: { userId: 0 } }).sort({ _id: 1 });
+    },
+  },
+  {
+    name: 'groupMemberships',
+    columns: ['groupId', 'name', 'description', 'role', 'visibility', 'timezone', 'archivedAt', 'createdAt'],
+    async *rows(db, userId) {
+      const groups = db.collection('groups').find({ memberIds: userId }).sort({ _id: 1 });
+      for await (const group of groups) {
+        yield {
+          groupId: group._id,
+          name: group.name,
+          description: group.description || null,
+          role: getGroupRole(group, userId),
+          visibility: groupVisibility(group),
+          timezone: group.timezone || null,
+          archivedAt: group.archivedAt || null,
+          createdAt: group.createdAt,
+        };
+      }
+    },
+  },
+  {
+    name: 'groupCheckIns',
+    columns: ['_id', 'habitId', 'groupId', 'date', 'localDate', 'note', 'value'],
+    async *rows(db, userId) {
+      const key = userId.toString();
+      const entries = db.collection('groupHabitEntries').find({ checkedBy: userId }).sort({ _id: 1 });
+      for await (const entry of entries) {
+        // Other members' notes and values are theirs, not part of this user's data
+        yield {
+          _id: entry._id,
+          habitId: entry.habitId,
+          groupId: entry.groupId,
+          date: entry.date,
+          localDate: entry.localDate || null,
+          note: (entry.notes && entry.notes[key]) || null,
+          value: entry.values && typeof entry.values[key] === 'number' ? entry.values[key] : null,
+        };
+      }
+    },
+  },
+];
+
+function exportJobsCollection(db) {
+  return db.collection('exportJobs');
+}
+
+function exportFilesBucket(db) {
+  return new GridFSBucket(db, { bucketName: EXPORT_FILES_BUCKET });
+}
+
+// Create the indexes the exportJobs collection relies on (called once at startup)
+async function ensureExportIndexes(db) {
+  await exportJobsCollection(db).createIndex({ userId: 1, createdAt: -1 });
+  await exportJobsCollection(db).createIndex({ status: 1, createdAt: 1 });
+  await exportJobsCollection(db).createIndex({ expiresAt: 1 });
+}
+
+// How many entries an export of a user's data would hold, to decide between a direct
+// download and a background job
+async function countExportEntries(db, userId) {
+  const [personal, group] = await Promise.all([
+    db.collection('userHabitEntries').countDocuments({ userId }),
+    db.collection('groupHabitEntries').countDocuments({ checkedBy: userId }),
+  ]);
+  return personal + group;
+}
+
+// The name an export is downloaded as, e.g. cruw-export-2026-05-01.zip
+function exportFileName(format, date = new Date()) {
+  return `cruw-export-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Write to a stream, waiting for it to drain when its buffer is full. Rejects if the stream
+// closes first (e.g. the client went away), also when it closed before this write: a closed
+// stream never emits 'close' or 'drain' again.
+function writeChunk(stream, chunk) {
+  if (stream.destroyed || stream.writableEnded) {
+    return Promise.reject(new Error('The stream closed before the export was written.'));
+  }
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    function onDrain() {
+      stream.off('close', onClose);
+      resolve();
+    }
+    function onClose() {
+      stream.off('drain', onDrain);
+      reject(new Error('The stream closed before the export was written.'));
+    }
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+    // It may have closed during the write itself
+    if (stream.destroyed) {
+      onClose();
+    }
+  });
+}
+
+// One CSV cell. Cells that spreadsheets would run as formulas are prefixed with a quote.
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && value._bsontype !== 'ObjectId') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write a user's data to a stream as one JSON document:
+// { format, version, exportedAt, userId, habits: [...], userHabitEntries: [...], ... }
+async function writeJsonExport(db, userId, stream) {
+  const header = { format: 'cruw-export', version: EXPORT_FILE_VERSION, exportedAt: new Date(), userId };
+  await writeChunk(stream, JSON.stringify(header).slice(0, -1));
+  for (const collection of EXPORT_COLLECTIONS) {
+    await writeChunk(stream, `,${JSON.stringify(collection.name)}:[`);
+    let first = true;
+    for await (const row of collection.rows(db, userId)) {
+      await writeChunk(stream, (first ? '' : ',') + JSON.stringify(row));
+      first = false;
+    }
+    await writeChunk(stream, ']');
+  }
+  await writeChunk(stream, '}\n');
+}
+
+// A zip with one CSV file per collection (UTF-8 with a byte order mark, for spreadsheets)
+async function buildCsvZip(db, userId) {
+  const files = [];
+  for (const collection of EXPORT_COLLECTIONS) {
+    const lines = [collection.columns.join(',')];
+    for await (const row of collection.rows(db, userId)) {
+      lines.push(collection.columns.map(column => csvCell(row[column])).join(','));
+    }
+    files.push({ name: `${collection.name}.csv`, data: `\uFEFF${lines.join('\r\n')}\r\n` });
+  }
+  return createZip(files);
+}
+
+// Write a user's export in a format (see EXPORT_FORMATS) to a stream. Doesn't end the stream.
+async function writeExport(db, userId, format, stream) {
+  if (format === 'csv') {
+    await writeChunk(stream, await buildCsvZip(db, userId));
+    return;
+  }
+  await writeJsonExport(db, userId, stream);
+}
+
+// Queue an export job, or return the user's job for the same format that is already queued or running
+async function createExportJob(db, userId, format) {
+  return exportJobsCollection(db).findOneAndUpdate(
+    { userId, format, status: { $in: ['pending', 'running'] } },
+    { $setOnInsert: { userId, format, status: 'pending', createdAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+function findExportJob(db, jobId) {
+  return exportJobsCollection(db).findOne({ _id: jobId });
+}
+
+// A user's export jobs, newest first
+function listExportJobs(db, userId) {
+  return exportJobsCollection(db).find({ userId }).sort({ createdAt: -1 }).toArray();
+}
+
+// The signature in a job's download link
+function exportDownloadToken(jobId, secret) {
+  return crypto.createHmac('sha256', secret).update(`export:${jobId}`).digest('base64url');
+}
+
+function isValidExportDownloadToken(jobId, token, secret) {
+  const expected = Buffer.from(exportDownloadToken(jobId, secret));
+  const given = Buffer.from(String(token));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// The download link of a finished job, or null. apiUrl is the public URL of this server.
+function exportDownloadUrl(job, { apiUrl, secret }) {
+  if (job.status !== 'done') {
+    return null;
+  }
+  return `${apiUrl}/api/exports/download?job=${job._id}&token=${exportDownloadToken(job._id, secret)}`;
+}
+
+// A readable stream of a finished job's file
+function openExportFile(db, job) {
+  return exportFilesBucket(db).openDownloadStream(job.fileId);
+}
+
+// Delete export files by id. Files that are already gone are fine.
+async function deleteExportFiles(db, fileIds) {
+  for (const fileId of fileIds) {
+    try {
+      await exportFilesBucket(db).delete(fileId);
+    } catch (error) {
+      if (!/FileNotFound|File not found/i.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Delete a job and its file
+async function deleteExportJob(db, job) {
+  if (job.fileId) {
+    await deleteExportFiles(db, [job.fileId]);
+  }
+  await exportJobsCollection(db).deleteOne({ _id: job._id });
+}
+
+// Build a claimed job's file into the bucket and mark the job done
+async function runExportJob(db, job) {
+  const fileName = exportFileName(job.format, job.startedAt);
+  const upload = exportFilesBucket(db).openUploadStream(fileName, {
+    metadata: { userId: job.userId, jobId: job._id, contentType: EXPORT_FORMATS[job.format].contentType },
+  });
+  try {
+    await writeExport(db, job.userId, job.format, upload);
+    await new Promise((resolve, reject) => {
+      upload.once('error', reject);
+      upload.end(resolve);
+    });
+  } catch (error) {
+    await upload.abort().catch(() => {});
+    throw error;
+  }
+
+  const finishedAt = new Date();
+  const expiresAt = new Date(finishedAt.getTime() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const result = await exportJobsCollection(db).findOneAndUpdate(
+    { _id: job._id, status: 'running', claimedBy: INSTANCE_ID },
+    { $set: { status: 'done', fileId: upload.id, fileName, size: upload.length, finishedAt, expiresAt } },
+    { returnDocument: 'after' }
+  );
+  if (!result) {
+    // The job was given up on meanwhile; its file isn't needed
+    await exportFilesBucket(db).delete(upload.id).catch(() => {});
+  }
+  return result;
+}
+
+// The background worker: every tick it gives up on jobs lost with their server, deletes expired
+// exports and builds the queued ones, then lets their users know.
+// options: { mailer, apiUrl, secret (for download links), intervalMs }
+function createExportWorker(db, { mailer = null, apiUrl = '', secret, intervalMs = TICK_MS } = {}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) {
+      return; // The previous tick is still busy
+    }
+    running = true;
+    try {
+      const now = new Date();
+      await exportJobsCollection(db).updateMany(
+        { status: 'running', startedAt: { $lt: new Date(now.getTime() - JOB_LOCK_MS) } },
+        { $set: { status: 'failed', error: 'interrupted', finishedAt: now, expiresAt: now } }
+      );
+
+      const expired = await exportJobsCollection(db).find({ expiresAt: { $lte: now } }).toArray();
+      for (const job of expired) {
+        await deleteExportJob(db, job);
+      }
+
+      for (;;) {
+        const job = await exportJobsCollection(db).findOneAndUpdate(
+          { status: 'pending' },
+          { $set: { status: 'running', startedAt: new Date(), claimedBy: INSTANCE_ID } },
+          { sort: { createdAt: 1 }, returnDocument: 'after' }
+        );
+        if (!job) {
+          break;
+        }
+        try {
+          const done = await runExportJob(db, job);
+          if (done) {
+            await notify({ db, mailer }, [job.userId], 'exportReady', {
+              title: 'Your data export is ready',
+              body: `Your export can be downloaded until ${done.expiresAt.toISOString().slice(0, 10)}.`,
+              data: { jobId: job._id },
+              url: exportDownloadUrl(done, { apiUrl, secret }),
+            });
+          }
+        } catch (error) {
+          console.error('Error running export job:', error);
+          const failedAt = new Date();
+          await exportJobsCollection(db).updateOne(
+            { _id: job._id, status: 'running' },
+            { $set: { status: 'failed', error: error.message, finishedAt: failedAt, expiresAt: new Date(failedAt.getTime() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000) } }
+          );
+        }
+      }
+    } catch (error) {
+      console.error('Error running export worker:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, intervalMs);
+        timer.unref(); // Don't keep the process alive just for exports
+        tick();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    tick,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_DIRECT_EXPORT_ENTRIES,
+  countExportEntries,
+  createExportJob,
+  createExportWorker,
+  deleteExportFiles,
+  deleteExportJob,
+  ensureExportIndexes,
+  exportDownloadUrl,
+  exportFileName,
+  exportJobsCollection,
+  findExportJob,
+  isValidExportDownloadToken,
+  listExportJobs,
+  openExportFile,
+  writeExport,
+};
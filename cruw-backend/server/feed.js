@@ -0,0 +1,239 @@
+const { ObjectId } = require('mongodb');
+const { completedDatesByHabit } = require('./entries');
+const { getHabitSchedule } = require('./schedule');
+const { computeHabitStreak } = require('./streaks');
+
+// Group activity feeds.
+// Feed items record what happened in a group: check-ins, streak milestones, new members and new
+// habits. Members react to items with emoji and comment on them. Items are paged newest first
+// with their _id as the cursor.
+//
+// feedItems:    { groupId, type, actorId, data, reactions: [{ emoji, userId, createdAt }], commentCount, createdAt }
+// feedComments: { itemId, groupId, authorId, text, createdAt, updatedAt }
+
+const FEED_ITEM_TYPES = ['checkin', 'streakMilestone', 'memberJoined', 'habitCreated'];
+// Streak lengths that get their own feed item
+const STREAK_MILESTONES = [3, 7, 14, 21, 30, 50, 75, 100, 150, 200, 365, 500, 1000];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Reactions are a single emoji (possibly with modifiers, e.g. a skin tone or a ZWJ sequence)
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:[\p{Emoji_Modifier}\u{FE0F}\u{20E3}]|\u{200D}(?:\p{Extended_Pictographic}|\p{Regional_Indicator})|\p{Regional_Indicator})*$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+function feedItemsCollection(db) {
+  return db.collection('feedItems');
+}
+
+function feedCommentsCollection(db) {
+  return db.collection('feedComments');
+}
+
+// Create the indexes the feed collections rely on (called once at startup)
+async function ensureFeedIndexes(db) {
+  await feedItemsCollection(db).createIndex({ groupId: 1, _id: -1 });
+  // Check-ins and milestones are recorded once however often they are reported
+  await feedItemsCollection(db).createIndex(
+    { groupId: 1, type: 1, actorId: 1, 'data.habitId': 1, 'data.date': 1, 'data.streak': 1 },
+    { unique: true, partialFilterExpression: { type: { $in: ['checkin', 'streakMilestone'] } } }
+  );
+  await feedCommentsCollection(db).createIndex({ itemId: 1, _id: 1 });
+}
+
+function isEmoji(value) {
+  return typeof value === 'string' && value.length <= MAX_EMOJI_LENGTH && EMOJI_PATTERN.test(value);
+}
+
+// Add an item to a group's feed. Feed items are a side effect: failures are logged, not thrown.
+async function addFeedItem(db, groupId, type, actorId, data = {}) {
+  try {
+    const item = { groupId, type, actorId, data, reactions: [], commentCount: 0, createdAt: new Date() };
+    const result = await feedItemsCollection(db).insertOne(item);
+    return { _id: result.insertedId, ...item };
+  } catch (error) {
+    console.error(`Error adding ${type} feed item:`, error);
+    return null;
+  }
+}
+
+// Add an item unless the same one (same type, member, habit, day and streak) is already there.
+// Returns whether it was added.
+async function addFeedItemOnce(db, groupId, type, actorId, data) {
+  const { habitId, date, streak = null, ...rest } = data;
+  // The filter's fields are copied into an inserted item, so only the rest is set here
+  const onInsert = { reactions: [], commentCount: 0, createdAt: new Date() };
+  Object.keys(rest).forEach(key => {
+    onInsert[`data.${key}`] = rest[key];
+  });
+  try {
+    const result = await feedItemsCollection(db).updateOne(
+      { groupId, type, actorId, 'data.habitId': habitId, 'data.date': date, 'data.streak': streak },
+      { $setOnInsert: onInsert },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error(`Error adding ${type} feed item:`, error);
+    }
+    return false;
+  }
+}
+
+// Record a member's check-in to a group habit, plus a streak milestone if it completes one.
+// timeZone is the one the check-in's day is in. Returns { firstCheckIn, milestone } where
+// firstCheckIn is false when the member had already checked in that day and milestone
+// ({ streak, unit }) is only set the first time a milestone is reached.
+async function recordCheckIn(db, { groupId, habit, userId, dateKey, timeZone }) {
+  const firstCheckIn = await addFeedItemOnce(db, groupId, 'checkin', userId, { habitId: habit._id, title: habit.title, date: dateKey });
+
+  try {
+    const entries = await db.collection('groupHabitEntries').find(
+      { groupId, habitId: habit._id, checkedBy: userId },
+      { projection: { habitId: 1, date: 1, localDate: 1, checkedBy: 1, values: 1 } }
+    ).toArray();
+    const completedDates = completedDatesByHabit(entries, { userId, timeZone, habits: [habit] }).get(habit._id.toString());
+    if (!completedDates || !completedDates.has(dateKey)) {
+      return { firstCheckIn, milestone: null }; // e.g. a measured habit that hasn't reached its target yet
+    }
+    const streak = computeHabitStreak(getHabitSchedule(habit, timeZone), Array.from(completedDates), {
+      asOf: dateKey,
+      graceDays: habit.streakGraceDays || 0,
+    });
+    if (streak.lastCompletedDate === dateKey && STREAK_MILESTONES.includes(streak.currentStreak)) {
+      const reached = await addFeedItemOnce(db, groupId, 'streakMilestone', userId, {
+        habitId: habit._id,
+        title: habit.title,
+        date: dateKey,
+        streak: streak.currentStreak,
+        unit: streak.unit,
+      });
+      return { firstCheckIn, milestone: reached ? { streak: streak.currentStreak, unit: streak.unit } : null };
+    }
+  } catch (error) {
+    console.error('Error checking streak milestone:', error);
+  }
+  return { firstCheckIn, milestone: null };
+}
+
+// Take back the feed items of a check-in that was undone (and any streak milestone it reached),
+// with their comments
+async function removeCheckIn(db, { groupId, habitId, userId, dateKey }) {
+  try {
+    const filter = { groupId, type: { $in: ['checkin', 'streakMilestone'] }, actorId: userId, 'data.habitId': habitId, 'data.date': dateKey };
+    const itemIds = await feedItemsCollection(db).find(filter, { projection: { _id: 1 } }).map(item => item._id).toArray();
+    if (itemIds.length > 0) {
+      await feedItemsCollection(db).deleteMany({ _id: { $in: itemIds } });
+      await feedCommentsCollection(db).deleteMany({ itemId: { $in: itemIds } });
+    }
+  } catch (error) {
+    console.error('Error removing check-in feed items:', error);
+  }
+}
+
+// Read the ?cursor= and ?limit= query parameters of a feed route.
+// Returns { cursor, limit } (cursor is an ObjectId or null) or { error }.
+function getPageParams(query) {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+  }
+  if (query.cursor === undefined) {
+    return { cursor: null, limit };
+  }
+  if (typeof query.cursor !== 'string' || !ObjectId.isValid(query.cursor)) {
+    return { error: 'Invalid cursor.' };
+  }
+  return { cursor: new ObjectId(query.cursor), limit };
+}
+
+// One page of feed items matching a filter, newest first. Returns { items, nextCursor }
+// where nextCursor is null on the last page.
+async function findFeedPage(db, filter, { cursor, limit }) {
+  const query = cursor ? { ...filter, _id: { $lt: cursor } } : filter;
+  const items = await feedItemsCollection(db).find(query).sort({ _id: -1 }).limit(limit + 1).toArray();
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return { items: page, nextCursor: hasMore ? page[page.length - 1]._id : null };
+}
+
+// Reactions grouped by emoji: [{ emoji, count, reactedByMe }], most used first
+function summarizeReactions(reactions, userId) {
+  const byEmoji = new Map();
+  (reactions || []).forEach(reaction => {
+    const summary = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, reactedByMe: false };
+    summary.count++;
+    summary.reactedByMe = summary.reactedByMe || reaction.userId.toString() === userId.toString();
+    byEmoji.set(reaction.emoji, summary);
+  });
+  return Array.from(byEmoji.values()).sort((a, b) => b.count - a.count);
+}
+
+// A feed item as the API returns it to userId. usernames maps user id strings to usernames.
+function describeFeedItem(item, userId, usernames) {
+  return {
+    _id: item._id,
+    groupId: item.groupId,
+    type: item.type,
+    actorId: item.actorId,
+    actorUsername: usernames.get(item.actorId.toString()) || null,
+    data: item.data,
+    reactions: summarizeReactions(item.reactions, userId),
+    commentCount: item.commentCount || 0,
+    createdAt: item.createdAt,
+  };
+}
+
+// Add the caller's reaction to an item. Returns false if they already reacted with that emoji.
+async function addReaction(db, itemId, userId, emoji) {
+  const result = await feedItemsCollection(db).updateOne(
+    { _id: itemId, reactions: { $not: { $elemMatch: { emoji, userId } } } },
+    { $push: { reactions: { emoji, userId, createdAt: new Date() } } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Remove the caller's reaction from an item. Returns false if there was none.
+async function removeReaction(db, itemId, userId, emoji) {
+  const result = await feedItemsCollection(db).updateOne({ _id: itemId }, { $pull: { reactions: { emoji, userId } } });
+  return result.modifiedCount === 1;
+}
+
+async function addComment(db, item, authorId, text) {
+  const now = new Date();
+  const comment = { itemId: item._id, groupId: item.groupId, authorId, text, createdAt: now, updatedAt: now };
+  const result = await feedCommentsCollection(db).insertOne(comment);
+  await feedItemsCollection(db).updateOne({ _id: item._id }, { $inc: { commentCount: 1 } });
+  return { _id: result.insertedId, ...comment };
+}
+
+// Returns the deleted comment, or null if there was none
+async function deleteComment(db, comment) {
+  const deleted = await feedCommentsCollection(db).findOneAndDelete({ _id: comment._id });
+  if (deleted) {
+    await feedItemsCollection(db).updateOne({ _id: comment.itemId, commentCount: { $gt: 0 } }, { $inc: { commentCount: -1 } });
+  }
+  return deleted;
+}
+
+module.exports = {
+  FEED_ITEM_TYPES,
+  STREAK_MILESTONES,
+  addComment,
+  addFeedItem,
+  addReaction,
+  deleteComment,
+  describeFeedItem,
+  ensureFeedIndexes,
+  feedCommentsCollection,
+  feedItemsCollection,
+  findFeedPage,
+  getPageParams,
+  isEmoji,
+  recordCheckIn,
+  removeCheckIn,
+  removeReaction,
+  summarizeReactions,
+};
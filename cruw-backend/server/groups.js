@@ -0,0 +1,77 @@
+const { sameId } = require('./authorization');
+
+// Group ownership.
+// Every active group has an owner who is also one of its members. When the owner leaves,
+// ownership passes to the longest-standing admin, or to the longest-standing member when there
+// are no admins (memberIds is kept in join order). A group nobody is left in is archived: its
+// habits and history are kept, but it can't be joined again.
+
+// Who takes over a group when its owner leaves, or null if nobody is left
+function successorOf(group, leavingId) {
+  const remaining = (group.memberIds || []).filter(id => !sameId(id, leavingId));
+  const adminIds = group.adminIds || [];
+  const admin = remaining.find(id => adminIds.some(adminId => sameId(adminId, id)));
+  return admin || remaining[0] || null;
+}
+
+// Take a user out of a group, handing ownership over (or archiving the group) when the owner leaves.
+// Every update is conditional on the group still looking the way it did when loaded, so two
+// people leaving at once can't leave an owner behind who isn't a member.
+// Returns { left, newOwnerId, archived }; left is false when the group changed in the meantime.
+async function leaveGroup(db, group, userId) {
+  const groups = db.collection('groups');
+
+  if (!sameId(group.ownerId, userId)) {
+    const result = await groups.updateOne(
+      { _id: group._id, memberIds: userId, ownerId: { $ne: userId } },
+      { $pull: { memberIds: userId, adminIds: userId } }
+    );
+    return { left: result.modifiedCount === 1, newOwnerId: null, archived: false };
+  }
+
+  const newOwnerId = successorOf(group, userId);
+  if (newOwnerId) {
+    const result = await groups.updateOne(
+      { _id: group._id, ownerId: userId, memberIds: newOwnerId },
+      {
+        $set: { ownerId: newOwnerId, updatedAt: new Date() },
+        $pull: { memberIds: userId, adminIds: { $in: [userId, newOwnerId] } },
+      }
+    );
+    return { left: result.modifiedCount === 1, newOwnerId, archived: false };
+  }
+
+  // The owner was the last member
+  const result = await groups.updateOne(
+    { _id: group._id, ownerId: userId, memberIds: { $size: 1 } },
+    { $set: { memberIds: [], adminIds: [], archivedAt: new Date(), updatedAt: new Date() } }
+  );
+  return { left: result.modifiedCount === 1, newOwnerId: null, archived: result.modifiedCount === 1 };
+}
+
+// Make another member the owner. The previous owner stays on as an admin.
+// Returns false if fromId is no longer the owner or toId is not a member.
+async function transferOwnership(db, groupId, fromId, toId) {
+  const result = await db.collection('groups').updateOne(
+    { _id: groupId, ownerId: fromId, memberIds: toId },
+    [{
+      $set: {
+        ownerId: toId,
+        adminIds: {
+          $concatArrays: [
+            { $filter: { input: { $ifNull: ['$adminIds', []] }, as: 'id', cond: { $and: [{ $ne: ['$$id', toId] }, { $ne: ['$$id', fromId] }] } } },
+            [fromId],
+          ],
+        },
+        updatedAt: '$$NOW',
+      },
+    }]
+  );
+  return result.modifiedCount === 1;
+}
+
+module.exports = {
+  leaveGroup,
+  successorOf,
+  transferOwnership,
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for write routes.
+// A client on a flaky network can send the same request again with the same Idempotency-Key
+// header and get the stored response back instead of the write running twice. Keys are scoped
+// to the authenticated user and kept for a day. Reusing a key for a different request is an error.
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+// How long stored responses are kept
+const IDEMPOTENCY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+function idempotencyCollection(db) {
+  return db.collection('idempotencyKeys');
+}
+
+// Create the indexes the idempotencyKeys collection relies on (called once at startup)
+async function ensureIdempotencyIndexes(db) {
+  const collection = idempotencyCollection(db);
+  await collection.createIndex({ userId: 1, key: 1 }, { unique: true });
+  // Let MongoDB clean up old keys
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Fingerprint of what the request asks for, to spot a key reused for something else
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body === undefined ? null : req.body)}`)
+    .digest('hex');
+}
+
+// Middleware for routes that honour the Idempotency-Key header. Must run after authentication
+// (keys belong to req.user) and before body validation (the fingerprint uses the raw body).
+// Requests without the header pass straight through.
+function idempotent() {
+  return async function (req, res, next) {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      next();
+      return;
+    }
+    if (key === '' || key.length > MAX_KEY_LENGTH) {
+      res.status(400).json({ message: `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters.` });
+      return;
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      res.status(500).json({ message: 'Database not connected.' });
+      return;
+    }
+
+    const collection = idempotencyCollection(db);
+    const fingerprint = requestFingerprint(req);
+    const now = new Date();
+
+    try {
+      // Claim the key. Only one request can insert it; everyone else sees the stored record.
+      await collection.insertOne({
+        userId: req.user._id,
+        key: key,
+        fingerprint: fingerprint,
+        status: null, // Filled in once the response is sent
+        body: null,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error('Error storing idempotency key:', error);
+        res.status(500).json({ message: 'Failed to process idempotency key.', error: error.message });
+        return;
+      }
+
+      const existing = await collection.findOne({ userId: req.user._id, key: key });
+      if (!existing) {
+        // Expired or released between the insert and the lookup; the client can simply retry
+        res.status(409).json({ message: `Conflicting request with the same ${IDEMPOTENCY_HEADER}. Please retry.` });
+      } else if (existing.fingerprint !== fingerprint) {
+        res.status(422).json({ message: `${IDEMPOTENCY_HEADER} was already used for a different request.` });
+      } else if (existing.status === null) {
+        res.status(409).json({ message: `A request with this ${IDEMPOTENCY_HEADER} is still being processed.` });
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        res.status(existing.status).json(existing.body);
+      }
+      return;
+    }
+
+    // Record the response when it ends: res.json, res.send and Express's error handler all end
+    // through res.end, even once the client has hung up. A server error releases the key so the
+    // request can be retried, unless the route had already committed its write (see
+    // keepIdempotencyKey): a retry would apply it again. Everything else (including 4xx) is kept
+    // and replayed as-is.
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = function (body) {
+      responseBody = body === undefined ? null : body;
+      return originalJson(body);
+    };
+    let recorded = false;
+    const originalEnd = res.end.bind(res);
+    res.end = function (...args) {
+      if (!recorded) {
+        recorded = true;
+        const keep = res.statusCode < 500 || res.locals.idempotentWriteCommitted === true;
+        const record = keep
+          ? collection.updateOne({ userId: req.user._id, key: key }, { $set: { status: res.statusCode, body: responseBody } })
+          : collection.deleteOne({ userId: req.user._id, key: key });
+        record.catch(error => console.error('Error saving idempotent response:', error));
+      }
+      return originalEnd(...args);
+    };
+
+    next();
+  };
+}
+
+// Call from an idempotent route as soon as its write has been committed. From then on the key is
+// kept whatever the response turns out to be, so a retry gets the stored response instead of
+// running the write a second time.
+function keepIdempotencyKey(res) {
+  res.locals.idempotentWriteCommitted = true;
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  ensureIdempotencyIndexes,
+  idempotent,
+  keepIdempotencyKey,
+};
@@ -0,0 +1,612 @@
+const { ObjectId } = require('mongodb');
+const { addDays, isDateKey, toDateKey, todayKey, zonedDayBounds } = require('./dates');
+const { entryDateKey } = require('./entries');
+const { getHabitMeasurement, isMeasured, statusForValue, validateMeasurement } = require('./measurement');
+const { validateSchedule } = require('./schedule');
+const { readZip } = require('./zip');
+
+// Importing habits and their history from other trackers into a user's personal habits and
+// userHabitEntries. Every source is first parsed into the same shape:
+//   { habits: [{ externalId, title, description, schedule, measurement,
+//                entries: [{ date: 'YYYY-MM-DD', status, value, notes }] }],
+//     skipped: [{ habit, date, reason }], errors: [message] }
+// and then planned against what the user already has (planImport): an imported habit is merged
+// into the habit it was imported into before, or into a personal habit with the same title, and
+// created otherwise. Days that already have an entry are skipped, so the existing entry always
+// wins and importing the same file again changes nothing. Imported habits and entries remember
+// where they came from in importedFrom.
+//
+// Sources:
+//   loop      Loop Habit Tracker's CSV export: the zip (base64) with Habits.csv and Checkmarks.csv
+//   habitica  Habitica's user data export (JSON): dailies and positive habits with their history
+//   csv       A spreadsheet with one row per check-in: habit, date[, status][, value][, notes]
+//   json      Our own export (see server/exports.js), or { habits: [{ title, ..., entries }] }
+
+const IMPORT_SOURCES = ['loop', 'habitica', 'csv', 'json'];
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const MAX_IMPORT_HABITS = 500;
+const MAX_IMPORT_ENTRIES = 100000;
+// Skipped rows are counted in full but only this many are listed
+const MAX_LISTED_SKIPS = 100;
+const WRITE_BATCH_SIZE = 1000;
+
+const DAILY = { type: 'daily' };
+const BOOLEAN = { type: 'boolean' };
+
+// Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks) into rows of cells
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let index = 0; index < input.length; index++) {
+    const character = input[index];
+    if (quoted) {
+      if (character === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"' && cell === '') {
+      quoted = true;
+    } else if (character === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Turn CSV rows into objects keyed by the lowercased header names
+function csvRecords(rows) {
+  const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+  return rows.slice(1).map(cells => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+// The first of some column names a record has a value for
+function pick(record, names) {
+  const name = names.find(candidate => record[candidate] !== undefined && record[candidate] !== '');
+  return name ? record[name] : '';
+}
+
+// A date key from a date key, an ISO timestamp or epoch milliseconds (read in the user's time zone)
+function importDateKey(value, timeZone) {
+  if (isDateKey(value)) {
+    return value;
+  }
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : toDateKey(date, timeZone);
+}
+
+function parseNumber(value) {
+  const number = typeof value === 'number' ? value : Number(String(value).replace(',', '.'));
+  return value === '' || value === null || value === undefined || !Number.isFinite(number) ? null : number;
+}
+
+// --- Loop Habit Tracker ---
+
+// Loop's repetitions per period: x per day, x per week, x per month, once every n days
+function loopSchedule(numerator, denominator) {
+  if (!numerator || !denominator || numerator >= denominator) {
+    return DAILY;
+  }
+  if (numerator === 1) {
+    return { type: 'interval', every: Math.min(denominator, 365) };
+  }
+  if (denominator === 7) {
+    return { type: 'timesPerWeek', times: numerator };
+  }
+  if (denominator >= 28 && denominator <= 31) {
+    return { type: 'timesPerMonth', times: Math.min(numerator, 31) };
+  }
+  return DAILY;
+}
+
+// Loop's CSV export is a zip: Habits.csv lists the habits, the Checkmarks.csv next to it has a
+// row per day and a column per habit. Yes/no habits store 2 for done, 1 for "done enough this
+// period" (not a check-in of its own), 0 for not done, -1 for unknown and 3 for skipped; numeric
+// habits store the amount.
+function parseLoop(file) {
+  const result = { habits: [], skipped: [], errors: [] };
+  let files;
+  try {
+    files = readZip(Buffer.from(file, 'base64'), { maxSize: MAX_IMPORT_BYTES });
+  } catch (error) {
+    result.errors.push(`Not a Loop Habit Tracker export: ${error.message} Send the zip from "Export as CSV", base64-encoded.`);
+    return result;
+  }
+  const habitsFile = files.find(candidate => candidate.name.split('/').pop() === 'Habits.csv');
+  // Every habit also has a folder with its own Checkmarks.csv; the one next to Habits.csv has them all
+  const folder = habitsFile ? habitsFile.name.slice(0, -'Habits.csv'.length) : '';
+  const checkmarksFile = files.find(candidate => candidate.name === `${folder}Checkmarks.csv`);
+  if (!habitsFile || !checkmarksFile) {
+    result.errors.push('Not a Loop Habit Tracker export: Habits.csv and Checkmarks.csv are missing.');
+    return result;
+  }
+
+  const byName = new Map();
+  csvRecords(parseCsv(habitsFile.data.toString('utf8'))).forEach(record => {
+    const name = record.name;
+    if (!name) {
+      return;
+    }
+    // Older versions call the frequency NumRepetitions / Interval
+    const numerator = parseNumber(pick(record, ['frequencynumerator', 'frequency numerator', 'numrepetitions']));
+    const denominator = parseNumber(pick(record, ['frequencydenominator', 'frequency denominator', 'interval']));
+    const numeric = /^(1|numerical)$/i.test(record.type || '');
+    const target = parseNumber(record['target value']);
+    const habit = {
+      externalId: name,
+      title: name,
+      description: record.description || record.question || null,
+      schedule: loopSchedule(numerator, denominator),
+      measurement: numeric && target > 0 ? { type: 'count', unit: (record.unit || 'times').slice(0, 32), target, period: 'day' } : BOOLEAN,
+      entries: [],
+    };
+    byName.set(name, habit);
+    result.habits.push(habit);
+  });
+
+  const rows = parseCsv(checkmarksFile.data.toString('utf8'));
+  const columns = (rows[0] || []).map(name => name.trim());
+  rows.slice(1).forEach(cells => {
+    const date = (cells[0] || '').trim();
+    columns.forEach((name, index) => {
+      const habit = index > 0 && byName.get(name);
+      const value = parseNumber((cells[index] || '').trim());
+      if (!habit || value === null) {
+        return;
+      }
+      if (isMeasured(habit.measurement)) {
+        if (value > 0) {
+          habit.entries.push({ date, value });
+        }
+      } else if (value === 2) {
+        habit.entries.push({ date, status: 'completed' });
+      } else if (value === 3) {
+        habit.entries.push({ date, status: 'skipped' });
+      }
+    });
+  });
+  return result;
+}
+
+// --- Habitica ---
+
+const HABITICA_WEEKDAYS = { su: 'sun', m: 'mon', t: 'tue', w: 'wed', th: 'thu', f: 'fri', s: 'sat' };
+const HABITICA_RRULE_DAYS = { su: 'SU', m: 'MO', t: 'TU', w: 'WE', th: 'TH', f: 'FR', s: 'SA' };
+
+function habiticaSchedule(daily, timeZone) {
+  const every = Number.isInteger(daily.everyX) && daily.everyX > 0 ? daily.everyX : 1;
+  const startDate = daily.startDate ? importDateKey(daily.startDate, timeZone) : null;
+  const dated = schedule => (startDate ? { ...schedule, startDate } : schedule);
+  const repeatDays = Object.keys(HABITICA_WEEKDAYS).filter(day => daily.repeat && daily.repeat[day]);
+
+  switch (daily.frequency) {
+    case 'daily':
+      return dated(every === 1 ? DAILY : { type: 'interval', every: Math.min(every, 365) });
+    case 'weekly':
+      if (repeatDays.length === 0) {
+        return null;
+      }
+      return dated(every === 1
+        ? { type: 'weekly', days: repeatDays.map(day => HABITICA_WEEKDAYS[day]) }
+        : { type: 'rrule', rule: `FREQ=WEEKLY;INTERVAL=${every};BYDAY=${repeatDays.map(day => HABITICA_RRULE_DAYS[day]).join(',')}` });
+    case 'monthly': {
+      const days = Array.isArray(daily.daysOfMonth) && daily.daysOfMonth.length > 0
+        ? daily.daysOfMonth
+        : [startDate ? Number(startDate.slice(8)) : 1];
+      return dated({ type: 'rrule', rule: `FREQ=MONTHLY;INTERVAL=${every};BYMONTHDAY=${days.join(',')}` });
+    }
+    case 'yearly':
+      return dated({ type: 'rrule', rule: `FREQ=MONTHLY;INTERVAL=${12 * every};BYMONTHDAY=${startDate ? Number(startDate.slice(8)) : 1}` });
+    default:
+      return null;
+  }
+}
+
+// Habitica's user data export: tasks.dailys and tasks.habits, each with a history. Dailies are
+// recorded by the day's cron, which runs the morning after, so their history is dated a day
+// late. Habits (the +/- counters) become measured habits counting how often + was clicked a day;
+// habits without a + are left out, as are to-dos and rewards.
+function parseHabitica(file, timeZone) {
+  const result = { habits: [], skipped: [], errors: [] };
+  let data;
+  try {
+    data = typeof file === 'string' ? JSON.parse(file) : file;
+  } catch (error) {
+    result.errors.push(`Not a Habitica export: ${error.message}`);
+    return result;
+  }
+  const tasks = data && (data.tasks || (data.data && data.data.tasks));
+  if (!tasks || typeof tasks !== 'object') {
+    result.errors.push('Not a Habitica export: it has no tasks.');
+    return result;
+  }
+
+  (tasks.dailys || []).forEach(daily => {
+    const schedule = habiticaSchedule(daily, timeZone);
+    if (!schedule) {
+      result.skipped.push({ habit: daily.text, reason: 'Its repeat settings have no days.' });
+      return;
+    }
+    const entries = [];
+    (daily.history || []).forEach(point => {
+      const cronDate = importDateKey(point.date, timeZone);
+      if (point.completed === true && cronDate) {
+        entries.push({ date: addDays(cronDate, -1), status: 'completed' });
+      }
+    });
+    result.habits.push({ externalId: daily.id || daily._id || daily.text, title: daily.text, description: daily.notes || null, schedule, measurement: BOOLEAN, entries });
+  });
+
+  (tasks.habits || []).forEach(habit => {
+    if (habit.up === false) {
+      result.skipped.push({ habit: habit.text, reason: 'Negative-only habits are not imported.' });
+      return;
+    }
+    const entries = [];
+    (habit.history || []).forEach(point => {
+      const date = importDateKey(point.date, timeZone);
+      if (date && point.scoredUp > 0) {
+        entries.push({ date, value: point.scoredUp });
+      }
+    });
+    result.habits.push({
+      externalId: habit.id || habit._id || habit.text,
+      title: habit.text,
+      description: habit.notes || null,
+      schedule: DAILY,
+      measurement: { type: 'count', unit: 'times', target: 1, period: 'day' },
+      entries,
+    });
+  });
+
+  ['todos', 'rewards'].forEach(type => (tasks[type] || []).forEach(task => {
+    result.skipped.push({ habit: task.text, reason: `Habitica ${type} are not habits.` });
+  }));
+  return result;
+}
+
+// --- CSV ---
+
+// One row per check-in. Columns are matched by name, in any order: habit (or name, title, task),
+// date, and optionally status (completed unless given), value, notes (or note, comment) and
+// description. Every habit found becomes a daily yes/no habit unless it already exists.
+function parseCsvImport(file, timeZone) {
+  const result = { habits: [], skipped: [], errors: [] };
+  const records = csvRecords(parseCsv(String(file)));
+  const columns = records.length > 0 ? Object.keys(records[0]) : [];
+  if (!['habit', 'name', 'title', 'task'].some(name => columns.includes(name)) || !columns.includes('date')) {
+    result.errors.push('The CSV file needs a header row with a habit and a date column, and at least one row.');
+    return result;
+  }
+
+  const byTitle = new Map();
+  records.forEach(record => {
+    const title = pick(record, ['habit', 'name', 'title', 'task']);
+    if (!title) {
+      result.skipped.push({ habit: null, date: record.date || null, reason: 'The row has no habit.' });
+      return;
+    }
+    const key = title.toLowerCase();
+    if (!byTitle.has(key)) {
+      const habit = { externalId: key, title, description: record.description || null, schedule: DAILY, measurement: BOOLEAN, entries: [] };
+      byTitle.set(key, habit);
+      result.habits.push(habit);
+    }
+    byTitle.get(key).entries.push({
+      date: importDateKey(record.date, timeZone) || record.date,
+      status: record.status || undefined,
+      value: parseNumber(record.value),
+      notes: pick(record, ['notes', 'note', 'comment']) || undefined,
+    });
+  });
+  return result;
+}
+
+// --- JSON ---
+
+// Our own export (see server/exports.js; its personal habits and entries, keyed by their old ids)
+// or a list of habits with their entries: { habits: [{ id, title, description, schedule,
+// measurement, entries: [{ date, status, value, notes }] }] } or just the array.
+function parseJsonImport(file, timeZone) {
+  const result = { habits: [], skipped: [], errors: [] };
+  let data;
+  try {
+    data = typeof file === 'string' ? JSON.parse(file) : file;
+  } catch (error) {
+    result.errors.push(`The file is not valid JSON: ${error.message}`);
+    return result;
+  }
+
+  if (data && data.format === 'cruw-export') {
+    const byId = new Map();
+    (data.habits || []).forEach(habit => {
+      if (!habit.assignedTo || habit.assignedTo.type !== 'user') {
+        result.skipped.push({ habit: habit.title, reason: 'Group habits are not imported.' });
+        return;
+      }
+      const imported = {
+        externalId: String(habit._id),
+        title: habit.title,
+        description: habit.description || null,
+        schedule: habit.schedule,
+        measurement: habit.measurement || BOOLEAN,
+        entries: [],
+      };
+      byId.set(imported.externalId, imported);
+      result.habits.push(imported);
+    });
+    (data.userHabitEntries || []).forEach(entry => {
+      const habit = byId.get(String(entry.habitId));
+      if (habit) {
+        habit.entries.push({ date: entry.localDate || importDateKey(entry.date, timeZone), status: entry.status, value: entry.value, notes: entry.notes || undefined });
+      }
+    });
+    return result;
+  }
+
+  const habits = Array.isArray(data) ? data : data && data.habits;
+  if (!Array.isArray(habits)) {
+    result.errors.push('The JSON file needs a habits array.');
+    return result;
+  }
+  habits.forEach(habit => {
+    const title = habit && (habit.title || habit.name);
+    if (typeof title !== 'string' || title.trim() === '') {
+      result.skipped.push({ habit: null, reason: 'The habit has no title.' });
+      return;
+    }
+    result.habits.push({
+      externalId: String(habit.id || habit._id || title.trim().toLowerCase()),
+      title: title.trim(),
+      description: habit.description || null,
+      schedule: habit.schedule || DAILY,
+      measurement: habit.measurement || BOOLEAN,
+      entries: (habit.entries || habit.history || []).map(entry => ({
+        date: importDateKey(entry.date, timeZone) || entry.date,
+        status: entry.status,
+        value: parseNumber(entry.value),
+        notes: entry.notes || undefined,
+      })),
+    });
+  });
+  return result;
+}
+
+// Parse an import file of a source (see IMPORT_SOURCES). Returns { habits, skipped, errors }.
+function parseImport(source, file, timeZone) {
+  switch (source) {
+    case 'loop':
+      return parseLoop(file);
+    case 'habitica':
+      return parseHabitica(file, timeZone);
+    case 'csv':
+      return parseCsvImport(file, timeZone);
+    default:
+      return parseJsonImport(file, timeZone);
+  }
+}
+
+// Clean up an imported habit's fields the way the habit routes would: an invalid schedule or
+// measurement falls back to daily / yes-no, and the title and description are cut to size.
+// Schedules without a startDate start on the habit's first imported day, so its history counts.
+function normalizeHabit(habit, today) {
+  const firstDate = habit.entries.map(entry => entry.date).filter(date => isDateKey(date) && date <= today).sort()[0] || today;
+  const schedule = validateSchedule(habit.schedule || DAILY, firstDate);
+  const measurement = validateMeasurement(habit.measurement || BOOLEAN);
+  return {
+    ...habit,
+    title: habit.title.trim().slice(0, 200),
+    description: habit.description ? String(habit.description).slice(0, 2000) : null,
+    schedule: schedule.errors.length === 0 ? schedule.value : validateSchedule(DAILY, firstDate).value,
+    measurement: measurement.errors.length === 0 ? measurement.value : BOOLEAN,
+  };
+}
+
+// Work out what importing parsed habits would do for a user, without writing anything.
+// Returns { summary, habits, skipped, errors, operations } where habits says per habit whether it
+// is created or merged and how many entries it gets, skipped lists (some of) what is left out and
+// why, and operations is what applyImport() writes.
+async function planImport(db, userId, parsed, { source, timeZone }) {
+  const errors = [...parsed.errors];
+  const skipped = [...parsed.skipped];
+  const entryCount = parsed.habits.reduce((sum, habit) => sum + habit.entries.length, 0);
+  if (parsed.habits.length > MAX_IMPORT_HABITS) {
+    errors.push(`A file can have at most ${MAX_IMPORT_HABITS} habits.`);
+  }
+  if (entryCount > MAX_IMPORT_ENTRIES) {
+    errors.push(`A file can have at most ${MAX_IMPORT_ENTRIES} entries.`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const existing = await db.collection('habits').find(
+    { 'assignedTo.type': 'user', 'assignedTo.id': userId },
+    { projection: { title: 1, measurement: 1, importedFrom: 1 } }
+  ).toArray();
+  const byId = new Map(existing.map(habit => [habit._id.toString(), habit]));
+  const byImport = new Map(existing.filter(habit => habit.importedFrom).map(habit => [`${habit.importedFrom.source}|${habit.importedFrom.externalId}`, habit]));
+  const byTitle = new Map();
+  existing.forEach(habit => {
+    if (!byTitle.has(habit.title.toLowerCase())) {
+      byTitle.set(habit.title.toLowerCase(), habit);
+    }
+  });
+
+  // Match every imported habit: the same habit (re-importing our own export), the habit it was
+  // imported into before, a habit with the same title, or a new one. Two imported habits matching
+  // the same habit are merged into it together.
+  const today = todayKey(timeZone);
+  const titled = parsed.habits.filter(habit => {
+    if (typeof habit.title !== 'string' || habit.title.trim() === '') {
+      skipped.push({ habit: null, reason: 'The habit has no title.' });
+      return false;
+    }
+    return true;
+  });
+  const plans = titled.map(habit => {
+    const normalized = normalizeHabit(habit, today);
+    const match = (source === 'json' && byId.get(habit.externalId))
+      || byImport.get(`${source}|${habit.externalId}`)
+      || byTitle.get(normalized.title.toLowerCase());
+    return { habit: normalized, match: match || null };
+  });
+
+  const mergedIds = plans.filter(plan => plan.match).map(plan => plan.match._id);
+  const logged = new Set();
+  if (mergedIds.length > 0) {
+    const entries = await db.collection('userHabitEntries').find(
+      { userId, habitId: { $in: mergedIds } },
+      { projection: { habitId: 1, date: 1, localDate: 1 } }
+    ).toArray();
+    entries.forEach(entry => logged.add(`${entry.habitId}|${entryDateKey(entry, timeZone)}`));
+  }
+
+  const summary = { habits: { create: 0, merge: 0 }, entries: { create: 0, skip: 0 } };
+  const operations = { habits: [], entries: [] };
+  const habits = [];
+  plans.forEach(({ habit, match }) => {
+    // New habits get their id now so their entries can point at them
+    const habitId = match ? match._id : new ObjectId();
+    const measurement = match ? getHabitMeasurement(match) : habit.measurement;
+    const counts = { create: 0, skip: 0 };
+    const skip = (entry, reason) => {
+      counts.skip++;
+      skipped.push({ habit: habit.title, date: entry.date || null, reason });
+    };
+
+    habit.entries.forEach(entry => {
+      if (!isDateKey(entry.date)) {
+        skip(entry, 'The date is not valid.');
+        return;
+      }
+      if (entry.date > today) {
+        skip(entry, 'The date is in the future.');
+        return;
+      }
+      const key = `${habitId}|${entry.date}`;
+      if (logged.has(key)) {
+        skip(entry, 'There is already an entry on this day.');
+        return;
+      }
+      const value = typeof entry.value === 'number' && entry.value >= 0 ? Math.min(entry.value, 1000000) : null;
+      if (isMeasured(measurement) && value === null) {
+        skip(entry, 'The habit is measured but the entry has no value.');
+        return;
+      }
+      logged.add(key);
+      counts.create++;
+      operations.entries.push({
+        habitId,
+        localDate: entry.date,
+        status: isMeasured(measurement) ? statusForValue(measurement, value) : String(entry.status || 'completed').slice(0, 50),
+        value: isMeasured(measurement) ? value : undefined,
+        notes: entry.notes ? String(entry.notes).slice(0, 2000) : undefined,
+      });
+    });
+
+    if (match) {
+      summary.habits.merge++;
+    } else {
+      summary.habits.create++;
+      operations.habits.push({ _id: habitId, ...habit });
+    }
+    summary.entries.create += counts.create;
+    summary.entries.skip += counts.skip;
+    habits.push({
+      title: habit.title,
+      action: match ? 'merge' : 'create',
+      habitId: match ? habitId : null,
+      mergedInto: match ? match.title : null,
+      schedule: match ? undefined : habit.schedule,
+      entries: counts,
+    });
+  });
+
+  summary.skipped = skipped.length;
+  return { summary, habits, skipped: skipped.slice(0, MAX_LISTED_SKIPS), errors: [], operations };
+}
+
+// Write a plan made by planImport(). Entries are upserted per habit and day, so an entry logged
+// meanwhile is kept and running the same import twice at once doesn't duplicate anything.
+// Returns { habits, entries }: how many were created.
+async function applyImport(db, userId, plan, { source, timeZone }) {
+  const importedAt = new Date();
+  const habitDocuments = plan.operations.habits.map(habit => ({
+    _id: habit._id,
+    title: habit.title,
+    description: habit.description,
+    createdBy: userId,
+    assignedTo: { type: 'user', id: userId },
+    schedule: habit.schedule,
+    streakGraceDays: 0,
+    measurement: habit.measurement,
+    importedFrom: { source, externalId: habit.externalId, importedAt },
+    createdAt: importedAt,
+  }));
+  if (habitDocuments.length > 0) {
+    await db.collection('habits').insertMany(habitDocuments);
+  }
+
+  let entries = 0;
+  for (let start = 0; start < plan.operations.entries.length; start += WRITE_BATCH_SIZE) {
+    const batch = plan.operations.entries.slice(start, start + WRITE_BATCH_SIZE).map(entry => {
+      const fields = {
+        date: zonedDayBounds(entry.localDate, timeZone).start,
+        status: entry.status,
+        importedFrom: { source, importedAt },
+      };
+      if (entry.value !== undefined) {
+        fields.value = entry.value;
+      }
+      if (entry.notes !== undefined) {
+        fields.notes = entry.notes;
+      }
+      return {
+        updateOne: {
+          filter: { userId, habitId: entry.habitId, localDate: entry.localDate },
+          update: { $setOnInsert: fields },
+          upsert: true,
+        },
+      };
+    });
+    const result = await db.collection('userHabitEntries').bulkWrite(batch, { ordered: false });
+    entries += result.upsertedCount;
+  }
+  return { habits: habitDocuments.length, entries };
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  MAX_IMPORT_BYTES,
+  applyImport,
+  parseImport,
+  planImport,
+};
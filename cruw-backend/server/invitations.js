@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+
+// Who can join a group, and how.
+//
+// A group's visibility decides who can join without being invited:
+//   'public'  - anyone can join (or ask to join, when the group requires approval)
+//   'private' - only people with an invite code or a direct invitation
+// Groups created before visibility existed were open to everyone, so they are public
+// (ensureGroupVisibility() writes that down at startup).
+// Invite codes are shareable (e.g. as a link), expire and can have a use limit. Direct
+// invitations name a single user, who accepts or declines them. Join requests wait for an
+// owner or admin to approve or reject them. Users in a group's bannedIds can't get back in by
+// any of these routes until they are unbanned.
+
+const GROUP_VISIBILITIES = ['public', 'private'];
+// Invite codes are 12 URL-safe characters
+const INVITE_CODE_BYTES = 9;
+const DEFAULT_INVITE_CODE_TTL_HOURS = 7 * 24;
+const INVITATION_TTL_DAYS = 30;
+
+function inviteCodesCollection(db) {
+  return db.collection('groupInviteCodes');
+}
+
+function invitationsCollection(db) {
+  return db.collection('groupInvitations');
+}
+
+function joinRequestsCollection(db) {
+  return db.collection('groupJoinRequests');
+}
+
+// Create the indexes the invitation collections rely on (called once at startup)
+async function ensureInvitationIndexes(db) {
+  await inviteCodesCollection(db).createIndex({ code: 1 }, { unique: true });
+  await inviteCodesCollection(db).createIndex({ groupId: 1 });
+  // At most one pending invitation and one pending request per group and user
+  const onlyPending = { partialFilterExpression: { status: 'pending' } };
+  await invitationsCollection(db).createIndex({ groupId: 1, userId: 1 }, { unique: true, ...onlyPending });
+  await invitationsCollection(db).createIndex({ userId: 1, status: 1 });
+  await joinRequestsCollection(db).createIndex({ groupId: 1, userId: 1 }, { unique: true, ...onlyPending });
+  await joinRequestsCollection(db).createIndex({ userId: 1, status: 1 });
+}
+
+// Give groups created before visibility existed the visibility they had: public (called once at startup)
+async function ensureGroupVisibility(db) {
+  await db.collection('groups').updateMany({ visibility: { $exists: false } }, { $set: { visibility: 'public' } });
+}
+
+function groupVisibility(group) {
+  return group.visibility === 'private' ? 'private' : 'public';
+}
+
+function isBanned(group, userId) {
+  return (group.bannedIds || []).some(id => id.toString() === userId.toString());
+}
+
+// Add a user to a group unless they are already in it, banned from it or it is archived. Any
+// pending invitation or join request of theirs for the group is settled. Returns true if they were added.
+async function addGroupMember(db, groupId, userId) {
+  const result = await db.collection('groups').updateOne(
+    { _id: groupId, memberIds: { $ne: userId }, bannedIds: { $ne: userId }, archivedAt: null },
+    { $push: { memberIds: userId } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+  const now = new Date();
+  await invitationsCollection(db).updateMany(
+    { groupId, userId, status: 'pending' },
+    { $set: { status: 'accepted', respondedAt: now } }
+  );
+  await joinRequestsCollection(db).updateMany(
+    { groupId, userId, status: 'pending' },
+    { $set: { status: 'cancelled', decidedAt: now } }
+  );
+  return true;
+}
+
+// Take a user out of a group (and out of its admins). Returns true if they were a member.
+async function removeGroupMember(db, groupId, userId) {
+  const result = await db.collection('groups').updateOne(
+    { _id: groupId, memberIds: userId },
+    { $pull: { memberIds: userId, adminIds: userId } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Remove a user from a group and keep them out: their pending invitation is revoked and their
+// pending join request rejected
+async function banGroupMember(db, groupId, userId, bannedBy) {
+  await db.collection('groups').updateOne(
+    { _id: groupId },
+    { $pull: { memberIds: userId, adminIds: userId }, $addToSet: { bannedIds: userId } }
+  );
+  const now = new Date();
+  await invitationsCollection(db).updateMany(
+    { groupId, userId, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: now } }
+  );
+  await joinRequestsCollection(db).updateMany(
+    { groupId, userId, status: 'pending' },
+    { $set: { status: 'rejected', decidedAt: now, decidedBy: bannedBy } }
+  );
+}
+
+// Let a banned user back in through the usual routes. Returns true if they were banned.
+async function unbanGroupMember(db, groupId, userId) {
+  const result = await db.collection('groups').updateOne({ _id: groupId, bannedIds: userId }, { $pull: { bannedIds: userId } });
+  return result.modifiedCount === 1;
+}
+
+// --- Invite codes ---
+
+// Filter matching invite codes that can still be used
+function usableCodeFilter(now) {
+  return {
+    revokedAt: null,
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+    ],
+  };
+}
+
+// Create an invite code for a group. expiresInHours and maxUses may be null for no limit.
+async function createInviteCode(db, { groupId, createdBy, expiresInHours, maxUses }) {
+  const now = new Date();
+  const inviteCode = {
+    groupId,
+    code: crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url'),
+    createdBy,
+    createdAt: now,
+    expiresAt: expiresInHours === null ? null : new Date(now.getTime() + expiresInHours * 60 * 60 * 1000),
+    maxUses: maxUses,
+    uses: 0,
+    revokedAt: null,
+  };
+  const result = await inviteCodesCollection(db).insertOne(inviteCode);
+  return { _id: result.insertedId, ...inviteCode };
+}
+
+// The usable invite code with this code, or null
+async function findInviteCode(db, code) {
+  return inviteCodesCollection(db).findOne({ code, ...usableCodeFilter(new Date()) });
+}
+
+// Usable invite codes of a group, newest first
+async function listInviteCodes(db, groupId) {
+  return inviteCodesCollection(db).find({ groupId, ...usableCodeFilter(new Date()) }).sort({ createdAt: -1 }).toArray();
+}
+
+// Count one use of an invite code, atomically so the use limit can't be overrun.
+// Returns the code's document, or null if the code can't be used (anymore).
+async function redeemInviteCode(db, code) {
+  return inviteCodesCollection(db).findOneAndUpdate(
+    { code, ...usableCodeFilter(new Date()) },
+    { $inc: { uses: 1 } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Give back a use counted by redeemInviteCode when the join didn't happen after all
+async function releaseInviteCode(db, inviteCode) {
+  await inviteCodesCollection(db).updateOne({ _id: inviteCode._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+}
+
+// Stop an invite code from working. Returns true if it was usable.
+async function revokeInviteCode(db, groupId, code) {
+  const result = await inviteCodesCollection(db).updateOne({ groupId, code, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount === 1;
+}
+
+// --- Direct invitations ---
+
+// Invite a user to a group. Throws a duplicate key error (11000) if they already have a pending invitation.
+async function createInvitation(db, { groupId, userId, invitedBy }) {
+  const now = new Date();
+  const invitation = {
+    groupId,
+    userId,
+    invitedBy,
+    status: 'pending', // pending, accepted, declined or revoked
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    respondedAt: null,
+  };
+  const result = await invitationsCollection(db).insertOne(invitation);
+  return { _id: result.insertedId, ...invitation };
+}
+
+// A user's pending, unexpired invitation to a group, or null
+async function findPendingInvitation(db, groupId, userId) {
+  return invitationsCollection(db).findOne({ groupId, userId, status: 'pending', expiresAt: { $gt: new Date() } });
+}
+
+// Pending invitations matching a filter ({ groupId } or { userId }), newest first
+async function listPendingInvitations(db, filter) {
+  return invitationsCollection(db)
+    .find({ ...filter, status: 'pending', expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+// Move a pending invitation to a new status (accepted, declined or revoked).
+// filter narrows down whose invitation it may be. Returns the invitation, or null if there is no such pending one.
+async function settleInvitation(db, invitationId, filter, status) {
+  return invitationsCollection(db).findOneAndUpdate(
+    { _id: invitationId, ...filter, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status, respondedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+// --- Join requests ---
+
+// Ask to join a group. Throws a duplicate key error (11000) if the user already has a pending request.
+async function createJoinRequest(db, { groupId, userId }) {
+  const joinRequest = {
+    groupId,
+    userId,
+    status: 'pending', // pending, approved, rejected or cancelled
+    createdAt: new Date(),
+    decidedAt: null,
+    decidedBy: null,
+  };
+  const result = await joinRequestsCollection(db).insertOne(joinRequest);
+  return { _id: result.insertedId, ...joinRequest };
+}
+
+// Pending join requests matching a filter ({ groupId } or { userId }), oldest first
+async function listPendingJoinRequests(db, filter) {
+  return joinRequestsCollection(db).find({ ...filter, status: 'pending' }).sort({ createdAt: 1 }).toArray();
+}
+
+// Move a pending join request to a new status. decidedBy is the owner or admin deciding it
+// (or the user themselves when cancelling). Returns the request, or null if there is no such pending one.
+async function settleJoinRequest(db, requestId, filter, status, decidedBy) {
+  return joinRequestsCollection(db).findOneAndUpdate(
+    { _id: requestId, ...filter, status: 'pending' },
+    { $set: { status, decidedAt: new Date(), decidedBy } },
+    { returnDocument: 'after' }
+  );
+}
+
+module.exports = {
+  DEFAULT_INVITE_CODE_TTL_HOURS,
+  GROUP_VISIBILITIES,
+  addGroupMember,
+  banGroupMember,
+  createInvitation,
+  createInviteCode,
+  createJoinRequest,
+  ensureGroupVisibility,
+  ensureInvitationIndexes,
+  findInviteCode,
+  findPendingInvitation,
+  groupVisibility,
+  isBanned,
+  listInviteCodes,
+  listPendingInvitations,
+  listPendingJoinRequests,
+  redeemInviteCode,
+  releaseInviteCode,
+  removeGroupMember,
+  revokeInviteCode,
+  settleInvitation,
+  settleJoinRequest,
+  unbanGroupMember,
+};
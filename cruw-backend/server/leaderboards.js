@@ -0,0 +1,86 @@
+const { startOfMonth, startOfWeek } = require('./dates');
+const { buildCompletionCalendar } = require('./calendar');
+
+// Group leaderboards.
+//
+// Members are compared on the group's habits over a week, a month or all time:
+// - completionRate: completed / due occurrences (see server/calendar.js for what counts as due)
+// - points: POINTS_PER_COMPLETION for each completed occurrence (measured habits earn their
+//   share of a daily target) plus PERFECT_DAY_BONUS for each day everything due was done
+// - streak: the member's current overall streak on the group's habits
+// Ties share a rank ("1, 1, 3").
+
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+const LEADERBOARD_SORTS = ['points', 'rate', 'streak'];
+const POINTS_PER_COMPLETION = 10;
+const PERFECT_DAY_BONUS = 5;
+
+// The date range a leaderboard period covers, up to today. All time starts on firstDay
+// (the day the group was created).
+function leaderboardRange(period, today, firstDay) {
+  if (period === 'week') {
+    return { from: startOfWeek(today), to: today };
+  }
+  if (period === 'month') {
+    return { from: startOfMonth(today), to: today };
+  }
+  return { from: firstDay < today ? firstDay : today, to: today };
+}
+
+// Completion totals of one participant over a range.
+// habits and participant are in buildCompletionCalendar's shapes.
+function memberStats(fromKey, toKey, habits, participant) {
+  const days = buildCompletionCalendar(fromKey, toKey, habits, [participant]);
+  let completed = 0;
+  let due = 0;
+  let perfectDays = 0;
+  days.forEach(day => {
+    completed += day.completed;
+    due += day.total;
+    if (day.total > 0 && day.completed === day.total) {
+      perfectDays++;
+    }
+  });
+  completed = Math.round(completed * 1000) / 1000;
+  return {
+    completed,
+    due,
+    completionRate: due === 0 ? null : Math.round((completed / due) * 1000) / 1000,
+    perfectDays,
+    points: Math.round(completed * POINTS_PER_COMPLETION) + perfectDays * PERFECT_DAY_BONUS,
+  };
+}
+
+// The value rows are compared on for each sort, then the tie-breakers
+const SORT_KEYS = {
+  points: [row => row.points, row => row.completionRate || 0, row => row.currentStreak],
+  rate: [row => row.completionRate || 0, row => row.points, row => row.currentStreak],
+  streak: [row => row.currentStreak, row => row.points, row => row.completionRate || 0],
+};
+
+// Sort leaderboard rows best first and number them. Rows sharing the main value share a rank.
+function rankLeaderboard(rows, sortBy) {
+  const keys = SORT_KEYS[sortBy];
+  const sorted = rows.slice().sort((a, b) => {
+    for (const key of keys) {
+      if (key(a) !== key(b)) {
+        return key(b) - key(a);
+      }
+    }
+    return String(a.username).localeCompare(String(b.username));
+  });
+  return sorted.map(row => ({
+    rank: 1 + sorted.filter(other => keys[0](other) > keys[0](row)).length,
+    ...row,
+  }));
+}
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SORTS,
+  PERFECT_DAY_BONUS,
+  POINTS_PER_COMPLETION,
+  leaderboardRange,
+  memberStats,
+  rankLeaderboard,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outgoing email.
+// A transport is any object with an async send(message) method, where message is
+// { from, to, subject, text, html }. Routes only talk to the transport, so a real
+// provider (SMTP, an HTTP mail API, ...) can be plugged in with registerTransport()
+// without touching them. Local development and tests use the console or file transports.
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'CRUW <no-reply@cruw.app>';
+
+// Print every email to the console
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('--- Outgoing email ---');
+      console.log(`From: ${message.from}`);
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('--- End of email ---');
+      return { id: crypto.randomUUID() };
+    },
+  };
+}
+
+// Write every email as a JSON file into a directory (handy for inspecting emails in tests).
+// Defaults to the system's temporary directory so emails never end up in the repository.
+function createFileTransport(directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'cruw-mail-outbox')) {
+  return {
+    name: 'file',
+    directory,
+    async send(message) {
+      const id = crypto.randomUUID();
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${id}.json`;
+      await fs.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { id, file: fileName };
+    },
+  };
+}
+
+// Known transports by name; MAIL_TRANSPORT picks one
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+// Make another transport available under a name (e.g. registerTransport('smtp', () => mySmtpTransport))
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+// Build the transport selected by MAIL_TRANSPORT (defaults to the console transport)
+function createMailTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+}
+
+// Send an email through a transport, filling in the default sender
+async function sendMail(transport, message) {
+  if (!message.to || !message.subject || !message.text) {
+    throw new Error('An email needs a recipient, a subject and a text body.');
+  }
+  return transport.send({ from: DEFAULT_FROM, ...message });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransport,
+  registerTransport,
+  sendMail,
+};
@@ -0,0 +1,163 @@
+const { startOfWeek } = require('./dates');
+
+// How habits are measured.
+//
+// A habit's measurement is one of:
+//   { type: 'boolean' }                                               // done or not (the default)
+//   { type: 'count', unit: 'glasses', target: 8, period: 'day' }      // any unit name
+//   { type: 'duration', unit: 'minutes', target: 30, period: 'day' }  // seconds, minutes or hours
+//   { type: 'distance', unit: 'km', target: 20, period: 'week' }      // m, km or mi
+// Measured habits log a numeric value per day that can be added to several times; the day (or the
+// Monday-Sunday week) is complete once the values reach the target. For weekly targets the
+// completion is dated on the day the week's running total reaches the target.
+
+const MEASUREMENT_TYPES = ['boolean', 'count', 'duration', 'distance'];
+const MEASUREMENT_UNITS = {
+  duration: ['seconds', 'minutes', 'hours'],
+  distance: ['m', 'km', 'mi'],
+};
+const TARGET_PERIODS = ['day', 'week'];
+const MAX_TARGET = 1000000;
+const BOOLEAN_MEASUREMENT = { type: 'boolean' };
+
+// Validate and normalize a measurement. Returns { value, errors } where errors are
+// { field, message } relative to the measurement.
+function validateMeasurement(measurement) {
+  if (measurement === null || typeof measurement !== 'object' || Array.isArray(measurement)) {
+    return { value: undefined, errors: [{ field: '', message: 'must be an object with a type' }] };
+  }
+  if (!MEASUREMENT_TYPES.includes(measurement.type)) {
+    return { value: undefined, errors: [{ field: 'type', message: `must be one of: ${MEASUREMENT_TYPES.join(', ')}` }] };
+  }
+
+  const errors = [];
+  if (measurement.type === 'boolean') {
+    Object.keys(measurement).filter(key => key !== 'type').forEach(key => {
+      errors.push({ field: key, message: 'is not allowed for boolean habits' });
+    });
+    return { value: errors.length === 0 ? { ...BOOLEAN_MEASUREMENT } : undefined, errors };
+  }
+
+  const value = { type: measurement.type };
+
+  const units = MEASUREMENT_UNITS[measurement.type];
+  if (units) {
+    if (!units.includes(measurement.unit)) {
+      errors.push({ field: 'unit', message: `must be one of: ${units.join(', ')}` });
+    } else {
+      value.unit = measurement.unit;
+    }
+  } else if (typeof measurement.unit !== 'string' || measurement.unit.trim() === '' || measurement.unit.trim().length > 32) {
+    errors.push({ field: 'unit', message: 'must be a name of 1 to 32 characters (e.g. glasses, pages)' });
+  } else {
+    value.unit = measurement.unit.trim();
+  }
+
+  if (typeof measurement.target !== 'number' || !Number.isFinite(measurement.target)
+    || measurement.target <= 0 || measurement.target > MAX_TARGET) {
+    errors.push({ field: 'target', message: `must be a number greater than 0 and at most ${MAX_TARGET}` });
+  } else {
+    value.target = measurement.target;
+  }
+
+  const period = measurement.period === undefined ? 'day' : measurement.period;
+  if (!TARGET_PERIODS.includes(period)) {
+    errors.push({ field: 'period', message: `must be one of: ${TARGET_PERIODS.join(', ')}` });
+  } else {
+    value.period = period;
+  }
+
+  Object.keys(measurement).forEach(key => {
+    if (!['type', 'unit', 'target', 'period'].includes(key)) {
+      errors.push({ field: key, message: 'is not allowed' });
+    }
+  });
+
+  return { value: errors.length === 0 ? value : undefined, errors };
+}
+
+// The normalized measurement of a habit. Habits without one (or with an invalid one) are boolean.
+function getHabitMeasurement(habit) {
+  if (!habit || !habit.measurement) {
+    return BOOLEAN_MEASUREMENT;
+  }
+  const { value, errors } = validateMeasurement(habit.measurement);
+  return errors.length === 0 ? value : BOOLEAN_MEASUREMENT;
+}
+
+// Does the habit log numeric values (rather than done / not done)?
+function isMeasured(measurement) {
+  return Boolean(measurement) && measurement.type !== 'boolean';
+}
+
+// Status stored on a measured habit's entry for a day's value. Only daily targets can be
+// decided from a single day; weekly targets are worked out across the week when reading.
+function statusForValue(measurement, value) {
+  return measurement.period === 'day' && value >= measurement.target ? 'completed' : 'partial';
+}
+
+// Date keys a measured habit was completed on, from a Map of date key -> value logged that day
+function completedDatesFromValues(measurement, valuesByDay) {
+  const completed = new Set();
+  const days = Array.from(valuesByDay.keys()).sort();
+
+  if (measurement.period === 'week') {
+    let week = null;
+    let total = 0;
+    days.forEach(dateKey => {
+      if (startOfWeek(dateKey) !== week) {
+        week = startOfWeek(dateKey);
+        total = 0;
+      }
+      const before = total;
+      total += valuesByDay.get(dateKey);
+      if (before < measurement.target && total >= measurement.target) {
+        completed.add(dateKey);
+      }
+    });
+    return completed;
+  }
+
+  days.forEach(dateKey => {
+    if (valuesByDay.get(dateKey) >= measurement.target) {
+      completed.add(dateKey);
+    }
+  });
+  return completed;
+}
+
+// Progress of a measured habit on a day: the day's value for daily targets, the total of the
+// week so far for weekly ones. ratio is capped at 1.
+function progressOn(measurement, valuesByDay, dateKey) {
+  let value = 0;
+  if (measurement.period === 'week') {
+    const weekStart = startOfWeek(dateKey);
+    valuesByDay.forEach((amount, key) => {
+      if (key >= weekStart && key <= dateKey) {
+        value += amount;
+      }
+    });
+  } else {
+    value = valuesByDay.get(dateKey) || 0;
+  }
+  return {
+    value,
+    target: measurement.target,
+    unit: measurement.unit,
+    period: measurement.period,
+    ratio: Math.min(1, Math.round((value / measurement.target) * 1000) / 1000),
+    completed: value >= measurement.target,
+  };
+}
+
+module.exports = {
+  MEASUREMENT_TYPES,
+  MEASUREMENT_UNITS,
+  TARGET_PERIODS,
+  completedDatesFromValues,
+  getHabitMeasurement,
+  isMeasured,
+  progressOn,
+  statusForValue,
+  validateMeasurement,
+};
@@ -0,0 +1,126 @@
+// Notifications and the user's inbox.
+// Each notification belongs to one user and stays in their inbox until it expires:
+// { userId, type, title, body, data, readAt, createdAt }
+// Other code doesn't write here directly but calls notify() (server/channels.js), which looks up
+// which channels the user wants for the notification's type: the in-app inbox, push, email or none.
+// Users override the defaults below per type in users.notificationPreferences ({ [type]: [channels] }).
+
+const NOTIFICATION_RETENTION_DAYS = 90;
+
+// Notification types and the channels they go to unless the user chose otherwise
+const NOTIFICATION_DEFAULTS = {
+  memberJoined: ['inApp'],          // To the owner and admins: someone joined their group
+  memberLeft: ['inApp'],            // To the owner and admins: someone left their group
+  memberRemoved: ['inApp', 'push'], // To the member: they were removed or banned from a group
+  ownershipTransferred: ['inApp', 'push'], // To the new owner of a group
+  invitation: ['inApp', 'push'],    // To the invitee (they are emailed separately)
+  joinRequest: ['inApp', 'push'],   // To the owner and admins: someone asks to join
+  joinRequestDecided: ['inApp', 'push'], // To the requester: their request was approved or rejected
+  habitCreated: ['inApp'],          // To group members: a habit was added to their group
+  habitUpdated: ['inApp'],
+  habitDeleted: ['inApp'],
+  checkIn: [],                      // To group members: someone checked in (off unless turned on)
+  streakMilestone: ['inApp', 'push'], // To the member: they reached a streak milestone
+  achievement: ['inApp', 'push'],   // To the member: they earned a badge
+  comment: ['inApp', 'push'],       // To whoever a feed item is about: someone commented on it
+  reaction: ['inApp'],              // To whoever a feed item is about: someone reacted to it
+  nudge: ['inApp', 'push'],         // To a group member: someone nudged them about a habit
+  exportReady: ['inApp', 'email'],  // To the user: a data export they asked for can be downloaded
+  reminder: ['inApp'],              // Habit reminders pick their channels per reminder; this is only used for the inbox
+};
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_DEFAULTS);
+
+function notificationsCollection(db) {
+  return db.collection('notifications');
+}
+
+// Create the indexes the notifications collection relies on (called once at startup)
+async function ensureNotificationIndexes(db) {
+  const collection = notificationsCollection(db);
+  await collection.createIndex({ userId: 1, _id: -1 });
+  await collection.createIndex({ userId: 1, readAt: 1, _id: -1 });
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+// A user's channels for every notification type: their own choices over the defaults
+function notificationPreferences(user) {
+  const chosen = (user && user.notificationPreferences) || {};
+  const preferences = {};
+  NOTIFICATION_TYPES.forEach(type => {
+    preferences[type] = Array.isArray(chosen[type]) ? chosen[type] : NOTIFICATION_DEFAULTS[type];
+  });
+  return preferences;
+}
+
+// The channels a user wants a type of notification on
+function notificationChannels(user, type) {
+  return notificationPreferences(user)[type] || ['inApp'];
+}
+
+// Put a notification in a user's inbox. Returns the notification.
+async function createNotification(db, userId, type, { title, body = null, data = {} }) {
+  const notification = { userId, type, title, body, data, readAt: null, createdAt: new Date() };
+  const result = await notificationsCollection(db).insertOne(notification);
+  return { _id: result.insertedId, ...notification };
+}
+
+// One page of a user's notifications, newest first. Returns { notifications, nextCursor }
+// where nextCursor is null on the last page.
+async function listNotifications(db, userId, { cursor, limit, unreadOnly = false }) {
+  const filter = { userId };
+  if (unreadOnly) {
+    filter.readAt = null;
+  }
+  if (cursor) {
+    filter._id = { $lt: cursor };
+  }
+  const notifications = await notificationsCollection(db).find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+  const hasMore = notifications.length > limit;
+  const page = hasMore ? notifications.slice(0, limit) : notifications;
+  return { notifications: page, nextCursor: hasMore ? page[page.length - 1]._id : null };
+}
+
+// Unread notifications of a user: { unreadCount, byType: { [type]: count } }
+async function countUnread(db, userId) {
+  const counts = await notificationsCollection(db).aggregate([
+    { $match: { userId, readAt: null } },
+    { $group: { _id: '$type', count: { $sum: 1 } } },
+  ]).toArray();
+  const byType = {};
+  let unreadCount = 0;
+  counts.forEach(({ _id: type, count }) => {
+    byType[type] = count;
+    unreadCount += count;
+  });
+  return { unreadCount, byType };
+}
+
+// Mark one of a user's notifications as read (once). Returns the notification, or null if they have no such notification.
+async function markNotificationRead(db, userId, notificationId) {
+  await notificationsCollection(db).updateOne({ _id: notificationId, userId, readAt: null }, { $set: { readAt: new Date() } });
+  return notificationsCollection(db).findOne({ _id: notificationId, userId });
+}
+
+// Mark all of a user's unread notifications (of one type, if given) as read. Returns how many there were.
+async function markAllNotificationsRead(db, userId, type = null) {
+  const filter = { userId, readAt: null };
+  if (type) {
+    filter.type = type;
+  }
+  const result = await notificationsCollection(db).updateMany(filter, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  NOTIFICATION_DEFAULTS,
+  NOTIFICATION_TYPES,
+  countUnread,
+  createNotification,
+  ensureNotificationIndexes,
+  listNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  notificationChannels,
+  notificationPreferences,
+  notificationsCollection,
+};
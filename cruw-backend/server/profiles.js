@@ -0,0 +1,65 @@
+// User profiles.
+//
+// Everyone sees the public profile of the people they share a group with: username, display
+// name, avatar, bio and when they joined. The private profile is the user's own account as the
+// user sees it, without the password hash or any token hashes.
+//
+// Usernames and emails are unique regardless of case ("Alice" and "alice" are the same user), so
+// they are matched with USER_COLLATION, the collation of their unique indexes.
+
+const USER_COLLATION = { locale: 'en', strength: 2 };
+
+const PUBLIC_PROFILE_PROJECTION = { username: 1, displayName: 1, avatarUrl: 1, bio: 1, createdAt: 1 };
+const PRIVATE_PROFILE_PROJECTION = { password: 0, 'calendarFeed.tokenHash': 0, 'deletion.auditId': 0 };
+
+// Create the unique, case-insensitive indexes on usernames and emails (called once at startup).
+// If accounts already clash the index can't be built, so startup fails with the clashing values
+// listed; they have to be renamed by hand before the server will start.
+async function ensureUserIndexes(db) {
+  for (const field of ['username', 'email']) {
+    try {
+      await db.collection('users').createIndex({ [field]: 1 }, { unique: true, collation: USER_COLLATION, name: `${field}_unique` });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const duplicates = await findDuplicateUsers(db, field);
+      const list = duplicates.map(group => `${group._id} (${group.userIds.join(', ')})`).join('; ');
+      throw new Error(`Cannot create the unique ${field} index: some accounts have the same ${field}: ${list}`);
+    }
+  }
+}
+
+// The values of a user field shared by more than one account (compared with USER_COLLATION),
+// each with the ids of the accounts that share it
+async function findDuplicateUsers(db, field) {
+  return db.collection('users').aggregate([
+    { $match: { [field]: { $type: 'string' } } },
+    { $group: { _id: `$${field}`, userIds: { $push: '$_id' } } },
+    { $match: { 'userIds.1': { $exists: true } } },
+  ], { collation: USER_COLLATION }).toArray();
+}
+
+// Check a locale tag (e.g. 'en-GB', 'pt-BR')
+function isValidLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether two users are both members of some group
+async function sharesGroup(db, userId, otherUserId) {
+  const group = await db.collection('groups').findOne({ memberIds: { $all: [userId, otherUserId] } }, { projection: { _id: 1 } });
+  return Boolean(group);
+}
+
+module.exports = {
+  PRIVATE_PROFILE_PROJECTION,
+  PUBLIC_PROFILE_PROJECTION,
+  USER_COLLATION,
+  ensureUserIndexes,
+  isValidLocale,
+  sharesGroup,
+};
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const { canLogPersonalHabit, getGroupRole } = require('./authorization');
+const { deliver } = require('./channels');
+const { notificationChannels } = require('./notifications');
+const { addDays, localTimeOf, toDateKey, zonedDateTime } = require('./dates');
+const { loadCompletedDates } = require('./entries');
+const { getHabitSchedule, isDue, isScheduledOn, periodWindow } = require('./schedule');
+const { groupTimeZone, timeZoneOf } = require('./timezones');
+
+// Habit reminders and the scheduler that sends them.
+//
+// A user sets reminder times ('HH:MM' in their own time zone) and channels per habit in
+// habitReminders. The scheduler turns each reminder into jobs in reminderJobs, one per time it
+// should go off, on the days the habit is scheduled. Jobs are MongoDB documents, so they survive
+// restarts and can be shared by several server instances:
+// - every job has a unique key (reminder + time, or who nudged whom about what on which day), so
+//   planning the same occurrence twice creates one job
+// - a job is claimed atomically (pending -> running) before it is sent, so one instance sends it
+// - a job whose instance died while sending it is marked failed, not retried: a reminder may be
+//   lost but is never sent twice
+// When a job comes up, it is skipped if the habit was already done that day (or isn't due); during
+// the user's quiet hours it waits until they end. Sent reminders can be snoozed, and group members
+// can nudge each other about a habit they haven't checked in to.
+
+// Channels used when a reminder doesn't pick any
+const DEFAULT_REMINDER_CHANNELS = ['push', 'inApp'];
+const MAX_REMINDER_TIMES = 6;
+const DEFAULT_SNOOZE_MINUTES = 10;
+const TICK_MS = 30 * 1000;
+// Jobs claimed per tick
+const JOB_BATCH_SIZE = 100;
+// A job still running this long after it was claimed is taken to be lost with its server
+const JOB_LOCK_MS = 5 * 60 * 1000;
+// Reminders this late (e.g. the server was down at the time) are dropped rather than sent late
+const MAX_LATENESS_MS = 60 * 60 * 1000;
+const JOB_RETENTION_DAYS = 30;
+// How many days ahead the next scheduled day of a habit is looked for
+const PLANNING_HORIZON_DAYS = 366;
+
+// Identifies this server instance on the jobs it claims
+const INSTANCE_ID = crypto.randomUUID();
+
+function remindersCollection(db) {
+  return db.collection('habitReminders');
+}
+
+function reminderJobsCollection(db) {
+  return db.collection('reminderJobs');
+}
+
+// Create the indexes the reminder collections rely on (called once at startup)
+async function ensureReminderIndexes(db) {
+  await remindersCollection(db).createIndex({ userId: 1, habitId: 1 }, { unique: true });
+  await remindersCollection(db).createIndex({ enabled: 1, plannedThrough: 1 });
+  await remindersCollection(db).createIndex({ habitId: 1 });
+  const jobs = reminderJobsCollection(db);
+  await jobs.createIndex({ key: 1 }, { unique: true });
+  await jobs.createIndex({ status: 1, runAt: 1 });
+  await jobs.createIndex({ reminderId: 1, status: 1 });
+  // Finished jobs are cleaned up after a while; pending ones have no finishedAt and stay
+  await jobs.createIndex({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+// Is a wall-clock time within quiet hours ({ start, end }, which may wrap past midnight)?
+function inQuietHours(quietHours, time) {
+  if (!quietHours || quietHours.start === quietHours.end) {
+    return false;
+  }
+  if (quietHours.start < quietHours.end) {
+    return time >= quietHours.start && time < quietHours.end;
+  }
+  return time >= quietHours.start || time < quietHours.end;
+}
+
+// The instant the quiet hours an instant falls in are over
+function quietHoursEnd(quietHours, date, timeZone) {
+  const dateKey = toDateKey(date, timeZone);
+  const end = zonedDateTime(dateKey, quietHours.end, timeZone);
+  return end > date ? end : zonedDateTime(addDays(dateKey, 1), quietHours.end, timeZone);
+}
+
+// Load what sending a reminder about a habit to a user needs: the user, the habit, its group and
+// the time zones involved. Returns null when the habit is gone or the user can't log it anymore.
+async function loadReminderContext(db, userId, habitId) {
+  const [user, habit] = await Promise.all([
+    db.collection('users').findOne({ _id: userId }, { projection: { username: 1, email: 1, emailVerified: 1, timezone: 1, quietHours: 1, notificationPreferences: 1 } }),
+    db.collection('habits').findOne({ _id: habitId }),
+  ]);
+  if (!user || !habit) {
+    return null;
+  }
+  const timeZone = timeZoneOf(user);
+  if (habit.assignedTo.type !== 'group') {
+    return canLogPersonalHabit(habit, userId) ? { user, habit, group: null, timeZone, habitTimeZone: timeZone } : null;
+  }
+  const group = await db.collection('groups').findOne({ _id: habit.assignedTo.id });
+  if (!group || !getGroupRole(group, userId)) {
+    return null;
+  }
+  // Group habits count their days in the group's time zone
+  return { user, habit, group, timeZone, habitTimeZone: groupTimeZone(group, timeZone) };
+}
+
+// The first time after an instant that a reminder should go off: the earliest of its times on a
+// day the habit is scheduled. Returns { runAt, habitDay } (the habit's day it reminds about) or null.
+function nextReminderRun(reminder, context, after) {
+  const schedule = getHabitSchedule(context.habit, context.habitTimeZone);
+  const times = reminder.times.slice().sort();
+  let dateKey = toDateKey(after, context.timeZone);
+  for (let day = 0; day <= PLANNING_HORIZON_DAYS; day++) {
+    for (const time of times) {
+      const runAt = zonedDateTime(dateKey, time, context.timeZone);
+      const habitDay = toDateKey(runAt, context.habitTimeZone);
+      if (runAt > after && (!schedule || isScheduledOn(schedule, habitDay))) {
+        return { runAt, habitDay };
+      }
+    }
+    dateKey = addDays(dateKey, 1);
+  }
+  return null;
+}
+
+// Add a job unless one with its key exists. Returns { job, created }.
+async function insertJob(db, job) {
+  const result = await reminderJobsCollection(db).findOneAndUpdate(
+    { key: job.key },
+    {
+      $setOnInsert: {
+        ...job,
+        status: 'pending', // pending, running, sent, skipped or failed
+        createdAt: new Date(),
+        claimedAt: null,
+        finishedAt: null,
+      },
+    },
+    { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+  );
+  return { job: result.value, created: !result.lastErrorObject.updatedExisting };
+}
+
+// Plan a reminder's next job. Safe to call repeatedly: an occurrence already planned isn't planned again.
+// Reminders of habits the user can't log anymore are removed.
+async function planReminder(db, reminder, now = new Date()) {
+  const context = await loadReminderContext(db, reminder.userId, reminder.habitId);
+  if (!context) {
+    await deleteReminders(db, { _id: reminder._id });
+    return null;
+  }
+
+  // Pick up after the last planned occurrence, unless that is too long ago to still be sent
+  const plannedThrough = reminder.plannedThrough;
+  const after = plannedThrough && plannedThrough.getTime() > now.getTime() - MAX_LATENESS_MS ? plannedThrough : now;
+  const next = nextReminderRun(reminder, context, after);
+  if (!next) {
+    // The habit isn't scheduled anymore; look again tomorrow in case its schedule changes
+    await remindersCollection(db).updateOne({ _id: reminder._id, plannedThrough }, { $set: { plannedThrough: new Date(now.getTime() + 24 * 60 * 60 * 1000) } });
+    return null;
+  }
+
+  const { job } = await insertJob(db, {
+    key: `reminder:${reminder._id}:${next.runAt.toISOString()}`,
+    type: 'reminder',
+    reminderId: reminder._id,
+    userId: reminder.userId,
+    habitId: reminder.habitId,
+    groupId: context.group ? context.group._id : null,
+    habitDay: next.habitDay,
+    runAt: next.runAt,
+  });
+  await remindersCollection(db).updateOne({ _id: reminder._id, plannedThrough }, { $set: { plannedThrough: next.runAt } });
+  return job;
+}
+
+// Create or replace a user's reminder for a habit and plan its first job. Returns the reminder.
+async function saveReminder(db, { userId, habitId, times, channels, enabled }) {
+  const now = new Date();
+  const reminder = await remindersCollection(db).findOneAndUpdate(
+    { userId, habitId },
+    {
+      $set: { times, channels, enabled, plannedThrough: null, updatedAt: now },
+      $setOnInsert: { userId, habitId, createdAt: now },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  // Jobs planned for the old times are dropped
+  await reminderJobsCollection(db).deleteMany({ reminderId: reminder._id, type: 'reminder', status: 'pending' });
+  if (enabled) {
+    await planReminder(db, reminder, now);
+  }
+  return remindersCollection(db).findOne({ _id: reminder._id });
+}
+
+// Delete reminders matching a filter (e.g. { habitId } when a habit is deleted) and the jobs
+// still waiting to send them. Returns the number of reminders deleted.
+async function deleteReminders(db, filter) {
+  const reminderIds = await remindersCollection(db).find(filter, { projection: { _id: 1 } }).map(reminder => reminder._id).toArray();
+  if (reminderIds.length === 0) {
+    return 0;
+  }
+  await reminderJobsCollection(db).deleteMany({ reminderId: { $in: reminderIds }, status: 'pending' });
+  const result = await remindersCollection(db).deleteMany({ _id: { $in: reminderIds } });
+  return result.deletedCount;
+}
+
+// Snooze a reminder (or nudge) that was sent: it comes back in a few minutes, unless the habit is
+// done by then. A job can be snoozed once; snooze the snoozed reminder to push it back again.
+// Returns { job, created } with the new job.
+async function snoozeJob(db, job, minutes) {
+  return insertJob(db, {
+    key: `snooze:${job._id}`,
+    type: 'snooze',
+    snoozedJobId: job._id,
+    reminderId: job.reminderId || null,
+    userId: job.userId,
+    habitId: job.habitId,
+    groupId: job.groupId || null,
+    fromUserId: job.fromUserId || null,
+    habitDay: job.habitDay,
+    channels: job.channels,
+    runAt: new Date(Date.now() + minutes * 60 * 1000),
+  });
+}
+
+// Nudge a group member about a habit they haven't checked in to. Each member can nudge another
+// once per habit and day. The nudge is sent on the scheduler's next tick. Returns { job, created }.
+async function scheduleNudge(db, { fromUserId, userId, groupId, habitId, habitDay }) {
+  return insertJob(db, {
+    key: `nudge:${habitId}:${habitDay}:${fromUserId}:${userId}`,
+    type: 'nudge',
+    fromUserId,
+    userId,
+    habitId,
+    groupId,
+    habitDay,
+    runAt: new Date(),
+  });
+}
+
+// What a job says to its user
+async function buildMessage(db, job, context, appUrl) {
+  const data = { jobId: job._id, habitId: job.habitId, groupId: job.groupId || null, date: job.habitDay };
+  const url = job.groupId ? `${appUrl}/groups/${job.groupId}` : `${appUrl}/habits/${job.habitId}`;
+  const title = context.habit.title;
+  if (job.fromUserId) {
+    const from = await db.collection('users').findOne({ _id: job.fromUserId }, { projection: { username: 1 } });
+    const name = from ? from.username : 'A group member';
+    return { type: 'nudge', title: `${name} nudged you`, body: `Don't forget "${title}" today.`, data: { ...data, fromUserId: job.fromUserId }, url };
+  }
+  return { type: 'reminder', title: `Reminder: ${title}`, body: `It's time for "${title}".`, data, url };
+}
+
+// Mark a running job as finished
+async function finishJob(db, job, status, fields = {}) {
+  await reminderJobsCollection(db).updateOne({ _id: job._id, status: 'running' }, { $set: { status, finishedAt: new Date(), ...fields } });
+}
+
+// Send (or skip, or postpone) a claimed job
+async function runJob(db, job, { mailer, appUrl }) {
+  const context = await loadReminderContext(db, job.userId, job.habitId);
+  if (!context) {
+    await finishJob(db, job, 'skipped', { reason: 'habitUnavailable' });
+    return;
+  }
+
+  let channels = job.channels;
+  if (job.type === 'reminder') {
+    const reminder = await remindersCollection(db).findOne({ _id: job.reminderId });
+    if (!reminder || !reminder.enabled) {
+      await finishJob(db, job, 'skipped', { reason: 'reminderDisabled' });
+      return;
+    }
+    channels = reminder.channels;
+  } else if (job.type === 'nudge') {
+    // Nudges go where the member wants them (see server/notifications.js)
+    channels = notificationChannels(context.user, 'nudge');
+  }
+
+  const now = new Date();
+  if (now.getTime() - job.runAt.getTime() > MAX_LATENESS_MS) {
+    await finishJob(db, job, 'skipped', { reason: 'late' });
+    return;
+  }
+
+  // Nothing to remind about once the habit is done (or no longer due) that day
+  const completedDates = await loadCompletedDates(db, [context.habit], job.userId, context.habitTimeZone, periodWindow(job.habitDay, job.habitDay));
+  const dates = Array.from(completedDates.get(job.habitId.toString()) || []);
+  const schedule = getHabitSchedule(context.habit, context.habitTimeZone);
+  if (dates.includes(job.habitDay)) {
+    await finishJob(db, job, 'skipped', { reason: 'done' });
+    return;
+  }
+  if (schedule && !isDue(schedule, job.habitDay, dates)) {
+    await finishJob(db, job, 'skipped', { reason: 'notDue' });
+    return;
+  }
+
+  // Wait out quiet hours
+  const quietHours = context.user.quietHours;
+  if (inQuietHours(quietHours, localTimeOf(now, context.timeZone))) {
+    await reminderJobsCollection(db).updateOne(
+      { _id: job._id, status: 'running' },
+      { $set: { status: 'pending', runAt: quietHoursEnd(quietHours, now, context.timeZone), claimedAt: null, deferredAt: now } }
+    );
+    return;
+  }
+
+  const message = await buildMessage(db, job, context, appUrl);
+  const results = await deliver({ db, mailer }, context.user, message, channels);
+  await finishJob(db, job, 'sent', { channels, results });
+}
+
+// Claim the next job that is due. Returns the job, or null if none is.
+async function claimJob(db, now) {
+  return reminderJobsCollection(db).findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: now } },
+    { $set: { status: 'running', claimedAt: now, claimedBy: INSTANCE_ID } },
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// The background scheduler: every tick it gives up on jobs lost with their server, plans the
+// next job of reminders whose planned job has come up, and sends the jobs that are due.
+// options: { mailer, appUrl, intervalMs }
+function createReminderScheduler(db, { mailer = null, appUrl = '', intervalMs = TICK_MS } = {}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) {
+      return; // The previous tick is still busy
+    }
+    running = true;
+    try {
+      const now = new Date();
+      await reminderJobsCollection(db).updateMany(
+        { status: 'running', claimedAt: { $lt: new Date(now.getTime() - JOB_LOCK_MS) } },
+        { $set: { status: 'failed', reason: 'interrupted', finishedAt: now } }
+      );
+
+      const reminders = await remindersCollection(db)
+        .find({ enabled: true, $or: [{ plannedThrough: null }, { plannedThrough: { $lte: now } }] })
+        .limit(JOB_BATCH_SIZE)
+        .toArray();
+      for (const reminder of reminders) {
+        try {
+          await planReminder(db, reminder, now);
+        } catch (error) {
+          console.error('Error planning reminder:', error);
+        }
+      }
+
+      for (let count = 0; count < JOB_BATCH_SIZE; count++) {
+        const job = await claimJob(db, new Date());
+        if (!job) {
+          break;
+        }
+        try {
+          await runJob(db, job, { mailer, appUrl });
+        } catch (error) {
+          console.error(`Error running ${job.type} job:`, error);
+          await finishJob(db, job, 'failed', { reason: error.message });
+        }
+      }
+    } catch (error) {
+      console.error('Error running reminder scheduler:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, intervalMs);
+        timer.unref(); // Don't keep the process alive just for reminders
+        tick();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    tick,
+  };
+}
+
+module.exports = {
+  DEFAULT_REMINDER_CHANNELS,
+  DEFAULT_SNOOZE_MINUTES,
+  MAX_REMINDER_TIMES,
+  createReminderScheduler,
+  deleteReminders,
+  ensureReminderIndexes,
+  inQuietHours,
+  nextReminderRun,
+  quietHoursEnd,
+  reminderJobsCollection,
+  remindersCollection,
+  saveReminder,
+  scheduleNudge,
+  snoozeJob,
+};
@@ -0,0 +1,419 @@
+const {
+  addDays,
+  dayNumber,
+  daysBetween,
+  daysInMonth,
+  isDateKey,
+  monthsBetween,
+  toDateKey,
+  startOfMonth,
+  startOfWeek,
+  weekday,
+} = require('./dates');
+
+// Habit recurrence rules.
+//
+// A habit's schedule is one of:
+//   { type: 'daily' }
+//   { type: 'weekly', days: ['mon', 'wed', 'fri'] }          // specific weekdays
+//   { type: 'interval', every: 3 }                           // every N days from startDate
+//   { type: 'timesPerWeek', times: 3 }                       // any days, X times per Monday-Sunday week
+//   { type: 'timesPerMonth', times: 10 }                     // any days, X times per calendar month
+//   { type: 'rrule', rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH' }
+// Every schedule also has a startDate and an optional endDate (YYYY-MM-DD, inclusive).
+// validateSchedule() turns an rrule's COUNT into the endDate of its last occurrence, so checking
+// a day never has to count the occurrences before it.
+//
+// "Scheduled on" answers whether a day is part of the rule at all. "Due" additionally takes
+// the user's completions into account for the X-times-per-period rules: once the target for
+// the week or month is reached on other days, the habit stops being due for the rest of it.
+
+const SCHEDULE_TYPES = ['daily', 'weekly', 'interval', 'timesPerWeek', 'timesPerMonth', 'rrule'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// The last occurrence of a COUNT rule is found by walking occurrences from startDate; cap the walk
+const MAX_RRULE_SCAN_DAYS = 366 * 20;
+// How far before today a new schedule may start (e.g. to count history logged elsewhere)
+const MAX_SCHEDULE_BACKDATE_DAYS = 366 * 10;
+
+// Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE", optionally prefixed with "RRULE:").
+// Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL.
+// Returns { rule, errors }.
+function parseRRule(text) {
+  const errors = [];
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { rule: null, errors: ['must be a non-empty RRULE string'] };
+  }
+
+  const body = text.trim().replace(/^RRULE:/i, '');
+  body.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const value = (rawValue || '').trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!RRULE_FREQUENCIES.includes(value)) {
+          errors.push(`FREQ must be one of ${RRULE_FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          errors.push('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(day => RRULE_DAYS.indexOf(day));
+        if (rule.byDay.some(day => day === -1)) {
+          errors.push('BYDAY must be a list of MO, TU, WE, TH, FR, SA, SU');
+        }
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+          errors.push('BYMONTHDAY must be a list of days between 1 and 31 (or -31 and -1)');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          errors.push('COUNT must be a positive integer');
+        }
+        break;
+      case 'UNTIL': {
+        // Accept YYYYMMDD or YYYYMMDDTHHMMSSZ; only the date part matters
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+        rule.until = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+        if (!rule.until || !isDateKey(rule.until)) {
+          errors.push('UNTIL must be a date in YYYYMMDD format');
+        }
+        break;
+      }
+      default:
+        errors.push(`${key || 'empty part'} is not supported`);
+    }
+  });
+
+  if (!rule.freq) {
+    errors.push('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    errors.push('COUNT and UNTIL cannot be combined');
+  }
+
+  return { rule: errors.length === 0 ? rule : null, errors };
+}
+
+// Validate and normalize a schedule. defaultStartDate (YYYY-MM-DD) is used when none is given;
+// pass null to leave a missing startDate unset (the caller fills it in, e.g. from the existing habit,
+// and validates the schedule again so that a COUNT rule gets its endDate).
+// earliestStartDate rejects schedules starting before it (for schedules sent by users).
+// Returns { value, errors } where errors are { field, message } relative to the schedule.
+function validateSchedule(schedule, defaultStartDate, { earliestStartDate = null } = {}) {
+  const errors = [];
+
+  if (schedule === null || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { value: undefined, errors: [{ field: '', message: 'must be an object with a type' }] };
+  }
+
+  if (!SCHEDULE_TYPES.includes(schedule.type)) {
+    return { value: undefined, errors: [{ field: 'type', message: `must be one of: ${SCHEDULE_TYPES.join(', ')}` }] };
+  }
+
+  const value = { type: schedule.type };
+  const allowed = ['type', 'startDate', 'endDate'];
+
+  switch (schedule.type) {
+    case 'daily':
+      break;
+
+    case 'weekly': {
+      allowed.push('days');
+      const days = schedule.days;
+      if (!Array.isArray(days) || days.length === 0) {
+        errors.push({ field: 'days', message: 'must be a non-empty array of weekdays (sun, mon, ..., sat)' });
+        break;
+      }
+      const normalized = days.map(day => (typeof day === 'string' ? day.toLowerCase().slice(0, 3) : day));
+      if (normalized.some(day => !WEEKDAY_NAMES.includes(day))) {
+        errors.push({ field: 'days', message: 'must only contain weekdays (sun, mon, ..., sat)' });
+        break;
+      }
+      // Store each day once, in week order
+      value.days = WEEKDAY_NAMES.filter(day => normalized.includes(day));
+      break;
+    }
+
+    case 'interval':
+      allowed.push('every');
+      if (!Number.isInteger(schedule.every) || schedule.every < 1 || schedule.every > 365) {
+        errors.push({ field: 'every', message: 'must be an integer between 1 and 365' });
+        break;
+      }
+      value.every = schedule.every;
+      break;
+
+    case 'timesPerWeek':
+    case 'timesPerMonth': {
+      allowed.push('times');
+      const max = schedule.type === 'timesPerWeek' ? 7 : 31;
+      if (!Number.isInteger(schedule.times) || schedule.times < 1 || schedule.times > max) {
+        errors.push({ field: 'times', message: `must be an integer between 1 and ${max}` });
+        break;
+      }
+      value.times = schedule.times;
+      break;
+    }
+
+    case 'rrule': {
+      allowed.push('rule');
+      const parsed = parseRRule(schedule.rule);
+      parsed.errors.forEach(message => errors.push({ field: 'rule', message }));
+      if (parsed.rule) {
+        value.rule = schedule.rule.trim().replace(/^RRULE:/i, '').toUpperCase();
+      }
+      break;
+    }
+  }
+
+  Object.keys(schedule).forEach(key => {
+    if (!allowed.includes(key)) {
+      errors.push({ field: key, message: 'is not allowed for this schedule type' });
+    }
+  });
+
+  // Start and end dates
+  const startDate = schedule.startDate === undefined ? defaultStartDate : schedule.startDate;
+  if (startDate !== null && startDate !== undefined) {
+    if (!isDateKey(startDate)) {
+      errors.push({ field: 'startDate', message: 'must be a date in YYYY-MM-DD format' });
+    } else if (earliestStartDate && startDate < earliestStartDate) {
+      errors.push({ field: 'startDate', message: `must not be before ${earliestStartDate}` });
+    } else {
+      value.startDate = startDate;
+    }
+  }
+  if (schedule.endDate !== undefined && schedule.endDate !== null) {
+    if (!isDateKey(schedule.endDate)) {
+      errors.push({ field: 'endDate', message: 'must be a date in YYYY-MM-DD format' });
+    } else if (value.startDate && schedule.endDate < value.startDate) {
+      errors.push({ field: 'endDate', message: 'must not be before startDate' });
+    } else {
+      value.endDate = schedule.endDate;
+    }
+  }
+
+  // A COUNT rule ends on its last occurrence
+  if (errors.length === 0 && value.type === 'rrule' && value.startDate) {
+    const { rule } = parseRRule(value.rule);
+    if (rule.count) {
+      const countEnd = lastRRuleOccurrence(rule, value.startDate);
+      if (!value.endDate || countEnd < value.endDate) {
+        value.endDate = countEnd;
+      }
+    }
+  }
+
+  return { value: errors.length === 0 ? value : undefined, errors };
+}
+
+// The date of a COUNT rule's last occurrence, or the end of the scan for rules that don't reach
+// their count within MAX_RRULE_SCAN_DAYS
+function lastRRuleOccurrence(rule, startDate) {
+  let seen = 0;
+  for (let offset = 0; offset < MAX_RRULE_SCAN_DAYS; offset++) {
+    const dateKey = addDays(startDate, offset);
+    if (rruleMatches(rule, startDate, dateKey)) {
+      seen++;
+      if (seen === rule.count) {
+        return dateKey;
+      }
+    }
+  }
+  return addDays(startDate, MAX_RRULE_SCAN_DAYS - 1);
+}
+
+// Check one RRULE day (ignoring COUNT)
+function rruleMatches(rule, startDate, dateKey) {
+  const day = weekday(dateKey);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if (daysBetween(startDate, dateKey) % rule.interval !== 0) {
+        return false;
+      }
+      break;
+    case 'WEEKLY': {
+      const weeks = daysBetween(startOfWeek(startDate), startOfWeek(dateKey)) / 7;
+      if (weeks % rule.interval !== 0) {
+        return false;
+      }
+      // Without BYDAY a weekly rule repeats on the start date's weekday
+      const days = rule.byDay || [weekday(startDate)];
+      if (!days.includes(day)) {
+        return false;
+      }
+      break;
+    }
+    case 'MONTHLY': {
+      if (monthsBetween(startDate, dateKey) % rule.interval !== 0) {
+        return false;
+      }
+      // Without BYMONTHDAY or BYDAY a monthly rule repeats on the start date's day of the month
+      const dayOfMonth = Number(dateKey.slice(8, 10));
+      const lastDay = daysInMonth(dateKey);
+      const monthDays = rule.byMonthDay || (rule.byDay ? null : [Number(startDate.slice(8, 10))]);
+      if (monthDays && !monthDays.some(target => (target > 0 ? target : lastDay + target + 1) === dayOfMonth)) {
+        return false;
+      }
+      if (rule.byDay && !rule.byDay.includes(day)) {
+        return false;
+      }
+      break;
+    }
+    default:
+      return false;
+  }
+
+  if (rule.freq === 'DAILY' && rule.byDay && !rule.byDay.includes(day)) {
+    return false;
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byMonthDay) {
+    const dayOfMonth = Number(dateKey.slice(8, 10));
+    const lastDay = daysInMonth(dateKey);
+    if (!rule.byMonthDay.some(target => (target > 0 ? target : lastDay + target + 1) === dayOfMonth)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Is the date part of the schedule's calendar at all?
+// For the X-times-per-period rules every day in range is eligible.
+function isScheduledOn(schedule, dateKey) {
+  if (!schedule || !schedule.startDate || dateKey < schedule.startDate) {
+    return false;
+  }
+  if (schedule.endDate && dateKey > schedule.endDate) {
+    return false;
+  }
+
+  switch (schedule.type) {
+    case 'daily':
+    case 'timesPerWeek':
+    case 'timesPerMonth':
+      return true;
+    case 'weekly':
+      return schedule.days.includes(WEEKDAY_NAMES[weekday(dateKey)]);
+    case 'interval':
+      return daysBetween(schedule.startDate, dateKey) % schedule.every === 0;
+    case 'rrule': {
+      const { rule } = parseRRule(schedule.rule);
+      if (!rule) {
+        return false;
+      }
+      if (rule.until && dateKey > rule.until) {
+        return false;
+      }
+      // COUNT is already in endDate (see validateSchedule)
+      return rruleMatches(rule, schedule.startDate, dateKey);
+    }
+    default:
+      return false;
+  }
+}
+
+// The counting period for the X-times-per-period rules: { start, end } date keys, or null
+function periodOf(schedule, dateKey) {
+  if (schedule.type === 'timesPerWeek') {
+    const start = startOfWeek(dateKey);
+    return { start, end: addDays(start, 6) };
+  }
+  if (schedule.type === 'timesPerMonth') {
+    const start = startOfMonth(dateKey);
+    return { start, end: addDays(start, daysInMonth(dateKey) - 1) };
+  }
+  return null;
+}
+
+// How many completions the schedule asks for in the period containing dateKey (1 for day-based rules)
+function targetFor(schedule) {
+  return schedule.type === 'timesPerWeek' || schedule.type === 'timesPerMonth' ? schedule.times : 1;
+}
+
+// Is the habit due on dateKey, given the date keys the user completed it on?
+// A habit completed on dateKey itself still counts as due that day.
+function isDue(schedule, dateKey, completedDateKeys = []) {
+  if (!isScheduledOn(schedule, dateKey)) {
+    return false;
+  }
+  const period = periodOf(schedule, dateKey);
+  if (!period) {
+    return true;
+  }
+  const completedElsewhere = new Set(
+    completedDateKeys.filter(key => key !== dateKey && key >= period.start && key <= period.end)
+  );
+  return completedElsewhere.size < schedule.times;
+}
+
+// The smallest range covering every week and month that from..to touches. Completions in this
+// window are all the X-times-per-period rules need to decide what is due between from and to.
+function periodWindow(fromKey, toKey) {
+  const weekStart = startOfWeek(fromKey);
+  const monthStart = startOfMonth(fromKey);
+  const weekEnd = addDays(startOfWeek(toKey), 6);
+  const monthEnd = addDays(startOfMonth(toKey), daysInMonth(toKey) - 1);
+  return {
+    from: weekStart < monthStart ? weekStart : monthStart,
+    to: weekEnd > monthEnd ? weekEnd : monthEnd,
+  };
+}
+
+// Date keys between from and to (inclusive) that are part of the schedule's calendar
+function scheduledDatesBetween(schedule, fromKey, toKey) {
+  const dates = [];
+  for (let number = dayNumber(fromKey); number <= dayNumber(toKey); number++) {
+    const dateKey = addDays(fromKey, number - dayNumber(fromKey));
+    if (isScheduledOn(schedule, dateKey)) {
+      dates.push(dateKey);
+    }
+  }
+  return dates;
+}
+
+// The normalized schedule stored on a habit, or null if the habit has no valid schedule
+// (habits created before schedules were validated may hold anything).
+// Schedules without a startDate start on the day the habit was created, in the given time zone.
+function getHabitSchedule(habit, timeZone) {
+  if (!habit || !habit.schedule) {
+    return null;
+  }
+  const defaultStartDate = habit.createdAt ? toDateKey(habit.createdAt, timeZone) : null;
+  const { value, errors } = validateSchedule(habit.schedule, defaultStartDate);
+  if (errors.length > 0 || !value.startDate) {
+    return null;
+  }
+  return value;
+}
+
+module.exports = {
+  MAX_SCHEDULE_BACKDATE_DAYS,
+  SCHEDULE_TYPES,
+  WEEKDAY_NAMES,
+  getHabitSchedule,
+  isDue,
+  isScheduledOn,
+  parseRRule,
+  periodOf,
+  periodWindow,
+  scheduledDatesBetween,
+  targetFor,
+  validateSchedule,
+};
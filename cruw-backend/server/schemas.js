@@ -0,0 +1,597 @@
+const { EMAIL_PATTERN, toJsonSchema } = require('./validation');
+const { MAX_SCHEDULE_BACKDATE_DAYS, SCHEDULE_TYPES, validateSchedule } = require('./schedule');
+const { MEASUREMENT_TYPES, TARGET_PERIODS, validateMeasurement } = require('./measurement');
+const { addDays, isDateKey, isValidTimeZone, todayKey } = require('./dates');
+const { DEFAULT_INVITE_CODE_TTL_HOURS, GROUP_VISIBILITIES } = require('./invitations');
+const { CHALLENGE_GOAL_TYPES } = require('./challenges');
+const { CHANNEL_NAMES } = require('./channels');
+const { NOTIFICATION_TYPES } = require('./notifications');
+const { DEFAULT_REMINDER_CHANNELS, DEFAULT_SNOOZE_MINUTES, MAX_REMINDER_TIMES } = require('./reminders');
+const { EXPORT_FORMATS } = require('./exports');
+const { isValidLocale } = require('./profiles');
+const { IMPORT_SOURCES } = require('./imports');
+
+// Declared shapes of our data (see server/validation.js for the spec format).
+//
+// documentSchemas describe what is stored in each collection and are installed as
+// MongoDB $jsonSchema validators at startup. requestSchemas describe what each route
+// accepts in its body; fields the server sets itself (createdBy, ownerId, createdAt, ...)
+// are deliberately absent so clients can't send them.
+
+// --- Shared field specs ---
+const objectId = { type: 'objectId' };
+const requiredObjectId = { type: 'objectId', required: true };
+const username = { type: 'string', minLength: 3, maxLength: 32, pattern: '^[A-Za-z0-9_.-]+$', patternMessage: 'may only contain letters, numbers, dots, dashes and underscores' };
+const email = { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' };
+const password = { type: 'string', minLength: 8, maxLength: 128, trim: false };
+const displayName = { type: 'string', minLength: 1, maxLength: 50 };
+const avatarUrl = { type: 'string', maxLength: 2048, pattern: '^https://\\S+$', patternMessage: 'must be an https:// URL' };
+const bio = { type: 'string', maxLength: 500 };
+const locale = { type: 'string', maxLength: 35 };
+const requestLocale = { ...locale, custom: value => (isValidLocale(value) ? null : 'must be a valid locale (e.g. en-GB)') };
+const habitTitle = { type: 'string', minLength: 1, maxLength: 200 };
+const description = { type: 'string', maxLength: 2000 };
+const groupName = { type: 'string', minLength: 1, maxLength: 100 };
+const entryStatus = { type: 'string', minLength: 1, maxLength: 50 };
+const entryNotes = { type: 'string', maxLength: 2000 };
+const assignedToType = { type: 'string', enum: ['user', 'group'] };
+const dateKey = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+// Missed scheduled days (or periods) in a row that don't break a streak
+const streakGraceDays = { type: 'integer', min: 0, max: 7 };
+// Numeric value logged for a measured habit (count, minutes, km, ...)
+const entryValue = { type: 'number', min: 0, max: 1000000 };
+// Where an imported habit or entry came from (see server/imports.js)
+const importedFrom = {
+  type: 'object',
+  properties: {
+    source: { type: 'string', required: true },
+    externalId: { type: 'string' }, // The habit's id (or name) in the other tracker
+    importedAt: { type: 'date', required: true },
+  },
+};
+// IANA time zone name, e.g. 'Europe/Berlin'
+const timeZone = { type: 'string', maxLength: 64 };
+const requestTimeZone = { ...timeZone, custom: value => (isValidTimeZone(value) ? null : 'must be a valid IANA time zone (e.g. Europe/Berlin)') };
+// A wall-clock time of day, 'HH:MM' (24-hour)
+const timeOfDay = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', patternMessage: 'must be a time in HH:MM format' };
+// A calendar day sent in a request body
+const requestDateKey = { type: 'string', custom: value => (isDateKey(value) ? null : 'must be a date in YYYY-MM-DD format') };
+// An entry's day: a bare 'YYYY-MM-DD' (a day in the user's or group's time zone) or a full timestamp
+const entryDate = { type: 'any', validator: validateEntryDate };
+
+// Keep bare date keys as strings so the route can place them in the right time zone;
+// anything else must be a parseable instant and becomes a Date
+function validateEntryDate(value) {
+  if (isDateKey(value)) {
+    return { value, errors: [] };
+  }
+  const isDateLike = typeof value === 'string' || typeof value === 'number' || value instanceof Date;
+  const date = isDateLike ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return { value, errors: [{ field: '', message: 'must be a date' }] };
+  }
+  return { value: date, errors: [] };
+}
+
+// A schedule sent in a request body may start at most MAX_SCHEDULE_BACKDATE_DAYS ago
+function validateRequestSchedule(schedule) {
+  return validateSchedule(schedule, null, { earliestStartDate: addDays(todayKey(), -MAX_SCHEDULE_BACKDATE_DAYS) });
+}
+
+// --- Stored documents ---
+const documentSchemas = {
+  users: {
+    type: 'object',
+    properties: {
+      username: { ...username, required: true },
+      email: { ...email, required: true },
+      pendingEmail: email, // Waiting to be confirmed before it replaces email
+      password: { type: 'string', required: true }, // bcrypt hash
+      displayName: { ...displayName, nullable: true },
+      avatarUrl: { ...avatarUrl, nullable: true },
+      bio: { ...bio, nullable: true },
+      locale: locale, // Missing means the app's default
+      emailVerified: { type: 'boolean' },
+      emailVerifiedAt: { type: 'date' },
+      passwordChangedAt: { type: 'date' },
+      streakFreezeDates: { type: 'array', items: dateKey, maxItems: 366 }, // Days that never break a streak
+      timezone: timeZone, // Missing means UTC
+      quietHours: { type: 'object', nullable: true, properties: { start: timeOfDay, end: timeOfDay } }, // No reminders in between
+      notificationPreferences: { type: 'object', values: { type: 'array', items: { type: 'string' } } }, // Map of notification type -> channels
+      deletion: { // Set while the account is scheduled for deletion (see server/accountDeletion.js)
+        type: 'object',
+        properties: {
+          auditId: requiredObjectId,
+          requestedAt: { type: 'date', required: true },
+          scheduledFor: { type: 'date', required: true },
+          startedAt: { type: 'date', nullable: true },
+        },
+      },
+      createdAt: { type: 'date', required: true },
+    },
+  },
+
+  habits: {
+    type: 'object',
+    properties: {
+      title: { ...habitTitle, required: true },
+      description: { ...description, nullable: true },
+      createdBy: requiredObjectId,
+      assignedTo: {
+        type: 'object',
+        required: true,
+        properties: {
+          type: { ...assignedToType, required: true },
+          id: requiredObjectId,
+        },
+      },
+      schedule: {
+        type: 'object',
+        required: true,
+        properties: {
+          type: { type: 'string', required: true, enum: SCHEDULE_TYPES },
+          startDate: dateKey,
+          endDate: dateKey,
+        },
+      },
+      streakGraceDays: streakGraceDays,
+      measurement: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', required: true, enum: MEASUREMENT_TYPES },
+          unit: { type: 'string', maxLength: 32 },
+          target: { type: 'number' },
+          period: { type: 'string', enum: TARGET_PERIODS },
+        },
+      },
+      importedFrom: importedFrom, // Habits created by an import: where from
+      createdAt: { type: 'date', required: true },
+      updatedAt: { type: 'date' },
+    },
+  },
+
+  groups: {
+    type: 'object',
+    properties: {
+      name: { ...groupName, required: true },
+      description: { ...description, nullable: true },
+      ownerId: requiredObjectId,
+      memberIds: { type: 'array', required: true, items: objectId },
+      adminIds: { type: 'array', items: objectId },
+      bannedIds: { type: 'array', items: objectId }, // Users who can't rejoin
+      visibility: { type: 'string', enum: GROUP_VISIBILITIES }, // Missing (groups from before visibility) means public
+      requiresApproval: { type: 'boolean' }, // Public groups only: joining needs an owner or admin's approval
+      timezone: { ...timeZone, nullable: true }, // Shared day boundaries for all members; null means each member's own
+      archivedAt: { type: 'date', nullable: true }, // Set when the last member left
+      createdAt: { type: 'date', required: true },
+      updatedAt: { type: 'date' },
+    },
+  },
+
+  userHabitEntries: {
+    type: 'object',
+    properties: {
+      habitId: requiredObjectId,
+      userId: requiredObjectId,
+      date: { type: 'date', required: true },
+      localDate: dateKey, // Calendar day in the user's time zone (missing on older entries)
+      status: { ...entryStatus, required: true },
+      value: entryValue, // Measured habits only: the day's total
+      notes: { ...entryNotes, nullable: true },
+      importedFrom: importedFrom, // Entries created by an import: where from
+      updatedAt: { type: 'date' }, // Last check-in that changed the entry
+    },
+  },
+
+  groupHabitEntries: {
+    type: 'object',
+    properties: {
+      habitId: requiredObjectId,
+      groupId: requiredObjectId,
+      date: { type: 'date', required: true },
+      localDate: dateKey, // Calendar day in the group's (or logging member's) time zone (missing on older entries)
+      checkedBy: { type: 'array', required: true, items: objectId },
+      notes: { type: 'object', values: entryNotes }, // Map of userId -> note
+      values: { type: 'object', values: entryValue }, // Measured habits only: map of userId -> the day's total
+    },
+  },
+};
+
+// --- Request bodies ---
+const requestSchemas = {
+  createUser: {
+    type: 'object',
+    properties: {
+      username: { ...username, required: true },
+      email: { ...email, required: true },
+      password: { ...password, required: true },
+      timezone: requestTimeZone,
+    },
+  },
+
+  updateTimeZone: {
+    type: 'object',
+    properties: {
+      timezone: { ...requestTimeZone, required: true },
+    },
+  },
+
+  // Editing one's profile (PATCH, so every field is optional)
+  updateProfile: {
+    type: 'object',
+    properties: {
+      username: username,
+      displayName: { ...displayName, nullable: true },
+      avatarUrl: { ...avatarUrl, nullable: true },
+      bio: { ...bio, nullable: true },
+      timezone: requestTimeZone,
+      locale: requestLocale,
+    },
+  },
+
+  // The new address has to be confirmed before it is used; the password is asked again
+  changeEmail: {
+    type: 'object',
+    properties: {
+      email: { ...email, required: true },
+      password: { type: 'string', required: true, minLength: 1, trim: false },
+    },
+  },
+
+  changePassword: {
+    type: 'object',
+    properties: {
+      currentPassword: { type: 'string', required: true, minLength: 1, trim: false },
+      newPassword: { ...password, required: true },
+    },
+  },
+
+  login: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', required: true, minLength: 1 },
+      password: { type: 'string', required: true, minLength: 1, trim: false },
+    },
+  },
+
+  refreshToken: {
+    type: 'object',
+    properties: {
+      refreshToken: { type: 'string', required: true, minLength: 1 },
+    },
+  },
+
+  forgotPassword: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', required: true, minLength: 1 },
+    },
+  },
+
+  resetPassword: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', required: true, minLength: 1 },
+      password: { ...password, required: true },
+    },
+  },
+
+  verifyEmail: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', required: true, minLength: 1 },
+    },
+  },
+
+  confirmEmailChange: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', required: true, minLength: 1 },
+    },
+  },
+
+  createHabit: {
+    type: 'object',
+    properties: {
+      title: { ...habitTitle, required: true },
+      description: description,
+      assignedTo: {
+        type: 'object',
+        required: true,
+        properties: {
+          type: { ...assignedToType, required: true },
+          id: objectId, // Required for group habits; personal habits are always assigned to the caller
+        },
+        custom: assignedTo => (assignedTo.type === 'group' && !assignedTo.id ? 'id is required for group habits' : null),
+      },
+      // New schedules start today unless they say otherwise ("today" in the caller's time zone, filled in by the route)
+      schedule: { type: 'any', required: true, validator: validateRequestSchedule },
+      streakGraceDays: { ...streakGraceDays, default: 0 },
+      measurement: { type: 'any', validator: validateMeasurement, default: () => ({ type: 'boolean' }) },
+    },
+  },
+
+  // Only these fields can be changed after creation; ownership and assignment are fixed
+  updateHabit: {
+    type: 'object',
+    properties: {
+      title: habitTitle,
+      description: { ...description, nullable: true },
+      // A missing startDate keeps the habit's current one (filled in by the route)
+      schedule: { type: 'any', validator: validateRequestSchedule },
+      streakGraceDays: streakGraceDays,
+      measurement: { type: 'any', validator: validateMeasurement },
+    },
+  },
+
+  createGroup: {
+    type: 'object',
+    properties: {
+      name: { ...groupName, required: true },
+      description: description,
+      memberIds: { type: 'array', items: objectId, maxItems: 50 }, // Invited, not added (see POST /api/groups)
+      timezone: requestTimeZone,
+      visibility: { type: 'string', enum: GROUP_VISIBILITIES, default: 'private' },
+      requiresApproval: { type: 'boolean', default: false },
+    },
+  },
+
+  // Fields of a group that can be changed; visibility and requiresApproval only by the owner
+  updateGroup: {
+    type: 'object',
+    properties: {
+      name: groupName,
+      description: { ...description, nullable: true },
+      timezone: { ...requestTimeZone, nullable: true },
+      visibility: { type: 'string', enum: GROUP_VISIBILITIES },
+      requiresApproval: { type: 'boolean' },
+    },
+  },
+
+  transferOwnership: {
+    type: 'object',
+    properties: {
+      newOwnerId: requiredObjectId,
+    },
+  },
+
+  // A shareable invite code; null means no expiry / no use limit
+  createInviteCode: {
+    type: 'object',
+    properties: {
+      expiresInHours: { type: 'integer', min: 1, max: 30 * 24, nullable: true, default: DEFAULT_INVITE_CODE_TTL_HOURS },
+      maxUses: { type: 'integer', min: 1, max: 1000, nullable: true, default: null },
+    },
+  },
+
+  // A direct invitation, to a user picked by username or email
+  inviteUser: {
+    type: 'object',
+    properties: {
+      username: { type: 'string', minLength: 1, maxLength: 32 },
+      email: { type: 'string', minLength: 1, maxLength: 254 },
+    },
+    custom: body => ((body.username === undefined) === (body.email === undefined) ? 'send either username or email' : null),
+  },
+
+  changeMemberRole: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', required: true, enum: ['admin', 'member'] },
+    },
+  },
+
+  // A time-boxed challenge over some of a group's habits (dates in the group's time zone)
+  createChallenge: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+      description: description,
+      startDate: { ...requestDateKey, required: true },
+      endDate: { ...requestDateKey, required: true },
+      habitIds: { type: 'array', required: true, items: objectId, minItems: 1, maxItems: 50 },
+      goal: {
+        type: 'object',
+        required: true,
+        properties: {
+          type: { type: 'string', required: true, enum: CHALLENGE_GOAL_TYPES },
+          target: { type: 'number', required: true, min: 0 },
+        },
+        custom: goal => {
+          if (goal.type === 'completionRate' && (goal.target <= 0 || goal.target > 1)) {
+            return 'target must be a rate greater than 0 and at most 1 for completionRate goals';
+          }
+          return goal.target <= 0 ? 'target must be greater than 0' : null;
+        },
+      },
+    },
+    custom: body => (body.endDate < body.startDate ? 'endDate must not be before startDate' : null),
+  },
+
+  createUserHabitEntry: {
+    type: 'object',
+    properties: {
+      habitId: requiredObjectId,
+      date: { ...entryDate, required: true },
+      status: entryStatus, // Required for yes/no habits; measured habits derive it from value
+      value: entryValue, // Measured habits: added to the day's total
+      notes: entryNotes,
+    },
+  },
+
+  // Body of a personal check-in for a day (creates or updates that day's entry)
+  // Measured habits send value (the day's total) or add (logged on top of it) instead of a status
+  personalCheckIn: {
+    type: 'object',
+    properties: {
+      status: { ...entryStatus, default: 'completed' },
+      value: entryValue,
+      add: entryValue,
+      notes: { ...entryNotes, nullable: true },
+    },
+    custom: body => (body.value !== undefined && body.add !== undefined ? 'send either value or add, not both' : null),
+  },
+
+  // Body of a group check-in: the caller's own note for the day (null removes it)
+  groupCheckIn: {
+    type: 'object',
+    properties: {
+      note: { ...entryNotes, nullable: true },
+      value: entryValue,
+      add: entryValue,
+    },
+    custom: body => (body.value !== undefined && body.add !== undefined ? 'send either value or add, not both' : null),
+  },
+
+  createGroupHabitEntry: {
+    type: 'object',
+    properties: {
+      habitId: requiredObjectId,
+      groupId: requiredObjectId,
+      date: { ...entryDate, required: true },
+      checkedBy: { type: 'array', items: objectId, default: () => [] }, // Only the caller; empty means the caller
+      notes: { type: 'object', values: entryNotes, default: () => ({}) },
+    },
+  },
+
+  // A user's reminder for a habit
+  setReminder: {
+    type: 'object',
+    properties: {
+      times: {
+        type: 'array',
+        items: timeOfDay,
+        minItems: 1,
+        maxItems: MAX_REMINDER_TIMES,
+        required: true,
+        custom: times => (new Set(times).size === times.length ? null : 'must not repeat a time'),
+      },
+      channels: {
+        type: 'array',
+        items: { type: 'string', enum: CHANNEL_NAMES },
+        minItems: 1,
+        default: () => DEFAULT_REMINDER_CHANNELS.slice(),
+        custom: channels => (new Set(channels).size === channels.length ? null : 'must not repeat a channel'),
+      },
+      enabled: { type: 'boolean', default: true },
+    },
+  },
+
+  // Quiet hours may wrap past midnight (e.g. 22:00 to 07:00)
+  setQuietHours: {
+    type: 'object',
+    properties: {
+      start: { ...timeOfDay, required: true },
+      end: { ...timeOfDay, required: true },
+    },
+    custom: body => (body.start === body.end ? 'start and end must differ' : null),
+  },
+
+  snoozeReminder: {
+    type: 'object',
+    properties: {
+      minutes: { type: 'integer', min: 1, max: 24 * 60, default: DEFAULT_SNOOZE_MINUTES },
+    },
+  },
+
+  // A browser's PushSubscription, as PushSubscription.toJSON() gives it
+  pushSubscription: {
+    type: 'object',
+    properties: {
+      endpoint: {
+        type: 'string',
+        maxLength: 2048,
+        required: true,
+        pattern: '^https://',
+        patternMessage: 'must be an https URL',
+      },
+      keys: {
+        type: 'object',
+        required: true,
+        properties: {
+          p256dh: { type: 'string', minLength: 1, maxLength: 200, required: true },
+          auth: { type: 'string', minLength: 1, maxLength: 100, required: true },
+        },
+      },
+      expirationTime: { type: 'any', nullable: true },
+    },
+  },
+
+  // Channels per notification type; null goes back to the type's default channels
+  updateNotificationPreferences: {
+    type: 'object',
+    properties: {
+      preferences: {
+        type: 'object',
+        required: true,
+        values: {
+          type: 'array',
+          nullable: true,
+          items: { type: 'string', enum: CHANNEL_NAMES },
+          custom: channels => (new Set(channels).size === channels.length ? null : 'must not repeat a channel'),
+        },
+        custom: preferences => {
+          const unknown = Object.keys(preferences).find(type => !NOTIFICATION_TYPES.includes(type));
+          return unknown ? `has an unknown notification type: ${unknown}` : null;
+        },
+      },
+    },
+  },
+
+  // Posting or editing a comment on a feed item
+  feedComment: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1, maxLength: 1000, required: true },
+    },
+  },
+
+  // Asking for a data export to be prepared in the background
+  createExport: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'json' },
+    },
+  },
+
+  // Deleting one's own account; the password is asked again
+  deleteAccount: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', required: true, minLength: 1, trim: false },
+    },
+  },
+
+  // Importing another tracker's export (see server/imports.js); a dry run unless dryRun is false
+  importData: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', required: true, enum: IMPORT_SOURCES },
+      file: { type: 'string', required: true, minLength: 1, trim: false },
+      dryRun: { type: 'boolean', default: true },
+    },
+  },
+};
+
+// Create each collection with its $jsonSchema validator, or update the validator of an existing one.
+// validationLevel 'moderate' leaves already-invalid legacy documents alone until they are fixed.
+async function ensureCollectionValidators(db) {
+  const existing = new Set(
+    (await db.listCollections({}, { nameOnly: true }).toArray()).map(collection => collection.name)
+  );
+
+  for (const name of Object.keys(documentSchemas)) {
+    const validator = { $jsonSchema: toJsonSchema(documentSchemas[name]) };
+    if (existing.has(name)) {
+      await db.command({ collMod: name, validator, validationLevel: 'moderate', validationAction: 'error' });
+    } else {
+      await db.createCollection(name, { validator, validationLevel: 'moderate', validationAction: 'error' });
+    }
+  }
+}
+
+module.exports = {
+  documentSchemas,
+  ensureCollectionValidators,
+  requestSchemas,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+// Refresh-token sessions.
+// Each document in the sessions collection is one logged-in device (a "token family").
+// Only a SHA-256 hash of the current refresh token is stored. Every refresh rotates the token,
+// and the hashes of rotated tokens are kept so that reusing one revokes the whole session.
+
+// How long a refresh token (and so a session) stays valid without being used
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How many rotated token hashes to remember per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+function sessionsCollection(db) {
+  return db.collection('sessions');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Create the indexes the sessions collection relies on (called once at startup)
+async function ensureSessionIndexes(db) {
+  const collection = sessionsCollection(db);
+  await collection.createIndex({ tokenHash: 1 });
+  await collection.createIndex({ previousTokenHashes: 1 });
+  await collection.createIndex({ userId: 1, revokedAt: 1 });
+  // Let MongoDB clean up sessions once their refresh token has expired
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Start a new session for a user. Returns the stored session and the plain refresh token.
+async function createSession(db, userId, meta = {}) {
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+  const session = {
+    userId: userId,
+    tokenHash: hashToken(refreshToken),
+    previousTokenHashes: [],
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: refreshExpiry(),
+    revokedAt: null,
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+  };
+  const result = await sessionsCollection(db).insertOne(session);
+  session._id = result.insertedId;
+  return { session, refreshToken };
+}
+
+// Exchange a refresh token for a new one.
+// Returns { status: 'ok', session, refreshToken } on success, or { status } with
+// 'invalid' (unknown or revoked), 'expired', or 'reused' (an already rotated token was presented,
+// in which case the whole session has been revoked).
+async function rotateSession(db, refreshToken, meta = {}) {
+  const collection = sessionsCollection(db);
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Atomically swap the current token for a new one, so two concurrent refreshes can't both succeed
+  const session = await collection.findOneAndUpdate(
+    { tokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(newRefreshToken),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        userAgent: meta.userAgent || null,
+        ip: meta.ip || null,
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (session) {
+    return { status: 'ok', session, refreshToken: newRefreshToken };
+  }
+
+  // The token was already rotated: someone is replaying it, so revoke the whole token family
+  const reusedSession = await collection.findOne({ previousTokenHashes: tokenHash });
+  if (reusedSession) {
+    await collection.updateOne(
+      { _id: reusedSession._id, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    return { status: 'reused' };
+  }
+
+  const currentSession = await collection.findOne({ tokenHash: tokenHash });
+  if (currentSession && !currentSession.revokedAt && currentSession.expiresAt <= now) {
+    return { status: 'expired' };
+  }
+  return { status: 'invalid' };
+}
+
+// Revoke the session a refresh token belongs to. Returns the revoked session or null.
+async function revokeSessionByToken(db, refreshToken, reason = 'logout') {
+  return sessionsCollection(db).findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Revoke one of a user's sessions by its id. Returns true if a session was revoked.
+async function revokeSessionById(db, userId, sessionId, reason = 'logout') {
+  const result = await sessionsCollection(db).updateOne(
+    { _id: sessionId, userId: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Revoke every active session of a user ("log out all devices"), except exceptSessionId if given
+// (e.g. the device the password was just changed on). Returns how many were revoked.
+async function revokeAllSessions(db, userId, reason = 'logout_all', { exceptSessionId = null } = {}) {
+  const filter = { userId: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await sessionsCollection(db).updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+// Whether a session is still active (not revoked, deleted or expired).
+// Access tokens carry their session's id, so revoking a session also ends its access tokens.
+async function isSessionActive(db, userId, sessionId) {
+  const session = await sessionsCollection(db).findOne(
+    { _id: sessionId, userId: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { projection: { _id: 1 } }
+  );
+  return session !== null;
+}
+
+// List a user's active sessions, without any token hashes
+async function listActiveSessions(db, userId) {
+  return sessionsCollection(db).find(
+    { userId: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { projection: { tokenHash: 0, previousTokenHashes: 0 } }
+  ).sort({ lastUsedAt: -1 }).toArray();
+}
+
+module.exports = {
+  createSession,
+  ensureSessionIndexes,
+  hashToken,
+  isSessionActive,
+  listActiveSessions,
+  revokeAllSessions,
+  revokeSessionById,
+  revokeSessionByToken,
+  rotateSession,
+};
@@ -0,0 +1,336 @@
+const { daysBetween, localTimeOf, startOfWeek, toDateKey, weekday } = require('./dates');
+const { buildCompletionCalendar, calendarHabits, calendarParticipant } = require('./calendar');
+const { entryDateKey, entryValue, findUserHabits, isCompletedEntry, loadUserEntries, localDateFilter } = require('./entries');
+const { WEEKDAY_NAMES, periodWindow } = require('./schedule');
+const { timeZoneOf } = require('./timezones');
+
+// Per-user statistics and the daily rollups behind them.
+//
+// userDailyStats holds one row per user, habit and local day the user logged something on:
+//   { userId, habitId, groupId, localDate, done, value, hour, updatedAt }
+// done: the entry counts as done on its own (a completed status, or the user is in checkedBy);
+//       measured habits are judged against their target from value when stats are computed
+// value: what the user logged that day (measured habits)
+// hour: the hour of day (0-23) the habit was first marked done, in the time zone of its day, or null
+// Rows are rebuilt from the day's entries whenever they are written (refreshDailyStats), so stats
+// never scan userHabitEntries or groupHabitEntries. backfillDailyStats() builds them once for
+// entries written before the rollups existed.
+
+const STATS_ROLLUP_VERSION = 1;
+const MAX_STATS_RANGE_DAYS = 366 * 5;
+// Habits need this many due occurrences in the range to be ranked best or worst
+const MIN_DUE_FOR_RANKING = 3;
+const RANKED_HABITS = 3;
+const BACKFILL_BATCH_SIZE = 100;
+
+function dailyStatsCollection(db) {
+  return db.collection('userDailyStats');
+}
+
+function dailyStatsBackfillsCollection(db) {
+  return db.collection('dailyStatsBackfills');
+}
+
+// Create the indexes the userDailyStats collection relies on (called once at startup)
+async function ensureStatsIndexes(db) {
+  await dailyStatsCollection(db).createIndex({ userId: 1, habitId: 1, localDate: 1 }, { unique: true });
+  await dailyStatsCollection(db).createIndex({ userId: 1, localDate: 1 });
+  await dailyStatsCollection(db).createIndex({ habitId: 1 });
+}
+
+// done and value of a user's entries for one habit and day
+function summarizeDay(entries, userId) {
+  let done = false;
+  let value = 0;
+  entries.forEach(entry => {
+    done = done || (entry.checkedBy
+      ? entry.checkedBy.some(id => id.toString() === userId.toString())
+      : isCompletedEntry(entry));
+    value += entryValue(entry, userId);
+  });
+  return { done, value };
+}
+
+// Bring a user's rollup row for a habit and day in line with the day's entries, after they were
+// written or undone. at is when it happened (the hour a habit is first done is kept).
+// Rollups are a side effect: failures are logged, not thrown.
+async function refreshDailyStats(db, { userId, habit, dateKey, timeZone, at = new Date() }) {
+  try {
+    const isGroupHabit = habit.assignedTo.type === 'group';
+    const entries = await db.collection(isGroupHabit ? 'groupHabitEntries' : 'userHabitEntries').find(
+      { ...(isGroupHabit ? { groupId: habit.assignedTo.id } : { userId }), habitId: habit._id, ...localDateFilter(dateKey, dateKey, timeZone) },
+      { projection: { status: 1, value: 1, checkedBy: 1, values: 1 } }
+    ).toArray();
+    const { done, value } = summarizeDay(entries, userId);
+
+    const key = { userId, habitId: habit._id, localDate: dateKey };
+    if (!done && value <= 0) {
+      await dailyStatsCollection(db).deleteOne(key);
+      return;
+    }
+
+    const update = {
+      $set: { groupId: isGroupHabit ? habit.assignedTo.id : null, done, value, updatedAt: new Date() },
+    };
+    if (done) {
+      update.$setOnInsert = { hour: null };
+    } else {
+      update.$set.hour = null;
+    }
+    await dailyStatsCollection(db).updateOne(key, update, { upsert: true });
+    if (done) {
+      // Only the first time it is done that day
+      await dailyStatsCollection(db).updateOne({ ...key, hour: null }, { $set: { hour: Number(localTimeOf(at, timeZone).slice(0, 2)) } });
+    }
+  } catch (error) {
+    console.error('Error updating daily stats:', error);
+  }
+}
+
+// Rebuild all of a user's rollup rows from their entries. The hour entries were done at is taken
+// from their last update, where there is one.
+// Check-ins can refresh rows while this runs, so rows are upserted one by one and only rows that
+// weren't refreshed since the rebuild started are overwritten or deleted: a newer row wins.
+async function rebuildDailyStats(db, userId, timeZone) {
+  const startedAt = new Date();
+  const habits = await findUserHabits(db, userId);
+  const entries = await loadUserEntries(db, habits, userId, timeZone);
+  const groupIds = new Map(habits.map(habit => [habit._id.toString(), habit.assignedTo.type === 'group' ? habit.assignedTo.id : null]));
+
+  const days = new Map();
+  entries.forEach(entry => {
+    const localDate = entryDateKey(entry, timeZone);
+    const key = `${entry.habitId}|${localDate}`;
+    if (!days.has(key)) {
+      days.set(key, { habitId: entry.habitId, localDate, entries: [] });
+    }
+    days.get(key).entries.push(entry);
+  });
+
+  const operations = [];
+  days.forEach(({ habitId, localDate, entries: dayEntries }) => {
+    const { done, value } = summarizeDay(dayEntries, userId);
+    if (!done && value <= 0) {
+      return;
+    }
+    const updatedAt = dayEntries.map(entry => entry.updatedAt).filter(Boolean).sort((a, b) => a - b)[0];
+    operations.push({
+      updateOne: {
+        // A row refreshed after startedAt doesn't match; the upsert then hits the unique index
+        // and is skipped (see below)
+        filter: { userId, habitId, localDate, updatedAt: { $lt: startedAt } },
+        update: {
+          $set: {
+            groupId: groupIds.get(habitId.toString()) || null,
+            done,
+            value,
+            hour: done && updatedAt ? Number(localTimeOf(updatedAt, timeZone).slice(0, 2)) : null,
+            updatedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    });
+  });
+
+  if (operations.length > 0) {
+    try {
+      // Unordered, so one skipped row doesn't stop the ones after it
+      await dailyStatsCollection(db).bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+    }
+  }
+  // Rows of days that no longer count, unless a check-in refreshed them meanwhile
+  await dailyStatsCollection(db).deleteMany({ userId, updatedAt: { $lt: startedAt } });
+  return operations.length;
+}
+
+// Build every user's rollups from their existing entries, in batches of users. Runs once per
+// STATS_ROLLUP_VERSION: progress is saved after every batch, so a restart carries on where it
+// stopped. Users whose rebuild failed are kept in failedUserIds and tried again on the next start;
+// the backfill only finishes once none are left. Returns how many users were rebuilt.
+async function backfillDailyStats(db, { batchSize = BACKFILL_BATCH_SIZE } = {}) {
+  const backfills = dailyStatsBackfillsCollection(db);
+  const state = await backfills.findOne({ _id: STATS_ROLLUP_VERSION });
+  if (state && state.finishedAt) {
+    return 0;
+  }
+
+  let rebuilt = 0;
+  // Rebuild some users and return the ids of the ones that failed
+  async function rebuildUsers(users) {
+    const failedIds = [];
+    for (const user of users) {
+      try {
+        await rebuildDailyStats(db, user._id, timeZoneOf(user));
+        rebuilt++;
+      } catch (error) {
+        console.error(`Error backfilling daily stats of user ${user._id}:`, error);
+        failedIds.push(user._id);
+      }
+    }
+    return failedIds;
+  }
+
+  // Users that failed last time go first (users deleted since then are dropped)
+  if (state && state.failedUserIds && state.failedUserIds.length > 0) {
+    const users = await db.collection('users')
+      .find({ _id: { $in: state.failedUserIds } }, { projection: { timezone: 1 } })
+      .toArray();
+    const failedIds = await rebuildUsers(users);
+    await backfills.updateOne({ _id: STATS_ROLLUP_VERSION }, { $set: { failedUserIds: failedIds, updatedAt: new Date() } });
+  }
+
+  let lastUserId = state ? state.lastUserId : null;
+  for (;;) {
+    const users = await db.collection('users')
+      .find(lastUserId ? { _id: { $gt: lastUserId } } : {}, { projection: { timezone: 1 } })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (users.length === 0) {
+      break;
+    }
+    const failedIds = await rebuildUsers(users);
+    lastUserId = users[users.length - 1]._id;
+    await backfills.updateOne(
+      { _id: STATS_ROLLUP_VERSION },
+      {
+        $set: { lastUserId, updatedAt: new Date() },
+        $addToSet: { failedUserIds: { $each: failedIds } },
+        $setOnInsert: { startedAt: new Date() },
+      },
+      { upsert: true }
+    );
+  }
+
+  const current = await backfills.findOne({ _id: STATS_ROLLUP_VERSION });
+  if (current && current.failedUserIds && current.failedUserIds.length > 0) {
+    console.error(`Daily stats of ${current.failedUserIds.length} users could not be backfilled; they are tried again on the next start.`);
+    return rebuilt;
+  }
+  await backfills.updateOne(
+    { _id: STATS_ROLLUP_VERSION },
+    { $set: { finishedAt: new Date() }, $setOnInsert: { startedAt: new Date(), lastUserId } },
+    { upsert: true }
+  );
+  return rebuilt;
+}
+
+function rate(completed, due) {
+  return due === 0 ? null : Math.round((completed / due) * 1000) / 1000;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// A user's statistics over a range of date keys, from their rollups and habit schedules.
+// habits: the habits to cover (see findUserHabits); memberSince: when the account was created.
+// Completion rates are completed / due occurrences as in the completion calendar (see
+// server/calendar.js); by hour there is nothing due, so it shows when check-ins happen instead.
+async function computeUserStats(db, userId, { from, to, timeZone, habits, memberSince }) {
+  // Load the weeks and months around the range too, for the X-times-per-period rules
+  const window = periodWindow(from, to);
+  const rows = await dailyStatsCollection(db).find(
+    { userId, localDate: { $gte: window.from, $lte: window.to } },
+    { projection: { habitId: 1, localDate: 1, done: 1, value: 1, hour: 1 } }
+  ).toArray();
+
+  // Rollup rows read like personal entries to the completion helpers
+  const entries = rows.map(row => ({ habitId: row.habitId, localDate: row.localDate, status: row.done ? 'done' : 'missed', value: row.value }));
+  const participant = calendarParticipant(entries, { userId, timeZone, habits });
+  const inRange = rows.filter(row => row.localDate >= from && row.localDate <= to && row.done);
+
+  const byWeekday = WEEKDAY_NAMES.map(name => ({ weekday: name, due: 0, completed: 0 }));
+  const weeks = new Map();
+  const titles = new Map(habits.map(habit => [habit._id.toString(), habit.title]));
+  const byHabit = calendarHabits(habits, timeZone).map(habit => {
+    let due = 0;
+    let completed = 0;
+    buildCompletionCalendar(from, to, [habit], [participant]).forEach(day => {
+      due += day.total;
+      completed += day.completed;
+      byWeekday[weekday(day.date)].due += day.total;
+      byWeekday[weekday(day.date)].completed += day.completed;
+      const weekStart = startOfWeek(day.date);
+      const week = weeks.get(weekStart) || { weekStart, due: 0, completed: 0 };
+      week.due += day.total;
+      week.completed += day.completed;
+      weeks.set(weekStart, week);
+    });
+    return {
+      habitId: habit.id,
+      title: titles.get(habit.id),
+      due,
+      completed: round(completed),
+      rate: rate(completed, due),
+      checkIns: inRange.filter(row => row.habitId.toString() === habit.id).length,
+    };
+  });
+
+  // Week over week: each week's rate and its change from the week before
+  let previousRate = null;
+  const weekly = Array.from(weeks.values()).sort((a, b) => (a.weekStart < b.weekStart ? -1 : 1)).map(week => {
+    const weekRate = rate(week.completed, week.due);
+    const change = weekRate !== null && previousRate !== null ? round(weekRate - previousRate) : null;
+    if (weekRate !== null) {
+      previousRate = weekRate;
+    }
+    return { weekStart: week.weekStart, due: week.due, completed: round(week.completed), rate: weekRate, change };
+  });
+
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, checkIns: 0, share: 0 }));
+  const timed = inRange.filter(row => typeof row.hour === 'number');
+  timed.forEach(row => {
+    byHour[row.hour].checkIns++;
+  });
+  byHour.forEach(bucket => {
+    bucket.share = timed.length === 0 ? 0 : round(bucket.checkIns / timed.length);
+  });
+
+  // With few habits, each one is either among the best or the worst, never both
+  const ranked = byHabit.filter(habit => habit.due >= MIN_DUE_FOR_RANKING)
+    .sort((a, b) => b.rate - a.rate || b.completed - a.completed);
+  const best = ranked.slice(0, Math.min(RANKED_HABITS, Math.ceil(ranked.length / 2)));
+  const worst = ranked.slice(best.length).reverse().slice(0, RANKED_HABITS);
+  const mostLogged = byHabit.slice().sort((a, b) => b.checkIns - a.checkIns)[0];
+
+  const totalDue = byHabit.reduce((sum, habit) => sum + habit.due, 0);
+  const totalCompleted = byHabit.reduce((sum, habit) => sum + habit.completed, 0);
+  const joinedOn = memberSince ? toDateKey(memberSince, timeZone) : null;
+
+  return {
+    range: { from, to, days: daysBetween(from, to) + 1 },
+    totals: {
+      checkIns: inRange.length,
+      daysActive: new Set(inRange.map(row => row.localDate)).size,
+      due: totalDue,
+      completed: round(totalCompleted),
+      rate: rate(totalCompleted, totalDue),
+      memberSince: memberSince || null,
+      daysSinceJoined: joinedOn ? daysBetween(joinedOn, to) : null,
+    },
+    mostLoggedHabit: mostLogged && mostLogged.checkIns > 0 ? mostLogged : null,
+    bestHabits: best,
+    worstHabits: worst,
+    byHabit,
+    byWeekday: byWeekday.map(day => ({ ...day, completed: round(day.completed), rate: rate(day.completed, day.due) })),
+    byHour,
+    weekly,
+  };
+}
+
+module.exports = {
+  MAX_STATS_RANGE_DAYS,
+  backfillDailyStats,
+  computeUserStats,
+  dailyStatsCollection,
+  ensureStatsIndexes,
+  rebuildDailyStats,
+  refreshDailyStats,
+};
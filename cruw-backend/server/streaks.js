@@ -0,0 +1,206 @@
+const { addDays, daysBetween } = require('./dates');
+const { isScheduledOn, periodOf, targetFor } = require('./schedule');
+
+// Streak calculation.
+//
+// Streaks follow the habit's schedule:
+// - day-based schedules (daily, weekly, interval, rrule) count completed scheduled days;
+//   days the habit isn't scheduled on neither extend nor break the streak.
+// - X-times-per-week/month schedules count periods in which the target was reached.
+// The day (or period) containing asOf never breaks a streak: it is still in progress.
+//
+// graceDays is how many scheduled days (or periods) in a row may be missed without breaking
+// the streak; missed days don't add to it either. Frozen dates (chosen by the user, e.g. for
+// a holiday) are treated like off days.
+//
+// Only the last MAX_STREAK_DAYS up to asOf are looked at, so a streak is never longer than that.
+
+const MAX_STREAK_DAYS = 366 * 10;
+
+const EMPTY_STREAK = {
+  currentStreak: 0,
+  currentStreakStart: null,
+  longestStreak: 0,
+  longestStreakStart: null,
+  longestStreakEnd: null,
+  lastCompletedDate: null,
+};
+
+// Walk a list of units in order and track current and longest streaks.
+// Each unit is { key, start, status } where status is 'done', 'missed' or 'skip'.
+function walkUnits(units, graceDays) {
+  const result = { ...EMPTY_STREAK };
+  let streak = 0;
+  let streakStart = null;
+  let misses = 0;
+
+  units.forEach(unit => {
+    if (unit.status === 'done') {
+      if (streak === 0) {
+        streakStart = unit.start;
+      }
+      streak++;
+      misses = 0;
+      if (streak > result.longestStreak) {
+        result.longestStreak = streak;
+        result.longestStreakStart = streakStart;
+        result.longestStreakEnd = unit.key;
+      }
+      result.lastCompletedDate = unit.key;
+    } else if (unit.status === 'missed') {
+      misses++;
+      if (misses > graceDays) {
+        streak = 0;
+        streakStart = null;
+        misses = 0;
+      }
+    }
+  });
+
+  result.currentStreak = streak;
+  result.currentStreakStart = streakStart;
+  return result;
+}
+
+// Streak of a single habit.
+// schedule: a normalized schedule (see server/schedule.js), or null for habits without one,
+//           which are treated as daily from their first completion.
+// completedDates: date keys the habit was completed on.
+// options: { asOf, graceDays, frozenDates } where frozenDates is an array or Set of date keys.
+function computeHabitStreak(schedule, completedDates, options) {
+  const completed = new Set(completedDates);
+  const frozen = new Set(options.frozenDates || []);
+  const graceDays = options.graceDays || 0;
+  const asOf = options.asOf;
+
+  if (completed.size === 0 && !schedule) {
+    return { ...EMPTY_STREAK, unit: 'days' };
+  }
+
+  const earliestDay = addDays(asOf, -MAX_STREAK_DAYS);
+  const sortedDates = Array.from(completed).filter(key => key <= asOf && key >= earliestDay).sort();
+  const effectiveSchedule = schedule || { type: 'daily', startDate: sortedDates[0] || asOf };
+
+  // Without completions there is no streak to find
+  if (sortedDates.length === 0) {
+    return { ...EMPTY_STREAK, unit: streakUnit(effectiveSchedule) };
+  }
+
+  // Only walk from the first completion (nothing before it can be part of a streak) to the
+  // schedule's end (a COUNT rule's last occurrence, see server/schedule.js)
+  const firstDay = sortedDates[0] > effectiveSchedule.startDate ? sortedDates[0] : effectiveSchedule.startDate;
+  const lastDay = effectiveSchedule.endDate && effectiveSchedule.endDate < asOf ? effectiveSchedule.endDate : asOf;
+  if (!firstDay || firstDay > lastDay) {
+    return { ...EMPTY_STREAK, unit: streakUnit(effectiveSchedule) };
+  }
+
+  const units = [];
+  const period = periodOf(effectiveSchedule, firstDay);
+
+  if (period) {
+    // One unit per week or month
+    const target = targetFor(effectiveSchedule);
+    let current = period;
+    while (current.start <= lastDay) {
+      let count = 0;
+      let hasFrozenDay = false;
+      for (let key = current.start; key <= current.end; key = addDays(key, 1)) {
+        if (completed.has(key) && isScheduledOn(effectiveSchedule, key)) {
+          count++;
+        }
+        if (frozen.has(key)) {
+          hasFrozenDay = true;
+        }
+      }
+      let status = 'missed';
+      if (count >= target) {
+        status = 'done';
+      } else if (asOf <= current.end || hasFrozenDay) {
+        status = 'skip'; // Still in progress, or frozen
+      }
+      units.push({ key: current.end, start: current.start, status });
+      current = periodOf(effectiveSchedule, addDays(current.end, 1));
+    }
+  } else {
+    // One unit per scheduled day
+    const totalDays = daysBetween(firstDay, lastDay);
+    for (let offset = 0; offset <= totalDays; offset++) {
+      const key = addDays(firstDay, offset);
+      if (!isScheduledOn(effectiveSchedule, key)) {
+        continue;
+      }
+      let status = 'missed';
+      if (completed.has(key)) {
+        status = 'done';
+      } else if (key === asOf || frozen.has(key)) {
+        status = 'skip'; // Today is still in progress, or frozen
+      }
+      units.push({ key, start: key, status });
+    }
+  }
+
+  return {
+    ...walkUnits(units, graceDays),
+    // Period units are keyed by the period's last day, so report the real last completion
+    lastCompletedDate: sortedDates.length > 0 ? sortedDates[sortedDates.length - 1] : null,
+    unit: streakUnit(effectiveSchedule),
+  };
+}
+
+// Overall streak of a user across habits: consecutive days with at least one completion,
+// where days on which none of the user's habits are scheduled are skipped.
+// habits: [{ schedule, completedDates }], options: { asOf, graceDays, frozenDates }
+function computeOverallStreak(habits, options) {
+  const frozen = new Set(options.frozenDates || []);
+  const asOf = options.asOf;
+  const earliestDay = addDays(asOf, -MAX_STREAK_DAYS);
+  const completedDays = new Set();
+  habits.forEach(habit => habit.completedDates.forEach(key => {
+    if (key <= asOf && key >= earliestDay) {
+      completedDays.add(key);
+    }
+  }));
+
+  if (completedDays.size === 0) {
+    return { ...EMPTY_STREAK, unit: 'days' };
+  }
+
+  const firstDay = Array.from(completedDays).sort()[0];
+  const units = [];
+  const totalDays = daysBetween(firstDay, asOf);
+
+  for (let offset = 0; offset <= totalDays; offset++) {
+    const key = addDays(firstDay, offset);
+    if (completedDays.has(key)) {
+      units.push({ key, start: key, status: 'done' });
+      continue;
+    }
+    // Habits without a valid schedule are treated as daily
+    const anythingScheduled = habits.some(habit => !habit.schedule || isScheduledOn(habit.schedule, key));
+    if (!anythingScheduled) {
+      continue;
+    }
+    units.push({ key, start: key, status: key === asOf || frozen.has(key) ? 'skip' : 'missed' });
+  }
+
+  return { ...walkUnits(units, options.graceDays || 0), unit: 'days' };
+}
+
+// What one step of a habit's streak counts
+function streakUnit(schedule) {
+  switch (schedule.type) {
+    case 'daily':
+      return 'days';
+    case 'timesPerWeek':
+      return 'weeks';
+    case 'timesPerMonth':
+      return 'months';
+    default:
+      return 'occurrences';
+  }
+}
+
+module.exports = {
+  computeHabitStreak,
+  computeOverallStreak,
+};
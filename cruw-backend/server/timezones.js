@@ -0,0 +1,28 @@
+const { DEFAULT_TIME_ZONE } = require('./dates');
+
+// Time zones of users and groups.
+// Every user has an IANA time zone (users.timezone) that decides where their days start and end;
+// users who never set one are on UTC. A group can set its own zone (groups.timezone) so that
+// all members share one calendar day; without it, each member's own zone is used.
+
+// A user's time zone, from a loaded user document
+function timeZoneOf(user) {
+  return (user && user.timezone) || DEFAULT_TIME_ZONE;
+}
+
+// Look up one user's time zone
+async function getUserTimeZone(db, userId) {
+  const user = await db.collection('users').findOne({ _id: userId }, { projection: { timezone: 1 } });
+  return timeZoneOf(user);
+}
+
+// The zone a group member's days are counted in: the group's own zone if it has one
+function groupTimeZone(group, memberTimeZone) {
+  return (group && group.timezone) || memberTimeZone || DEFAULT_TIME_ZONE;
+}
+
+module.exports = {
+  getUserTimeZone,
+  groupTimeZone,
+  timeZoneOf,
+};
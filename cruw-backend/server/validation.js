@@ -0,0 +1,301 @@
+const { ObjectId } = require('mongodb');
+
+// A tiny declarative schema language shared by the API layer and the MongoDB validators.
+//
+// A field spec is a plain object:
+//   { type, required, nullable, default, enum, minLength, maxLength, pattern, patternMessage,
+//     trim, min, max, properties, additionalProperties, values, items, minItems, maxItems, custom, validator }
+// where type is one of 'string', 'number', 'integer', 'boolean', 'objectId', 'date',
+// 'object', 'array' or 'any'. 'object' specs list their fields in properties; an
+// object without properties is a map whose values can be described by values.
+// custom(value) can return an error message for rules the spec can't express.
+// validator(value) hands a whole sub-document to a dedicated validator returning
+// { value, errors } with errors relative to the field (used for habit schedules).
+//
+// validate() checks request data and returns the cleaned value: ObjectId strings
+// become ObjectIds, dates become Date objects and undeclared fields are rejected.
+// toJsonSchema() turns the same specs into MongoDB $jsonSchema documents. Those only reject
+// undeclared fields when a spec sets additionalProperties: false explicitly.
+
+const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && !(value instanceof ObjectId);
+}
+
+// Validate (and coerce) a single value against a spec, pushing { field, message } into errors
+function validateValue(spec, value, field, errors, options) {
+  if (value === null) {
+    if (!spec.nullable) {
+      errors.push({ field, message: 'must not be null' });
+    }
+    return null;
+  }
+
+  let result = value;
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field, message: 'must be a string' });
+        return undefined;
+      }
+      result = spec.trim === false ? value : value.trim();
+      if (spec.minLength !== undefined && result.length < spec.minLength) {
+        errors.push({ field, message: `must be at least ${spec.minLength} characters long` });
+      }
+      if (spec.maxLength !== undefined && result.length > spec.maxLength) {
+        errors.push({ field, message: `must be at most ${spec.maxLength} characters long` });
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(result)) {
+        errors.push({ field, message: spec.patternMessage || 'has an invalid format' });
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field, message: 'must be a number' });
+        return undefined;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        errors.push({ field, message: 'must be an integer' });
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        errors.push({ field, message: `must be at least ${spec.min}` });
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        errors.push({ field, message: `must be at most ${spec.max}` });
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ field, message: 'must be true or false' });
+        return undefined;
+      }
+      break;
+
+    case 'objectId':
+      if (value instanceof ObjectId) {
+        break;
+      }
+      if (typeof value !== 'string' || !ObjectId.isValid(value) || value.length !== 24) {
+        errors.push({ field, message: 'must be a valid ObjectId' });
+        return undefined;
+      }
+      result = new ObjectId(value);
+      break;
+
+    case 'date': {
+      if (typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) {
+        errors.push({ field, message: 'must be a date' });
+        return undefined;
+      }
+      result = new Date(value);
+      if (Number.isNaN(result.getTime())) {
+        errors.push({ field, message: 'must be a valid date' });
+        return undefined;
+      }
+      break;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: 'must be an array' });
+        return undefined;
+      }
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        errors.push({ field, message: `must contain at least ${spec.minItems} item(s)` });
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        errors.push({ field, message: `must contain at most ${spec.maxItems} item(s)` });
+      }
+      if (spec.items) {
+        result = value.map((item, index) => validateValue(spec.items, item, `${field}[${index}]`, errors, options));
+      }
+      break;
+
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push({ field, message: 'must be an object' });
+        return undefined;
+      }
+      if (spec.properties) {
+        result = validateObject(spec, value, field, errors, options);
+      } else if (spec.values) {
+        // A map: every value follows the same spec
+        result = {};
+        Object.keys(value).forEach(key => {
+          result[key] = validateValue(spec.values, value[key], `${field}.${key}`, errors, options);
+        });
+      }
+      break;
+
+    case 'any':
+    default:
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(result)) {
+    errors.push({ field, message: `must be one of: ${spec.enum.join(', ')}` });
+  }
+
+  if (spec.custom) {
+    const message = spec.custom(result);
+    if (message) {
+      errors.push({ field, message });
+    }
+  }
+
+  if (spec.validator) {
+    const checked = spec.validator(result);
+    checked.errors.forEach(error => {
+      errors.push({ field: error.field ? `${field}.${error.field}` : field, message: error.message });
+    });
+    result = checked.value;
+  }
+
+  return result;
+}
+
+// Validate the declared properties of an object spec
+function validateObject(spec, value, prefix, errors, options) {
+  const result = {};
+  const properties = spec.properties || {};
+
+  Object.keys(properties).forEach(key => {
+    const fieldSpec = properties[key];
+    const field = prefix ? `${prefix}.${key}` : key;
+    const fieldValue = value[key];
+
+    if (fieldValue === undefined) {
+      // Partial validation (PATCH bodies) skips required checks at the top level only
+      const skipRequired = options.partial && !prefix;
+      if (fieldSpec.required && !skipRequired) {
+        errors.push({ field, message: 'is required' });
+      } else if (fieldSpec.default !== undefined && !(options.partial && !prefix)) {
+        result[key] = typeof fieldSpec.default === 'function' ? fieldSpec.default() : fieldSpec.default;
+      }
+      return;
+    }
+
+    const coerced = validateValue(fieldSpec, fieldValue, field, errors, options);
+    if (coerced !== undefined) {
+      result[key] = coerced;
+    }
+  });
+
+  // Reject fields the schema doesn't declare, unless it opts out
+  if (spec.additionalProperties !== true) {
+    Object.keys(value).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push({ field: prefix ? `${prefix}.${key}` : key, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return result;
+}
+
+// Validate data against an object spec.
+// Returns { value, errors }; errors is empty when the data is valid.
+// With { partial: true } top-level required fields may be omitted (used for PATCH bodies).
+function validate(spec, data, options = {}) {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return { value: undefined, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+  }
+  const value = validateObject(spec, data, '', errors, options);
+  // Rules across several fields of the body
+  if (spec.custom && errors.length === 0) {
+    const message = spec.custom(value);
+    if (message) {
+      errors.push({ field: '', message });
+    }
+  }
+  if (options.partial && Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: '', message: 'At least one field must be provided' });
+  }
+  return { value, errors };
+}
+
+// Express middleware validating req.body against a spec.
+// On success req.body is replaced by the cleaned value; on failure it answers 400 with field-level errors.
+function validateBody(spec, options = {}) {
+  return function (req, res, next) {
+    const { value, errors } = validate(spec, req.body === undefined ? {} : req.body, options);
+    if (errors.length > 0) {
+      res.status(400).json({ message: 'Validation failed.', errors });
+      return;
+    }
+    req.body = value;
+    next();
+  };
+}
+
+// Map our field types to MongoDB BSON types
+const BSON_TYPES = {
+  string: 'string',
+  number: ['double', 'int', 'long', 'decimal'],
+  integer: ['int', 'long'],
+  boolean: 'bool',
+  objectId: 'objectId',
+  date: 'date',
+  object: 'object',
+  array: 'array',
+};
+
+// Convert a field spec into a MongoDB $jsonSchema fragment
+function toJsonSchema(spec) {
+  const schema = {};
+
+  if (spec.type && spec.type !== 'any') {
+    let bsonType = BSON_TYPES[spec.type];
+    if (spec.nullable) {
+      bsonType = [].concat(bsonType, 'null');
+    }
+    schema.bsonType = bsonType;
+  }
+
+  if (spec.enum) {
+    schema.enum = spec.nullable ? spec.enum.concat(null) : spec.enum;
+  }
+  if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.pattern) schema.pattern = spec.pattern;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+  if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+  if (spec.items) schema.items = toJsonSchema(spec.items);
+
+  if (spec.type === 'object' && spec.properties) {
+    schema.properties = {};
+    const required = [];
+    Object.keys(spec.properties).forEach(key => {
+      schema.properties[key] = toJsonSchema(spec.properties[key]);
+      if (spec.properties[key].required) {
+        required.push(key);
+      }
+    });
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    if (spec.additionalProperties === false) {
+      schema.additionalProperties = false;
+    }
+  } else if (spec.type === 'object' && spec.values) {
+    schema.additionalProperties = toJsonSchema(spec.values);
+  }
+
+  return schema;
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  toJsonSchema,
+  validate,
+  validateBody,
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+// Web Push (RFC 8030) with VAPID authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291).
+// Browsers subscribe with the public key from vapidPublicKey() and send us the subscription
+// ({ endpoint, keys: { p256dh, auth } }); messages are posted to the endpoint, encrypted for that
+// browser. The VAPID key pair comes from VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (base64url, the raw
+// formats the web-push tools use); generate one with
+//   node -e "console.log(require('./server/webPush').generateVapidKeys())"
+// Without keys push is switched off and sends are skipped.
+
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:no-reply@cruw.app';
+// VAPID tokens are valid for at most 24 hours; ours for 12
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// How long a push service gets to accept a message
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Push services accept at least 4096 bytes per message, including the encryption overhead
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD_BYTES = 3993;
+
+function pushSubscriptionsCollection(db) {
+  return db.collection('pushSubscriptions');
+}
+
+// Create the indexes the pushSubscriptions collection relies on (called once at startup)
+async function ensurePushIndexes(db) {
+  await pushSubscriptionsCollection(db).createIndex({ endpoint: 1 }, { unique: true });
+  await pushSubscriptionsCollection(db).createIndex({ userId: 1 });
+}
+
+// A fresh VAPID key pair as base64url strings: { publicKey, privateKey }
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url'),
+  };
+}
+
+function isWebPushConfigured() {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+// The key browsers need to subscribe (applicationServerKey), or null when push is off
+function vapidPublicKey() {
+  return isWebPushConfigured() ? process.env.VAPID_PUBLIC_KEY : null;
+}
+
+// The signing key of the configured VAPID key pair, created on first use
+let signingKey = null;
+
+function getSigningKey() {
+  if (!signingKey) {
+    const publicKey = Buffer.from(process.env.VAPID_PUBLIC_KEY, 'base64url');
+    signingKey = crypto.createPrivateKey({
+      format: 'jwk',
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        d: process.env.VAPID_PRIVATE_KEY,
+        x: publicKey.subarray(1, 33).toString('base64url'),
+        y: publicKey.subarray(33, 65).toString('base64url'),
+      },
+    });
+  }
+  return signingKey;
+}
+
+// The Authorization header for a push service: a VAPID JWT for the endpoint's origin
+function vapidAuthorization(endpoint) {
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: VAPID_SUBJECT,
+  })).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key: getSigningKey(), dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${process.env.VAPID_PUBLIC_KEY}`;
+}
+
+// Encrypt a payload for a subscription as a single aes128gcm record (RFC 8291 section 3).
+// Every message gets a new server key pair and salt unless fixed ones are passed in (Buffers),
+// which is how the tests reproduce the example in RFC 8291 appendix A.
+function encryptPayload(subscription, payload, { serverPrivateKey = null, salt = crypto.randomBytes(16) } = {}) {
+  const clientPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  if (serverPrivateKey) {
+    ecdh.setPrivateKey(serverPrivateKey);
+  } else {
+    ecdh.generateKeys();
+  }
+  const serverPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(clientPublicKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+  const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // The payload plus the delimiter of the last (and only) record
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const encrypted = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, encrypted]);
+}
+
+// Send a message to one subscription. data is JSON-serialized. Returns { statusCode, gone } where
+// gone means the subscription no longer exists and should be forgotten. Throws on network errors.
+async function sendWebPush(subscription, data, { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' } = {}) {
+  const payload = Buffer.from(JSON.stringify(data));
+  if (payload.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payloads are limited to ${MAX_PAYLOAD_BYTES} bytes.`);
+  }
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: vapidAuthorization(subscription.endpoint),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(ttl),
+      Urgency: urgency,
+    },
+    body: encryptPayload(subscription, payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  return { statusCode: response.status, gone: response.status === 404 || response.status === 410 };
+}
+
+// Send a message to every browser a user subscribed. Subscriptions the push service reports as
+// gone are removed. Returns the number of subscriptions that accepted it.
+async function sendToUser(db, userId, data, options) {
+  if (!isWebPushConfigured()) {
+    return 0;
+  }
+  const subscriptions = await pushSubscriptionsCollection(db).find({ userId }).toArray();
+  let delivered = 0;
+  for (const subscription of subscriptions) {
+    try {
+      const result = await sendWebPush(subscription, data, options);
+      if (result.gone) {
+        await pushSubscriptionsCollection(db).deleteOne({ _id: subscription._id });
+      } else if (result.statusCode >= 200 && result.statusCode < 300) {
+        delivered++;
+      } else {
+        console.error(`Push service rejected a message with status ${result.statusCode}.`);
+      }
+    } catch (error) {
+      console.error('Error sending push message:', error);
+    }
+  }
+  return delivered;
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  encryptPayload,
+  ensurePushIndexes,
+  generateVapidKeys,
+  isWebPushConfigured,
+  pushSubscriptionsCollection,
+  sendToUser,
+  sendWebPush,
+  vapidPublicKey,
+};
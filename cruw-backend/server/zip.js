@@ -0,0 +1,169 @@
+const zlib = require('zlib');
+
+// A small ZIP archive writer and reader (PKWARE APPNOTE 6.3), enough for data exports and the
+// exports of other apps we import: stored or deflated files, no ZIP64, no encryption, so archives
+// stay under 4 GB and 65535 files.
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20; // 2.0: deflate
+const UTF8_NAMES = 0x0800;
+const STORE = 0;
+const DEFLATE = 8;
+// Bytes searched from the end for the end of central directory record (22 bytes plus a comment)
+const MAX_END_SEARCH = 22 + 0xffff;
+
+// CRC-32 (the ISO-HDLC one ZIP uses), table-driven; zlib.crc32 only exists from Node 20.15
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let index = 0; index < data.length; index++) {
+    crc = CRC_TABLE[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in MS-DOS format, which is what ZIP stores (local time, 2-second precision)
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Build a ZIP archive from [{ name, data }] where data is a Buffer or string. Returns a Buffer.
+function createZip(files, modifiedAt = new Date()) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name);
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    entry.writeUInt16LE(VERSION, 4);
+    entry.writeUInt16LE(VERSION, 6);
+    entry.writeUInt16LE(UTF8_NAMES, 8);
+    entry.writeUInt16LE(DEFLATE, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay 0
+    entry.writeUInt32LE(offset, 42);
+
+    parts.push(header, name, compressed);
+    centralDirectory.push(entry, name);
+    offset += header.length + name.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centralDirectory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, directory, end]);
+}
+
+// Read the files of a ZIP archive: [{ name, data }] with data a Buffer. Directories are left out.
+// Stops with an error once the files would add up to more than maxSize bytes (zip bombs).
+function readZip(buffer, { maxSize = Infinity } = {}) {
+  let end = -1;
+  for (let position = buffer.length - 22; position >= Math.max(0, buffer.length - MAX_END_SEARCH); position--) {
+    if (buffer.readUInt32LE(position) === END_OF_CENTRAL_DIRECTORY) {
+      end = position;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP archive.');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const files = [];
+  let total = 0;
+  for (let index = 0; index < count; index++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('The ZIP archive is damaged.');
+    }
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & 0x0001) {
+      throw new Error(`${name} is encrypted.`);
+    }
+    total += size;
+    if (total > maxSize) {
+      throw new Error(`The files in the ZIP archive are larger than ${maxSize} bytes.`);
+    }
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+      throw new Error('The ZIP archive is damaged.');
+    }
+    // The local header repeats the name and may have an extra field of another length
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === STORE) {
+      data = compressed;
+    } else if (method === DEFLATE) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`${name} uses an unsupported compression method.`);
+    }
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new Error(`${name} in the ZIP archive is damaged.`);
+    }
+    files.push({ name, data });
+  }
+  return files;
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+};
@@ -0,0 +1,105 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, test } = require('node:test');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { createAuthMiddleware, signAccessToken } = require('../server/auth');
+
+const jwtSecret = 'test-secret';
+
+// Just enough of the sessions collection for the middleware
+function fakeSessionsCollection() {
+  const sessions = [];
+  return {
+    sessions,
+    async findOne(filter) {
+      return sessions.find(session =>
+        session._id.equals(filter._id) &&
+        session.userId.equals(filter.userId) &&
+        session.revokedAt === null &&
+        session.expiresAt > filter.expiresAt.$gt
+      ) || null;
+    },
+  };
+}
+
+let server;
+let baseUrl;
+let sessions;
+
+before(async () => {
+  const app = express();
+  app.locals.db = { collection: () => sessions };
+  app.use('/api', createAuthMiddleware(jwtSecret));
+  app.get('/api/me', (req, res) => {
+    res.status(200).json({ id: req.user.id, sessionId: req.user.sessionId });
+  });
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  sessions = fakeSessionsCollection();
+});
+
+function startSession(user) {
+  const session = {
+    _id: new ObjectId(),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+  };
+  sessions.sessions.push(session);
+  return session;
+}
+
+function getMe(token) {
+  return fetch(`${baseUrl}/api/me`, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+test('accepts an access token whose session is active', async () => {
+  const user = { _id: new ObjectId(), username: 'ana' };
+  const session = startSession(user);
+
+  const response = await getMe(signAccessToken(user, session._id, jwtSecret));
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { id: user._id.toString(), sessionId: session._id.toString() });
+});
+
+test('rejects access tokens once their session is revoked', async () => {
+  const user = { _id: new ObjectId(), username: 'ana' };
+  const session = startSession(user);
+  const token = signAccessToken(user, session._id, jwtSecret);
+
+  session.revokedAt = new Date();
+  const response = await getMe(token);
+  assert.equal(response.status, 401);
+});
+
+test('rejects access tokens whose session is gone', async () => {
+  const user = { _id: new ObjectId(), username: 'ana' };
+  const session = startSession(user);
+  const token = signAccessToken(user, session._id, jwtSecret);
+
+  // Deleting the account removes its sessions
+  sessions.sessions.length = 0;
+  assert.equal((await getMe(token)).status, 401);
+});
+
+test("rejects a token pointing at another user's session", async () => {
+  const owner = { _id: new ObjectId(), username: 'ana' };
+  const session = startSession(owner);
+  const other = { _id: new ObjectId(), username: 'ben' };
+
+  assert.equal((await getMe(signAccessToken(other, session._id, jwtSecret))).status, 401);
+});
+
+test('rejects tokens without a session id', async () => {
+  const user = { _id: new ObjectId(), username: 'ana' };
+  assert.equal((await getMe(signAccessToken(user, undefined, jwtSecret))).status, 401);
+});
@@ -0,0 +1,90 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  addDays,
+  daysBetween,
+  daysInMonth,
+  isDateKey,
+  isValidTimeZone,
+  localTimeOf,
+  monthsBetween,
+  startOfWeek,
+  toDateKey,
+  weekday,
+  zonedDateTime,
+  zonedDayBounds,
+} = require('../server/dates');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function dayLength(dateKey, timeZone) {
+  const { start, end } = zonedDayBounds(dateKey, timeZone);
+  return end.getTime() + 1 - start.getTime();
+}
+
+test('isDateKey accepts real calendar days only', () => {
+  assert.equal(isDateKey('2024-02-29'), true);
+  assert.equal(isDateKey('2023-02-29'), false);
+  assert.equal(isDateKey('2024-1-01'), false);
+  assert.equal(isDateKey(20240101), false);
+});
+
+test('isValidTimeZone knows IANA names', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+});
+
+test('date arithmetic crosses months, years and leap days', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+  assert.equal(daysBetween('2024-01-01', '2025-01-01'), 366);
+  assert.equal(daysInMonth('2024-02-10'), 29);
+  assert.equal(daysInMonth('2023-02-10'), 28);
+  assert.equal(monthsBetween('2023-11-30', '2024-02-01'), 3);
+});
+
+test('weeks start on Monday', () => {
+  assert.equal(weekday('2024-01-01'), 1);
+  assert.equal(startOfWeek('2024-01-07'), '2024-01-01');
+  assert.equal(startOfWeek('2024-01-08'), '2024-01-08');
+});
+
+test('toDateKey uses the calendar day of the time zone', () => {
+  const instant = new Date('2024-03-10T07:30:00Z');
+  assert.equal(toDateKey(instant), '2024-03-10');
+  assert.equal(toDateKey(instant, 'America/Los_Angeles'), '2024-03-09');
+  assert.equal(toDateKey(new Date('2024-06-30T23:30:00Z'), 'Pacific/Kiritimati'), '2024-07-01');
+});
+
+test('local days are 23 or 25 hours long on DST change days', () => {
+  assert.equal(dayLength('2024-03-09', 'America/Los_Angeles'), 24 * HOUR_MS);
+  assert.equal(dayLength('2024-03-10', 'America/Los_Angeles'), 23 * HOUR_MS);
+  assert.equal(dayLength('2024-11-03', 'America/Los_Angeles'), 25 * HOUR_MS);
+  assert.equal(dayLength('2024-03-31', 'Europe/Berlin'), 23 * HOUR_MS);
+  assert.deepEqual(zonedDayBounds('2024-07-01', 'Asia/Kolkata'), {
+    start: new Date('2024-06-30T18:30:00.000Z'),
+    end: new Date('2024-07-01T18:29:59.999Z'),
+  });
+});
+
+test('a day whose midnight is skipped by DST starts at the first valid time', () => {
+  // Brazil moved its clocks from 00:00 to 01:00 on 2018-11-04
+  const { start } = zonedDayBounds('2018-11-04', 'America/Sao_Paulo');
+  assert.equal(start.toISOString(), '2018-11-04T03:00:00.000Z');
+  assert.equal(toDateKey(start, 'America/Sao_Paulo'), '2018-11-04');
+  assert.equal(localTimeOf(start, 'America/Sao_Paulo'), '01:00');
+  // ... and back from 00:00 to 23:00 on 2018-02-18, so 2018-02-17 had 25 hours
+  assert.equal(dayLength('2018-02-17', 'America/Sao_Paulo'), 25 * HOUR_MS);
+});
+
+test('zonedDateTime resolves skipped and repeated wall-clock times', () => {
+  assert.equal(zonedDateTime('2024-07-01', '08:00', 'Europe/Berlin').toISOString(), '2024-07-01T06:00:00.000Z');
+  // 02:30 doesn't exist on 2024-03-10 in Los Angeles: it comes out as 03:30 PDT
+  const skipped = zonedDateTime('2024-03-10', '02:30', 'America/Los_Angeles');
+  assert.equal(skipped.toISOString(), '2024-03-10T10:30:00.000Z');
+  assert.equal(localTimeOf(skipped, 'America/Los_Angeles'), '03:30');
+  // 01:30 happens twice on 2024-11-03: the first one (PDT) is used
+  assert.equal(zonedDateTime('2024-11-03', '01:30', 'America/Los_Angeles').toISOString(), '2024-11-03T08:30:00.000Z');
+});
@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, test } = require('node:test');
+const express = require('express');
+const { IDEMPOTENCY_HEADER, idempotent, keepIdempotencyKey } = require('../server/idempotency');
+
+// Just enough of the idempotencyKeys collection for the middleware
+function fakeKeysCollection() {
+  const records = new Map();
+  const id = filter => `${filter.userId}:${filter.key}`;
+  return {
+    records,
+    async insertOne(document) {
+      if (records.has(id(document))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      records.set(id(document), { ...document });
+    },
+    async findOne(filter) {
+      return records.get(id(filter)) || null;
+    },
+    async updateOne(filter, update) {
+      Object.assign(records.get(id(filter)), update.$set);
+    },
+    async deleteOne(filter) {
+      records.delete(id(filter));
+    },
+  };
+}
+
+let server;
+let baseUrl;
+let keys;
+// What the routes below have written
+let checkIns;
+// Whether the side effect after the write (or the write itself) fails
+let failSideEffect;
+let failWrite;
+
+before(async () => {
+  const app = express();
+  app.set('env', 'test'); // Keep Express's error handler quiet
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.app.locals.db = { collection: () => keys };
+    req.user = { _id: 'user-1' };
+    next();
+  });
+
+  // A check-in that adds to the day's total, then runs a side effect that can fail
+  app.post('/checkins', idempotent(), async (req, res) => {
+    try {
+      if (failWrite) {
+        throw new Error('write failed');
+      }
+      checkIns.push(req.body.add);
+      keepIdempotencyKey(res);
+      if (failSideEffect) {
+        throw new Error('side effect failed');
+      }
+      res.status(201).json({ total: checkIns.reduce((sum, add) => sum + add, 0) });
+    } catch (error) {
+      res.status(500).json({ message: 'Failed to check in.', error: error.message });
+    }
+  });
+
+  // The same, but the failure escapes to Express's error handler (which answers with res.end)
+  app.post('/unhandled', idempotent(), async (req, res) => {
+    checkIns.push(req.body.add);
+    keepIdempotencyKey(res);
+    throw new Error('side effect failed');
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  keys = fakeKeysCollection();
+  checkIns = [];
+  failSideEffect = false;
+  failWrite = false;
+});
+
+async function post(path, key, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [IDEMPOTENCY_HEADER]: key },
+    body: JSON.stringify(body),
+  });
+  // The response is recorded as it ends; let the (fake) update land
+  const result = { status: response.status, replayed: response.headers.get('Idempotent-Replayed') === 'true', body: await response.json().catch(() => null) };
+  await new Promise(resolve => setImmediate(resolve));
+  return result;
+}
+
+test('a retry after a failing side effect does not apply the write again', async () => {
+  failSideEffect = true;
+  const first = await post('/checkins', 'key-1', { add: 5 });
+  assert.equal(first.status, 500);
+
+  failSideEffect = false;
+  const retry = await post('/checkins', 'key-1', { add: 5 });
+  assert.equal(retry.replayed, true);
+  assert.equal(retry.status, 500);
+  assert.deepEqual(checkIns, [5]);
+});
+
+test('a failure before the write releases the key for the retry', async () => {
+  failWrite = true;
+  const first = await post('/checkins', 'key-2', { add: 5 });
+  assert.equal(first.status, 500);
+  assert.equal(keys.records.size, 0);
+
+  failWrite = false;
+  const retry = await post('/checkins', 'key-2', { add: 5 });
+  assert.equal(retry.replayed, false);
+  assert.deepEqual(retry, { status: 201, replayed: false, body: { total: 5 } });
+  assert.deepEqual(checkIns, [5]);
+});
+
+test('a route that fails without responding still keeps a committed key', async () => {
+  const first = await post('/unhandled', 'key-3', { add: 2 });
+  assert.equal(first.status, 500);
+
+  const retry = await post('/unhandled', 'key-3', { add: 2 });
+  assert.equal(retry.replayed, true);
+  assert.deepEqual(checkIns, [2]);
+});
+
+test('successful responses are replayed and keys cannot be reused for other requests', async () => {
+  const first = await post('/checkins', 'key-4', { add: 1 });
+  const retry = await post('/checkins', 'key-4', { add: 1 });
+  assert.deepEqual(retry, { ...first, replayed: true });
+  assert.deepEqual(checkIns, [1]);
+
+  const reused = await post('/checkins', 'key-4', { add: 3 });
+  assert.equal(reused.status, 422);
+  assert.deepEqual(checkIns, [1]);
+});
@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  isDue,
+  isScheduledOn,
+  parseRRule,
+  periodWindow,
+  scheduledDatesBetween,
+  validateSchedule,
+} = require('../server/schedule');
+
+function schedule(value) {
+  const result = validateSchedule(value, '2024-01-01');
+  assert.deepEqual(result.errors, []);
+  return result.value;
+}
+
+test('validateSchedule normalizes weekly days and fills in the start date', () => {
+  assert.deepEqual(schedule({ type: 'weekly', days: ['Friday', 'mon', 'fri'] }), {
+    type: 'weekly',
+    days: ['mon', 'fri'],
+    startDate: '2024-01-01',
+  });
+});
+
+test('validateSchedule reports fields that are wrong or not allowed', () => {
+  const { value, errors } = validateSchedule({ type: 'interval', every: 0, days: ['mon'] }, '2024-01-01');
+  assert.equal(value, undefined);
+  assert.deepEqual(errors.map(error => error.field).sort(), ['days', 'every']);
+
+  const early = validateSchedule({ type: 'daily', startDate: '2000-01-01' }, null, { earliestStartDate: '2010-01-01' });
+  assert.deepEqual(early.errors, [{ field: 'startDate', message: 'must not be before 2010-01-01' }]);
+
+  const backwards = validateSchedule({ type: 'daily', startDate: '2024-02-01', endDate: '2024-01-01' }, null);
+  assert.deepEqual(backwards.errors, [{ field: 'endDate', message: 'must not be before startDate' }]);
+});
+
+test('parseRRule rejects unsupported or contradictory rules', () => {
+  assert.deepEqual(parseRRule('FREQ=YEARLY').errors, ['FREQ must be one of DAILY, WEEKLY, MONTHLY']);
+  assert.deepEqual(parseRRule('BYDAY=MO').errors, ['FREQ is required']);
+  assert.deepEqual(parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20240301').errors, ['COUNT and UNTIL cannot be combined']);
+  assert.deepEqual(parseRRule('RRULE:FREQ=WEEKLY;BYDAY=MO,XX').errors, ['BYDAY must be a list of MO, TU, WE, TH, FR, SA, SU']);
+  assert.equal(parseRRule('rrule:freq=weekly;interval=2').rule.interval, 2);
+});
+
+test('a COUNT rule ends on its last occurrence', () => {
+  // 2024-01-01 is a Monday: Jan 1, 3, 8, 10, 15
+  const rule = schedule({ type: 'rrule', rule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5' });
+  assert.equal(rule.endDate, '2024-01-15');
+  assert.equal(isScheduledOn(rule, '2024-01-15'), true);
+  assert.equal(isScheduledOn(rule, '2024-01-17'), false);
+
+  // An earlier explicit endDate wins
+  const shorter = schedule({ type: 'rrule', rule: 'FREQ=DAILY;COUNT=30', endDate: '2024-01-05' });
+  assert.equal(shorter.endDate, '2024-01-05');
+});
+
+test('rrules expand weekly intervals, month days and UNTIL', () => {
+  const everyOtherWeek = schedule({ type: 'rrule', rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH' });
+  assert.deepEqual(scheduledDatesBetween(everyOtherWeek, '2024-01-01', '2024-01-21'), ['2024-01-01', '2024-01-04', '2024-01-15', '2024-01-18']);
+
+  const lastOfMonth = schedule({ type: 'rrule', rule: 'FREQ=MONTHLY;BYMONTHDAY=-1' });
+  assert.deepEqual(scheduledDatesBetween(lastOfMonth, '2024-01-01', '2024-04-30'), ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+
+  const untilFriday = schedule({ type: 'rrule', rule: 'FREQ=DAILY;UNTIL=20240105T120000Z' });
+  assert.equal(isScheduledOn(untilFriday, '2024-01-05'), true);
+  assert.equal(isScheduledOn(untilFriday, '2024-01-06'), false);
+});
+
+test('interval and weekly schedules count from the start date', () => {
+  const everyThirdDay = schedule({ type: 'interval', every: 3, startDate: '2024-01-02' });
+  assert.deepEqual(scheduledDatesBetween(everyThirdDay, '2024-01-01', '2024-01-10'), ['2024-01-02', '2024-01-05', '2024-01-08']);
+
+  const weekdays = schedule({ type: 'weekly', days: ['sat', 'sun'], endDate: '2024-01-07' });
+  assert.deepEqual(scheduledDatesBetween(weekdays, '2023-12-30', '2024-01-14'), ['2024-01-06', '2024-01-07']);
+});
+
+test('X-times-per-week habits stop being due once the target is reached', () => {
+  const twiceAWeek = schedule({ type: 'timesPerWeek', times: 2 });
+  // Monday and Tuesday done: not due on Wednesday, still due on Tuesday itself
+  assert.equal(isDue(twiceAWeek, '2024-01-03', ['2024-01-01', '2024-01-02']), false);
+  assert.equal(isDue(twiceAWeek, '2024-01-02', ['2024-01-01', '2024-01-02']), true);
+  // A new week starts over
+  assert.equal(isDue(twiceAWeek, '2024-01-08', ['2024-01-01', '2024-01-02']), true);
+});
+
+test('periodWindow covers the weeks and months a range touches', () => {
+  assert.deepEqual(periodWindow('2024-02-01', '2024-02-10'), { from: '2024-01-29', to: '2024-02-29' });
+});
@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { addDays } = require('../server/dates');
+const { computeHabitStreak, computeOverallStreak } = require('../server/streaks');
+
+const DAILY = { type: 'daily', startDate: '2024-01-01' };
+
+// Every day from from to to (inclusive), except the ones in skip
+function days(from, to, skip = []) {
+  const keys = [];
+  for (let key = from; key <= to; key = addDays(key, 1)) {
+    if (!skip.includes(key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+test('today does not break a daily streak before it is done', () => {
+  const streak = computeHabitStreak(DAILY, days('2024-01-07', '2024-01-09'), { asOf: '2024-01-10' });
+  assert.equal(streak.currentStreak, 3);
+  assert.equal(streak.currentStreakStart, '2024-01-07');
+  assert.equal(streak.unit, 'days');
+
+  const doneToday = computeHabitStreak(DAILY, days('2024-01-07', '2024-01-10'), { asOf: '2024-01-10' });
+  assert.equal(doneToday.currentStreak, 4);
+});
+
+test('a missed day ends the streak unless grace days cover it', () => {
+  const completed = days('2024-01-01', '2024-01-10', ['2024-01-07']);
+  const strict = computeHabitStreak(DAILY, completed, { asOf: '2024-01-10' });
+  assert.equal(strict.currentStreak, 3);
+  assert.equal(strict.currentStreakStart, '2024-01-08');
+  assert.equal(strict.longestStreak, 6);
+  assert.equal(strict.longestStreakStart, '2024-01-01');
+  assert.equal(strict.longestStreakEnd, '2024-01-06');
+
+  // The missed day doesn't count, but doesn't break the streak either
+  const lenient = computeHabitStreak(DAILY, completed, { asOf: '2024-01-10', graceDays: 1 });
+  assert.equal(lenient.currentStreak, 9);
+});
+
+test('frozen days are skipped like off days', () => {
+  const completed = days('2024-01-01', '2024-01-10', ['2024-01-05', '2024-01-06']);
+  const streak = computeHabitStreak(DAILY, completed, { asOf: '2024-01-10', frozenDates: ['2024-01-05', '2024-01-06'] });
+  assert.equal(streak.currentStreak, 8);
+});
+
+test('days a weekly habit is not scheduled on neither extend nor break it', () => {
+  const weekdays = { type: 'weekly', days: ['mon', 'wed', 'fri'], startDate: '2024-01-01' };
+  const streak = computeHabitStreak(weekdays, ['2024-01-01', '2024-01-03', '2024-01-05', '2024-01-06', '2024-01-08'], { asOf: '2024-01-09' });
+  assert.equal(streak.currentStreak, 4);
+  assert.equal(streak.unit, 'occurrences');
+});
+
+test('X-times-per-week habits count weeks that reached the target', () => {
+  const twiceAWeek = { type: 'timesPerWeek', times: 2, startDate: '2024-01-01' };
+  // Weeks of Jan 1 and Jan 8 done, week of Jan 15 short, week of Jan 22 in progress
+  const completed = ['2024-01-01', '2024-01-03', '2024-01-09', '2024-01-10', '2024-01-16', '2024-01-22'];
+  const streak = computeHabitStreak(twiceAWeek, completed, { asOf: '2024-01-23' });
+  assert.equal(streak.unit, 'weeks');
+  assert.equal(streak.currentStreak, 0);
+  assert.equal(streak.longestStreak, 2);
+  assert.equal(streak.longestStreakEnd, '2024-01-14');
+  assert.equal(streak.lastCompletedDate, '2024-01-22');
+});
+
+test('a schedule that has ended keeps its final streak', () => {
+  const fiveTimes = { type: 'rrule', rule: 'FREQ=DAILY;COUNT=5', startDate: '2024-01-01', endDate: '2024-01-05' };
+  const streak = computeHabitStreak(fiveTimes, days('2024-01-01', '2024-01-05'), { asOf: '2024-03-01' });
+  assert.equal(streak.currentStreak, 5);
+});
+
+test('habits without completions or a schedule have no streak', () => {
+  assert.equal(computeHabitStreak(null, [], { asOf: '2024-01-10' }).currentStreak, 0);
+  assert.equal(computeHabitStreak(DAILY, [], { asOf: '2024-01-10' }).longestStreak, 0);
+  // Completions after asOf don't count yet
+  assert.equal(computeHabitStreak(DAILY, ['2024-01-11'], { asOf: '2024-01-10' }).currentStreak, 0);
+});
+
+test('the overall streak counts days with any completion', () => {
+  const habits = [
+    { schedule: DAILY, completedDates: ['2024-01-07', '2024-01-09'] },
+    { schedule: { type: 'weekly', days: ['mon'], startDate: '2024-01-01' }, completedDates: ['2024-01-08'] },
+  ];
+  const streak = computeOverallStreak(habits, { asOf: '2024-01-10' });
+  assert.equal(streak.currentStreak, 3);
+  assert.equal(streak.currentStreakStart, '2024-01-07');
+});
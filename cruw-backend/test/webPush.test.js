@@ -0,0 +1,61 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { MAX_PAYLOAD_BYTES, encryptPayload } = require('../server/webPush');
+
+// The example in RFC 8291 appendix A
+const EXAMPLE = {
+  plaintext: 'When I grow up, I want to be a watermelon',
+  serverPrivateKey: 'yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw',
+  clientPublicKey: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+  authSecret: 'BTBZMqHH6r4Tts7J_aSIgg',
+  salt: 'DGv6ra1nlYgDCS1FRnbzlw',
+  message: 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN',
+};
+
+test('encryptPayload reproduces the RFC 8291 example message', () => {
+  const subscription = { keys: { p256dh: EXAMPLE.clientPublicKey, auth: EXAMPLE.authSecret } };
+  const message = encryptPayload(subscription, Buffer.from(EXAMPLE.plaintext), {
+    serverPrivateKey: Buffer.from(EXAMPLE.serverPrivateKey, 'base64url'),
+    salt: Buffer.from(EXAMPLE.salt, 'base64url'),
+  });
+  assert.equal(message.toString('base64url'), EXAMPLE.message);
+});
+
+test('encryptPayload output can be decrypted by the subscriber', () => {
+  const crypto = require('node:crypto');
+  const client = crypto.createECDH('prime256v1');
+  const clientPublicKey = client.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  const subscription = { keys: { p256dh: clientPublicKey.toString('base64url'), auth: authSecret.toString('base64url') } };
+  const payload = Buffer.from(JSON.stringify({ title: 'Time to stretch' }));
+
+  const message = encryptPayload(subscription, payload);
+
+  // Header: salt (16), record size (4), key length (1), server public key
+  const salt = message.subarray(0, 16);
+  assert.equal(message.readUInt32BE(16), 4096);
+  const keyLength = message.readUInt8(20);
+  const serverPublicKey = message.subarray(21, 21 + keyLength);
+  const record = message.subarray(21 + keyLength);
+
+  const sharedSecret = client.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+  const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const plaintext = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+  // The last record ends with the 0x02 delimiter
+  assert.equal(plaintext[plaintext.length - 1], 2);
+  assert.deepEqual(plaintext.subarray(0, -1), payload);
+});
+
+test('the largest payload fits in one 4096-byte record', () => {
+  const client = require('node:crypto').createECDH('prime256v1');
+  const subscription = { keys: { p256dh: client.generateKeys().toString('base64url'), auth: Buffer.alloc(16).toString('base64url') } };
+  const message = encryptPayload(subscription, Buffer.alloc(MAX_PAYLOAD_BYTES));
+  // The record (ciphertext, delimiter and tag) plus the 86-byte header
+  assert.ok(message.length - 86 <= 4096);
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const { crc32, createZip, readZip } = require('../server/zip');
+
+const FILES = [
+  { name: 'habits.json', data: JSON.stringify([{ title: 'Read', schedule: { type: 'daily' } }]) },
+  { name: 'entries/2024.csv', data: 'date,habit,status\n2024-01-01,Read,done\n'.repeat(200) },
+  { name: 'notes/ünïcödé.txt', data: Buffer.from('Grüße') },
+  { name: 'empty.txt', data: '' },
+];
+
+test('crc32 matches the standard check values', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('readZip unpacks what createZip packed', () => {
+  const files = readZip(createZip(FILES));
+  assert.deepEqual(files.map(file => file.name), FILES.map(file => file.name));
+  files.forEach((file, index) => {
+    assert.deepEqual(file.data, Buffer.from(FILES[index].data));
+  });
+});
+
+test('readZip rejects a file whose checksum does not match', () => {
+  const archive = createZip([{ name: 'a.txt', data: 'hello' }]);
+  // The CRC in the central directory header (46 bytes + name before the end record)
+  const centralDirectory = archive.length - 22 - 46 - 'a.txt'.length;
+  archive.writeUInt32LE(archive.readUInt32LE(centralDirectory + 16) ^ 1, centralDirectory + 16);
+  assert.throws(() => readZip(archive), /a\.txt in the ZIP archive is damaged/);
+});
+
+test('unzip accepts the archive', t => {
+  if (spawnSync('unzip', ['-v']).error) {
+    t.skip('unzip is not installed');
+    return;
+  }
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cruw-zip-'));
+  try {
+    const file = path.join(directory, 'export.zip');
+    fs.writeFileSync(file, createZip(FILES));
+    // -t tests every file's checksum
+    const result = spawnSync('unzip', ['-t', file], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /No errors detected/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});